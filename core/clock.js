@@ -0,0 +1,162 @@
+/**
+ * SIMULATION CLOCK
+ * Fixed-tick game clock, decoupled from the display refresh rate.
+ * Frames feed it real time; it runs whole simulation ticks and reports how far
+ * into the next tick the frame is so rendering can interpolate.
+ */
+
+// ==============================================
+// CLOCK CONSTANTS
+// ==============================================
+const TICK_RATE = 10;                   // Simulation ticks per second - tick-counted timers assume this
+const TICK_DURATION = 1000 / TICK_RATE; // ms of game time per tick
+const MAX_FRAME_TIME = 250;             // Clamp long frames (tab switches) so the sim doesn't spiral
+const GAME_SPEEDS = [0.5, 1, 2, 4];     // Speed multiplier presets
+
+class GameClock {
+  constructor(eventBus = null, config = {}) {
+    this.eventBus = eventBus;
+    this.tickDuration = config.tickDuration || TICK_DURATION;
+
+    this.reset();
+  }
+
+  /**
+   * Reset to tick zero (new mission)
+   */
+  reset() {
+    this.tick = 0;
+    this.time = 0;          // Game time elapsed (ms)
+    this.accumulator = 0;   // Real time not yet consumed by a tick (ms, scaled by speed)
+    this.paused = false;
+    this.speed = 1;
+    this.emitChange();
+  }
+
+  /**
+   * Advance one tick of game time
+   */
+  step() {
+    this.tick++;
+    this.time += this.tickDuration;
+  }
+
+  /**
+   * Feed a frame's worth of real time, running onTick once per whole tick due
+   * @param {number} frameTime - Real ms since the last frame
+   * @param {Function} onTick - Runs a single simulation tick
+   * @returns {number} Ticks run this frame
+   */
+  advance(frameTime, onTick) {
+    if (this.paused) return 0;
+
+    this.accumulator += Math.min(frameTime, MAX_FRAME_TIME) * this.speed;
+
+    let ticks = 0;
+    while (this.accumulator >= this.tickDuration) {
+      this.accumulator -= this.tickDuration;
+      onTick();
+      ticks++;
+
+      // onTick may have paused or reset the clock (mission end, replay finished)
+      if (this.paused) break;
+    }
+
+    return ticks;
+  }
+
+  /**
+   * How far the current frame is between the last tick and the next (0-1)
+   */
+  getAlpha() {
+    return Math.min(1, this.accumulator / this.tickDuration);
+  }
+
+  /**
+   * Convert a duration in seconds to whole ticks
+   */
+  secondsToTicks(seconds) {
+    return Math.round(seconds * 1000 / this.tickDuration);
+  }
+
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.emitChange();
+  }
+
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.emitChange();
+  }
+
+  togglePause() {
+    if (this.paused) {
+      this.resume();
+    } else {
+      this.pause();
+    }
+    return this.paused;
+  }
+
+  /**
+   * Set the game-speed multiplier
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+    this.speed = speed;
+    this.emitChange();
+  }
+
+  /**
+   * Step through the speed presets (up or down)
+   */
+  cycleSpeed(direction = 1) {
+    const index = GAME_SPEEDS.indexOf(this.speed);
+    const next = index === -1
+      ? GAME_SPEEDS.indexOf(1)
+      : (index + direction + GAME_SPEEDS.length) % GAME_SPEEDS.length;
+    this.setSpeed(GAME_SPEEDS[next]);
+    return this.speed;
+  }
+
+  /**
+   * Get clock status for the UI
+   */
+  getStatus() {
+    return {
+      tick: this.tick,
+      time: this.time,
+      paused: this.paused,
+      speed: this.speed
+    };
+  }
+
+  emitChange() {
+    this.eventBus?.emit('clock:changed', this.getStatus());
+  }
+
+  /**
+   * Serialize for save/load (pause and speed are player settings, not saved)
+   */
+  serialize() {
+    return {
+      tick: this.tick,
+      time: this.time
+    };
+  }
+
+  /**
+   * Restore tick count and game time from a save
+   */
+  restore(data) {
+    if (!data) return;
+    this.tick = data.tick || 0;
+    this.time = data.time || 0;
+    this.accumulator = 0;
+    this.emitChange();
+  }
+}
+
+export { GameClock, TICK_RATE, TICK_DURATION, MAX_FRAME_TIME, GAME_SPEEDS };
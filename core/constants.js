@@ -3,6 +3,19 @@
  * Enums, thresholds, and magic numbers
  */
 
+// Named RNG streams - one per subsystem so rolls in one never shift another
+export const RNG_STREAMS = {
+  DETECTION: 'detection',
+  COMBAT: 'combat',
+  SKILLS: 'skills',
+  NPC: 'npc',
+  SLOAN: 'sloan',
+  MACK: 'mack',
+  DIALOGUE: 'dialogue',
+  HACKING: 'hacking',
+  LOCKPICKING: 'lockpicking'
+};
+
 // Priority tiers for UI attention hierarchy
 export const PRIORITY_TIERS = {
   IMMEDIATE: 1,     // NPCs, active threats
@@ -56,6 +69,7 @@ export const CONDITION_EFFECTS = {
     description: 'Hands shaking, hard to focus',
     effects: {
       fineMotor: -30,      // Hacking, lockpicking harder
+      social: -15,         // Voice gives you away
       combat: +10,         // Adrenaline boost
       sloanConnection: -50 // Communication degrades
     }
@@ -80,6 +94,7 @@ export const CONDITION_EFFECTS = {
     effects: {
       sloanConnection: -80,
       readingComprehension: -60,
+      social: -30,
       combat: +20
     }
   }
@@ -125,7 +140,8 @@ export const SLOAN_TRIGGERS = {
   OBJECTIVE_NEAR: 'objective_near',
   DANGER: 'danger',
   HINT_REQUEST: 'hint_request',
-  ACTION_RESULT: 'action_result'
+  ACTION_RESULT: 'action_result',
+  NPC_SEARCH: 'npc_search'
 };
 
 // Environment attributes
@@ -140,6 +156,8 @@ export const ENV_ATTRIBUTES = {
 export const ACTION_VERBS = {
   // Movement
   MOVE: 'move',
+  STEP: 'step',
+  WALK: 'walk',
   SNEAK: 'sneak',
   RUN: 'run',
   HIDE: 'hide',
@@ -152,9 +170,11 @@ export const ACTION_VERBS = {
   
   // Interaction
   TAKE: 'take',
+  TAKE_FROM: 'take-from',
   USE: 'use',
   COMBINE: 'combine',
   DROP: 'drop',
+  DRAG: 'drag',
   
   // Social
   TALK: 'talk',
@@ -165,6 +185,8 @@ export const ACTION_VERBS = {
   // Technical
   HACK: 'hack',
   LOCKPICK: 'lockpick',
+  BYPASS: 'bypass',
+  FORCE: 'force',
   DISABLE: 'disable',
   
   // Combat
@@ -173,6 +195,217 @@ export const ACTION_VERBS = {
   FLEE: 'flee'
 };
 
+// Blueprint tile types that can be stood on (exit tiles are always enterable)
+export const WALKABLE_TILES = ['floor', 'door', 'cover'];
+
+// Element types that block movement over their footprint (override per element with "blocking")
+export const BLOCKING_ELEMENT_TYPES = ['furniture', 'terminal', 'computer', 'container'];
+
+// Blueprint tiles that block line of sight entirely
+export const OPAQUE_TILES = ['wall', 'server-rack', 'elevator', 'plant'];
+
+// Blueprint tiles low enough to hide behind (as do elements with provideCover)
+export const COVER_TILES = ['cover', 'desk'];
+
+// NPC vision cones - range in tiles, angle in degrees
+export const VISION_CONFIG = {
+  RANGE: 5,
+  ANGLE: 90,
+  LIGHTING_RANGE: { bright: 2, normal: 0, dim: -2, dark: -3 },
+  AWARENESS: {
+    unaware: { range: 0, angle: 0 },
+    suspicious: { range: 1, angle: 30 },
+    alert: { range: 2, angle: 60 },
+    hostile: { range: 2, angle: 90 }
+  },
+  COVER_VISIBILITY: 0.5 // Seen past (or on) one cover tile; two or more hide completely
+};
+
+// Grid directions (y grows downward, as in blueprints)
+export const DIRECTIONS = {
+  north: { x: 0, y: -1 },
+  south: { x: 0, y: 1 },
+  east: { x: 1, y: 0 },
+  west: { x: -1, y: 0 }
+};
+
+// Noise loudness by source (1 level carries NOISE_CONFIG.TILES_PER_LEVEL tiles in a normal room)
+export const NOISE_LEVELS = {
+  ITEM_DROP: 1,
+  LOCKPICK: 1,
+  RUMMAGE: 1,
+  RUNNING: 2,
+  PICK_SLIP: 2,
+  DISTRACTION: 2,
+  COMBAT: 3,
+  COMBAT_LOUD: 4,
+  DOOR_FORCED: 4,
+  ALARM: 6
+};
+
+// How far sound carries in a room, by its "acoustics" attribute
+export const ACOUSTICS = {
+  echo: 1.5,     // Bare concrete - stairwells
+  normal: 1,
+  muffled: 0.7,  // Carpet, soft furnishings
+  masking: 0.5   // Machine hum drowns it out - server rooms
+};
+
+export const NOISE_CONFIG = {
+  TILES_PER_LEVEL: 3,
+  DOOR_LOSS: 2,            // Tiles of reach lost passing through a doorway
+  SUSPICION_PER_TILE: 3,   // Suspicion per tile of reach left when heard
+  MAX_SUSPICION: 40
+};
+
+// What an NPC is doing about a lead (a noise, or a glimpse of the player)
+export const NPC_SEARCH_STATES = {
+  INVESTIGATING: 'investigating', // Heading to the last known position
+  SEARCHING: 'searching',         // Checking cover near it
+  RETURNING: 'returning'          // Giving up and heading back to the route
+};
+
+export const SEARCH_CONFIG = {
+  RADIUS: 3,   // Tiles around the last known position checked for hiding spots
+  MAX_SPOTS: 3,
+  LINGER: 30,  // Ticks spent looking around at the last known position
+  CHECK: 15    // Ticks spent at each hiding spot
+};
+
+// How an NPC went down - decides whether (and when) they come to
+export const BODY_CAUSES = {
+  SUBDUED: 'subdued',        // Choked out
+  KNOCKED_OUT: 'knockedOut', // Tased or clubbed
+  KILLED: 'killed'
+};
+
+export const BODY_CONFIG = {
+  WAKE_TIME: { subdued: 240, knockedOut: 480 }, // Game seconds until they come to - the dead stay down
+  WAKE_HEALTH: 25,     // Health a beaten NPC comes round with
+  WAKE_SUSPICION: 80,  // Waking up on the floor puts anyone on alert
+  FIND_SUSPICION: 60,  // Finding a colleague down
+  DRAG_SLOWDOWN: 2,    // Step interval multiplier while dragging a body
+  DRAG_STAMINA: 2,     // Stamina per tile dragged
+  SEARCH_TIME: 1000    // ms to go through a body's pockets
+};
+
+// Things left lying on the floor. Items marked "suspicious" in the equipment
+// data catch the eye of anyone who sees them; "dropsOnTakedown" items fall
+// out of an NPC's hands when they go down.
+export const FLOOR_ITEM_CONFIG = {
+  NOTICE_SUSPICION: 35  // Spotting something that shouldn't be lying there
+};
+
+// Facility-wide alert levels - each raises detection for every NPC
+export const FACILITY_ALERT = {
+  NORMAL: 0,
+  ELEVATED: 1, // Backup called
+  ALARM: 2,    // Alarm ringing
+  LOCKDOWN: 3  // Doors sealed
+};
+
+export const SECURITY_CONFIG = {
+  ALARM_DURATION: 120,       // Game seconds to silence an alarm before the full response
+  BACKUP_DELAY: 20,          // Game seconds before reinforcements come through the door
+  LOCKDOWN_KEYCARD_LEVEL: 2, // Keycard level every door needs during a lockdown
+  DETECTION_PER_LEVEL: 5,    // Detection chance (%) per alert level
+  SUSPICION_PER_LEVEL: 15,   // Suspicion every NPC gains per level the alert rises
+  REINFORCEMENT_SUSPICION: 70, // Reinforcements arrive alert
+  SILENCE_TIME: 1500         // ms of work at a console to silence the alarm
+};
+
+// Player skill profile (0-100) before conditions and gear
+export const PLAYER_SKILLS = {
+  persuasion: 50,
+  deception: 45,
+  intimidation: 35,
+  bribery: 40,
+  hacking: 40,
+  lockpicking: 30,
+  combat: 40
+};
+
+// Condition modifiers that bear on each skill ('allActions' bears on all of them)
+export const SKILL_MODIFIERS = {
+  persuasion: ['social', 'decisionMaking'],
+  deception: ['social', 'decisionMaking'],
+  intimidation: ['social'],
+  bribery: ['social', 'decisionMaking'],
+  hacking: ['fineMotor', 'decisionMaking'],
+  lockpicking: ['fineMotor'],
+  combat: ['combat']
+};
+
+export const SKILL_CONFIG = {
+  BASE_CHANCE: 50,      // An average (50) skill passes 100 - difficulty percent of the time
+  MIN_CHANCE: 5,
+  MAX_CHANCE: 95,
+  CASH_PER_POINT: 10,   // Bribes: +1 per $10 in hand...
+  MAX_CASH_BONUS: 20,   // ...up to this
+  FAIL_SUSPICION: 20    // A failed line in conversation, unless the tree says otherwise
+};
+
+// Terminal breach puzzles - a terminal's hackDifficulty names a tier or gives a rating,
+// and the mission's hackDifficultyBonus is added on top
+export const HACK_DIFFICULTY = {
+  easy:   { rating: 30, gridSize: 4, sequenceLength: 3, strikes: 3, timeLimit: 240 },
+  medium: { rating: 50, gridSize: 5, sequenceLength: 4, strikes: 2, timeLimit: 180 },
+  hard:   { rating: 70, gridSize: 6, sequenceLength: 5, strikes: 1, timeLimit: 150 }
+};
+
+export const HACK_CONFIG = {
+  CODES: ['1C', '55', '7A', 'BD', 'E9', 'FF', '3F', '9C'],
+  TIME_FLOOR: 0.5,        // Time limit scales from half (hopeless odds)...
+  TIME_PER_CHANCE: 0.01,  // ...up by 1% per point of hacking odds
+  STRIKE_STRESS: 5,       // Each wrong code
+  FAIL_DETECTION: 25,     // A failed breach gets noticed, unless it trips an alarm
+  // What stress does to the interface while the player works
+  INTERFERENCE: {
+    'high-stress': { shake: 0.4 },
+    'panicked': { shake: 0.8, blur: 0.6 }
+  }
+};
+
+// Lock picking - pins and tension from a lock's security level (lockSecurity,
+// else its keycard level). Electronic locks take a bypass instead.
+export const LOCK_CONFIG = {
+  BASE_PINS: 2,              // Plus one pin per security level
+  BASE_DIFFICULTY: 30,       // Lockpicking (or bypass hacking) difficulty...
+  SECURITY_DIFFICULTY: 10,   // ...plus this per security level
+  MIN_WINDOW: 6,             // Tension points a pin binds across...
+  WINDOW_PER_CHANCE: 0.25,   // ...widened by the lockpicking odds
+  MAX_SLIPS: 3,              // Oversets before the pick bends and the attempt is over
+  BYPASS_FAIL_DETECTION: 15, // A reader that rejects the bypass logs it
+  // Shaking hands - tension wanders up to this far either way on each lift
+  STRESS_WOBBLE: {
+    'high-stress': 8,
+    'panicked': 15
+  }
+};
+
+// Containers - searching turns up whatever's hidden (hiddenContents), then
+// items come out one at a time, heavier ones taking longer
+export const CONTAINER_CONFIG = {
+  SEARCH_TIME: 800,          // ms to go through a container
+  TAKE_TIME: 400,            // ms to lift an item out...
+  TAKE_TIME_PER_WEIGHT: 500  // ...plus this per unit of its weight
+};
+
+// Carrying - pocket slots plus a worn vest's carryCapacity, and weight (kg).
+// Over the limit, every tile moved costs stamina and makes noise.
+export const CARRY_CONFIG = {
+  BASE_SLOTS: 4,        // Pockets, before the vest
+  WEIGHT_LIMIT: 3,      // Carried without slowing down...
+  MAX_WEIGHT: 5,        // ...and nothing picked up past this
+  OVERLOAD_STAMINA: 1,  // Per tile moved while overloaded
+  OVERLOAD_NOISE: 1     // Added to the noise of every step while overloaded
+};
+
+// Combining two carried items (recipes in equipment.json)
+export const CRAFT_CONFIG = {
+  COMBINE_TIME: 1500    // ms to put two items together
+};
+
 // UI card states
 export const CARD_STATES = {
   EXPANDED: 'expanded',
@@ -187,6 +420,7 @@ export const MAP_CONFIG = {
   TILE_SIZE: 32,           // Pixels per grid tile
   BLUEPRINT_SCALE: 0.5,    // Scale for room blueprints
   OVERVIEW_SCALE: 0.1,     // Scale for full facility map
+  SIGHTING_MEMORY: 120,    // Game seconds an NPC seen elsewhere stays on the facility map
   COLORS: {
     WALL: '#1a1a2e',
     FLOOR: '#16213e',
@@ -196,6 +430,8 @@ export const MAP_CONFIG = {
     NPC_HOSTILE: '#ff4444',
     NPC_NEUTRAL: '#888888',
     NPC_ALLIED: '#44ff44',
+    BODY: '#6b6b7b',
+    FLOOR_ITEM: '#ffc10766',
     FURNITURE: '#0f3460',
     COMPUTER: '#00d4ff',
     COVER: '#2d4059'
@@ -0,0 +1,251 @@
+/**
+ * DIALOGUE SYSTEM
+ * Conversation trees loaded from scripts/dialogue.json. Picks the tree for an
+ * NPC from their id or dialogueId, awareness and story flags, hides responses
+ * whose conditions aren't met, and applies response effects to the game state.
+ * The Simulation runs the conversation (see dialogueInput()); the
+ * DialoguePanel only presents the nodes it's handed.
+ *
+ * Trees are keyed "{base}-{mood}" (base is the NPC id, or their dialogueId
+ * without its mood). A tree with a "requires" list is a variant that replaces
+ * the mood tree while its conditions hold.
+ *
+ * Responses with a "check" are rolled against the player's skills (see
+ * SkillSystem) when they're said - the odds are shown beforehand.
+ */
+
+import { NPC_AWARENESS, SKILL_CONFIG } from './constants.js';
+
+// Which tree mood an NPC's awareness calls for
+const AWARENESS_MOODS = {
+  [NPC_AWARENESS.UNAWARE]: 'neutral',
+  [NPC_AWARENESS.SUSPICIOUS]: 'suspicious',
+  [NPC_AWARENESS.ALERT]: 'suspicious',
+  [NPC_AWARENESS.HOSTILE]: 'hostile'
+};
+const MOOD_SUFFIX = /-(neutral|suspicious|hostile)$/;
+
+// Tree-level keys that aren't dialogue nodes
+const RESERVED_KEYS = ['requires'];
+
+class DialogueSystem {
+  constructor(eventBus, skills, encumbrance) {
+    this.eventBus = eventBus;
+    this.skills = skills;
+    this.encumbrance = encumbrance;
+    this.trees = new Map();
+  }
+
+  /**
+   * Load trees from parsed dialogue JSON (everything but "meta")
+   */
+  load(dialogueData = {}) {
+    this.trees.clear();
+    for (const [id, tree] of Object.entries(dialogueData)) {
+      if (id !== 'meta') this.trees.set(id, tree);
+    }
+  }
+
+  /**
+   * Pick the tree for an NPC: a variant whose conditions hold, else the tree
+   * for their mood, else a neutral one, else the generic tree for their type
+   * @returns {string|null} Tree ID
+   */
+  selectTree(npc, state) {
+    const base = npc.dialogueId ? npc.dialogueId.replace(MOOD_SUFFIX, '') : npc.id;
+    const mood = AWARENESS_MOODS[npc.awareness] || 'neutral';
+
+    for (const [id, tree] of this.trees) {
+      if (id.startsWith(`${base}-`) && tree.requires && this.checkConditions(tree.requires, npc, state)) {
+        return id;
+      }
+    }
+
+    const candidates = [
+      npc.dialogueId,
+      `${base}-${mood}`,
+      `${base}-neutral`,
+      `${npc.type}-${mood}`,
+      `${npc.type}-neutral`
+    ];
+    // An explicit dialogueId only wins when it's for the NPC's current mood
+    if (npc.dialogueId && !npc.dialogueId.endsWith(`-${mood}`) && MOOD_SUFFIX.test(npc.dialogueId)) {
+      candidates.shift();
+    }
+
+    return candidates.find(id => id && this.trees.has(id) && !this.trees.get(id).requires) || null;
+  }
+
+  /**
+   * Start a conversation with an NPC
+   * @returns {Object|null} { treeId, npcId, getNode(nodeId), respond(response), isHostile() } -
+   *   nodes are filtered against the state at the moment they're shown
+   */
+  createConversation(npc, state) {
+    const treeId = this.selectTree(npc, state);
+    if (!treeId) {
+      this.eventBus.emit('sim:warning', { message: `No dialogue for ${npc.id}` });
+      return null;
+    }
+
+    const tree = this.trees.get(treeId);
+    return {
+      treeId,
+      npcId: npc.id,
+      getNode: (nodeId) => this.getNode(tree, nodeId, npc, state),
+      respond: (response) => this.respond(response, npc, state),
+      isHostile: () => npc.awareness === NPC_AWARENESS.HOSTILE
+    };
+  }
+
+  /**
+   * A node with only the responses currently open to the player, checks
+   * carrying their odds as they stand
+   * @returns {Object|null} { id, text, responses }
+   */
+  getNode(tree, nodeId, npc, state) {
+    const node = RESERVED_KEYS.includes(nodeId) ? null : tree[nodeId];
+    if (!node) return null;
+
+    return {
+      id: nodeId,
+      text: node.text,
+      responses: (node.responses || [])
+        .filter(response => this.checkConditions(response.requires, npc, state))
+        .map(response => response.check
+          ? { ...response, odds: this.getCheckOdds(response.check, state) }
+          : response)
+    };
+  }
+
+  /**
+   * Work out where saying a response leads. A check is rolled now: success
+   * goes on as written, failure applies "failEffect" (or a suspicion hit)
+   * and goes to "failNext" - or ends the conversation.
+   * @returns {Object} { check, effects, action, next }
+   */
+  respond(response, npc, state) {
+    const effects = [].concat(response.effect || []);
+    const outcome = { check: null, effects, action: response.action || null, next: response.next || 'end' };
+    if (!response.check) return outcome;
+
+    const { skill, difficulty } = this.parseCheck(response.check);
+    const check = this.skills.check(state, skill, difficulty);
+    this.eventBus.emit('dialogue:checkResolved', { npcId: npc.id, text: response.text, ...check });
+
+    if (check.success) return { ...outcome, check };
+    return {
+      check,
+      effects: [].concat(response.failEffect ?? `increase-suspicion:${SKILL_CONFIG.FAIL_SUSPICION}`),
+      action: null,
+      next: response.failNext || 'end'
+    };
+  }
+
+  /**
+   * Odds of a "skill:difficulty" check right now
+   */
+  getCheckOdds(check, state) {
+    const { skill, difficulty } = this.parseCheck(check);
+    return this.skills.getOdds(state, skill, difficulty);
+  }
+
+  parseCheck(check) {
+    const [skill, difficulty] = check.split(':');
+    return { skill, difficulty: parseInt(difficulty) || 0 };
+  }
+
+  /**
+   * Check a condition string, or a list that must all hold:
+   * "has-item:id", "no-item:id", "flag:name", "no-flag:name",
+   * "skill:name:min", "money:amount", "awareness:level"
+   */
+  checkConditions(conditions, npc, state) {
+    if (!conditions) return true;
+    return [].concat(conditions).every(condition => this.checkCondition(condition, npc, state));
+  }
+
+  checkCondition(condition, npc, state) {
+    const [type, value, amount] = condition.split(':');
+
+    switch (type) {
+      case 'has-item':
+        return state.player.equipment.includes(value);
+      case 'no-item':
+        return !state.player.equipment.includes(value);
+      case 'flag':
+        return state.hasFlag(value);
+      case 'no-flag':
+        return !state.hasFlag(value);
+      case 'skill':
+        return this.skills.getLevel(state, value) >= parseInt(amount);
+      case 'money':
+        return (state.player.cash || 0) >= parseInt(value);
+      case 'awareness':
+        return npc.awareness === value;
+      default:
+        throw new Error(`Unknown dialogue condition: ${condition}`);
+    }
+  }
+
+  /**
+   * Apply a response effect string:
+   * "increase-suspicion:N", "decrease-suspicion:N", "set-flag:name",
+   * "clear-flag:name", "give-item:id" (NPC hands it over), "take-item:id",
+   * "pay:amount" (player hands over cash)
+   * @returns {boolean} Whether the effect went through
+   */
+  applyEffect(effect, npc, state) {
+    const [type, value] = effect.split(':');
+
+    switch (type) {
+      case 'increase-suspicion':
+        npc.vitals.addSuspicion(parseInt(value));
+        npc.updateAwareness();
+        break;
+      case 'decrease-suspicion':
+        npc.vitals.suspicion = Math.max(0, npc.vitals.suspicion - parseInt(value));
+        npc.updateAwareness();
+        break;
+      case 'set-flag':
+        state.setFlag(value, true);
+        break;
+      case 'clear-flag':
+        state.setFlag(value, false);
+        break;
+      case 'give-item': {
+        // They hang on to it if the player has no room
+        const { canCarry, reason } = this.encumbrance.canCarry(state, value);
+        if (!canCarry) {
+          this.eventBus.emit('item:refused', { itemId: value, reason });
+          return false;
+        }
+        npc.inventory = npc.inventory.filter(item => item !== value);
+        if (state.addEquipment(value)) {
+          this.eventBus.emit('item:added', { itemId: value });
+        }
+        break;
+      }
+      case 'take-item':
+        if (state.removeEquipment(value)) {
+          npc.inventory.push(value);
+          this.eventBus.emit('item:removed', { itemId: value });
+        }
+        break;
+      case 'pay':
+        if (!state.spendCash(parseInt(value))) {
+          this.eventBus.emit('sim:warning', { message: `Can't pay ${value} - only ${state.player.cash} on hand` });
+          return false;
+        }
+        this.eventBus.emit('player:cashChanged', { cash: state.player.cash, change: -parseInt(value) });
+        break;
+      default:
+        throw new Error(`Unknown dialogue effect: ${effect}`);
+    }
+
+    this.eventBus.emit('dialogue:effectApplied', { npcId: npc.id, effect });
+    return true;
+  }
+}
+
+export { DialogueSystem };
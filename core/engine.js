@@ -4,7 +4,9 @@
  */
 
 import { GameState } from './state.js';
+import { Pathfinder } from './pathfinding.js';
 import { GAME_PHASES, PRIORITY_TIERS } from './constants.js';
+import { ConditionManager } from '../pillars/conditions.js';
 
 class GameEngine {
   constructor() {
@@ -12,6 +14,8 @@ class GameEngine {
     this.eventBus = new EventBus();
     this.running = false;
     this.tickRate = 100; // ms between game ticks
+    this.pathfinder = new Pathfinder();
+    this.conditions = new ConditionManager(this.state, this.eventBus);
   }
 
   /**
@@ -24,6 +28,7 @@ class GameEngine {
     for (const envId of mission.environments) {
       const env = await this.loadEnvironment(envId);
       this.state.environments.set(envId, env);
+      this.pathfinder.addRoom(env);
     }
     
     // Instantiate NPCs
@@ -206,34 +211,17 @@ class GameEngine {
    * Update NPC states each tick
    */
   updateNPCs() {
-    for (const [id, npc] of this.state.npcs) {
-      // Patrol movement
-      if (npc.behavior === 'patrol' && npc.patrolPath) {
-        this.updatePatrol(npc);
-      }
-      
-      // Awareness decay
-      if (npc.awareness === 'suspicious' && !npc.engaged) {
-        npc.suspicionTimer--;
-        if (npc.suspicionTimer <= 0) {
-          npc.awareness = 'unaware';
-        }
-      }
+    // NPCs run their own routines and searches
+    for (const npc of this.state.npcs.values()) {
+      npc.tick(this.state, { pathfinder: this.pathfinder, eventBus: this.eventBus });
     }
   }
 
   /**
-   * Update player conditions based on vitals
+   * Update player and NPC conditions (see ConditionManager)
    */
   updatePlayerConditions() {
-    const vitals = this.state.player.vitals;
-    const conditions = [];
-    
-    if (vitals.stress > 70) conditions.push('high-stress');
-    if (vitals.health < 30) conditions.push('injured');
-    if (vitals.stamina < 20) conditions.push('exhausted');
-    
-    this.state.player.conditions = conditions;
+    this.conditions.update(this.tickRate / 1000);
   }
 }
 
@@ -0,0 +1,171 @@
+/**
+ * ROOM GRID
+ * Tile grid for a room, built from its ASCII blueprint, legend and elements:
+ * walkability, sight blocking and exits at tile positions.
+ * Routing lives in the Pathfinder, line of sight in the VisionSystem.
+ */
+
+import {
+  WALKABLE_TILES, BLOCKING_ELEMENT_TYPES, OPAQUE_TILES, COVER_TILES, DIRECTIONS
+} from './constants.js';
+
+class RoomGrid {
+  constructor(environment) {
+    this.id = environment.id;
+    this.rows = environment.blueprint?.ascii || null;
+    this.legend = environment.blueprint?.legend || {};
+    this.exits = environment.exits || [];
+    this.elements = environment.elements || [];
+
+    // Rooms without a blueprint are open floor of their stated size
+    this.width = this.rows
+      ? Math.max(...this.rows.map(row => row.length))
+      : environment.dimensions?.width || 1;
+    this.height = this.rows ? this.rows.length : environment.dimensions?.height || 1;
+
+    // Furniture, terminals and containers fill their footprint;
+    // cover elements can be hidden behind
+    this.blocked = new Set();
+    this.coverElements = new Set();
+    for (const element of this.elements) {
+      const blocking = element.blocking ?? BLOCKING_ELEMENT_TYPES.includes(element.type);
+      for (const tile of RoomGrid.footprint(element)) {
+        if (blocking) this.blocked.add(RoomGrid.key(tile));
+        if (element.provideCover) this.coverElements.add(RoomGrid.key(tile));
+      }
+    }
+  }
+
+  /**
+   * Check a tile is inside the grid
+   */
+  inBounds(x, y) {
+    return x >= 0 && y >= 0 && x < this.width && y < this.height;
+  }
+
+  /**
+   * Get the legend tile type at a position (null outside the grid)
+   */
+  getTile(x, y) {
+    if (!this.inBounds(x, y)) return null;
+    if (!this.rows) return 'floor';
+
+    const char = this.rows[y][x];
+    return char === undefined ? null : this.legend[char] || null;
+  }
+
+  /**
+   * Get the exit covering a tile, if any (exits may span several tiles via size)
+   */
+  getExitAt(x, y) {
+    return this.exits.find(exit => {
+      const w = exit.size?.w || 1;
+      const h = exit.size?.h || 1;
+      return x >= exit.position.x && x < exit.position.x + w &&
+             y >= exit.position.y && y < exit.position.y + h;
+    }) || null;
+  }
+
+  /**
+   * Check whether a tile can be stood on
+   */
+  isWalkable(x, y) {
+    if (!this.inBounds(x, y)) return false;
+    if (this.getExitAt(x, y)) return true;
+    if (this.blocked.has(RoomGrid.key({ x, y }))) return false;
+    return WALKABLE_TILES.includes(this.getTile(x, y));
+  }
+
+  /**
+   * Check whether a tile blocks line of sight (walls, racks, outside the room)
+   */
+  isOpaque(x, y) {
+    const tile = this.getTile(x, y);
+    return tile === null || OPAQUE_TILES.includes(tile);
+  }
+
+  /**
+   * Check whether a tile gives cover from sight
+   */
+  isCover(x, y) {
+    return COVER_TILES.includes(this.getTile(x, y)) || this.coverElements.has(RoomGrid.key({ x, y }));
+  }
+
+  /**
+   * Walkable orthogonal neighbours of a tile
+   */
+  getNeighbors(x, y) {
+    return Object.values(DIRECTIONS)
+      .map(dir => ({ x: x + dir.x, y: y + dir.y }))
+      .filter(pos => this.isWalkable(pos.x, pos.y));
+  }
+
+  /**
+   * Walkable tiles next to an element - where someone stands to use it
+   */
+  getApproachTiles(element) {
+    const tiles = new Map();
+    for (const tile of RoomGrid.footprint(element)) {
+      for (const pos of this.getNeighbors(tile.x, tile.y)) {
+        if (this.getExitAt(pos.x, pos.y)) continue;
+        tiles.set(RoomGrid.key(pos), pos);
+      }
+    }
+    return Array.from(tiles.values());
+  }
+
+  /**
+   * Where the player stands after arriving through the exit that leads back
+   * to a room - the first open tile inside the doorway
+   */
+  getArrivalPosition(fromRoomId) {
+    const exit = this.exits.find(e => e.destination === fromRoomId);
+    if (!exit) return null;
+
+    const w = exit.size?.w || 1;
+    const h = exit.size?.h || 1;
+    for (let y = exit.position.y; y < exit.position.y + h; y++) {
+      for (let x = exit.position.x; x < exit.position.x + w; x++) {
+        const inside = this.getNeighbors(x, y).find(pos => !this.getExitAt(pos.x, pos.y));
+        if (inside) return inside;
+      }
+    }
+
+    return { ...exit.position };
+  }
+
+  /**
+   * Tiles covered by an element (position plus size)
+   */
+  static footprint(element) {
+    const tiles = [];
+    const w = element.size?.w || 1;
+    const h = element.size?.h || 1;
+    for (let y = element.position.y; y < element.position.y + h; y++) {
+      for (let x = element.position.x; x < element.position.x + w; x++) {
+        tiles.push({ x, y });
+      }
+    }
+    return tiles;
+  }
+
+  /**
+   * Map key for a tile
+   */
+  static key(pos) {
+    return `${pos.x},${pos.y}`;
+  }
+
+  /**
+   * Direction name for a one-tile step
+   */
+  static directionBetween(from, to) {
+    const dx = Math.sign(to.x - from.x);
+    const dy = Math.sign(to.y - from.y);
+    return Object.keys(DIRECTIONS).find(name =>
+      DIRECTIONS[name].x === dx && DIRECTIONS[name].y === dy
+    ) || null;
+  }
+}
+
+export { RoomGrid };
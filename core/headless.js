@@ -0,0 +1,160 @@
+/**
+ * HEADLESS RUNNER
+ * Runs a mission in Node without the DOM: loads pillar, dialogue and mission JSON from
+ * disk, feeds a scripted action list at fixed ticks, and returns the final
+ * state and event log. Used for automated playthroughs and balance sweeps.
+ *
+ * CLI: node core/headless.js [missionPath] [--seed=HEX] [--actions=file.json] [--max-ticks=N]
+ */
+
+import { readFile } from 'node:fs/promises';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+import { EventBus } from './engine.js';
+import { Simulation } from './simulation.js';
+import { TICK_RATE, TICK_DURATION } from './clock.js';
+import { RandomService } from './rng.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_MISSION = 'missions/active/mission-001.json';
+const DEFAULT_MAX_TICKS = TICK_RATE * 60 * 30; // 30 minutes of game time
+
+/**
+ * Event bus that also keeps a log of everything emitted
+ */
+class LoggingEventBus extends EventBus {
+  constructor(getTick) {
+    super();
+    this.getTick = getTick;
+    this.log = [];
+  }
+
+  emit(event, data) {
+    this.log.push({ tick: this.getTick(), event, data });
+    super.emit(event, data);
+  }
+}
+
+/**
+ * Read and parse a JSON file relative to the repo root
+ */
+async function readJSON(path, rootDir = ROOT_DIR) {
+  return JSON.parse(await readFile(resolve(rootDir, path), 'utf8'));
+}
+
+/**
+ * Normalize a scripted step into a replay-style entry.
+ * Accepts replay log entries ({ tick, type, data }) or bare actions ({ tick, verb, target })
+ */
+function toEntry(step) {
+  if (step.type) return step;
+  const { tick, ...data } = step;
+  return { tick, type: 'action', data };
+}
+
+/**
+ * Run a mission headlessly
+ * @param {Object} options
+ * @param {string} options.missionPath - Mission JSON, relative to rootDir
+ * @param {Array} options.actions - Scripted steps ({ tick, verb, target } or replay entries)
+ * @param {number} options.seed - RNG seed (random if omitted)
+ * @param {number} options.maxTicks - Stop after this many ticks if the mission hasn't ended
+ * @param {string} options.rootDir - Repo root to load data from
+ * @returns {Object} { outcome, ticks, seed, state, mission, events }
+ */
+async function runHeadless(options = {}) {
+  const {
+    missionPath = DEFAULT_MISSION,
+    actions = [],
+    seed = RandomService.generateSeed(),
+    maxTicks = DEFAULT_MAX_TICKS,
+    rootDir = ROOT_DIR
+  } = options;
+
+  let sim = null;
+  const eventBus = new LoggingEventBus(() => sim?.clock.tick ?? 0);
+  sim = new Simulation(eventBus);
+
+  const [environmentsData, equipmentData, dialogueData, missionData] = await Promise.all([
+    readJSON('pillars/environments.json', rootDir),
+    readJSON('pillars/equipment.json', rootDir),
+    readJSON('scripts/dialogue.json', rootDir),
+    readJSON(missionPath, rootDir)
+  ]);
+
+  sim.loadData(environmentsData, equipmentData, dialogueData);
+  await sim.loadMission(missionData, { missionPath, seed });
+
+  const entries = actions.map(toEntry).sort((a, b) => a.tick - b.tick);
+  let cursor = 0;
+
+  while (sim.clock.tick < maxTicks && !sim.isEnded()) {
+    // Dispatch inputs scheduled for this tick, then simulate it
+    while (cursor < entries.length && entries[cursor].tick <= sim.clock.tick) {
+      const entry = entries[cursor++];
+      if (entry.type === 'action') {
+        sim.executeAction(entry.data);
+      } else if (entry.type === 'dialogue') {
+        sim.dialogueInput(entry.data);
+      } else if (entry.type === 'hack') {
+        sim.hackInput(entry.data);
+      } else if (entry.type === 'lockpick') {
+        sim.lockpickInput(entry.data);
+      }
+    }
+
+    sim.step();
+  }
+
+  return {
+    outcome: sim.outcome,
+    ticks: sim.clock.tick,
+    seed: sim.mission ? seed >>> 0 : null,
+    timestep: TICK_DURATION,
+    state: sim.state.getSaveData(),
+    mission: sim.mission?.serializeProgress(),
+    events: eventBus.log
+  };
+}
+
+/**
+ * CLI entry point - prints a JSON summary of the run
+ */
+async function main(argv) {
+  const args = Object.fromEntries(
+    argv.filter(arg => arg.startsWith('--')).map(arg => {
+      const [key, value] = arg.slice(2).split('=');
+      return [key, value ?? true];
+    })
+  );
+  const missionPath = argv.find(arg => !arg.startsWith('--')) || DEFAULT_MISSION;
+  const actions = args.actions ? await readJSON(args.actions, process.cwd()) : [];
+
+  const result = await runHeadless({
+    missionPath,
+    actions: Array.isArray(actions) ? actions : actions.entries,
+    seed: args.seed ? RandomService.parseSeed(args.seed) : undefined,
+    maxTicks: args['max-ticks'] ? parseInt(args['max-ticks']) : undefined
+  });
+
+  console.log(JSON.stringify({
+    outcome: result.outcome,
+    ticks: result.ticks,
+    seed: result.seed,
+    environment: result.state.currentEnvironment,
+    vitals: result.state.player.vitals,
+    equipment: result.state.player.equipment,
+    objectives: result.state.objectives.map(o => ({ id: o.id, completed: o.completed })),
+    events: result.events.length
+  }, null, 2));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(resolve(process.argv[1])).href) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+export { runHeadless, LoggingEventBus };
@@ -0,0 +1,125 @@
+/**
+ * NOISE SYSTEM
+ * Sound spreading from a point through the room it was made in and on
+ * through exits, fading with distance, doorways and each room's acoustics.
+ * NPCs in earshot hear where it seemed to come from.
+ */
+
+import { ACOUSTICS, NOISE_CONFIG } from './constants.js';
+
+class NoiseSystem {
+  constructor(eventBus, environments) {
+    this.eventBus = eventBus;
+    this.environments = environments;
+  }
+
+  /**
+   * How far sound carries in a room (multiplier on distance)
+   */
+  getAcoustics(roomId) {
+    const attributes = this.environments.get(roomId)?.attributes || {};
+    const acoustics = attributes.acoustics || (attributes.noise === 'loud' ? 'masking' : 'normal');
+    return ACOUSTICS[acoustics] ?? ACOUSTICS.normal;
+  }
+
+  /**
+   * Make a noise and let every NPC in earshot hear it
+   * @param {Object} noise - { location, position, level, source }
+   * @param {Iterable} npcs - NPCs that might hear it
+   * @returns {Object} { rooms, heard }
+   */
+  makeNoise(noise, npcs) {
+    const rooms = this.propagate(noise);
+    const byRoom = new Map(rooms.map(room => [room.roomId, room]));
+    const heard = [];
+
+    for (const npc of npcs) {
+      const room = byRoom.get(npc.location);
+      if (!room) continue;
+
+      const strength = room.strength - this.distance(room.position, npc.position) / room.acoustics;
+      if (strength <= 0) continue;
+
+      if (npc.hearNoise(room.position, strength)) {
+        heard.push({ npcId: npc.id, strength });
+        this.eventBus.emit('npc:heardNoise', {
+          npcId: npc.id,
+          location: npc.location,
+          origin: { ...room.position },
+          strength,
+          source: noise.source
+        });
+      }
+    }
+
+    this.eventBus.emit('noise:propagated', {
+      source: noise.source,
+      level: noise.level,
+      location: noise.location,
+      rooms: rooms.map(({ roomId, position, radius }) => ({ roomId, position, radius })),
+      heard
+    });
+
+    return { rooms, heard };
+  }
+
+  /**
+   * Work out which rooms a noise reaches and how strongly.
+   * Reach is tracked in "normal room" tiles; walking d tiles in a room costs d / acoustics.
+   * @returns {Array} [{ roomId, position, strength, acoustics, radius }] - position is where
+   *   the sound enters the room (the source itself, or the doorway it came through)
+   */
+  propagate(noise) {
+    const start = {
+      roomId: noise.location,
+      position: { ...noise.position },
+      strength: noise.level * NOISE_CONFIG.TILES_PER_LEVEL
+    };
+    const best = new Map([[start.roomId, start]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      // Loudest first, so each room keeps the strongest way in
+      queue.sort((a, b) => b.strength - a.strength);
+      const current = queue.shift();
+      if (best.get(current.roomId) !== current) continue;
+
+      const environment = this.environments.get(current.roomId);
+      const acoustics = this.getAcoustics(current.roomId);
+
+      for (const exit of environment?.exits || []) {
+        const next = this.environments.get(exit.destination);
+        if (!next) continue;
+
+        const strength = current.strength
+          - this.distance(current.position, exit.position) / acoustics
+          - NOISE_CONFIG.DOOR_LOSS;
+        if (strength <= 0 || strength <= (best.get(next.id)?.strength ?? 0)) continue;
+
+        // It comes through the matching door on the other side
+        const doorway = next.exits?.find(e => e.destination === current.roomId);
+        const entry = {
+          roomId: next.id,
+          position: doorway ? { ...doorway.position } : { x: 0, y: 0 },
+          strength
+        };
+        best.set(next.id, entry);
+        queue.push(entry);
+      }
+    }
+
+    return Array.from(best.values()).map(room => {
+      const acoustics = this.getAcoustics(room.roomId);
+      return { ...room, acoustics, radius: room.strength * acoustics };
+    });
+  }
+
+  /**
+   * Straight-line distance between tiles
+   */
+  distance(a, b) {
+    return Math.sqrt((a.x - b.x) ** 2 + (a.y - b.y) ** 2);
+  }
+}
+
+export { NoiseSystem };
@@ -0,0 +1,206 @@
+/**
+ * PATHFINDING
+ * A* routing over room grids for NPCs and click-to-move, plus routing
+ * between rooms through the exits graph.
+ * Rooms are static, so routes are cached per room and reused.
+ */
+
+import { RoomGrid } from './grid.js';
+
+// ==============================================
+// PATHFINDING CONSTANTS
+// ==============================================
+const MAX_CACHED_PATHS = 500; // Per room - the cache is dropped and rebuilt past this
+
+class Pathfinder {
+  constructor(environments = []) {
+    this.grids = new Map();
+    this.cache = new Map(); // roomId -> Map('fx,fy>tx,ty' -> path)
+    this.roomRoutes = new Map(); // 'fromRoom>toRoom' -> exits to take
+    this.stats = { hits: 0, misses: 0 };
+
+    for (const environment of environments) {
+      this.addRoom(environment);
+    }
+  }
+
+  /**
+   * Build (or rebuild) a room's grid
+   */
+  addRoom(environment) {
+    this.grids.set(environment.id, new RoomGrid(environment));
+    this.invalidate(environment.id);
+  }
+
+  /**
+   * Get a room's grid
+   */
+  getGrid(roomId) {
+    return this.grids.get(roomId) || null;
+  }
+
+  /**
+   * Drop cached routes (all rooms, or one whose layout changed)
+   */
+  invalidate(roomId = null) {
+    if (roomId) {
+      this.cache.delete(roomId);
+    } else {
+      this.cache.clear();
+    }
+    // Any room change can reshape the exits graph
+    this.roomRoutes.clear();
+  }
+
+  /**
+   * Shortest walkable route between two tiles in a room.
+   * Returns the tiles to step through, excluding the start, or null if unreachable.
+   * Exit tiles can end a route but never lie along one - stepping on one leaves the room.
+   */
+  findPath(roomId, from, to) {
+    const grid = this.grids.get(roomId);
+    if (!grid) return null;
+
+    const start = { x: Math.round(from.x), y: Math.round(from.y) };
+    const goal = { x: Math.round(to.x), y: Math.round(to.y) };
+    const cacheKey = `${RoomGrid.key(start)}>${RoomGrid.key(goal)}`;
+
+    let roomCache = this.cache.get(roomId);
+    if (!roomCache) {
+      roomCache = new Map();
+      this.cache.set(roomId, roomCache);
+    }
+
+    if (roomCache.has(cacheKey)) {
+      this.stats.hits++;
+    } else {
+      this.stats.misses++;
+      if (roomCache.size >= MAX_CACHED_PATHS) roomCache.clear();
+      roomCache.set(cacheKey, this.search(grid, start, goal));
+    }
+
+    // Callers consume paths step by step - hand out copies
+    const path = roomCache.get(cacheKey);
+    return path ? path.map(pos => ({ ...pos })) : null;
+  }
+
+  /**
+   * Shortest route to stand next to an element (to use, search or work at it)
+   */
+  findPathToElement(roomId, from, elementId) {
+    const grid = this.grids.get(roomId);
+    const element = grid?.elements.find(el => el.id === elementId);
+    if (!element) return null;
+
+    let best = null;
+    for (const tile of grid.getApproachTiles(element)) {
+      const path = this.findPath(roomId, from, tile);
+      if (path && (!best || path.length < best.length)) {
+        best = path;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Fewest-doors route between rooms through the exits graph.
+   * Returns the exits to take in order ([] if already there), or null if unreachable.
+   */
+  findRoomRoute(fromRoomId, toRoomId) {
+    const cacheKey = `${fromRoomId}>${toRoomId}`;
+    if (!this.roomRoutes.has(cacheKey)) {
+      this.roomRoutes.set(cacheKey, this.searchRooms(fromRoomId, toRoomId));
+    }
+    return this.roomRoutes.get(cacheKey);
+  }
+
+  /**
+   * Breadth-first search over rooms, following exits into rooms with a grid
+   */
+  searchRooms(fromRoomId, toRoomId) {
+    if (!this.grids.has(fromRoomId) || !this.grids.has(toRoomId)) return null;
+    if (fromRoomId === toRoomId) return [];
+
+    const cameFrom = new Map([[fromRoomId, null]]);
+    const queue = [fromRoomId];
+
+    while (queue.length > 0) {
+      const roomId = queue.shift();
+      for (const exit of this.grids.get(roomId).exits) {
+        if (cameFrom.has(exit.destination) || !this.grids.has(exit.destination)) continue;
+        cameFrom.set(exit.destination, { roomId, exit });
+
+        if (exit.destination === toRoomId) {
+          const route = [];
+          for (let step = cameFrom.get(toRoomId); step; step = cameFrom.get(step.roomId)) {
+            route.unshift(step.exit);
+          }
+          return route;
+        }
+        queue.push(exit.destination);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * A* search with a Manhattan-distance heuristic
+   */
+  search(grid, start, goal) {
+    if (!grid.isWalkable(goal.x, goal.y)) return null;
+    if (start.x === goal.x && start.y === goal.y) return [];
+
+    const heuristic = (pos) => Math.abs(pos.x - goal.x) + Math.abs(pos.y - goal.y);
+    const startKey = RoomGrid.key(start);
+    const goalKey = RoomGrid.key(goal);
+
+    const cameFrom = new Map();
+    const costs = new Map([[startKey, 0]]);
+    const open = [{ pos: start, key: startKey, cost: 0, estimate: heuristic(start) }];
+    const closed = new Set();
+
+    while (open.length > 0) {
+      // Rooms are small - a sorted array is plenty for the open set
+      open.sort((a, b) => a.estimate - b.estimate || b.cost - a.cost);
+      const current = open.shift();
+
+      if (current.key === goalKey) {
+        return this.rebuildPath(cameFrom, goalKey);
+      }
+      if (closed.has(current.key)) continue;
+      closed.add(current.key);
+
+      // Don't route through doorways
+      if (current.key !== startKey && grid.getExitAt(current.pos.x, current.pos.y)) continue;
+
+      for (const next of grid.getNeighbors(current.pos.x, current.pos.y)) {
+        const nextKey = RoomGrid.key(next);
+        const cost = current.cost + 1;
+        if (closed.has(nextKey) || cost >= (costs.get(nextKey) ?? Infinity)) continue;
+
+        costs.set(nextKey, cost);
+        cameFrom.set(nextKey, current.pos);
+        open.push({ pos: next, key: nextKey, cost, estimate: cost + heuristic(next) });
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Walk the came-from links back from the goal
+   */
+  rebuildPath(cameFrom, goalKey) {
+    const path = [];
+    let key = goalKey;
+    while (cameFrom.has(key)) {
+      const [x, y] = key.split(',').map(Number);
+      path.unshift({ x, y });
+      key = RoomGrid.key(cameFrom.get(key));
+    }
+    return path;
+  }
+}
+
+export { Pathfinder };
@@ -0,0 +1,123 @@
+/**
+ * INPUT RECORDING AND REPLAY
+ * Records player input with its simulation tick and the run's RNG seed,
+ * and plays it back tick by tick to reproduce the run
+ */
+
+// v2: ticks are fixed 10Hz clock ticks (v1 counted 60Hz frames)
+const REPLAY_VERSION = 2;
+
+/**
+ * Records player input as it's handed to the game - input the game
+ * drops (paused, replaying) never reaches record()
+ */
+class ActionRecorder {
+  constructor() {
+    this.recording = false;
+    this.entries = [];
+    this.meta = {};
+    this.getTick = () => 0;
+  }
+
+  /**
+   * Start a new recording
+   * @param {Object} meta - missionId, missionPath, seed, timestep
+   * @param {Function} getTick - returns the current simulation tick
+   */
+  start(meta, getTick) {
+    this.meta = { ...meta };
+    this.getTick = getTick;
+    this.entries = [];
+    this.recording = true;
+  }
+
+  /**
+   * Stop recording (the log is kept until the next start)
+   */
+  stop() {
+    this.recording = false;
+  }
+
+  /**
+   * Log one input at the current tick
+   */
+  record(type, data) {
+    if (!this.recording) return;
+
+    this.entries.push({
+      tick: this.getTick(),
+      type,
+      data: structuredClone(data)
+    });
+  }
+
+  /**
+   * Get the shareable replay log
+   */
+  getLog() {
+    return {
+      version: REPLAY_VERSION,
+      recordedAt: Date.now(),
+      ...this.meta,
+      length: this.getTick(),
+      entries: this.entries.slice()
+    };
+  }
+}
+
+/**
+ * Feeds a replay log back into the game one simulation tick at a time.
+ * Pacing, pause and speed come from the game clock that calls step()
+ */
+class ReplayPlayer {
+  /**
+   * @param {Object} log - Replay log from ActionRecorder.getLog()
+   * @param {Object} hooks - { step(), dispatch(entry), getTick() }
+   */
+  constructor(log, hooks) {
+    if (log.version !== REPLAY_VERSION) {
+      throw new Error(`Unsupported replay version: ${log.version}`);
+    }
+
+    this.log = log;
+    this.hooks = hooks;
+    this.entries = [...log.entries].sort((a, b) => a.tick - b.tick);
+    this.cursor = 0;
+    this.finished = false;
+  }
+
+  /**
+   * Dispatch inputs recorded at the current tick, then simulate it
+   */
+  step() {
+    if (this.finished) return;
+
+    const tick = this.hooks.getTick();
+
+    while (this.cursor < this.entries.length && this.entries[this.cursor].tick <= tick) {
+      this.hooks.dispatch(this.entries[this.cursor]);
+      this.cursor++;
+    }
+
+    if (tick >= this.log.length && this.cursor >= this.entries.length) {
+      this.finished = true;
+      return;
+    }
+
+    this.hooks.step();
+  }
+
+  /**
+   * Get playback progress for the UI
+   */
+  getStatus() {
+    return {
+      tick: this.hooks.getTick(),
+      length: this.log.length,
+      finished: this.finished,
+      seed: this.log.seed
+    };
+  }
+}
+
+export { ActionRecorder, ReplayPlayer, REPLAY_VERSION };
@@ -0,0 +1,147 @@
+/**
+ * SEEDED RANDOM NUMBER GENERATION
+ * One seedable service with an independent named stream per subsystem,
+ * so every roll in a run can be reproduced from its seed
+ */
+
+/**
+ * A single deterministic stream (mulberry32)
+ */
+class RandomStream {
+  constructor(state) {
+    this.state = state >>> 0;
+  }
+
+  /**
+   * Next float in [0, 1)
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Percentile roll in [0, max) - the d100 used by skill and detection checks
+   */
+  roll(max = 100) {
+    return this.next() * max;
+  }
+
+  /**
+   * Integer in [min, max] inclusive
+   */
+  int(min, max) {
+    return min + Math.floor(this.next() * (max - min + 1));
+  }
+
+  /**
+   * True with the given probability (0-1)
+   */
+  chance(probability) {
+    return this.next() < probability;
+  }
+
+  /**
+   * Random element from an array
+   */
+  pick(arr) {
+    return arr[Math.floor(this.next() * arr.length)];
+  }
+}
+
+/**
+ * Seedable RNG service - hands out one stream per subsystem name
+ */
+class RandomService {
+  constructor(seed = RandomService.generateSeed()) {
+    this.streams = new Map();
+    this.setSeed(seed);
+  }
+
+  /**
+   * Reseed the service, resetting every stream
+   */
+  setSeed(seed) {
+    this.seed = seed >>> 0;
+    this.streams.clear();
+  }
+
+  /**
+   * Get (or lazily create) the stream for a subsystem
+   */
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(hashString(`${this.seed}:${name}`)));
+    }
+    return this.streams.get(name);
+  }
+
+  /**
+   * Seed as an 8-digit hex string (for display and URLs)
+   */
+  formatSeed(seed = this.seed) {
+    return (seed >>> 0).toString(16).toUpperCase().padStart(8, '0');
+  }
+
+  /**
+   * Parse a seed from a hex string or number
+   */
+  static parseSeed(value) {
+    if (typeof value === 'number') return value >>> 0;
+    const parsed = parseInt(String(value).trim(), 16);
+    return Number.isNaN(parsed) ? null : parsed >>> 0;
+  }
+
+  /**
+   * Generate a fresh seed for a new run
+   */
+  static generateSeed() {
+    if (globalThis.crypto?.getRandomValues) {
+      return globalThis.crypto.getRandomValues(new Uint32Array(1))[0];
+    }
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+  }
+
+  /**
+   * Serialize for save/load (seed plus each stream's position)
+   */
+  serialize() {
+    return {
+      seed: this.seed,
+      streams: Object.fromEntries(
+        Array.from(this.streams.entries()).map(([name, stream]) => [name, stream.state])
+      )
+    };
+  }
+
+  /**
+   * Restore seed and stream positions from a save
+   */
+  restore(data) {
+    if (!data) return;
+    this.setSeed(data.seed);
+    for (const [name, state] of Object.entries(data.streams || {})) {
+      this.streams.set(name, new RandomStream(state));
+    }
+  }
+}
+
+/**
+ * FNV-1a string hash, used to derive independent stream seeds
+ */
+function hashString(str) {
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Shared game-wide instance - every gameplay roll goes through this
+const rng = new RandomService();
+
+export { RandomService, RandomStream, rng };
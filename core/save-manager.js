@@ -0,0 +1,283 @@
+/**
+ * SAVE MANAGER
+ * Named save slots, autosave, and versioned save migration
+ */
+
+import { TICK_DURATION } from './clock.js';
+import { PLAYER_SKILLS } from './constants.js';
+
+// Bump when the save format changes, and register a migration from the old version
+const SAVE_VERSION = 15;
+
+const STORAGE_PREFIX = 'glass-shadow:save:';
+const AUTOSAVE_SLOT = 'autosave';
+
+/**
+ * Save migrations, keyed by the version they upgrade FROM.
+ * Each receives a save record at that version and returns it upgraded by one
+ * version (content renames, new state fields, etc.)
+ */
+const SaveMigrations = {
+  // v1 kept visited rooms beside the state; v2 tracks them in GameState
+  1: ({ visitedRooms, ...record }) => ({
+    ...record,
+    state: { ...record.state, visitedEnvironments: visitedRooms || [] }
+  }),
+
+  // v2 counted 60Hz frame ticks; v3 saves the fixed-tick clock
+  2: ({ tickCount, simulationTime, ...record }) => ({
+    ...record,
+    clock: {
+      tick: Math.floor((simulationTime || 0) / TICK_DURATION),
+      time: simulationTime || 0
+    }
+  }),
+
+  // v4 keeps the mission's time of day - game time ran at real-time scale
+  // before the mission clock, so elapsed game time is the save's clock time
+  3: (record) => ({
+    ...record,
+    state: { elapsedTime: (record.clock?.time || 0) / 1000, ...record.state }
+  }),
+
+  // v5 saves which way the player faces and whether they're in cover
+  4: (record) => ({
+    ...record,
+    state: {
+      ...record.state,
+      player: { facing: 'south', hidden: false, ...record.state?.player }
+    }
+  }),
+
+  // v6 saves doors forced open during the run, and each NPC's post and what
+  // it's investigating (older NPCs take where they stand as their post)
+  5: (record) => ({
+    ...record,
+    state: {
+      exitLocks: [],
+      ...record.state,
+      npcs: (record.state?.npcs || []).map(([id, npc]) => [id, { home: npc.position, investigation: null, ...npc }])
+    }
+  }),
+
+  // v7 replaces NPC noise investigations with searches - a save mid-investigation
+  // keeps where the noise came from as the NPC's last lead, without the search
+  6: (record) => ({
+    ...record,
+    state: {
+      ...record.state,
+      npcs: (record.state?.npcs || []).map(([id, { investigation, ...npc }]) => [id, {
+        lastKnownPosition: investigation?.position ?? null,
+        search: null,
+        ...npc
+      }])
+    }
+  }),
+
+  // v8 remembers where the player last saw each NPC (for the facility map)
+  7: (record) => ({
+    ...record,
+    state: { npcSightings: [], ...record.state }
+  }),
+
+  // v9 saves the facility's security response - older runs never raised it
+  8: (record) => ({
+    ...record,
+    state: {
+      security: { alertLevel: 0, alarm: null, lockdown: null, pendingBackup: [], reinforcements: 0 },
+      ...record.state
+    }
+  }),
+
+  // v10 leaves downed NPCs as bodies and saves the one the player is dragging.
+  // NPCs already down in older saves never woke, so they stay down
+  9: (record) => ({
+    ...record,
+    state: {
+      ...record.state,
+      player: { dragging: null, ...record.state?.player },
+      npcs: (record.state?.npcs || []).map(([id, npc]) => {
+        const down = npc.vitals?.health <= 0 || npc.vitals?.conditions?.includes('unconscious');
+        const body = down
+          ? { cause: 'knockedOut', wakeAt: null, hidden: null, hiddenIn: null, searched: false, discovered: false }
+          : null;
+        return [id, { body, ...npc }];
+      })
+    }
+  }),
+
+  // v11 gives the player cash and the skill profile checks are rolled against
+  10: (record) => ({
+    ...record,
+    state: {
+      ...record.state,
+      player: { cash: 0, skills: { ...PLAYER_SKILLS }, ...record.state?.player }
+    }
+  }),
+
+  // v12 remembers what's been examined, revealed and taken in each room
+  11: (record) => ({
+    ...record,
+    state: { elementStates: [], ...record.state }
+  }),
+
+  // v13 gives conditions a duration, counted down in seconds left
+  12: (record) => ({
+    ...record,
+    state: { conditionTimers: [], ...record.state }
+  }),
+
+  // v14 keeps the items left lying on the floor of each room
+  13: (record) => ({
+    ...record,
+    state: { worldItems: [], worldItemCount: 0, ...record.state }
+  }),
+
+  // v15 counts uses left on the player's items per run
+  14: (record) => ({
+    ...record,
+    state: {
+      ...record.state,
+      player: { itemUses: {}, ...record.state?.player }
+    }
+  })
+};
+
+class SaveManager {
+  constructor(eventBus, config = {}) {
+    this.eventBus = eventBus;
+    this.storage = config.storage || globalThis.localStorage || null;
+    this.prefix = config.prefix || STORAGE_PREFIX;
+    this.migrations = { ...SaveMigrations, ...config.migrations };
+  }
+
+  /**
+   * Register a migration from one save version to the next
+   */
+  registerMigration(fromVersion, migrate) {
+    this.migrations[fromVersion] = migrate;
+  }
+
+  /**
+   * Write a snapshot to a named slot
+   */
+  save(slot, snapshot, label = slot) {
+    if (!this.storage) {
+      return { success: false, reason: 'Storage unavailable' };
+    }
+
+    const record = {
+      version: SAVE_VERSION,
+      slot,
+      label,
+      savedAt: Date.now(),
+      ...snapshot
+    };
+
+    try {
+      this.storage.setItem(this.prefix + slot, JSON.stringify(record));
+    } catch (error) {
+      console.error(`Failed to save slot ${slot}:`, error);
+      return { success: false, reason: 'Could not write save data' };
+    }
+
+    this.eventBus.emit('save:completed', { slot, label, autosave: slot === AUTOSAVE_SLOT });
+    this.eventBus.emit('saves:updated', { slots: this.listSlots() });
+    return { success: true, record };
+  }
+
+  /**
+   * Write a snapshot to the autosave slot
+   */
+  autosave(snapshot) {
+    return this.save(AUTOSAVE_SLOT, snapshot, 'Autosave');
+  }
+
+  /**
+   * Read a slot, migrating it to the current save version
+   */
+  load(slot) {
+    const raw = this.storage?.getItem(this.prefix + slot);
+    if (!raw) {
+      console.warn(`No save in slot: ${slot}`);
+      return null;
+    }
+
+    try {
+      return this.migrate(JSON.parse(raw));
+    } catch (error) {
+      console.error(`Failed to load slot ${slot}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Upgrade a save record one version at a time
+   */
+  migrate(record) {
+    let version = record.version ?? 0;
+
+    if (version > SAVE_VERSION) {
+      throw new Error(`Save version ${version} is newer than supported version ${SAVE_VERSION}`);
+    }
+
+    while (version < SAVE_VERSION) {
+      const migration = this.migrations[version];
+      if (!migration) {
+        throw new Error(`No save migration from version ${version}`);
+      }
+      record = migration(record);
+      version++;
+      record.version = version;
+    }
+
+    return record;
+  }
+
+  /**
+   * List save slot summaries, newest first
+   */
+  listSlots() {
+    if (!this.storage) return [];
+
+    const slots = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (!key?.startsWith(this.prefix)) continue;
+
+      try {
+        const record = JSON.parse(this.storage.getItem(key));
+        slots.push({
+          slot: record.slot,
+          label: record.label,
+          savedAt: record.savedAt,
+          version: record.version,
+          missionId: record.missionId,
+          environment: record.state?.currentEnvironment,
+          autosave: record.slot === AUTOSAVE_SLOT
+        });
+      } catch (error) {
+        console.warn(`Skipping unreadable save: ${key}`);
+      }
+    }
+
+    return slots.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Check whether a slot holds a save
+   */
+  hasSlot(slot) {
+    return !!this.storage?.getItem(this.prefix + slot);
+  }
+
+  /**
+   * Delete a save slot
+   */
+  deleteSlot(slot) {
+    this.storage?.removeItem(this.prefix + slot);
+    this.eventBus.emit('saves:updated', { slots: this.listSlots() });
+  }
+}
+
+export { SaveManager, SaveMigrations, SAVE_VERSION, AUTOSAVE_SLOT };
@@ -0,0 +1,242 @@
+/**
+ * FACILITY SECURITY
+ * The building's response to trouble: an alert level every NPC feels,
+ * reinforcements called in through entry points, keycard lockdowns, and a
+ * timed alarm that has to be silenced at a security console.
+ * Bookkeeping lives in state.security so it saves with the run; the
+ * Simulation spawns NPCs and flips door locks for it.
+ */
+
+import { FACILITY_ALERT, SECURITY_CONFIG } from './constants.js';
+
+class SecuritySystem {
+  constructor(eventBus, environments) {
+    this.eventBus = eventBus;
+    this.environments = environments;
+  }
+
+  /**
+   * Raise the facility alert level (never lowers it). Every NPC still on
+   * their feet gets warier with each level.
+   * @returns {boolean} True if the level went up
+   */
+  raiseAlertLevel(state, level, reason) {
+    const security = state.security;
+    if (level <= security.alertLevel) return false;
+
+    const rise = level - security.alertLevel;
+    security.alertLevel = level;
+
+    for (const npc of state.npcs.values()) {
+      if (npc.vitals.canAct()) {
+        npc.vitals.addSuspicion(rise * SECURITY_CONFIG.SUSPICION_PER_LEVEL);
+      }
+    }
+
+    this.emitAlertChanged(state, reason);
+    return true;
+  }
+
+  /**
+   * Extra detection chance every NPC gets at the current alert level
+   */
+  getDetectionBonus(state) {
+    return state.security.alertLevel * SECURITY_CONFIG.DETECTION_PER_LEVEL;
+  }
+
+  /**
+   * Queue reinforcements for the entry point closest to the caller
+   * @param {Object} config - Mission security settings: { entryPoints, reinforcements, backupDelay }
+   * @param {Object} call - { npcId, location, position }
+   * @returns {Object|null} The pending backup, or null if the mission has no entry points
+   */
+  requestBackup(state, config, call) {
+    const entryPoints = config.entryPoints || [];
+    if (entryPoints.length === 0) {
+      this.eventBus.emit('sim:warning', { message: 'No reinforcement entry points defined for this mission' });
+      return null;
+    }
+
+    const entry = this.pickEntryPoint(entryPoints, call.location);
+    const backup = {
+      calledBy: call.npcId,
+      location: call.location,
+      position: { ...call.position },
+      entry,
+      arrivesAt: state.elapsedTime + (config.backupDelay ?? SECURITY_CONFIG.BACKUP_DELAY)
+    };
+    state.security.pendingBackup.push(backup);
+
+    this.raiseAlertLevel(state, FACILITY_ALERT.ELEVATED, 'backup');
+    this.eventBus.emit('facility:backupCalled', { ...backup });
+    return backup;
+  }
+
+  /**
+   * Entry point in the caller's room, else one next door, else the first listed
+   */
+  pickEntryPoint(entryPoints, location) {
+    const exits = this.environments.get(location)?.exits || [];
+    return entryPoints.find(entry => entry.location === location)
+      || entryPoints.find(entry => exits.some(exit => exit.destination === entry.location))
+      || entryPoints[0];
+  }
+
+  /**
+   * Start the alarm clock - it has to be silenced before it runs out
+   * @returns {boolean} False if it's already ringing
+   */
+  startAlarm(state, config, data) {
+    const security = state.security;
+    if (security.alarm) return false;
+
+    const duration = config.alarmDuration ?? SECURITY_CONFIG.ALARM_DURATION;
+    security.alarm = {
+      triggeredBy: data.triggeredBy,
+      location: data.location,
+      startedAt: state.elapsedTime,
+      expiresAt: state.elapsedTime + duration
+    };
+    state.setFlag('alarm_active', true);
+
+    this.raiseAlertLevel(state, FACILITY_ALERT.ALARM, 'alarm');
+    this.eventBus.emit('facility:alarmStarted', { ...security.alarm, duration });
+    return true;
+  }
+
+  /**
+   * Seconds left before an unsilenced alarm brings the full response
+   */
+  getAlarmRemaining(state) {
+    const alarm = state.security.alarm;
+    return alarm ? Math.max(0, alarm.expiresAt - state.elapsedTime) : null;
+  }
+
+  /**
+   * Shut the alarm off. The building stays on edge.
+   * @returns {boolean} False if there was nothing to silence
+   */
+  silenceAlarm(state) {
+    const security = state.security;
+    if (!security.alarm) return false;
+
+    const { location } = security.alarm;
+    security.alarm = null;
+    state.setFlag('alarm_active', false);
+    security.alertLevel = Math.min(security.alertLevel, FACILITY_ALERT.ELEVATED);
+
+    this.eventBus.emit('facility:alarmSilenced', { location });
+    this.emitAlertChanged(state, 'silenced');
+    return true;
+  }
+
+  /**
+   * Seal the facility: every door locks and needs at least the lockdown
+   * keycard level to open. Doors are handed to lockDoor(roomId, exit, locked).
+   * @returns {boolean} False if already locked down
+   */
+  startLockdown(state, data, lockDoor) {
+    const security = state.security;
+    if (security.lockdown) return false;
+
+    const doors = [];
+    const seen = new Set();
+    for (const [roomId, environment] of this.environments) {
+      for (const exit of environment.exits || []) {
+        // Each door once - lockDoor handles both sides
+        const door = [roomId, exit.destination].sort().join('|');
+        if (seen.has(door) || !this.environments.has(exit.destination)) continue;
+        seen.add(door);
+
+        doors.push({ roomId, exitId: exit.id, wasLocked: state.isExitLocked(roomId, exit) });
+        lockDoor(roomId, exit, true);
+      }
+    }
+
+    security.lockdown = {
+      triggeredBy: data.triggeredBy,
+      level: data.level ?? SECURITY_CONFIG.LOCKDOWN_KEYCARD_LEVEL,
+      doors
+    };
+
+    this.raiseAlertLevel(state, FACILITY_ALERT.LOCKDOWN, 'lockdown');
+    this.eventBus.emit('facility:lockdownStarted', {
+      location: data.location,
+      level: security.lockdown.level,
+      doors: doors.length
+    });
+    return true;
+  }
+
+  /**
+   * Put every door the lockdown touched back how it was
+   */
+  liftLockdown(state, lockDoor) {
+    const lockdown = state.security.lockdown;
+    if (!lockdown) return false;
+
+    for (const door of lockdown.doors) {
+      const exit = this.environments.get(door.roomId)?.exits?.find(e => e.id === door.exitId);
+      if (exit) lockDoor(door.roomId, exit, door.wasLocked);
+    }
+    state.security.lockdown = null;
+
+    this.eventBus.emit('facility:lockdownLifted', {});
+    return true;
+  }
+
+  /**
+   * Keycard level an exit needs right now (lockdowns raise every door)
+   */
+  getKeycardLevel(state, exit) {
+    const lockdownLevel = state.security.lockdown?.level || 0;
+    return Math.max(exit.keycardLevel || 0, lockdownLevel);
+  }
+
+  /**
+   * Advance timers
+   * @returns {Object} { arrivals: backups due now, expired: true when the alarm ran out this tick }
+   */
+  tick(state) {
+    const security = state.security;
+
+    const arrivals = security.pendingBackup.filter(backup => backup.arrivesAt <= state.elapsedTime);
+    if (arrivals.length > 0) {
+      security.pendingBackup = security.pendingBackup.filter(backup => backup.arrivesAt > state.elapsedTime);
+    }
+
+    let expired = false;
+    if (security.alarm && !security.alarm.expired) {
+      const remaining = this.getAlarmRemaining(state);
+      const seconds = Math.ceil(remaining);
+      if (seconds !== security.alarm.lastAnnounced) {
+        security.alarm.lastAnnounced = seconds;
+        this.eventBus.emit('facility:alarmCountdown', { remaining: seconds });
+      }
+
+      if (remaining <= 0) {
+        security.alarm.expired = true;
+        expired = true;
+        state.setFlag('alarm_triggered', true);
+        this.eventBus.emit('facility:alarmExpired', { location: security.alarm.location });
+      }
+    }
+
+    return { arrivals, expired };
+  }
+
+  /**
+   * Announce the alert level (and any running alarm) to the UI
+   */
+  emitAlertChanged(state, reason) {
+    const level = state.security.alertLevel;
+    this.eventBus.emit('facility:alertChanged', {
+      level,
+      name: Object.keys(FACILITY_ALERT).find(key => FACILITY_ALERT[key] === level).toLowerCase(),
+      reason,
+      alarmRemaining: this.getAlarmRemaining(state)
+    });
+  }
+}
+
+export { SecuritySystem };
@@ -0,0 +1,2411 @@
+/**
+ * SIMULATION
+ * DOM-free game simulation: state, NPC ticks, detection, combat resolution,
+ * and mission conditions. The browser app and the headless runner both drive it.
+ */
+
+import { EventBus } from './engine.js';
+import { GameState } from './state.js';
+import { RandomService, rng } from './rng.js';
+import {
+  RNG_STREAMS, DIRECTIONS, NOISE_LEVELS, SECURITY_CONFIG, FACILITY_ALERT, BODY_CAUSES, BODY_CONFIG,
+  GAME_PHASES, HACK_CONFIG, LOCK_CONFIG, CONTAINER_CONFIG, FLOOR_ITEM_CONFIG, CARRY_CONFIG, CRAFT_CONFIG
+} from './constants.js';
+import { PriorityManager } from '../ui/priorities.js';
+import { ModeManager } from '../ui/modes.js';
+import { Sloan } from '../entities/sloan.js';
+import { Mack } from '../entities/mack.js';
+import { Mission } from '../missions/mission-template.js';
+import { ConditionManager } from '../pillars/conditions.js';
+import { GameClock } from './clock.js';
+import { RoomGrid } from './grid.js';
+import { Pathfinder } from './pathfinding.js';
+import { VisionSystem } from './vision.js';
+import { NoiseSystem } from './noise.js';
+import { SecuritySystem } from './security.js';
+import { DialogueSystem } from './dialogue.js';
+import { SkillSystem } from '../pillars/skills.js';
+import { ActionResolver } from '../pillars/actions.js';
+import { HackingSystem } from '../pillars/hacking.js';
+import { LockpickingSystem } from '../pillars/lockpicking.js';
+import { EncumbranceSystem } from '../pillars/encumbrance.js';
+import { CraftingSystem } from '../pillars/crafting.js';
+
+// ==============================================
+// DETECTION SYSTEM CONSTANTS
+// ==============================================
+const DETECTION_GRACE_PERIOD = 3000; // 3 seconds before NPCs can detect player on room entry
+const DETECTION_CHECK_INTERVAL = 1500; // Check detection every 1.5 seconds, not every frame
+const DETECTION_BASE_CHANCE = 8; // 8% base chance per check
+const DETECTION_INCREMENT = 5; // How much detection increases per successful spot
+const CONDITION_DETECTION_SCALE = 0.2; // Condition detection/stealth modifiers to spot chance - Hidden takes 16 off
+
+// ==============================================
+// PLAYER MOVEMENT CONSTANTS
+// ==============================================
+const PLAYER_STEP_INTERVAL = 200; // ms of game time per tile walked
+const PLAYER_RUN_INTERVAL = 100;  // ms per tile running - loud, and costs stamina
+const RUN_STAMINA_COST = 1;       // Per tile run
+const RUN_MIN_STAMINA = 10;       // Below this the player can only walk
+
+// ==============================================
+// COMBAT CONSTANTS
+// ==============================================
+const ATTACK_WEAPONS = ['taser', 'fire-extinguisher', 'knife']; // Reached for in this order
+const LETHAL_WEAPONS = ['knife'];  // Anything else (or bare hands) only knocks them out
+
+/**
+ * Glass Shadow Simulation
+ */
+class Simulation {
+  constructor(eventBus = new EventBus(), config = {}) {
+    this.eventBus = eventBus;
+    this.state = new GameState();
+    this.mission = null;
+    this.missionPath = null;
+    this.outcome = null;
+    
+    // Game data
+    this.environments = new Map();
+    this.pathfinder = new Pathfinder();
+    this.vision = new VisionSystem(this.pathfinder, this.environments);
+    this.noise = new NoiseSystem(this.eventBus, this.environments);
+    this.security = new SecuritySystem(this.eventBus, this.environments);
+    this.equipment = new Map();
+    this.skills = new SkillSystem(this.eventBus, this.equipment);
+    this.encumbrance = new EncumbranceSystem(this.eventBus, this.equipment);
+    this.dialogue = new DialogueSystem(this.eventBus, this.skills, this.encumbrance);
+    this.hacking = new HackingSystem(this.eventBus, this.skills);
+    this.lockpicking = new LockpickingSystem(this.eventBus, this.skills);
+    this.crafting = new CraftingSystem(this.eventBus, this.equipment);
+    this.environmentsData = null;
+    this.equipmentData = null;
+    
+    // Systems
+    this.priorityManager = new PriorityManager({ now: () => this.clock.time });
+    this.modeManager = new ModeManager(this.eventBus, { now: () => this.clock.time });
+    
+    // Sloan AI
+    this.sloan = new Sloan(this.eventBus, {
+      llmEnabled: false, // Disable LLM for now
+      ...config.sloan
+    });
+
+    // Mack - Unreliable Specialist
+    this.mack = new Mack(this.eventBus, {
+      llmEnabled: false, // Disable LLM for now
+      sobrietyMode: 'random', // random, time-based, or degrading
+      ...config.mack
+    });
+    
+    // Condition tracking for player and NPCs
+    this.conditions = new ConditionManager(this.state, this.eventBus);
+    
+    // Every player verb is resolved through the action registry
+    this.actions = this.createActionResolver();
+    
+    // Simulation clock - every timed system advances on its ticks
+    this.clock = new GameClock(this.eventBus);
+    this.scheduled = [];
+
+    // Terminal breach or lock being picked (puzzle mode)
+    this.hack = null;
+    this.pick = null;
+    
+    // ==============================================
+    // DETECTION SYSTEM STATE
+    // ==============================================
+    this.detectionEnabled = false;
+    this.roomEntryTime = 0;
+    this.lastDetectionCheck = 0;
+
+    // Tiles the player is still walking through, and when they last stepped.
+    // A path to a door carries the verb to go through it with (move or sneak)
+    this.playerPath = [];
+    this.playerRunning = false;
+    this.playerExitVerb = null;
+    this.lastPlayerStep = 0;
+
+    // Conversation in progress (dialogue mode) - { npcId, conversation, node }
+    this.talk = null;
+    
+    this.setupEventHandlers();
+  }
+
+  /**
+   * Wire simulation-level event handlers
+   */
+  setupEventHandlers() {
+    // What the player does can bring conditions on or clear them
+    this.eventBus.on('action:completed', (data) => {
+      this.handleActionConditions(data);
+    });
+
+    // Mack events
+    this.eventBus.on('mack:response', (data) => {
+      // Sloan reacts to Mack's response, after a beat
+      const line = this.sloan.reactToMack(data);
+      this.after(this.sloan.config.mackReactionDelay, () => this.sloan.speak(line));
+    });
+
+    // Noise from other systems (action resolver, scripted events)
+    this.eventBus.on('noise:made', (data) => {
+      this.makeNoise(data);
+    });
+
+    // Things hitting the floor
+    this.eventBus.on('item:dropped', (data) => {
+      if (!data.position) return;
+      this.makeNoise({
+        source: 'item',
+        location: data.location,
+        position: data.position,
+        level: NOISE_LEVELS.ITEM_DROP
+      });
+    });
+
+    // Alarm bells carry through the building - and start the clock
+    this.eventBus.on('facility:alarm', (data) => {
+      const npc = this.state.npcs.get(data.triggeredBy);
+      this.makeNoise({
+        source: 'alarm',
+        location: data.location,
+        position: data.position || npc?.position || { x: 0, y: 0 },
+        level: NOISE_LEVELS.ALARM
+      });
+      this.security.startAlarm(this.state, this.mission?.security || {}, data);
+    });
+
+    // Facility security responses to NPC capabilities
+    this.eventBus.on('npc:calledBackup', (data) => {
+      const npc = this.state.npcs.get(data.npcId);
+      this.security.requestBackup(this.state, this.mission?.security || {}, {
+        ...data,
+        position: npc?.position || { x: 0, y: 0 }
+      });
+    });
+
+    this.eventBus.on('facility:lockdown', (data) => {
+      this.security.startLockdown(this.state, data, (roomId, exit, locked) => this.setDoorLocked(roomId, exit, locked));
+      this.notifyStateChanged();
+    });
+
+    this.eventBus.on('facility:backupCalled', () => {
+      this.sloan.forceSpeech("They've called for backup. More company's coming.");
+    });
+
+    this.eventBus.on('facility:alarmStarted', () => {
+      this.eventBus.emit('danger:detected', { type: 'alarm' });
+      this.sloan.forceSpeech("That's the alarm. Find a security console and kill it before the response team gets here.");
+    });
+
+    this.eventBus.on('facility:lockdownStarted', (data) => {
+      this.sloan.forceSpeech(`Lockdown. Every door just sealed - you'll need a Level ${data.level} card to get through.`);
+    });
+
+    // NPCs on their rounds coming and going through the player's room
+    this.eventBus.on('npc:enteredRoom', (data) => {
+      if (data.location !== this.state.currentEnvironment) return;
+      const npc = this.state.npcs.get(data.npcId);
+      npc._alreadySpotted = false;
+      npc._engagementHandled = false;
+      
+      const from = this.environments.get(data.from)?.name || 'the next room';
+      this.eventBus.emit('narration:play', { text: `${data.name} walks in from ${from}.` });
+      this.eventBus.emit('npc:spotted', { npc: npc.getState(), type: npc.type });
+    });
+    
+    this.eventBus.on('npc:leftRoom', (data) => {
+      if (data.location !== this.state.currentEnvironment) return;
+      const to = this.environments.get(data.to)?.name || 'the next room';
+      this.eventBus.emit('narration:play', { text: `${data.name} heads out toward ${to}.` });
+    });
+
+    // Someone stumbled over a body - a corpse puts the building on alert
+    this.eventBus.on('npc:bodyDiscovered', (data) => {
+      if (data.location === this.state.currentEnvironment) {
+        this.eventBus.emit('narration:play', { text: `${data.name} finds ${data.bodyName} on the floor.` });
+      }
+      this.sloan.forceSpeech(data.cause === BODY_CAUSES.KILLED
+        ? `They've found ${data.bodyName}'s body. The whole building's about to know.`
+        : `Someone's found ${data.bodyName}. They'll be looking for whoever did it.`);
+    });
+
+    // Picked up the other half of something - Sloan points it out
+    this.eventBus.on('item:added', () => {
+      this.hintRecipe();
+    });
+
+    // Someone spotted something lying where it shouldn't be
+    this.eventBus.on('npc:itemNoticed', (data) => {
+      if (data.location !== this.state.currentEnvironment) return;
+      this.eventBus.emit('narration:play', { text: `${data.name} stops and stares at the ${data.itemName.toLowerCase()} on the floor.` });
+      this.sloan.forceSpeech(`${data.name}'s seen the ${data.itemName.toLowerCase()}. They'll be looking around now.`);
+    });
+
+    // Takedowns don't last - whoever comes round reports it
+    this.eventBus.on('npc:wokeUp', (data) => {
+      const npc = this.state.npcs.get(data.npcId);
+      if (this.state.player.dragging === data.npcId) {
+        this.state.player.dragging = null;
+      }
+      
+      if (data.location === this.state.currentEnvironment) {
+        this.eventBus.emit('narration:play', { text: `${data.name} groans and staggers to their feet.` });
+        this.sloan.forceSpeech("They're coming round - move!");
+      } else {
+        this.sloan.forceSpeech(`${data.name} is coming round. Expect company.`);
+      }
+      if (npc) this.escalate(npc);
+    });
+
+    // NPCs wrapping up a search say so - the player hears it if they're in the room
+    this.eventBus.on('npc:searchEnded', (data) => {
+      if (data.location !== this.state.currentEnvironment || data.outcome === 'found') return;
+      this.eventBus.emit('narration:play', { text: `${data.name}: "${data.line}"` });
+    });
+  }
+
+  /**
+   * Load game data (parsed environments.json, equipment.json and dialogue.json)
+   */
+  loadData(environmentsData, equipmentData, dialogueData = {}) {
+    this.environmentsData = environmentsData;
+    this.equipmentData = equipmentData;
+    
+    // Load environments
+    this.environments.clear();
+    for (const [id, env] of Object.entries(environmentsData.environments)) {
+      this.environments.set(id, env);
+    }
+    this.pathfinder = new Pathfinder(this.environments.values());
+    this.vision = new VisionSystem(this.pathfinder, this.environments);
+
+    this.dialogue.load(dialogueData);
+
+    // Load equipment - equipment.json uses a single 'equipment' object
+    this.equipment.clear();
+    for (const [id, item] of Object.entries(equipmentData.equipment || {})) {
+      this.equipment.set(id, item);
+    }
+    this.crafting.load(equipmentData.recipes);
+  }
+
+  /**
+   * Start a mission from parsed mission JSON
+   */
+  async loadMission(missionData, options = {}) {
+    this.missionPath = options.missionPath || null;
+    this.outcome = null;
+
+    // Seed every roll for this run before anything random happens
+    rng.setSeed(options.seed ?? RandomService.generateSeed());
+
+    // Restart the simulation clock
+    this.clock.reset();
+    this.scheduled = [];
+    this.hack = null;
+    this.pick = null;
+    this.lastDetectionCheck = 0;
+    this.playerPath = [];
+    this.playerRunning = false;
+    this.playerExitVerb = null;
+    this.lastPlayerStep = 0;
+    this.talk = null;
+
+    // Fresh state for the run
+    this.state = new GameState();
+    this.conditions = new ConditionManager(this.state, this.eventBus);
+    this.actions = this.createActionResolver();
+    this.modeManager.reset();
+
+    // Build the mission runtime - it owns objectives, events and end conditions
+    const mission = new Mission(missionData, {
+      environments: this.environmentsData,
+      equipment: this.equipmentData
+    });
+    await mission.load();
+
+    // Setup player, NPCs and objectives
+    mission.initialize(this.state);
+    this.mission = mission;
+
+    // Setup Sloan mode
+    this.sloan.setMode(mission.sloanMode);
+
+    // Trigger initial events
+    this.enterRoom(mission.startingEnvironment, { autosave: false });
+    
+    // Update objectives display
+    this.eventBus.emit('objectives:updated', { objectives: this.state.objectives });
+    this.emitTime();
+
+    return mission;
+  }
+
+  /**
+   * What keeps the run from being saved right now - breaches, picks,
+   * conversations and timed tasks in progress don't go into a save
+   * @returns {string|null} Why not, or null if it can be saved
+   */
+  getSaveBlocker() {
+    if (this.hack) return 'Finish the breach first.';
+    if (this.pick) return 'Finish with the lock first.';
+    if (this.talk) return 'Not in the middle of a conversation.';
+    if (this.scheduled.length > 0) return "Let whatever you're doing play out.";
+    return null;
+  }
+
+  /**
+   * Build save data for the running mission
+   */
+  getSaveData() {
+    return {
+      missionId: this.mission?.id,
+      missionPath: this.missionPath,
+      state: this.state.getSaveData(),
+      mission: this.mission?.serializeProgress(),
+      rng: rng.serialize(),
+      clock: this.clock.serialize()
+    };
+  }
+
+  /**
+   * Overlay saved progress on a freshly loaded mission
+   */
+  restore(record) {
+    this.state.deserialize(record.state);
+    this.mission.restoreProgress(record.mission);
+    rng.restore(record.rng);
+    this.clock.restore(record.clock);
+    this.lastDetectionCheck = this.clock.time;
+    this.playerPath = [];
+    this.playerExitVerb = null;
+    this.lastPlayerStep = this.clock.time;
+    this.priorityManager.invalidateCache();
+    this.sloan.setMode(this.state.sloan.mode);
+
+    this.enterRoom(this.state.currentEnvironment, { autosave: false });
+    this.eventBus.emit('objectives:updated', { objectives: this.state.objectives });
+    this.emitTime();
+  }
+
+  /**
+   * Run one fixed simulation tick
+   */
+  step() {
+    if (this.isEnded()) return;
+
+    this.clock.step();
+    this.update();
+  }
+
+  /**
+   * Schedule a callback after an amount of simulation time (ms)
+   */
+  after(delay, callback) {
+    this.scheduled.push({ at: this.clock.time + delay, callback });
+  }
+
+  /**
+   * Run scheduled callbacks that are due
+   */
+  runScheduled() {
+    const due = this.scheduled.filter(task => task.at <= this.clock.time);
+    if (due.length === 0) return;
+
+    this.scheduled = this.scheduled.filter(task => task.at > this.clock.time);
+    for (const task of due) {
+      task.callback();
+    }
+  }
+
+  /**
+   * Whether the mission has ended (either way)
+   */
+  isEnded() {
+    return this.outcome !== null;
+  }
+
+  /**
+   * Broadcast the in-game time of day (HUD, Mack's sobriety)
+   */
+  emitTime() {
+    this.eventBus.emit('time:changed', {
+      time: this.state.getClockTime(),
+      hour: this.state.getGameHour(),
+      elapsedTime: this.state.elapsedTime
+    });
+  }
+
+  /**
+   * Tell the presentation layer that state changed outside a tick
+   */
+  notifyStateChanged() {
+    this.eventBus.emit('state:changed', { tick: this.clock.tick });
+  }
+
+  /**
+   * Get a room as the player currently finds it (door locks changed this run
+   * applied, things taken gone, hidden things only once found)
+   */
+  getEnvironment(roomId = this.state.currentEnvironment) {
+    const environment = this.environments.get(roomId);
+    if (!environment) return null;
+
+    return {
+      ...environment,
+      elements: (environment.elements || []).filter(element => {
+        const { removed, revealed } = this.state.getElementState(roomId, element.id);
+        return !removed && (!element.hidden || revealed);
+      }).map(element => {
+        if (!element.locked && !this.isContainer(element)) return element;
+        const shown = { ...element, locked: this.state.isElementLocked(roomId, element) };
+        if (this.isContainer(element)) {
+          // Only what's in plain sight or turned up by a search, less what's been taken
+          shown.contents = this.state.getContainerContents(roomId, element);
+          shown.searched = !!this.state.getElementState(roomId, element.id).searched;
+          delete shown.hiddenContents;
+        }
+        return shown;
+      }),
+      items: this.state.getWorldItems(roomId).map(item => ({
+        ...item,
+        name: this.equipment.get(item.itemId)?.name || item.itemId,
+        icon: this.equipment.get(item.itemId)?.icon || '📦'
+      })),
+      exits: (environment.exits || []).map(exit => ({
+        ...exit,
+        locked: this.state.isExitLocked(roomId, exit),
+        keycardLevel: this.security.getKeycardLevel(this.state, exit) || exit.keycardLevel
+      }))
+    };
+  }
+
+  /**
+   * Lock or unlock a door from both sides
+   */
+  setDoorLocked(roomId, exit, locked) {
+    this.state.setExitLocked(roomId, exit.id, locked);
+
+    const otherSide = this.environments.get(exit.destination)?.exits
+      ?.find(e => e.destination === roomId);
+    if (otherSide) {
+      this.state.setExitLocked(exit.destination, otherSide.id, locked);
+    }
+  }
+
+  /**
+   * Bring reinforcements in through their entry point. They sweep between
+   * the door and wherever backup was called from.
+   */
+  spawnReinforcements(backup) {
+    if (!this.mission) return;
+    
+    const { entry } = backup;
+    const squad = this.mission.security.reinforcements || [{ type: 'guard', name: 'Response Officer' }];
+    const slot = this.environments.get(entry.location)?.npcSlots?.find(s => s.id === entry.slot);
+    const npcIds = [];
+    
+    for (const member of squad) {
+      const npc = this.mission.spawnNPC({
+        ...member,
+        id: `reinforcement-${++this.state.security.reinforcements}`,
+        location: entry.location,
+        slot: entry.slot,
+        behavior: 'patrol',
+        patrolPath: [
+          { location: entry.location, ...(slot?.position || { x: 0, y: 0 }) },
+          { location: backup.location, ...backup.position }
+        ]
+      }, this.state);
+      if (!npc) continue;
+      
+      npc.vitals.addSuspicion(SECURITY_CONFIG.REINFORCEMENT_SUSPICION);
+      npc.updateAwareness();
+      npcIds.push(npc.id);
+      this.eventBus.emit('npc:spawned', { npcId: npc.id, location: npc.location });
+    }
+    
+    const room = this.environments.get(entry.location)?.name || 'the building';
+    this.eventBus.emit('facility:reinforcementsArrived', { location: entry.location, npcIds });
+    this.sloan.forceSpeech(`Backup's here - coming in through ${room}.`);
+    if (entry.location === this.state.currentEnvironment) {
+      this.eventBus.emit('narration:play', { text: 'Boots on the floor - security pours in through the door.' });
+    }
+  }
+
+  /**
+   * A threatened NPC reaches for whatever help they have: backup, the
+   * alarm, the doors (each only if they're capable)
+   */
+  escalate(npc) {
+    npc.callBackup(this.eventBus);
+    npc.soundAlarm(this.eventBus);
+    npc.lockDoors(this.eventBus);
+  }
+
+  /**
+   * Make a noise at a position and let NPCs in earshot react
+   * @param {Object} noise - { location, position, level, source }
+   */
+  makeNoise(noise) {
+    return this.noise.makeNoise({ source: 'unknown', ...noise }, this.state.npcs.values());
+  }
+
+  /**
+   * Where a distraction goes off: a tile ({ x, y }) or an element in the
+   * room, else the doorway furthest from the player
+   */
+  getDistractionSpot(target) {
+    const env = this.environments.get(this.state.currentEnvironment);
+    if (Number.isFinite(target?.x) && Number.isFinite(target?.y)) {
+      return this.getGrid()?.inBounds(target.x, target.y) ? { x: target.x, y: target.y } : null;
+    }
+
+    const element = env?.elements?.find(e => e.id === target);
+    if (element?.position) return { ...element.position };
+
+    const player = this.state.player.position;
+    const distance = (position) => Math.abs(position.x - player.x) + Math.abs(position.y - player.y);
+    const exit = (env?.exits || [])
+      .filter(e => e.position)
+      .sort((a, b) => distance(b.position) - distance(a.position))[0];
+    return exit ? { ...exit.position } : null;
+  }
+
+  /**
+   * Make a noise somewhere else in the room - anyone in earshot (next
+   * door too) hears it there, not where the player is
+   */
+  createDistraction(target) {
+    const position = this.getDistractionSpot(target);
+    if (!position) {
+      this.sloan.forceSpeech("Nowhere to throw it.");
+      return false;
+    }
+
+    this.makeNoise({
+      source: 'distraction',
+      location: this.state.currentEnvironment,
+      position,
+      level: NOISE_LEVELS.DISTRACTION
+    });
+    return true;
+  }
+
+  /**
+   * Turn everyone in the room who isn't already on the player towards
+   * the distraction - it pulls them off their route without raising suspicion
+   */
+  redirectNPCAttention(target) {
+    const position = this.getDistractionSpot(target);
+    if (!position) return false;
+
+    const distracted = this.state.getNPCsInCurrentRoom().filter(npc => npc.distract(position));
+    this.eventBus.emit('npc:distracted', {
+      location: this.state.currentEnvironment,
+      position,
+      npcIds: distracted.map(npc => npc.id)
+    });
+    this.sloan.forceSpeech(distracted.length > 0 ? "They're looking. Go." : "Nobody bit.");
+    return true;
+  }
+
+  /**
+   * Get the tile grid for a room (defaults to the current one)
+   */
+  getGrid(roomId = this.state.currentEnvironment) {
+    return this.pathfinder.getGrid(roomId);
+  }
+
+  /**
+   * Enter a room
+   */
+  enterRoom(roomId, options = {}) {
+    const environment = this.environments.get(roomId);
+    if (!environment) {
+      throw new Error(`Room not found: ${roomId}`);
+    }
+
+    // Coming through a door - stand just inside the matching exit
+    const previousRoom = this.state.currentEnvironment;
+    if (previousRoom && previousRoom !== roomId) {
+      const arrival = this.getGrid(roomId)?.getArrivalPosition(previousRoom);
+      if (arrival) {
+        this.state.player.position = arrival;
+        this.state.player.previousPosition = { ...arrival };
+        this.state.player.hidden = this.getGrid(roomId).isCover(arrival.x, arrival.y);
+      }
+
+      // A dragged body comes through the door too
+      const dragged = this.getDraggedBody();
+      if (dragged) {
+        dragged.location = roomId;
+        dragged.position = { ...this.state.player.position };
+        dragged.previousPosition = { ...dragged.position };
+      }
+    }
+    this.playerPath = [];
+    this.playerExitVerb = null;
+
+    this.state.currentEnvironment = roomId;
+    this.state.markVisited(roomId);
+
+    // ==============================================
+    // RESET DETECTION GRACE PERIOD ON ROOM ENTRY
+    // ==============================================
+    this.detectionEnabled = false;
+    this.roomEntryTime = this.clock.time;
+    
+    // Reset NPC spotted flags for this room
+    for (const npc of this.state.npcs.values()) {
+      if (npc.location === roomId) {
+        npc._alreadySpotted = false;
+        npc._engagementHandled = false;
+      }
+    }
+    
+    // Get NPCs in room
+    const npcsInRoom = Array.from(this.state.npcs.values())
+      .filter(npc => npc.location === roomId);
+
+    // Emit events
+    this.eventBus.emit('room:entered', { 
+      environment: this.getEnvironment(roomId),
+      npcs: npcsInRoom 
+    });
+
+    // Trigger Sloan
+    this.eventBus.emit('room:entered', {
+      context: roomId
+    });
+
+    // Check for objective proximity
+    const hasObjective = environment.elements?.some(el => el.isObjective);
+    if (hasObjective) {
+      this.eventBus.emit('objective:near', { context: 'default' });
+    }
+
+    this.eventBus.emit('room:changed', {
+      roomId,
+      autosave: options.autosave !== false
+    });
+  }
+
+  /**
+   * Execute a player action - every verb goes through the action registry,
+   * which checks it can be done, rolls for it and charges for it
+   * @returns {Object} { success, message, check, results }
+   */
+  executeAction(data) {
+    const { verb, target } = data;
+    const result = this.actions.execute(verb, target, data);
+
+    if (result.message) {
+      this.sloan.forceSpeech(result.message);
+    }
+    this.notifyStateChanged();
+    return result;
+  }
+
+  /**
+   * Actions on offer in the current room, with their costs and whatever
+   * stops them being taken right now
+   */
+  getAvailableActions() {
+    return this.priorityManager
+      .getEnvironmentActions(this.state, this.getEnvironment())
+      .map(action => this.actions.describe(action));
+  }
+
+  /**
+   * Condition triggers and cures that hang on how an action went - a
+   * takedown, a getaway, a medkit
+   */
+  handleActionConditions({ verb, target, success }) {
+    if (!success) return;
+
+    if ((verb === 'subdue' || verb === 'attack') && this.state.npcs.get(target)?.body) {
+      this.conditions.handleEvent('player', { type: 'npcSubdued' });
+      this.conditions.handleEvent('player', { type: 'combat', result: 'firstStrike' });
+    } else if (verb === 'flee') {
+      this.conditions.handleEvent('player', { type: 'narrowEscape' });
+    } else if (verb === 'use') {
+      this.conditions.handleEvent('player', { type: 'itemUse', item: target });
+    }
+  }
+
+  /**
+   * Build the action resolver for the current state, handing the effects
+   * that need more than a state change to the methods that carry them out.
+   * Returning false calls the action off.
+   */
+  createActionResolver() {
+    const resolver = new ActionResolver(this.state, this.eventBus, {
+      environments: this.environments,
+      equipment: this.equipment,
+      skills: this.skills,
+      vision: this.vision,
+      crafting: this.crafting
+    });
+
+    const handlers = {
+      changeLocation: (target, effect, { data }) => effect.target === 'nearestExit'
+        ? this.fleeToNearestExit()
+        : this.moveToRoom(target, data.verb),
+      stepPlayer: (target) => this.stepPlayer(target),
+      walkPlayer: (target) => this.walkPlayerTo(target),
+      runPlayer: (target) => this.runPlayerTo(target),
+      forceDoor: (target) => this.forceDoor(target),
+      describeTarget: (target) => this.examineElement(target),
+      surveyRoom: () => this.surveyRoom(),
+      listenForSounds: () => this.listenForSounds(),
+      addToInventory: (target, effect, { element, worldItem }) => worldItem
+        ? this.pickUpWorldItem(worldItem)
+        : this.takeItem(element?.itemId || target),
+      executeItemEffect: (target) => this.useItem(target),
+      combineItems: (target, effect, { data }) => this.combineItems(target, data.with),
+      hackTerminal: (target) => this.hackTerminal(target),
+      pickLock: (target) => this.pickLock(target),
+      bypassLock: (target) => this.bypassLock(target),
+      startDialogue: (target) => this.startDialogue(target),
+      rest: () => this.sloan.forceSpeech("Taking a moment. Stay alert."),
+      contactMack: (target, effect, { data }) => this.contactMack(data),
+      // Sloan can offer to connect to Mack for complex questions
+      contactSloan: (target, effect, { data }) => this.sloan.offerMackConnection(data),
+      subdueNPC: (target) => this.subdueNPC(target),
+      npcFightsBack: (target) => this.npcFightsBack(target),
+      attackNPC: (target) => this.attemptAttack(target),
+      disengageAllNPCs: () => this.disengageAllNPCs(),
+      createDistraction: (target) => this.createDistraction(target),
+      redirectNPCAttention: (target) => this.redirectNPCAttention(target),
+      dragBody: (target) => this.dragBody(target),
+      dropTarget: (target) => this.state.player.equipment.includes(target) ? this.dropItem(target) : this.dropBody(),
+      hideBody: (target) => this.hideBody(target),
+      searchTarget: (target, effect, { npc }) => npc?.body ? this.searchBody(target) : this.searchContainer(target),
+      takeFromContainer: (target, effect, { data }) => this.takeFromContainer(target, data.item)
+    };
+
+    for (const [type, handler] of Object.entries(handlers)) {
+      resolver.registerEffect(type, handler);
+    }
+    return resolver;
+  }
+
+  /**
+   * Handle dialogue failure - incremental consequences, not instant fail
+   */
+  handleDialogueFailed(npc) {
+    // Increase detection significantly but don't instant fail
+    const currentDetection = this.state.player.vitals.detection || 0;
+    this.state.updateVitals({ detection: 30, stress: 20 });
+    
+    // Reaching full detection is a mission lose condition, checked each tick
+    if (currentDetection + 30 < 100) {
+      // NPC becomes hostile but player can still flee
+      if (npc) {
+        npc.awareness = 'hostile';
+        npc.engaged = true;
+        this.escalate(npc);
+      }
+      this.modeManager.transitionTo('combat', { pushToStack: true });
+      this.sloan.forceSpeech("That didn't work. You need to deal with this or run!");
+    }
+    
+    this.notifyStateChanged();
+  }
+
+  /**
+   * A takedown that worked - they stay down where they fell, pockets and all
+   */
+  subdueNPC(npcId) {
+    const npc = this.state.npcs.get(npcId);
+    if (!npc) return false;
+
+    npc.subdue(this.state.elapsedTime);
+    this.sloan.forceSpeech("Target down. Search them, then get them out of sight before they come round.");
+    this.eventBus.emit('npc:downed', { npcId: npc.id, location: npc.location, cause: npc.body.cause });
+    this.dropNPCItems(npc);
+    
+    // Exit combat mode
+    this.modeManager.returnToPrevious();
+  }
+
+  /**
+   * A takedown that didn't - the NPC fights back
+   */
+  npcFightsBack(npcId) {
+    const npc = this.state.npcs.get(npcId);
+    if (!npc) return false;
+
+    this.sloan.forceSpeech("Didn't work! They're fighting back!");
+    
+    // NPC becomes hostile if not already
+    npc.awareness = 'hostile';
+    npc.vitals?.addSuspicion(100);
+  }
+
+  /**
+   * Break off from everyone in the room
+   */
+  disengageAllNPCs() {
+    for (const npc of this.state.npcs.values()) {
+      if (npc.location === this.state.currentEnvironment) {
+        npc.engaged = false;
+        npc._engagementHandled = false;
+      }
+    }
+    
+    this.sloan.forceSpeech("Go go go! Get out of there!");
+    this.modeManager.returnToPrevious();
+  }
+
+  /**
+   * Bolt through the nearest unlocked exit
+   */
+  fleeToNearestExit() {
+    const here = this.state.currentEnvironment;
+    const nearestExit = this.environments.get(here)?.exits
+      ?.find(e => !this.state.isExitLocked(here, e));
+    if (!nearestExit) return false;
+
+    this.enterRoom(nearestExit.destination);
+  }
+
+  /**
+   * Attempt to attack an NPC (lethal)
+   */
+  attemptAttack(npcId) {
+    const npc = this.state.npcs.get(npcId);
+    if (!npc) return false;
+
+    // Check for weapon
+    const weapon = ATTACK_WEAPONS.find(item => this.state.player.equipment.includes(item));
+    const cause = LETHAL_WEAPONS.includes(weapon) ? BODY_CAUSES.KILLED : BODY_CAUSES.KNOCKED_OUT;
+    
+    const damage = weapon ? 40 : 20;
+    
+    // Apply damage to NPC
+    npc.takeDamage(damage, cause, this.state.elapsedTime);
+    
+    if (npc.body) {
+      this.sloan.forceSpeech(npc.isDead()
+        ? "Target neutralized. That's going to leave a trail - hide the body."
+        : "They're out cold. It won't last - search them and hide them.");
+      this.eventBus.emit('npc:downed', { npcId: npc.id, location: npc.location, cause: npc.body.cause });
+      this.dropNPCItems(npc);
+      
+      this.modeManager.returnToPrevious();
+    } else {
+      // NPC retaliates
+      this.sloan.forceSpeech("They're still up! Watch yourself!");
+      this.state.updateVitals({ health: -15 });
+    }
+  }
+
+  /**
+   * The body the player is dragging, if any
+   */
+  getDraggedBody() {
+    const npc = this.state.npcs.get(this.state.player.dragging);
+    return npc?.body ? npc : null;
+  }
+
+  /**
+   * Start dragging a body - it trails behind the player, slowly - or let go
+   * of the one already in hand
+   */
+  dragBody(npcId) {
+    const dragged = this.getDraggedBody();
+    if (dragged) {
+      this.dropBody();
+      if (dragged.id === npcId) return;
+    }
+
+    const npc = this.state.npcs.get(npcId);
+    if (!npc?.body) return false;
+
+    // Pulled back out of wherever they were stashed
+    npc.body.hidden = null;
+    npc.body.hiddenIn = null;
+    npc.position = { ...this.state.player.position };
+    npc.previousPosition = { ...npc.position };
+    this.state.player.dragging = npc.id;
+    this.playerRunning = false;
+
+    this.eventBus.emit('body:dragged', { npcId: npc.id, location: npc.location });
+    this.sloan.forceSpeech(npc.isDead() ? "Dead weight. Keep it slow." : "Under the arms. Slow and quiet.");
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Let go of the body being dragged, leaving it where it lies
+   */
+  dropBody() {
+    const npc = this.getDraggedBody();
+    this.state.player.dragging = null;
+    if (!npc) return;
+
+    this.eventBus.emit('body:dropped', { npcId: npc.id, location: npc.location, position: { ...npc.position } });
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Stash the dragged body. Containers that can hold someone hide them
+   * completely; cover only keeps them out of sight from a distance.
+   */
+  hideBody(elementId) {
+    const npc = this.getDraggedBody();
+    const env = this.environments.get(this.state.currentEnvironment);
+    const element = env?.elements?.find(e => e.id === elementId);
+    if (!npc || !element) return false;
+
+    const { position } = this.state.player;
+    const beside = this.getGrid().getApproachTiles(element)
+      .some(tile => tile.x === position.x && tile.y === position.y);
+    if (!beside) {
+      this.sloan.forceSpeech(`Get them over to the ${element.name.toLowerCase()} first.`);
+      return false;
+    }
+
+    this.state.player.dragging = null;
+    npc.body.hidden = element.holdsBody ? 'container' : 'cover';
+    npc.body.hiddenIn = element.id;
+    npc.position = element.holdsBody ? { ...element.position } : { ...position };
+    npc.previousPosition = { ...npc.position };
+
+    this.eventBus.emit('body:hidden', {
+      npcId: npc.id,
+      location: npc.location,
+      elementId: element.id,
+      hidden: npc.body.hidden
+    });
+    this.sloan.forceSpeech(element.holdsBody
+      ? `In the ${element.name.toLowerCase()}. Out of sight, out of mind.`
+      : "Tucked behind cover. Anyone walking right past will still spot them.");
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Go through a body's pockets for whatever they were carrying
+   */
+  searchBody(npcId) {
+    const npc = this.state.npcs.get(npcId);
+    if (!npc?.body) return false;
+
+    if (npc.body.searched) {
+      this.sloan.forceSpeech("You've already been through their pockets.");
+      return false;
+    }
+
+    this.sloan.forceSpeech("Checking their pockets... quickly.");
+
+    this.after(BODY_CONFIG.SEARCH_TIME, () => {
+      if (!npc.body) return; // Came round before you finished
+
+      // Whatever there's no room for stays in their pockets for another go
+      const items = npc.inventory.filter(itemId =>
+        this.encumbrance.canCarry(this.state, itemId).canCarry && this.state.addEquipment(itemId)
+      );
+      for (const itemId of items) {
+        this.eventBus.emit('item:added', { itemId });
+      }
+      npc.inventory = npc.inventory.filter(itemId => !items.includes(itemId) && !this.state.player.equipment.includes(itemId));
+      npc.body.searched = npc.inventory.length === 0;
+
+      this.eventBus.emit('body:searched', { npcId: npc.id, items });
+      const names = items.map(itemId => this.equipment.get(itemId)?.name || itemId);
+      const left = npc.inventory.map(itemId => this.equipment.get(itemId)?.name || itemId);
+      const lines = [];
+      if (names.length > 0) lines.push(`Got: ${names.join(', ')}.`);
+      if (left.length > 0) lines.push(`No room for: ${left.join(', ')}.`);
+      this.sloan.forceSpeech(lines.join(' ') || "Nothing worth taking.");
+      this.notifyStateChanged();
+    });
+  }
+
+  /**
+   * Anyone on their feet who lays eyes on a body raises it. Bodies stashed
+   * in containers stay hidden; behind cover they're only seen from right beside them.
+   */
+  checkBodyDiscovery() {
+    const npcs = Array.from(this.state.npcs.values());
+    const bodies = npcs.filter(npc => npc.body && !npc.body.discovered && npc.body.hidden !== 'container');
+
+    for (const body of bodies) {
+      const finder = npcs.find(npc =>
+        npc.location === body.location && npc.vitals.canAct() && !npc.engaged && this.canSpotBody(npc, body)
+      );
+      if (finder) this.handleBodyDiscovered(finder, body);
+    }
+  }
+
+  /**
+   * Whether an NPC can see a body from where they stand
+   */
+  canSpotBody(npc, body) {
+    if (body.body.hidden === 'cover') {
+      return Math.abs(npc.position.x - body.position.x) + Math.abs(npc.position.y - body.position.y) <= 1;
+    }
+    return this.canSpotTile(npc, body.position);
+  }
+
+  /**
+   * Whether an NPC has a tile in their room in sight
+   */
+  canSpotTile(npc, position) {
+    // Sight cones are only kept for the player's room
+    const tiles = npc.location === this.state.currentEnvironment
+      ? npc.visibleTiles
+      : this.vision.getVisibleTiles(npc);
+    return this.vision.canSee(npc, position, tiles).visible;
+  }
+
+  /**
+   * Anyone on their feet who sees a suspicious item lying about takes note -
+   * once per item
+   */
+  checkItemDiscovery() {
+    const npcs = Array.from(this.state.npcs.values());
+
+    for (const [roomId, items] of this.state.worldItems) {
+      for (const item of items) {
+        if (item.noticed || !this.equipment.get(item.itemId)?.suspicious) continue;
+
+        const finder = npcs.find(npc =>
+          npc.location === roomId && npc.vitals.canAct() && !npc.engaged && this.canSpotTile(npc, item.position)
+        );
+        if (!finder) continue;
+
+        item.noticed = true;
+        finder.noticeItem(item, this.equipment.get(item.itemId).name, { eventBus: this.eventBus });
+      }
+    }
+  }
+
+  /**
+   * Someone out cold gets looked into; a corpse raises the alarm
+   */
+  handleBodyDiscovered(finder, body) {
+    finder.discoverBody(body, { eventBus: this.eventBus });
+
+    if (body.isDead()) {
+      this.security.raiseAlertLevel(this.state, FACILITY_ALERT.ELEVATED, 'body');
+      this.escalate(finder);
+    }
+  }
+
+  /**
+   * Step one tile in a direction (keyboard movement)
+   */
+  stepPlayer(direction) {
+    const offset = DIRECTIONS[direction];
+    const grid = this.getGrid();
+    if (!offset || !grid) return;
+
+    const { position } = this.state.player;
+    const next = { x: position.x + offset.x, y: position.y + offset.y };
+
+    // Turn to face the way we tried to go, even into a wall
+    this.state.player.facing = direction;
+    this.playerPath = grid.isWalkable(next.x, next.y) ? [next] : [];
+    this.playerRunning = false;
+    this.playerExitVerb = null;
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Walk to a tile in the current room (click/tap movement)
+   */
+  walkPlayerTo(target) {
+    if (!target) return;
+
+    const path = this.pathfinder.findPath(this.state.currentEnvironment, this.state.player.position, target);
+    if (!path) return;
+
+    this.playerPath = path;
+    this.playerRunning = false;
+    this.playerExitVerb = null;
+  }
+
+  /**
+   * Run to a tile, or one tile in a direction - faster, but every step is heard
+   */
+  runPlayerTo(target) {
+    if (this.state.player.vitals.stamina < RUN_MIN_STAMINA) {
+      this.sloan.forceSpeech("You're spent. Walk it.");
+    }
+
+    if (typeof target === 'string') {
+      this.stepPlayer(target);
+    } else {
+      this.walkPlayerTo(target);
+    }
+    this.playerRunning = this.state.player.vitals.stamina >= RUN_MIN_STAMINA;
+  }
+  /**
+   * Advance the player one tile along their path, leaving the room on an exit
+   */
+  updatePlayerMovement() {
+    const player = this.state.player;
+    player.previousPosition = { ...player.position };
+
+    if (this.playerPath.length === 0) return;
+
+    // Nobody runs with a body in tow
+    const dragged = this.getDraggedBody();
+    if (dragged) this.playerRunning = false;
+
+    const interval = dragged
+      ? PLAYER_STEP_INTERVAL * BODY_CONFIG.DRAG_SLOWDOWN
+      : this.playerRunning ? PLAYER_RUN_INTERVAL : PLAYER_STEP_INTERVAL;
+    if (this.clock.time - this.lastPlayerStep < interval) return;
+    this.lastPlayerStep = this.clock.time;
+
+    const grid = this.getGrid();
+    const next = this.playerPath.shift();
+    player.facing = RoomGrid.directionBetween(player.position, next) || player.facing;
+
+    // Exits trigger when stepped on; a locked door stops the player at it
+    const exit = grid.getExitAt(next.x, next.y);
+    if (exit) {
+      const verb = this.playerExitVerb || 'move';
+      this.playerPath = [];
+      this.playerExitVerb = null;
+      this.executeAction({ verb, target: exit.destination });
+      return;
+    }
+
+    // The body follows into the tile just left
+    if (dragged) {
+      dragged.previousPosition = { ...dragged.position };
+      dragged.position = { ...player.position };
+      this.state.updateVitals({ stamina: -BODY_CONFIG.DRAG_STAMINA });
+    }
+
+    player.position = { ...next };
+    player.hidden = grid.isCover(next.x, next.y);
+
+    // Carrying too much tires and rattles with every step
+    const { overloaded } = this.encumbrance.getLoad(this.state);
+    if (overloaded) {
+      this.state.updateVitals({ stamina: -CARRY_CONFIG.OVERLOAD_STAMINA });
+    }
+    if (this.playerRunning) {
+      this.state.updateVitals({ stamina: -RUN_STAMINA_COST });
+    }
+
+    const noise = (this.playerRunning ? NOISE_LEVELS.RUNNING : 0) + (overloaded ? CARRY_CONFIG.OVERLOAD_NOISE : 0);
+    if (noise > 0) {
+      this.makeNoise({
+        source: 'player',
+        location: this.state.currentEnvironment,
+        position: player.position,
+        level: noise
+      });
+    }
+    if (this.playerRunning && player.vitals.stamina < RUN_MIN_STAMINA) this.playerRunning = false;
+  }
+
+  /**
+   * Move to a different room - through the door if the player is at it,
+   * otherwise walk there first. The action is called off (no costs) until
+   * the exit tile is reached, where it runs again (see updatePlayerMovement)
+   * @param {string} verb - How to go through once there ('move' or 'sneak')
+   * @returns {boolean} Whether the player moved
+   */
+  moveToRoom(roomId, verb = 'move') {
+    if (!this.environments.has(roomId)) {
+      this.sloan.forceSpeech("That's off the map. Stay on task.");
+      return false;
+    }
+
+    const currentEnv = this.environments.get(this.state.currentEnvironment);
+    const exit = currentEnv?.exits?.find(e => e.destination === roomId);
+
+    if (!exit) return false;
+
+    const { position } = this.state.player;
+    if (Math.abs(exit.position.x - position.x) + Math.abs(exit.position.y - position.y) > 1) {
+      this.headForExit(exit, verb);
+      return false;
+    }
+
+    if (this.state.isExitLocked(this.state.currentEnvironment, exit)) {
+      // Check for keycard (lockdowns raise the level every door needs)
+      const keycardLevel = this.security.getKeycardLevel(this.state, exit);
+      const hasKey = keycardLevel > 0 && this.state.player.equipment.some(item => {
+        const match = item.match(/keycard-level(\d+)/);
+        return match && parseInt(match[1]) >= keycardLevel;
+      });
+
+      if (!hasKey) {
+        const otherWay = !exit.pickable ? ''
+          : exit.lockType === 'electronic' ? ' Or bypass the reader.' : ' Or pick it.';
+        this.sloan.forceSpeech((keycardLevel > 0
+          ? `Locked. Need a Level ${keycardLevel} keycard.`
+          : "Locked, and there's no card reader.") + otherWay);
+        return false;
+      }
+    }
+
+    // Move
+    this.enterRoom(roomId);
+    this.notifyStateChanged();
+    return true;
+  }
+
+  /**
+   * Walk to an exit's tile - stepping onto it goes through
+   */
+  headForExit(exit, verb) {
+    const path = this.pathfinder.findPath(this.state.currentEnvironment, this.state.player.position, exit.position);
+    if (!path) {
+      this.sloan.forceSpeech("Can't get to that door from here.");
+      return;
+    }
+
+    this.playerPath = path;
+    this.playerRunning = false;
+    this.playerExitVerb = verb;
+  }
+
+  /**
+   * Force a locked door open - no keycard needed, but everyone nearby hears it
+   */
+  forceDoor(roomId) {
+    const currentRoom = this.state.currentEnvironment;
+    const exit = this.environments.get(currentRoom)?.exits?.find(e => e.destination === roomId);
+    if (!exit) return false;
+
+    // Higher-security doors are sturdier
+    const chance = 70 - (this.security.getKeycardLevel(this.state, exit) || 1) * 15;
+    const roll = rng.stream(RNG_STREAMS.COMBAT).roll();
+
+    if (roll < chance) {
+      this.setDoorLocked(currentRoom, exit, false);
+      this.eventBus.emit('door:forced', { roomId: currentRoom, exitId: exit.id, destination: roomId });
+      this.sloan.forceSpeech("It's open. And anyone close by heard that.");
+    } else {
+      this.sloan.forceSpeech("It won't give. That was loud - move.");
+    }
+  }
+
+  /**
+   * Examine an element (or something the player is carrying)
+   */
+  examineElement(elementId) {
+    const env = this.environments.get(this.state.currentEnvironment);
+    const element = env?.elements?.find(e => e.id === elementId) || this.equipment.get(elementId);
+
+    if (!element) return false;
+
+    const inRoom = env?.elements?.includes(element);
+    if (inRoom && this.state.isElementLocked(this.state.currentEnvironment, element)) {
+      let hint = '';
+      if (element.pickable) hint = ' The lock looks pickable.';
+      else if (element.requiresKeycard) hint = ` Takes a Level ${element.keycardLevel} card.`;
+      else if (['computer', 'terminal'].includes(element.type)) hint = " You'll need a way past the login.";
+      this.sloan.forceSpeech(`${element.name}. Locked.${hint}`);
+      return;
+    }
+
+    // Only what's in plain sight - searching turns up the rest
+    const contents = (inRoom ? this.state.getContainerContents(this.state.currentEnvironment, element) : [])
+      .map(itemId => this.equipment.get(itemId)?.name || itemId);
+    const inside = contents.length > 0 ? ` Inside: ${contents.join(', ')}.` : '';
+    this.sloan.forceSpeech(`${element.name}. ${element.description || 'Nothing special.'}${inside}`);
+  }
+
+  /**
+   * Whether an element holds things (its contents, or hiddenContents turned up by a search)
+   */
+  isContainer(element) {
+    return !!(element.contents || element.hiddenContents);
+  }
+
+  /**
+   * Go through a container. Whatever's hidden in it turns up, and the lot
+   * comes up in the container panel to take out piece by piece. A keycard
+   * lock opens to the card the player's carrying (the action checks for it).
+   */
+  searchContainer(elementId) {
+    const roomId = this.state.currentEnvironment;
+    const element = this.environments.get(roomId)?.elements?.find(e => e.id === elementId);
+    if (!element) return false;
+
+    if (this.state.isElementLocked(roomId, element)) {
+      this.unlockTarget(roomId, element.id, 'keycard');
+    }
+
+    this.sloan.forceSpeech(`Going through the ${element.name.toLowerCase()}...`);
+
+    this.after(CONTAINER_CONFIG.SEARCH_TIME, () => {
+      if (this.state.currentEnvironment !== roomId) return; // Left before finishing
+      this.openContainer(roomId, element);
+    });
+  }
+
+  /**
+   * Mark a container searched and show what's left in it
+   */
+  openContainer(roomId, element) {
+    const firstSearch = !this.state.getElementState(roomId, element.id).searched;
+    this.state.updateElementState(roomId, element.id, { searched: true });
+
+    const items = this.state.getContainerContents(roomId, element);
+    this.eventBus.emit('container:opened', this.getContainerView(roomId, element));
+
+    if (items.length === 0) {
+      this.sloan.forceSpeech("Nothing worth taking.");
+    } else if (firstSearch && (element.hiddenContents || []).some(itemId => items.includes(itemId))) {
+      this.sloan.forceSpeech("Hang on - something tucked away in there.");
+    }
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Snapshot for the container panel
+   */
+  getContainerView(roomId, element) {
+    return {
+      roomId,
+      elementId: element.id,
+      name: element.name,
+      items: this.state.getContainerContents(roomId, element).map(itemId => {
+        const item = this.equipment.get(itemId);
+        return { id: itemId, name: item?.name || itemId, icon: item?.icon || '📦', weight: item?.weight || 0 };
+      })
+    };
+  }
+
+  /**
+   * Lift one item out of a searched container. It takes longer the heavier
+   * it is, and rummaging makes a little noise (files copy off a terminal quietly).
+   * Taken items stay gone from the container for the rest of the run.
+   */
+  takeFromContainer(elementId, itemId) {
+    const roomId = this.state.currentEnvironment;
+    const element = this.environments.get(roomId)?.elements?.find(e => e.id === elementId);
+    if (!element) return false;
+
+    if (this.state.player.equipment.includes(itemId)) {
+      this.sloan.forceSpeech("You've already got one.");
+      return false;
+    }
+
+    const { canCarry, reason } = this.encumbrance.canCarry(this.state, itemId);
+    if (!canCarry) {
+      this.sloan.forceSpeech(reason);
+      return false;
+    }
+
+    if (!['computer', 'terminal'].includes(element.type)) {
+      this.makeNoise({
+        source: 'rummage',
+        location: roomId,
+        position: this.state.player.position,
+        level: NOISE_LEVELS.RUMMAGE
+      });
+    }
+
+    const weight = this.equipment.get(itemId)?.weight || 0;
+    this.after(CONTAINER_CONFIG.TAKE_TIME + weight * CONTAINER_CONFIG.TAKE_TIME_PER_WEIGHT, () => {
+      if (this.state.currentEnvironment !== roomId) return; // Left before finishing
+
+      const { taken = [] } = this.state.getElementState(roomId, element.id);
+      if (taken.includes(itemId) || !this.takeItem(itemId)) return;
+
+      this.state.updateElementState(roomId, element.id, { taken: [...taken, itemId] });
+      this.eventBus.emit('container:updated', this.getContainerView(roomId, element));
+      this.notifyStateChanged();
+    });
+  }
+
+  /**
+   * Put down something the player's carrying, on the tile they're standing on
+   * @returns {boolean} Whether it was put down
+   */
+  dropItem(itemId) {
+    const item = this.equipment.get(itemId);
+    if (item?.droppable === false || item?.sloanRequired) {
+      this.sloan.forceSpeech("You'll want to hang on to that.");
+      return false;
+    }
+
+    this.state.removeEquipment(itemId);
+    this.eventBus.emit('item:removed', { itemId });
+    this.placeItem(this.state.currentEnvironment, itemId, this.state.player.position, 'player');
+    return true;
+  }
+
+  /**
+   * Whatever a downed NPC had in hand hits the floor beside them
+   * (equipment marked "dropsOnTakedown" - the rest stays in their pockets)
+   */
+  dropNPCItems(npc) {
+    const dropped = npc.inventory.filter(itemId => this.equipment.get(itemId)?.dropsOnTakedown);
+    if (dropped.length === 0) return;
+
+    npc.inventory = npc.inventory.filter(itemId => !dropped.includes(itemId));
+    for (const itemId of dropped) {
+      this.placeItem(npc.location, itemId, npc.position, npc.id);
+    }
+  }
+
+  /**
+   * Leave an item on the floor - it lands with a clatter (see 'item:dropped')
+   */
+  placeItem(roomId, itemId, position, source) {
+    const item = this.state.addWorldItem(roomId, itemId, position, source);
+    this.eventBus.emit('item:dropped', {
+      itemId,
+      worldItemId: item.id,
+      location: roomId,
+      position: { ...item.position },
+      source
+    });
+    this.notifyStateChanged();
+    return item;
+  }
+
+  /**
+   * Pick an item up off the floor
+   * @returns {boolean} Whether it was picked up
+   */
+  pickUpWorldItem(worldItem) {
+    const roomId = this.state.currentEnvironment;
+    if (!this.takeItem(worldItem.itemId)) return false;
+
+    this.state.removeWorldItem(roomId, worldItem.id);
+    this.eventBus.emit('item:pickedUp', { worldItemId: worldItem.id, itemId: worldItem.itemId, location: roomId });
+    return true;
+  }
+
+  /**
+   * Take an item
+   * @returns {boolean} Whether it was taken (false if already carried, or there's no room for it)
+   */
+  takeItem(itemId) {
+    if (this.state.player.equipment.includes(itemId)) {
+      this.sloan.forceSpeech("You've already got one.");
+      return false;
+    }
+
+    const { canCarry, reason } = this.encumbrance.canCarry(this.state, itemId);
+    if (!canCarry) {
+      this.sloan.forceSpeech(reason);
+      this.eventBus.emit('item:refused', { itemId, reason });
+      return false;
+    }
+
+    this.state.addEquipment(itemId);
+    this.sloan.forceSpeech('Got it.');
+    this.eventBus.emit('item:added', { itemId });
+    return true;
+  }
+
+  /**
+   * Use a carried item - anything else is taken as something in the room
+   */
+  useItem(itemId) {
+    const item = this.state.player.equipment.includes(itemId) ? this.equipment.get(itemId) : null;
+    if (!item) {
+      // Not carried - maybe something in the room
+      this.useElement(itemId);
+      return;
+    }
+
+    // Handle Mack sobriety boost items
+    if (item.effect?.type === 'mack-sobriety-boost') {
+      this.eventBus.emit('mack:sobrietyBoost', { amount: item.effect.amount });
+      this.sloan.forceSpeech("Sent it to Mack. Hopefully it helps.");
+      
+      this.spendItemUse(itemId);
+      return;
+    }
+
+    // Smoke - the smoke-screen condition comes on with the use (see ConditionRegistry)
+    if (item.effect?.type === 'smoke-screen') {
+      this.sloan.forceSpeech("Smoke's up. They can't see a thing in there - move.");
+      this.spendItemUse(itemId);
+      return;
+    }
+
+    // Handle healing items
+    if (item.healAmount) {
+      this.state.updateVitals({ health: item.healAmount });
+      this.sloan.forceSpeech("That should help.");
+      this.spendItemUse(itemId);
+      return;
+    }
+  }
+
+  /**
+   * Spend one of an item's uses - it's gone once they run out.
+   * Uses are counted per run, never on the shared item definition.
+   */
+  spendItemUse(itemId) {
+    const item = this.equipment.get(itemId);
+    if (!item?.uses) return;
+
+    const left = this.state.getItemUses(itemId, item.uses) - 1;
+    if (left > 0) {
+      this.state.setItemUses(itemId, left);
+      return;
+    }
+
+    this.state.clearItemUses(itemId);
+    this.state.removeEquipment(itemId);
+    this.eventBus.emit('item:removed', { itemId });
+  }
+
+  /**
+   * Put two carried items together (equipment.json recipes). The consumed
+   * ingredients go, the result comes with any uses its source had left.
+   * @returns {boolean} Whether the player set about it
+   */
+  combineItems(itemA, itemB) {
+    const recipe = this.crafting.findRecipe(itemA, itemB);
+    if (!recipe) return false;
+
+    const result = this.equipment.get(recipe.result);
+    if (this.state.player.equipment.includes(recipe.result)) {
+      this.sloan.forceSpeech(`You've already got a ${result.name.toLowerCase()}.`);
+      return false;
+    }
+
+    this.state.updateVitals({ stress: 2 });
+    this.after(CRAFT_CONFIG.COMBINE_TIME, () => {
+      // Dropped one of them meanwhile
+      if (!recipe.ingredients.every(itemId => this.state.player.equipment.includes(itemId))) return;
+
+      const uses = this.crafting.getResultUses(this.state, recipe);
+      for (const itemId of recipe.consumes) {
+        this.state.clearItemUses(itemId);
+        this.state.removeEquipment(itemId);
+        this.eventBus.emit('item:removed', { itemId });
+      }
+
+      if (uses && uses !== result.uses) {
+        this.state.setItemUses(recipe.result, uses);
+      } else {
+        this.state.clearItemUses(recipe.result);
+      }
+
+      const discovered = !this.crafting.isDiscovered(this.state, recipe);
+      this.state.setFlag(`recipe_${recipe.id}`);
+      this.eventBus.emit('item:combined', { recipeId: recipe.id, ingredients: recipe.ingredients, itemId: recipe.result, uses, discovered });
+
+      // No room for what came out of it - it goes on the floor
+      const { canCarry, reason } = this.encumbrance.canCarry(this.state, recipe.result);
+      if (canCarry) {
+        this.state.addEquipment(recipe.result);
+        this.sloan.forceSpeech(recipe.message || `Made: ${result.name}.`);
+        this.eventBus.emit('item:added', { itemId: recipe.result });
+      } else {
+        this.eventBus.emit('item:refused', { itemId: recipe.result, reason });
+        this.sloan.forceSpeech(`${reason} It's at your feet.`);
+        this.placeItem(this.state.currentEnvironment, recipe.result, this.state.player.position, 'player');
+      }
+      this.notifyStateChanged();
+    });
+    return true;
+  }
+
+  /**
+   * Sloan points out a recipe the player could make right now - once each
+   */
+  hintRecipe() {
+    const recipe = this.crafting.getMakeable(this.state)
+      .find(recipe => recipe.hint && !this.state.hasFlag(`recipe_hinted_${recipe.id}`));
+    if (!recipe) return;
+
+    this.state.setFlag(`recipe_hinted_${recipe.id}`);
+    this.sloan.forceSpeech(recipe.hint);
+  }
+
+  /**
+   * Use something in the current room
+   */
+  useElement(elementId) {
+    const env = this.environments.get(this.state.currentEnvironment);
+    const element = env?.elements?.find(e => e.id === elementId);
+    
+    if (element?.securityConsole) {
+      this.useSecurityConsole();
+    }
+  }
+
+  /**
+   * Silence the alarm and release a lockdown from a security console
+   */
+  useSecurityConsole() {
+    const security = this.state.security;
+    if (!security.alarm && !security.lockdown) {
+      this.sloan.forceSpeech("Security console. Everything's green - keep it that way.");
+      return;
+    }
+    
+    this.state.updateVitals({ stress: 5 });
+    this.sloan.forceSpeech("Working the console... keep watch.");
+    
+    this.after(SECURITY_CONFIG.SILENCE_TIME, () => {
+      const silenced = this.security.silenceAlarm(this.state);
+      const released = this.security.liftLockdown(this.state, (roomId, exit, locked) => this.setDoorLocked(roomId, exit, locked));
+      
+      if (silenced) {
+        this.sloan.forceSpeech("Alarm's dead. They'll still be looking, though.");
+      } else if (released) {
+        this.sloan.forceSpeech("Doors are released. Go.");
+      }
+      this.notifyStateChanged();
+    });
+  }
+
+  /**
+   * Contact Mack (called when player requests specialist help)
+   */
+  contactMack(data = {}) {
+    const currentEnv = this.environments.get(this.state.currentEnvironment);
+    const npcsInRoom = Array.from(this.state.npcs.values())
+      .filter(npc => npc.location === this.state.currentEnvironment);
+
+    // Build context for Mack
+    const mackData = {
+      currentRoom: currentEnv?.name || 'Unknown',
+      objective: this.state.objectives?.find(o => !o.completed)?.description || 'Unknown',
+      threats: npcsInRoom.map(npc => npc.name),
+      question: data.question || 'Need help with the current situation.',
+      // Something the player's carrying could be rigged into
+      recipeHint: this.crafting.getHintRecipe(this.state)?.hint || null
+    };
+
+    // Sloan patches through to Mack
+    this.sloan.connectToMack(mackData);
+  }
+
+  /**
+   * Start breaching a terminal - the puzzle runs in puzzle mode against the
+   * mission clock, and plays out through hackInput()
+   */
+  hackTerminal(terminalId) {
+    const env = this.environments.get(this.state.currentEnvironment);
+    const terminal = env?.elements?.find(e => e.id === terminalId);
+
+    if (!terminal || this.hack) return false;
+
+    if (this.state.hasFlag(`hacked_${terminalId}`)) {
+      this.sloan.forceSpeech("You're already in that one.");
+      return false;
+    }
+
+    this.hack = this.hacking.createPuzzle(this.state, terminal, {
+      roomId: this.state.currentEnvironment,
+      bonus: this.mission?.difficulty.hackDifficultyBonus || 0
+    });
+
+    this.modeManager.transitionTo(GAME_PHASES.PUZZLE, { pushToStack: true });
+    this.eventBus.emit('hack:started', this.hacking.getView(this.hack, this.state));
+    this.sloan.forceSpeech("Working on it... stay alert.");
+  }
+
+  /**
+   * Player input on the open breach
+   * @param {Object} data - { row, col } for a pick, or { abort: true } to back out
+   */
+  hackInput(data) {
+    if (!this.hack) return;
+
+    if (data.abort) {
+      this.endHack('aborted');
+      return;
+    }
+
+    const { result, code } = this.hacking.select(this.hack, data.row, data.col);
+    if (result === 'strike') {
+      this.state.updateVitals({ stress: HACK_CONFIG.STRIKE_STRESS });
+    }
+
+    if (this.hacking.isSolved(this.hack)) {
+      this.endHack('success');
+    } else if (this.hacking.isFailed(this.hack, this.state.elapsedTime)) {
+      this.endHack('failed');
+    } else {
+      this.eventBus.emit('hack:updated', { ...this.hacking.getView(this.hack, this.state), result, code });
+    }
+  }
+
+  /**
+   * Run the breach clock. A fight or a conversation pulls the player off
+   * the terminal; running out of time fails it.
+   */
+  updateHack() {
+    if (!this.hack) return;
+
+    const mode = this.modeManager.currentMode;
+    if (mode === GAME_PHASES.COMBAT || mode === GAME_PHASES.DIALOGUE ||
+        this.state.currentEnvironment !== this.hack.roomId) {
+      this.endHack('interrupted');
+    } else if (this.hacking.isFailed(this.hack, this.state.elapsedTime)) {
+      this.endHack('failed');
+    } else {
+      this.eventBus.emit('hack:updated', this.hacking.getView(this.hack, this.state));
+    }
+  }
+
+  /**
+   * Close the breach. Success opens the terminal (hacked_<id> flag, its files
+   * up to copy off); failure trips its alarm if it has one, or gets the intrusion noticed.
+   * @param {string} outcome - 'success', 'failed', 'aborted' or 'interrupted'
+   */
+  endHack(outcome) {
+    const puzzle = this.hack;
+    this.hack = null;
+
+    const env = this.environments.get(puzzle.roomId);
+    const terminal = env?.elements?.find(e => e.id === puzzle.terminalId);
+
+    if (outcome === 'success') {
+      this.state.setFlag(`hacked_${puzzle.terminalId}`, true);
+      this.sloan.forceSpeech("You're in. Take what we came for.");
+      if (terminal && this.isContainer(terminal)) {
+        this.unlockTarget(puzzle.roomId, terminal.id, 'hacked');
+        this.openContainer(puzzle.roomId, terminal);
+      }
+    } else if (outcome === 'failed' && terminal?.tripsAlarm) {
+      this.sloan.forceSpeech("That tripped something. Alarm's going - move!");
+      this.eventBus.emit('facility:alarm', {
+        triggeredBy: terminal.id,
+        location: puzzle.roomId,
+        position: terminal.position
+      });
+    } else if (outcome === 'failed') {
+      this.state.updateVitals({ detection: HACK_CONFIG.FAIL_DETECTION });
+      this.eventBus.emit('detection:increased', {
+        level: this.state.player.vitals.detection,
+        source: puzzle.terminalId
+      });
+      this.sloan.forceSpeech("It flagged the intrusion. Someone's going to notice.");
+    }
+
+    if (this.modeManager.currentMode === GAME_PHASES.PUZZLE) {
+      this.modeManager.returnToPrevious();
+    }
+
+    this.eventBus.emit('hack:ended', {
+      terminalId: puzzle.terminalId,
+      outcome,
+      success: outcome === 'success'
+    });
+    this.notifyStateChanged();
+  }
+
+  /**
+   * The exit (by destination) or container (by element ID) a lock tool is aimed at
+   * @returns {Object|null} { lock, kind: 'exit' | 'container' }
+   */
+  getLockTarget(target) {
+    const env = this.environments.get(this.state.currentEnvironment);
+    const exit = env?.exits?.find(e => e.destination === target);
+    if (exit) return { lock: exit, kind: 'exit' };
+
+    const element = env?.elements?.find(e => e.id === target);
+    return element ? { lock: element, kind: 'container' } : null;
+  }
+
+  /**
+   * Start picking a lock - the pins are worked in puzzle mode through lockpickInput()
+   */
+  pickLock(target) {
+    const found = this.getLockTarget(target);
+    if (!found || this.pick) return false;
+
+    this.pick = this.lockpicking.createAttempt(this.state, found.lock, {
+      roomId: this.state.currentEnvironment,
+      target,
+      kind: found.kind
+    });
+
+    this.modeManager.transitionTo(GAME_PHASES.PUZZLE, { pushToStack: true });
+    this.eventBus.emit('lockpick:started', this.lockpicking.getView(this.pick, this.state));
+  }
+
+  /**
+   * Player input on the lock being picked
+   * @param {Object} data - { tension }, { lift: true }, or { abort: true } to back off
+   */
+  lockpickInput(data) {
+    if (!this.pick) return;
+
+    if (data.abort) {
+      this.endLockpick('aborted');
+      return;
+    }
+
+    if (data.tension !== undefined) {
+      this.lockpicking.setTension(this.pick, data.tension);
+    }
+
+    if (data.lift) {
+      const { result } = this.lockpicking.lift(this.pick, this.state);
+      if (result === 'set' || result === 'loose' || result === 'slip') {
+        // Every lift scrapes; a slip rattles the whole lock
+        this.makeNoise({
+          source: 'lockpick',
+          location: this.pick.roomId,
+          position: this.pick.position || this.state.player.position,
+          level: result === 'slip' ? NOISE_LEVELS.PICK_SLIP : NOISE_LEVELS.LOCKPICK
+        });
+      }
+    }
+
+    if (this.lockpicking.isOpen(this.pick)) {
+      this.endLockpick('success');
+    } else if (this.lockpicking.isFailed(this.pick)) {
+      this.endLockpick('failed');
+    } else {
+      this.eventBus.emit('lockpick:updated', this.lockpicking.getView(this.pick, this.state));
+    }
+  }
+
+  /**
+   * A fight, a conversation or leaving the room pulls the player off the lock
+   */
+  updateLockpick() {
+    if (!this.pick) return;
+
+    const mode = this.modeManager.currentMode;
+    if (mode === GAME_PHASES.COMBAT || mode === GAME_PHASES.DIALOGUE ||
+        this.state.currentEnvironment !== this.pick.roomId) {
+      this.endLockpick('interrupted');
+    }
+  }
+
+  /**
+   * Stop picking. An opened lock stays open for the rest of the run.
+   * @param {string} outcome - 'success', 'failed', 'aborted' or 'interrupted'
+   */
+  endLockpick(outcome) {
+    const attempt = this.pick;
+    this.pick = null;
+
+    if (outcome === 'success') {
+      this.unlockTarget(attempt.roomId, attempt.target, 'picked');
+      this.sloan.forceSpeech("That's the last pin. You're in.");
+    } else if (outcome === 'failed') {
+      this.sloan.forceSpeech("Pick's bent. Back off before someone comes to see what that was.");
+    }
+
+    if (this.modeManager.currentMode === GAME_PHASES.PUZZLE) {
+      this.modeManager.returnToPrevious();
+    }
+
+    this.eventBus.emit('lockpick:ended', {
+      lockId: attempt.lockId,
+      outcome,
+      success: outcome === 'success'
+    });
+    this.notifyStateChanged();
+  }
+
+  /**
+   * Spoof an electronic lock - a hacking check against the lock's security.
+   * A rejected attempt is logged by the reader.
+   */
+  bypassLock(target) {
+    const found = this.getLockTarget(target);
+    if (!found) return false;
+
+    const check = this.skills.check(this.state, 'hacking', this.lockpicking.getDifficulty(found.lock));
+    if (check.success) {
+      this.unlockTarget(this.state.currentEnvironment, target, 'bypassed');
+      this.sloan.forceSpeech("Reader's spoofed. Green light.");
+    } else {
+      this.state.updateVitals({ detection: LOCK_CONFIG.BYPASS_FAIL_DETECTION });
+      this.eventBus.emit('detection:increased', {
+        level: this.state.player.vitals.detection,
+        source: found.lock.id
+      });
+      this.sloan.forceSpeech("It rejected the spoof - and logged it.");
+    }
+  }
+
+  /**
+   * Open a lock for good - a door from both sides, or a container
+   * @param {string} method - 'picked', 'bypassed', 'hacked' or 'keycard'
+   */
+  unlockTarget(roomId, target, method) {
+    const env = this.environments.get(roomId);
+    const exit = env?.exits?.find(e => e.destination === target);
+
+    if (exit) {
+      this.setDoorLocked(roomId, exit, false);
+      this.eventBus.emit('door:unlocked', { roomId, exitId: exit.id, destination: target, method });
+    } else {
+      this.state.updateElementState(roomId, target, { unlocked: true });
+      this.eventBus.emit('container:unlocked', { roomId, elementId: target, method });
+    }
+  }
+
+  /**
+   * Start dialogue with NPC - the conversation runs in dialogue mode and
+   * plays out through dialogueInput()
+   */
+  startDialogue(npcId) {
+    const npc = this.state.npcs.get(npcId);
+    if (!npc || this.talk) return false;
+
+    // Tree chosen by who they are, how wary they are and the story so far
+    const conversation = this.dialogue.createConversation(npc, this.state);
+    const node = conversation?.getNode('greeting');
+    if (!node) return false;
+
+    this.talk = { npcId, conversation, node };
+    this.modeManager.transitionTo('dialogue', { pushToStack: true });
+    this.eventBus.emit('dialogue:start', { npc: npc.getState(), node });
+    return true;
+  }
+
+  /**
+   * Player input in the conversation
+   * @param {Object} data - { index } of a response on the current node
+   *   (-1 to continue past a node with none), or { leave: true } to walk away
+   */
+  dialogueInput(data) {
+    if (!this.talk) return;
+
+    const { npcId, conversation, node } = this.talk;
+    const npc = this.state.npcs.get(npcId);
+    const response = node.responses[data.index];
+
+    if (data.leave || data.index === -1 || !npc) {
+      this.endDialogue('left');
+      return;
+    }
+    if (!response) return;
+
+    // Checks are rolled as the line is said - the outcome picks the branch
+    const outcome = conversation.respond(response);
+    this.eventBus.emit('dialogue:responded', { npcId, text: response.text, check: outcome.check });
+
+    for (const effect of outcome.effects) {
+      this.dialogue.applyEffect(effect, npc, this.state);
+    }
+    if (outcome.action) {
+      this.handleDialogueAction(outcome.action, npc);
+    }
+
+    // Talked them into a fight
+    if (outcome.check && !outcome.check.success && conversation.isHostile()) {
+      this.endDialogue('failed');
+      this.handleDialogueFailed(npc);
+      return;
+    }
+
+    // Responses on the next node are filtered now, so this answer counts
+    const next = outcome.next === 'end' || outcome.next === 'leave' ? null : conversation.getNode(outcome.next);
+    if (!next || !this.talk) {
+      this.endDialogue('ended');
+    } else {
+      this.talk.node = next;
+      this.eventBus.emit('dialogue:advance', { npcId, node: next });
+    }
+    this.notifyStateChanged();
+  }
+
+  /**
+   * A fight, a takedown or leaving the room cuts the conversation short
+   */
+  updateDialogue() {
+    if (!this.talk) return;
+
+    const npc = this.state.npcs.get(this.talk.npcId);
+    if (this.modeManager.currentMode === 'combat' || !npc || npc.body ||
+        npc.location !== this.state.currentEnvironment) {
+      this.endDialogue('interrupted');
+    }
+  }
+
+  /**
+   * Close the conversation. A response may already have moved things on
+   * (a fight, a run for it) - otherwise back to whatever the player was doing.
+   * @param {string} outcome - 'ended', 'left', 'failed' or 'interrupted'
+   */
+  endDialogue(outcome) {
+    if (!this.talk) return;
+    const { npcId } = this.talk;
+    this.talk = null;
+
+    if (this.modeManager.currentMode === 'dialogue') {
+      this.modeManager.returnToPrevious();
+    }
+    this.eventBus.emit('dialogue:ended', { npcId, outcome });
+  }
+
+  /**
+   * Carry out a dialogue response's action
+   */
+  handleDialogueAction(action, npc) {
+    switch (action) {
+      case 'initiate-combat':
+        if (npc) {
+          npc.awareness = 'hostile';
+          npc.engaged = true;
+          npc.targetEntity = 'player';
+          this.escalate(npc);
+        }
+        this.modeManager.transitionTo('combat', { pushToStack: true });
+        break;
+      case 'flee':
+      case 'distract-flee':
+        this.executeAction({ verb: 'flee' });
+        break;
+      default:
+        throw new Error(`Unknown dialogue action: ${action}`);
+    }
+  }
+
+  /**
+   * Survey the room
+   */
+  surveyRoom() {
+    const env = this.getEnvironment();
+    if (!env) return;
+
+    const interactives = env.elements?.filter(e => e.interactive) || [];
+    if (interactives.length > 0) {
+      this.sloan.forceSpeech(`I see ${interactives.length} things worth checking out.`);
+    } else {
+      this.sloan.forceSpeech("Nothing stands out.");
+    }
+  }
+
+  /**
+   * Listen for sounds
+   */
+  listenForSounds() {
+    const here = this.state.currentEnvironment;
+    const environment = this.getEnvironment(here);
+    const awake = Array.from(this.state.npcs.values()).filter(npc => npc.vitals.canAct());
+    const npcsInRoom = awake.filter(npc => npc.location === here);
+    
+    // Someone next door on their way through the door into this room
+    const approaching = awake.find(npc => {
+      if (npc.location === here) return false;
+      if (npc.heading?.destination === here) return true;
+      const exit = npc.pathTarget && this.pathfinder.getGrid(npc.location)?.getExitAt(npc.pathTarget.x, npc.pathTarget.y);
+      return exit?.destination === here;
+    });
+    const nextDoor = awake.find(npc => environment?.exits?.some(exit => exit.destination === npc.location));
+
+    if (approaching) {
+      const door = environment.exits.find(exit => exit.destination === approaching.location);
+      this.sloan.forceSpeech(`Footsteps approaching - from the ${door?.label || 'next room'}. Someone's coming.`);
+      this.eventBus.emit('npc:approaching', { npcId: approaching.id, from: approaching.location, location: here });
+    } else if (npcsInRoom.length > 0) {
+      this.sloan.forceSpeech("Footsteps. Someone's nearby.");
+    } else if (nextDoor) {
+      const room = this.environments.get(nextDoor.location)?.name || 'next door';
+      this.sloan.forceSpeech(`Movement over in ${room}. Not coming this way - yet.`);
+    } else {
+      this.sloan.forceSpeech("All quiet.");
+    }
+  }
+
+  /**
+   * Advance game state by one tick
+   */
+  update() {
+    if (this.isEnded()) return;
+
+    this.runScheduled();
+
+    // Advance the mission clock, announcing each new in-game minute
+    const minuteBefore = Math.floor(this.state.getTimeOfDay());
+    this.state.advanceTime(this.clock.tickDuration);
+    if (Math.floor(this.state.getTimeOfDay()) !== minuteBefore) {
+      this.emitTime();
+    }
+
+    // Walk the player along their path
+    this.updatePlayerMovement();
+
+    // ==============================================
+    // DETECTION SYSTEM - THROTTLED & GATED
+    // ==============================================
+    const now = this.clock.time;
+    
+    // Enable detection once the room-entry grace period has passed
+    if (!this.detectionEnabled && now - this.roomEntryTime >= DETECTION_GRACE_PERIOD) {
+      this.detectionEnabled = true;
+    }
+    
+    // Only check detection if:
+    // 1. Detection is enabled (grace period passed)
+    // 2. Enough time since last check
+    // 3. Not already in combat/dialogue mode
+    const currentMode = this.modeManager.getCurrentMode() || 'exploration';
+    const canCheckDetection = this.detectionEnabled && 
+                              (now - this.lastDetectionCheck) > DETECTION_CHECK_INTERVAL &&
+                              !['combat', 'dialogue'].includes(currentMode);
+    
+    if (canCheckDetection) {
+      this.lastDetectionCheck = now;
+      this.checkNPCDetection();
+    }
+
+    // Update NPCs (patrol, etc) - but NOT detection
+    const world = { pathfinder: this.pathfinder, eventBus: this.eventBus };
+    for (const npc of this.state.npcs.values()) {
+      npc.tick(this.state, world);
+    }
+
+    // Sight cones for the player's room (drawn on the map, used by detection),
+    // and a note of everyone the player can see for the facility map
+    for (const npc of this.state.npcs.values()) {
+      const inView = npc.location === this.state.currentEnvironment;
+      npc.visibleTiles = inView ? this.vision.getVisibleTiles(npc) : [];
+      if (inView) this.state.recordSighting(npc);
+    }
+
+    // Bodies, and things that shouldn't be lying about, where someone can see them
+    this.checkBodyDiscovery();
+    this.checkItemDiscovery();
+
+    // Security timers - reinforcements arriving, the alarm running down
+    const { arrivals } = this.security.tick(this.state);
+    for (const backup of arrivals) {
+      this.spawnReinforcements(backup);
+    }
+
+    // The breach clock, if the player is on a terminal, and any lock being picked
+    this.updateHack();
+    this.updateLockpick();
+
+    // A conversation ends if the NPC is gone or the talking turns to fighting
+    this.updateDialogue();
+
+    // Update Sloan
+    this.sloan.tick();
+
+    // Update Mack
+    this.mack.tick();
+
+    // Conditions come and go with vitals and surroundings; timed ones run out
+    this.conditions.update(this.clock.tickDuration / 1000);
+    this.sloan.setConnectionQuality(this.state.sloan.connectionQuality);
+    
+    // Advance mission objectives, scripted events and end conditions
+    this.updateMission();
+
+    // Evaluate priorities
+    const priorities = this.priorityManager.evaluate(
+      this.state,
+      this.environments,
+      this.state.npcs
+    );
+    this.eventBus.emit('priorities:updated', priorities);
+  }
+
+  /**
+   * How much the player's conditions move the odds of being spotted -
+   * "detection" makes them easier to see, "stealth" harder
+   */
+  getConditionDetectionModifier() {
+    const { detection = 0, stealth = 0 } = this.conditions.getModifiers('player');
+    return (detection - stealth) * CONDITION_DETECTION_SCALE;
+  }
+
+  /**
+   * Check NPC detection - THROTTLED VERSION
+   */
+  checkNPCDetection() {
+    const currentEnv = this.environments.get(this.state.currentEnvironment);
+    if (!currentEnv) return;
+    
+    const envNoise = currentEnv?.attributes?.noise || 'normal';
+    const player = this.state.player;
+    
+    for (const npc of this.state.npcs.values()) {
+      // Only check NPCs in current room
+      if (npc.location !== this.state.currentEnvironment) continue;
+      
+      // Skip unconscious/dead NPCs
+      if (!npc.vitals.canAct()) continue;
+      
+      // Skip if already engaged
+      if (npc.engaged) continue;
+
+      // Only NPCs whose sight cone reaches the player's tile can spot them
+      const sight = this.vision.canSee(npc, player.position);
+      if (!npc.detectPlayer(sight, player.position)) continue;
+
+      // An alert NPC that sees the player engages straight away
+      if (npc.engaged) {
+        npc._engagementHandled = true;
+        this.handleNPCEngagement(npc);
+        continue;
+      }
+      
+      // Calculate detection chance
+      let detectChance = DETECTION_BASE_CHANCE;
+      
+      // Modifiers
+      if (npc.awareness === 'alert') detectChance += 10;
+      if (npc.awareness === 'hostile') detectChance += 20;
+      detectChance += this.getConditionDetectionModifier();
+      if (this.state.player.vitals.stress > 50) detectChance += 5; // Nervous behavior visible
+      detectChance += this.security.getDetectionBonus(this.state); // The whole building is on edge
+      
+      // Noise modifier
+      if (envNoise === 'loud') detectChance -= 5;
+      if (envNoise === 'silent') detectChance += 10;
+      
+      // Lighting shapes the cone; a glimpse past cover is half as telling
+      detectChance *= sight.visibility;
+      
+      // Roll
+      const roll = rng.stream(RNG_STREAMS.DETECTION).roll();
+      
+      if (roll < detectChance) {
+        // Detection successful - INCREMENT, don't instant fail
+        const currentDetection = this.state.player.vitals.detection || 0;
+        const newDetection = Math.min(100, currentDetection + DETECTION_INCREMENT);
+        this.state.player.vitals.detection = newDetection;
+        
+        // Emit event for UI update
+        this.eventBus.emit('detection:increased', { 
+          level: newDetection,
+          npc: npc.id 
+        });
+        
+        // Threshold responses
+        if (newDetection >= 100) {
+          // Mission fail at 100 - resolved by the mission's lose conditions
+          return;
+        } else if (newDetection >= 80 && !npc._engagementHandled) {
+          // Engage at 80+
+          npc.engaged = true;
+          npc._engagementHandled = true;
+          this.handleNPCEngagement(npc);
+        } else if (newDetection >= 50 && npc.awareness !== 'suspicious') {
+          // Suspicious at 50+
+          npc.awareness = 'suspicious';
+          if (!npc._alreadySpotted) {
+            this.eventBus.emit('npc:spotted', { npc: npc.getState(), type: npc.type });
+            this.sloan.forceSpeech("They're getting suspicious. Be careful.");
+            npc._alreadySpotted = true;
+          }
+        } else if (newDetection >= 30 && !npc._alreadySpotted) {
+          // First alert at 30+
+          npc.awareness = 'alert';
+          this.sloan.forceSpeech("Watch it. Someone's looking around.");
+          npc._alreadySpotted = true;
+        }
+      }
+    }
+  }
+
+  /**
+   * Handle NPC engaging the player
+   */
+  handleNPCEngagement(npc) {
+    if (npc.awareness === 'hostile') {
+      // Enter combat mode
+      this.modeManager.transitionTo('combat', { pushToStack: true });
+      this.eventBus.emit('danger:detected', { type: 'combat', npc: npc.getState() });
+      this.sloan.forceSpeech("Contact! You've been made!");
+      this.escalate(npc);
+    } else if (npc.dialogueId || npc.type === 'guard') {
+      // Enter dialogue mode
+      this.startDialogue(npc.id);
+    }
+  }
+
+  /**
+   * Update mission progress - objectives, scripted events, win/lose
+   */
+  updateMission() {
+    if (!this.mission) return;
+    
+    // Prevent multiple triggers
+    if (this.state.hasFlag('game_over') || this.state.hasFlag('mission_complete')) return;
+    
+    // Objectives complete themselves
+    const completed = this.mission.updateObjectives(this.state);
+    for (const objective of completed) {
+      this.eventBus.emit('objective:completed', { objectiveId: objective.id });
+    }
+    if (completed.length > 0) {
+      this.eventBus.emit('objectives:updated', { objectives: this.state.objectives });
+    }
+    
+    // Scripted events (sloan_speak, set_flag, NPC schedules...)
+    const triggered = this.mission.checkEvents(this.state, this.eventBus);
+    if (triggered.length > 0) {
+      this.notifyStateChanged();
+    }
+    
+    // Win/lose conditions
+    const outcome = this.mission.checkEndConditions(this.state);
+    if (!outcome.ended) return;
+    
+    this.mission.finish(outcome.result, this.state);
+    
+    if (outcome.result === 'success') {
+      this.handleMissionComplete();
+    } else {
+      this.handleGameOver(outcome.reason);
+    }
+  }
+
+  /**
+   * Handle game over
+   */
+  handleGameOver(reason) {
+    if (this.state.hasFlag('game_over')) return; // Prevent multiple triggers
+    this.state.setFlag('game_over', true);
+    
+    this.sloan.forceSpeech("We've lost contact. Mission failed.");
+    
+    this.endMission('failure', reason);
+  }
+
+  /**
+   * Handle mission complete
+   */
+  handleMissionComplete() {
+    if (this.state.hasFlag('mission_complete')) return;
+    this.state.setFlag('mission_complete', true);
+    
+    this.sloan.forceSpeech("You're out. Good work. We got what we needed.");
+    
+    this.endMission('success', 'All objectives complete');
+  }
+
+  /**
+   * Record the mission outcome and announce it
+   */
+  endMission(result, reason) {
+    const mackStats = this.mack.getStats();
+
+    this.outcome = {
+      result,
+      reason,
+      missionTitle: this.mission?.title || 'Unknown',
+      seed: rng.seed,
+      tick: this.clock.tick,
+      stats: {
+        optionalComplete: this.state.objectives?.filter(o => o.optional && o.completed).length || 0,
+        ghosted: this.state.player.vitals.detection < 20,
+        mack: mackStats
+      }
+    };
+
+    this.eventBus.emit('mission:ended', this.outcome);
+  }
+}
+
+export { Simulation };
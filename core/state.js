@@ -3,6 +3,24 @@
  * Central source of truth for all game data
  */
 
+import { NPC } from '../entities/npc.js';
+import { PLAYER_SKILLS } from './constants.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Fresh facility security state
+ */
+function createSecurityState() {
+  return {
+    alertLevel: 0,
+    alarm: null,        // { triggeredBy, location, startedAt, expiresAt }
+    lockdown: null,     // { triggeredBy, level, doors: [{ roomId, exitId, wasLocked }] }
+    pendingBackup: [],  // Reinforcements on the way
+    reinforcements: 0   // How many have been spawned (for unique IDs)
+  };
+}
+
 class GameState {
   constructor() {
     // Current environment the player is in
@@ -24,13 +42,19 @@ class GameState {
       },
       conditions: [],  // Active condition modifiers
       equipment: [],   // Current inventory
-      position: { x: 0, y: 0 }  // Position within current environment
+      cash: 0,         // Money on hand - bribes come out of this
+      skills: { ...PLAYER_SKILLS }, // Skill levels (0-100) checks are made against
+      position: { x: 0, y: 0 }, // Tile position within current environment
+      facing: 'south',
+      hidden: false,            // Standing on a cover tile
+      dragging: null,           // ID of the body being dragged
+      itemUses: {}              // Uses left on items with limited uses - itemId -> uses (full until spent)
     };
     
     // Sloan state
     this.sloan = {
       mode: 'balanced',       // cautious, balanced, aggressive
-      connectionQuality: 100, // Degrades with player stress/injury
+      connectionQuality: 100, // Degrades with player stress and conditions (see ConditionManager)
       lastMessage: null,
       cooldown: 0             // Ticks until Sloan can speak again
     };
@@ -44,8 +68,35 @@ class GameState {
     // Discovered information
     this.intel = [];
     
+    // Environments the player has been in
+    this.visitedEnvironments = new Set();
+    
     // Global flags for story progression
     this.flags = new Map();
+    
+    // Doors whose lock changed this run (forced, locked down) - 'roomId/exitId' -> locked
+    this.exitLocks = new Map();
+    
+    // Time left on timed conditions - 'entityId:conditionId' -> seconds
+    this.conditionTimers = new Map();
+    
+    // Changes to room elements this run (revealed, examined, taken) - 'roomId/elementId' -> { ... }
+    this.elementStates = new Map();
+    
+    // Items lying on the floor - roomId -> [{ id, itemId, position, source, time, noticed }]
+    this.worldItems = new Map();
+    this.worldItemCount = 0;
+    
+    // Facility security response (see SecuritySystem)
+    this.security = createSecurityState();
+    
+    // Where the player last saw each NPC - npcId -> { npcId, name, type, awareness, location, position, time }
+    this.npcSightings = new Map();
+    
+    // Mission clock (in-game time of day)
+    this.startTime = 0;    // Minutes past midnight when the mission began
+    this.timeScale = 1;    // Game seconds that pass per second of simulation time
+    this.elapsedTime = 0;  // Game seconds since mission start
   }
 
   /**
@@ -57,7 +108,9 @@ class GameState {
       player: { ...this.player },
       sloan: { ...this.sloan },
       phase: this.phase,
-      npcsInRoom: this.getNPCsInCurrentRoom()
+      npcsInRoom: this.getNPCsInCurrentRoom(),
+      npcSightings: Array.from(this.npcSightings.values()),
+      elapsedTime: this.elapsedTime
     };
   }
 
@@ -80,9 +133,6 @@ class GameState {
         ));
       }
     }
-    
-    // Stress affects Sloan connection
-    this.sloan.connectionQuality = Math.max(0, 100 - this.player.vitals.stress);
   }
 
   /**
@@ -105,6 +155,177 @@ class GameState {
     return false;
   }
 
+  /**
+   * Add or spend cash - spending fails if the player can't cover it
+   */
+  addCash(amount) {
+    this.player.cash = (this.player.cash || 0) + amount;
+  }
+
+  spendCash(amount) {
+    if ((this.player.cash || 0) < amount) return false;
+    this.player.cash -= amount;
+    return true;
+  }
+
+  /**
+   * Uses left on an item - its full count until any are spent
+   */
+  getItemUses(itemId, full) {
+    return this.player.itemUses?.[itemId] ?? full;
+  }
+
+  setItemUses(itemId, uses) {
+    this.player.itemUses = { ...this.player.itemUses, [itemId]: uses };
+  }
+
+  clearItemUses(itemId) {
+    if (this.player.itemUses) delete this.player.itemUses[itemId];
+  }
+
+  /**
+   * Whether an exit is locked right now (run overrides win over the blueprint)
+   */
+  isExitLocked(roomId, exit) {
+    const key = `${roomId}/${exit.id}`;
+    return this.exitLocks.has(key) ? this.exitLocks.get(key) : !!exit.locked;
+  }
+
+  /**
+   * Lock or unlock an exit for the rest of the run
+   */
+  setExitLocked(roomId, exitId, locked) {
+    this.exitLocks.set(`${roomId}/${exitId}`, locked);
+  }
+
+  /**
+   * Whether a container is locked right now (picked or bypassed ones stay open)
+   */
+  isElementLocked(roomId, element) {
+    return !!element.locked && !this.getElementState(roomId, element.id).unlocked;
+  }
+
+  /**
+   * What's still in a container - its contents, plus anything hidden once
+   * it's been searched, less whatever's been taken
+   */
+  getContainerContents(roomId, element) {
+    const { searched, taken = [] } = this.getElementState(roomId, element.id);
+    return [...(element.contents || []), ...(searched ? element.hiddenContents || [] : [])]
+      .filter(itemId => !taken.includes(itemId));
+  }
+
+  /**
+   * Leave an item lying on a tile
+   * @param {string} source - Who left it there ('player' or an NPC ID)
+   * @returns {Object} The floor item
+   */
+  addWorldItem(roomId, itemId, position, source = 'player') {
+    const item = {
+      id: `dropped-${++this.worldItemCount}`,
+      itemId,
+      position: { x: position.x, y: position.y },
+      source,
+      time: this.elapsedTime,
+      noticed: false
+    };
+    this.worldItems.set(roomId, [...this.getWorldItems(roomId), item]);
+    return item;
+  }
+
+  /**
+   * Items lying on the floor of a room
+   */
+  getWorldItems(roomId) {
+    return this.worldItems.get(roomId) || [];
+  }
+
+  /**
+   * Pick a floor item up off the floor
+   * @returns {Object|null} The item, if it was there
+   */
+  removeWorldItem(roomId, id) {
+    const item = this.getWorldItems(roomId).find(entry => entry.id === id);
+    if (!item) return null;
+    this.worldItems.set(roomId, this.getWorldItems(roomId).filter(entry => entry !== item));
+    return item;
+  }
+
+  /**
+   * What's happened to a room element this run
+   */
+  getElementState(roomId, elementId) {
+    return this.elementStates.get(`${roomId}/${elementId}`) || {};
+  }
+
+  /**
+   * Record a change to a room element
+   */
+  updateElementState(roomId, elementId, changes) {
+    const key = `${roomId}/${elementId}`;
+    this.elementStates.set(key, { ...this.elementStates.get(key), ...changes });
+  }
+
+  /**
+   * Note where the player has just seen an NPC (stamped with the mission clock)
+   */
+  recordSighting(npc) {
+    this.npcSightings.set(npc.id, {
+      npcId: npc.id,
+      name: npc.name,
+      type: npc.type,
+      awareness: npc.awareness,
+      location: npc.location,
+      position: { ...npc.position },
+      time: this.elapsedTime
+    });
+  }
+
+  /**
+   * Record that the player has been in an environment
+   */
+  markVisited(envId) {
+    this.visitedEnvironments.add(envId);
+  }
+
+  /**
+   * Advance the mission clock by an amount of simulation time (ms)
+   */
+  advanceTime(deltaMs) {
+    this.elapsedTime += (deltaMs / 1000) * this.timeScale;
+  }
+
+  /**
+   * Current time of day, in minutes past midnight
+   */
+  getTimeOfDay() {
+    return (this.startTime + this.elapsedTime / 60) % MINUTES_PER_DAY;
+  }
+
+  /**
+   * Current hour of the day (0-23)
+   */
+  getGameHour() {
+    return Math.floor(this.getTimeOfDay() / 60);
+  }
+
+  /**
+   * Current time of day as "HH:MM"
+   */
+  getClockTime() {
+    return formatClockTime(this.getTimeOfDay());
+  }
+
+  /**
+   * Whether the clock has passed a time of day since the mission began
+   * (times earlier than the start time are read as the following day)
+   */
+  hasReachedTime(clockTime) {
+    const target = typeof clockTime === 'string' ? parseClockTime(clockTime) : clockTime;
+    const minutesUntil = (target - this.startTime + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return this.elapsedTime / 60 >= minutesUntil;
+  }
+
   /**
    * Set a story flag
    */
@@ -120,35 +341,86 @@ class GameState {
   }
 
   /**
-   * Save state to JSON (for save/load functionality)
+   * Get plain save data (for save/load functionality)
    */
-  serialize() {
-    return JSON.stringify({
+  getSaveData() {
+    return {
       currentEnvironment: this.currentEnvironment,
       player: this.player,
       sloan: this.sloan,
       objectives: this.objectives,
       phase: this.phase,
       intel: this.intel,
+      visitedEnvironments: Array.from(this.visitedEnvironments),
       flags: Array.from(this.flags.entries()),
+      exitLocks: Array.from(this.exitLocks.entries()),
+      elementStates: Array.from(this.elementStates.entries()),
+      worldItems: Array.from(this.worldItems.entries()),
+      worldItemCount: this.worldItemCount,
+      conditionTimers: Array.from(this.conditionTimers.entries()),
+      npcSightings: Array.from(this.npcSightings.entries()),
+      security: this.security,
+      startTime: this.startTime,
+      timeScale: this.timeScale,
+      elapsedTime: this.elapsedTime,
       npcs: Array.from(this.npcs.entries()).map(([id, npc]) => [id, npc.serialize()])
-    });
+    };
+  }
+
+  /**
+   * Save state to JSON (for save/load functionality)
+   */
+  serialize() {
+    return JSON.stringify(this.getSaveData());
   }
 
   /**
-   * Load state from JSON
+   * Load state from JSON (or already parsed save data)
    */
   deserialize(json) {
-    const data = JSON.parse(json);
+    const data = typeof json === 'string' ? JSON.parse(json) : structuredClone(json);
     this.currentEnvironment = data.currentEnvironment;
     this.player = data.player;
     this.sloan = data.sloan;
     this.objectives = data.objectives;
     this.phase = data.phase;
     this.intel = data.intel;
+    this.visitedEnvironments = new Set(data.visitedEnvironments || []);
     this.flags = new Map(data.flags);
-    // NPCs would need to be reinstantiated from their serialized form
+    this.exitLocks = new Map(data.exitLocks || []);
+    this.elementStates = new Map(data.elementStates || []);
+    this.worldItems = new Map(data.worldItems || []);
+    this.worldItemCount = data.worldItemCount || 0;
+    this.conditionTimers = new Map(data.conditionTimers || []);
+    this.npcSightings = new Map(data.npcSightings || []);
+    this.security = { ...createSecurityState(), ...data.security };
+    this.startTime = data.startTime ?? this.startTime;
+    this.timeScale = data.timeScale ?? this.timeScale;
+    this.elapsedTime = data.elapsedTime ?? 0;
+    
+    // Rebuild live NPC instances (vitals, patrol progress, awareness)
+    this.npcs = new Map(
+      (data.npcs || []).map(([id, npcData]) => [id, NPC.deserialize(npcData)])
+    );
   }
 }
 
-export { GameState };
+/**
+ * Parse "HH:MM" into minutes past midnight
+ */
+function parseClockTime(value) {
+  const [hours, minutes = 0] = String(value).split(':').map(Number);
+  return ((hours * 60 + minutes) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+}
+
+/**
+ * Format minutes past midnight as "HH:MM"
+ */
+function formatClockTime(minutesOfDay) {
+  const total = Math.floor(minutesOfDay) % MINUTES_PER_DAY;
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+export { GameState, parseClockTime, formatClockTime };
@@ -0,0 +1,124 @@
+/**
+ * VISION SYSTEM
+ * NPC sight as a set of blueprint tiles: a cone sized by room lighting and
+ * the NPC's awareness, clipped by raycast line of sight. Detection and the
+ * rendered cones both read the same tile set.
+ */
+
+import { VISION_CONFIG, DIRECTIONS } from './constants.js';
+import { RoomGrid } from './grid.js';
+
+class VisionSystem {
+  constructor(pathfinder, environments) {
+    this.pathfinder = pathfinder;
+    this.environments = environments;
+  }
+
+  /**
+   * Cone range (tiles) and angle (degrees) for an NPC in its current room
+   */
+  getConeParams(npc) {
+    const lighting = this.environments.get(npc.location)?.attributes?.lighting || 'normal';
+    const awareness = VISION_CONFIG.AWARENESS[npc.awareness] || VISION_CONFIG.AWARENESS.unaware;
+
+    return {
+      range: Math.max(1, VISION_CONFIG.RANGE + (VISION_CONFIG.LIGHTING_RANGE[lighting] || 0) + awareness.range),
+      angle: VISION_CONFIG.ANGLE + awareness.angle
+    };
+  }
+
+  /**
+   * Every tile an NPC can see, with how clearly (1 = clear, less behind cover)
+   * @returns {Array} [{ x, y, visibility }]
+   */
+  getVisibleTiles(npc) {
+    const grid = this.pathfinder.getGrid(npc.location);
+    if (!grid || !npc.vitals.canAct()) return [];
+
+    const { range, angle } = this.getConeParams(npc);
+    const facing = DIRECTIONS[npc.facing] || DIRECTIONS.south;
+    const minCos = Math.cos((angle / 2) * Math.PI / 180) - 1e-9;
+    const origin = npc.position;
+    const tiles = [];
+
+    for (let y = origin.y - range; y <= origin.y + range; y++) {
+      for (let x = origin.x - range; x <= origin.x + range; x++) {
+        if (!grid.inBounds(x, y) || grid.isOpaque(x, y)) continue;
+
+        const dx = x - origin.x;
+        const dy = y - origin.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance === 0 || distance > range) continue;
+
+        // Inside the cone?
+        if ((dx * facing.x + dy * facing.y) / distance < minCos) continue;
+
+        const visibility = this.traceSight(grid, origin, { x, y });
+        if (visibility > 0) {
+          tiles.push({ x, y, visibility });
+        }
+      }
+    }
+
+    return tiles;
+  }
+
+  /**
+   * Cast a ray between two tiles. Opaque tiles stop it; each cover tile it
+   * crosses (including the target's own) dims it, and two or more hide the target.
+   * @returns {number} Visibility 0-1
+   */
+  traceSight(grid, from, to) {
+    let coverCount = 0;
+
+    for (const tile of VisionSystem.line(from, to)) {
+      if (grid.isOpaque(tile.x, tile.y)) return 0;
+      if (grid.isCover(tile.x, tile.y)) coverCount++;
+    }
+
+    if (coverCount === 0) return 1;
+    return coverCount === 1 ? VISION_CONFIG.COVER_VISIBILITY : 0;
+  }
+
+  /**
+   * How clearly an NPC sees a position, from its current visible tiles
+   * @returns {Object} { visible, visibility, distance }
+   */
+  canSee(npc, position, visibleTiles = npc.visibleTiles) {
+    const key = RoomGrid.key(position);
+    const tile = (visibleTiles || []).find(t => RoomGrid.key(t) === key);
+    const dx = position.x - npc.position.x;
+    const dy = position.y - npc.position.y;
+
+    return {
+      visible: !!tile,
+      visibility: tile?.visibility || 0,
+      distance: Math.sqrt(dx * dx + dy * dy)
+    };
+  }
+
+  /**
+   * Tiles a straight line passes through after the start (Bresenham), ending at the target
+   */
+  static line(from, to) {
+    const tiles = [];
+    let x = from.x;
+    let y = from.y;
+    const dx = Math.abs(to.x - x);
+    const dy = -Math.abs(to.y - y);
+    const sx = x < to.x ? 1 : -1;
+    const sy = y < to.y ? 1 : -1;
+    let error = dx + dy;
+
+    while (x !== to.x || y !== to.y) {
+      const e2 = 2 * error;
+      if (e2 >= dy) { error += dy; x += sx; }
+      if (e2 <= dx) { error += dx; y += sy; }
+      tiles.push({ x, y });
+    }
+
+    return tiles;
+  }
+}
+
+export { VisionSystem };
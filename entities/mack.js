@@ -3,6 +3,9 @@
  * AI-powered character with variable reliability based on sobriety
  */
 
+import { RNG_STREAMS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
+
 /**
  * Mack configuration defaults
  */
@@ -28,7 +31,7 @@ const MackConfig = {
     drunk: 1.0
   },
   
-  // Cooldown between calls (game ticks)
+  // Cooldown between calls (game ticks, 10 per second)
   callCooldown: 100,
   
   // Sobriety mode: 'random', 'time-based', 'degrading'
@@ -149,6 +152,7 @@ class Mack {
     this.state = 'unknown'; // sharp, tipsy, drunk, passedOut
     this.cooldown = 0;
     this.callCount = 0; // For degrading mode
+    this.gameHour = null; // In-game hour, from time:changed
     
     // LLM configuration
     this.llmEnabled = config.llmEnabled || false;
@@ -174,34 +178,37 @@ class Mack {
     this.eventBus.on('mack:contact', (data) => this.handleContact(data));
     this.eventBus.on('game:tick', () => this.tick());
     this.eventBus.on('mack:sobrietyBoost', (data) => this.applySobrietyBoost(data.amount));
+    this.eventBus.on('time:changed', (data) => { this.gameHour = data.hour; });
   }
 
   /**
    * Roll sobriety based on configured mode
    */
   rollSobriety() {
+    const random = rng.stream(RNG_STREAMS.MACK);
+    
     switch (this.config.sobrietyMode) {
       case 'random':
-        return Math.floor(Math.random() * 100);
+        return random.int(0, 99);
       
       case 'time-based':
         // Assume gameHour is 0-23
         const hour = this.getGameHour();
         // Worse at night (20-4), better during day
         if (hour >= 20 || hour < 4) {
-          return Math.floor(Math.random() * 50); // 0-49
+          return random.int(0, 49);
         } else if (hour >= 8 && hour < 18) {
-          return 50 + Math.floor(Math.random() * 50); // 50-99
+          return random.int(50, 99);
         } else {
-          return Math.floor(Math.random() * 100); // Full random
+          return random.int(0, 99); // Full random
         }
       
       case 'degrading':
         // Starts at 80, loses 15 per call
-        return Math.max(0, 80 - (this.callCount * 15) + Math.floor(Math.random() * 20) - 10);
+        return Math.max(0, 80 - (this.callCount * 15) + random.int(-10, 9));
       
       default:
-        return Math.floor(Math.random() * 100);
+        return random.int(0, 99);
     }
   }
 
@@ -257,6 +264,9 @@ class Mack {
     let response;
     if (this.llmEnabled && this.llmEndpoint) {
       response = await this.getLLMResponse(data);
+    } else if (data.recipeHint) {
+      // Mack's scripted wisdom is mostly about what you can rig from what you've got
+      response = data.recipeHint;
     } else {
       response = this.getFallbackResponse();
     }
@@ -315,7 +325,8 @@ class Mack {
 Location: ${data.currentRoom || 'unknown'}
 Objective: ${data.objective || 'unknown'}
 Nearby threats: ${data.threats?.join(', ') || 'none reported'}
-Question: ${data.question || 'general help needed'}
+Question: ${data.question || 'general help needed'}${data.recipeHint ? `
+Something they could rig up: ${data.recipeHint}` : ''}
 
 Respond in character as Mack.`;
   }
@@ -370,43 +381,44 @@ Respond in character as Mack.`;
    * Apply drunk text effects
    */
   garbleText(text, drunkLevel) {
+    const random = rng.stream(RNG_STREAMS.MACK);
     let result = text;
 
     // Slur 's' sounds (30%+ drunk)
     if (drunkLevel > 0.3) {
       result = result.replace(/s(?=[aeiou])/gi, match => 
-        Math.random() > 0.5 ? 'sh' : match
+        random.next() > 0.5 ? 'sh' : match
       );
     }
 
     // Add hiccups (50%+ drunk)
-    if (drunkLevel > 0.5 && Math.random() > 0.5) {
+    if (drunkLevel > 0.5 && random.next() > 0.5) {
       const words = result.split(' ');
-      const hiccupIndex = Math.floor(Math.random() * words.length);
+      const hiccupIndex = random.int(0, words.length - 1);
       words.splice(hiccupIndex, 0, '*hic*');
       result = words.join(' ');
     }
 
     // Repeat words (70%+ drunk)
-    if (drunkLevel > 0.7 && Math.random() > 0.6) {
+    if (drunkLevel > 0.7 && random.next() > 0.6) {
       const words = result.split(' ');
       if (words.length > 3) {
-        const repeatIndex = Math.floor(Math.random() * (words.length - 1));
+        const repeatIndex = random.int(0, words.length - 2);
         words.splice(repeatIndex + 1, 0, words[repeatIndex]);
         result = words.join(' ');
       }
     }
 
     // Trailing off (80%+ drunk)
-    if (drunkLevel > 0.8 && Math.random() > 0.5) {
+    if (drunkLevel > 0.8 && random.next() > 0.5) {
       const cutoff = Math.floor(result.length * 0.7);
       result = result.substring(0, cutoff) + '... wait, what was I...';
     }
 
     // Add pause/confusion (60%+ drunk)
-    if (drunkLevel > 0.6 && Math.random() > 0.6) {
+    if (drunkLevel > 0.6 && random.next() > 0.6) {
       const insertions = ['...', 'uh...', 'wait...', 'no, wait...'];
-      const insertion = insertions[Math.floor(Math.random() * insertions.length)];
+      const insertion = random.pick(insertions);
       const words = result.split(' ');
       const insertIndex = Math.floor(words.length / 2);
       words.splice(insertIndex, 0, insertion);
@@ -420,15 +432,15 @@ Respond in character as Mack.`;
    * Get random element from array
    */
   getRandomFromArray(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return rng.stream(RNG_STREAMS.MACK).pick(arr);
   }
 
   /**
-   * Get current game hour (would be connected to game state)
+   * Get current game hour (from the mission clock)
    */
   getGameHour() {
-    // Placeholder - would read from game state
-    return new Date().getHours();
+    // Before any mission clock has run, fall back to the real hour
+    return this.gameHour ?? new Date().getHours();
   }
 
   /**
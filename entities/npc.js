@@ -4,7 +4,38 @@
  */
 
 import { NPCVitals } from '../pillars/vitals.js';
-import { NPC_AWARENESS, NPC_BEHAVIORS, NPC_CAPABILITIES } from '../core/constants.js';
+import {
+  NPC_AWARENESS, NPC_BEHAVIORS, NPC_CAPABILITIES, RNG_STREAMS, NOISE_CONFIG,
+  NPC_SEARCH_STATES, SEARCH_CONFIG, BODY_CAUSES, BODY_CONFIG, FLOOR_ITEM_CONFIG
+} from '../core/constants.js';
+import { rng } from '../core/rng.js';
+import { RoomGrid } from '../core/grid.js';
+
+// ==============================================
+// NPC MOVEMENT CONSTANTS
+// ==============================================
+const NPC_STEP_TICKS = 5; // Ticks per tile walked (2 tiles/s at 10 ticks/s)
+const LOOK_AROUND = ['north', 'east', 'south', 'west'];
+const LOOK_TICKS = 10; // Ticks before turning to look another way
+
+// What NPCs mutter when a search ends, by outcome
+const SEARCH_LINES = {
+  nothing: [
+    "Must've been nothing.",
+    "Building's settling again.",
+    "Rats in the walls, probably."
+  ],
+  lost: [
+    "Could've sworn I saw someone...",
+    "Lost them. Keep your eyes open.",
+    "Nobody here. Not anymore."
+  ],
+  found: [
+    "There you are!",
+    "Hey! Don't move!",
+    "Got you."
+  ]
+};
 
 class NPC {
   constructor(config) {
@@ -18,13 +49,36 @@ class NPC {
     // Location
     this.location = config.location;
     this.position = config.position || { x: 0, y: 0 };
+    this.previousPosition = { ...this.position }; // Position at the start of the last tick (for render interpolation)
     this.facing = config.facing || 'south';
+    this.home = config.home || { ...this.position }; // Post to return to after being drawn away
     
     // Behavior pattern
     this.behavior = config.behavior || NPC_BEHAVIORS.STATIONARY;
-    this.patrolPath = config.patrolPath || null;
+    // Patrol points may be in other rooms - untagged points are in the spawn room
+    this.patrolPath = config.patrolPath?.map(point => ({ location: config.location, ...point })) || null;
     this.patrolIndex = 0;
     this.patrolDirection = 1; // 1 = forward, -1 = backward
+
+    // Route being walked (whole tiles, from the pathfinder)
+    this.path = [];
+    this.pathTarget = null;
+    this.stepTicks = config.stepTicks || NPC_STEP_TICKS;
+    this.moveCooldown = 0;
+    this.heading = null; // Next exit while travelling to another room: { exitId, destination }
+
+    // Tiles currently in view - set each tick by the VisionSystem
+    this.visibleTiles = [];
+
+    // Leads worth checking out: where the player was last seen, and any
+    // search under way ({ state, reason, position, spots, spotIndex, timer })
+    this.lastKnownPosition = config.lastKnownPosition || null;
+    this.search = config.search || null;
+    this.lead = null; // Newest sighting or noise, picked up next tick
+    
+    // Set while the NPC is down: { cause, wakeAt, hidden, hiddenIn, searched, discovered }
+    // hidden is 'container' or 'cover' once the player stashes them
+    this.body = config.body || null;
     
     // Awareness and engagement
     this.awareness = config.awareness || NPC_AWARENESS.UNAWARE;
@@ -66,79 +120,82 @@ class NPC {
       type: this.type,
       name: this.name,
       position: this.position,
+      previousPosition: this.previousPosition,
       facing: this.facing,
+      visibleTiles: this.visibleTiles,
       awareness: this.awareness,
       engaged: this.engaged,
       behavior: this.behavior,
+      body: this.body,
       capabilities: Array.from(this.capabilities)
     };
   }
 
   /**
-   * Handle player detection
+   * React to seeing the player
+   * @param {Object} sight - From VisionSystem.canSee: { visible, visibility, distance }
+   * @param {Object} position - Where the player was seen
    */
-  detectPlayer(playerPosition, playerHidden, environmentNoise) {
-    if (!this.vitals.canAct()) return false;
+  detectPlayer(sight, position = null) {
+    if (!this.vitals.canAct() || !sight.visible) return false;
     
-    // Calculate detection based on distance and facing
-    const dx = playerPosition.x - this.position.x;
-    const dy = playerPosition.y - this.position.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    if (position) {
+      this.lead = { position: { x: position.x, y: position.y }, reason: 'sighting' };
+    }
     
-    // Base detection range
-    let detectionRange = 5;
+    // Closer, clearer sightings raise suspicion faster; cover dims them
+    const suspicionIncrease = Math.max(5, 30 - sight.distance * 5) * sight.visibility;
+    this.vitals.addSuspicion(suspicionIncrease);
     
-    // Hidden players are harder to detect
-    if (playerHidden) {
-      detectionRange *= 0.3;
+    if (this.awareness === NPC_AWARENESS.HOSTILE || 
+        this.awareness === NPC_AWARENESS.ALERT) {
+      this.engaged = true;
+      this.targetEntity = 'player';
     }
     
-    // Check if player is in front of NPC
-    const inFront = this.isInFront(dx, dy);
-    if (!inFront) {
-      detectionRange *= 0.2; // Much harder to detect behind
-    }
+    return true;
+  }
+
+  /**
+   * React to hearing a noise
+   * @param {Object} origin - Where it seemed to come from (in this NPC's room)
+   * @param {number} strength - Tiles of reach left when it got here
+   */
+  hearNoise(origin, strength) {
+    if (!this.vitals.canAct()) return false;
     
-    // Noisy environments reduce awareness
-    if (environmentNoise === 'loud') {
-      detectionRange *= 0.7;
-    }
+    this.vitals.addSuspicion(Math.min(NOISE_CONFIG.MAX_SUSPICION, strength * NOISE_CONFIG.SUSPICION_PER_TILE));
     
-    if (distance <= detectionRange) {
-      // Calculate suspicion increase based on proximity
-      const suspicionIncrease = Math.max(5, 30 - distance * 5);
-      this.vitals.addSuspicion(suspicionIncrease);
-      
-      if (this.awareness === NPC_AWARENESS.HOSTILE || 
-          this.awareness === NPC_AWARENESS.ALERT) {
-        this.engaged = true;
-        this.targetEntity = 'player';
-      }
-      
-      return true;
-    }
+    // Already on the player - a noise won't distract them
+    if (this.engaged) return true;
     
-    return false;
+    this.lead = { position: { x: origin.x, y: origin.y }, reason: 'noise' };
+    return true;
   }
 
   /**
-   * Check if a position is in front of the NPC
+   * Something over there caught their eye - go and look, without thinking
+   * anything of it (a thrown coin, a rattle by the door)
+   * @param {Object} position - Where it went off (in this NPC's room)
    */
-  isInFront(dx, dy) {
-    switch (this.facing) {
-      case 'north': return dy < 0;
-      case 'south': return dy > 0;
-      case 'east': return dx > 0;
-      case 'west': return dx < 0;
-      default: return true;
-    }
+  distract(position) {
+    if (!this.vitals.canAct() || this.engaged) return false;
+    
+    this.lead = { position: { x: position.x, y: position.y }, reason: 'noise' };
+    return true;
   }
 
   /**
    * Update NPC behavior each tick
+   * @param {Object} world - Shared services: { pathfinder, eventBus }
    */
-  tick(gameState) {
-    if (!this.vitals.canAct()) return;
+  tick(gameState, world = {}) {
+    this.previousPosition = { ...this.position };
+
+    if (!this.vitals.canAct()) {
+      this.updateBody(gameState, world);
+      return;
+    }
     
     // Decay suspicion if not engaged
     if (!this.engaged && this.awareness !== NPC_AWARENESS.HOSTILE) {
@@ -147,21 +204,32 @@ class NPC {
     
     // Update awareness state
     this.updateAwareness();
-    
-    // Execute behavior pattern
-    switch (this.behavior) {
-      case NPC_BEHAVIORS.PATROL:
-        this.executePatrol();
-        break;
-      case NPC_BEHAVIORS.WORKER:
-        this.executeWork();
-        break;
-      case NPC_BEHAVIORS.WANDER:
-        this.executeWander();
-        break;
-      case NPC_BEHAVIORS.GUARD:
-        this.executeGuard();
-        break;
+    this.updateSearch(world);
+    
+    // Engaged NPCs close in on the player; searching NPCs follow their lead;
+    // otherwise follow their routine
+    if (this.engaged && this.targetEntity === 'player') {
+      this.executeChase(gameState, world);
+    } else if (this.search) {
+      this.executeSearch(world);
+    } else {
+      switch (this.behavior) {
+        case NPC_BEHAVIORS.PATROL:
+          this.executePatrol(world);
+          break;
+        case NPC_BEHAVIORS.WORKER:
+          this.executeWork(world);
+          break;
+        case NPC_BEHAVIORS.WANDER:
+          this.executeWander(world);
+          break;
+        case NPC_BEHAVIORS.GUARD:
+          this.executeGuard(world);
+          break;
+        case NPC_BEHAVIORS.STATIONARY:
+          this.returnToPost(world);
+          break;
+      }
     }
     
     // Decrease action cooldown
@@ -192,14 +260,14 @@ class NPC {
   /**
    * Execute patrol behavior
    */
-  executePatrol() {
+  executePatrol(world) {
     if (!this.patrolPath || this.patrolPath.length < 2) return;
-    if (this.awareness === NPC_AWARENESS.ALERT || this.engaged) return;
+    if (this.engaged) return;
     
     const target = this.patrolPath[this.patrolIndex];
     
-    // Move toward target point
-    if (this.moveToward(target)) {
+    // Move toward target point, through other rooms if need be
+    if (this.travelTo(target, world)) {
       // Reached point, move to next
       this.patrolIndex += this.patrolDirection;
       
@@ -217,77 +285,433 @@ class NPC {
   /**
    * Execute worker behavior
    */
-  executeWork() {
+  executeWork(world) {
     if (this.awareness !== NPC_AWARENESS.UNAWARE) return;
     if (this.workStations.length === 0) return;
     
+    // Still walking over to a station
+    if (this.pathTarget) {
+      this.moveToward(this.pathTarget, world);
+      return;
+    }
+    
     this.idleTimer++;
     
     // Occasionally move to different work station
-    if (this.idleTimer > 50 + Math.random() * 50) {
+    if (this.idleTimer > 50 + rng.stream(RNG_STREAMS.NPC).roll(50)) {
       this.idleTimer = 0;
       this.currentWorkStation = (this.currentWorkStation + 1) % this.workStations.length;
-      // Would need environment data to get actual position
+      
+      const stationId = this.workStations[this.currentWorkStation];
+      const route = world.pathfinder?.findPathToElement(this.location, this.position, stationId);
+      if (route?.length) {
+        this.path = route;
+        this.pathTarget = { ...route[route.length - 1] };
+      }
     }
   }
 
   /**
    * Execute wander behavior
    */
-  executeWander() {
+  executeWander(world) {
     if (this.awareness !== NPC_AWARENESS.UNAWARE) return;
     
     this.idleTimer++;
     
-    if (this.idleTimer > 30 + Math.random() * 40) {
+    const random = rng.stream(RNG_STREAMS.NPC);
+    if (this.idleTimer > 30 + random.roll(40)) {
       this.idleTimer = 0;
-      // Random small movement
-      this.position.x += Math.floor(Math.random() * 3) - 1;
-      this.position.y += Math.floor(Math.random() * 3) - 1;
-      this.updateFacing();
+      // Random step to an open tile, staying in the room
+      const grid = world.pathfinder?.getGrid(this.location);
+      const options = grid?.getNeighbors(this.position.x, this.position.y)
+        .filter(pos => !grid.getExitAt(pos.x, pos.y)) || [];
+      if (options.length > 0) {
+        this.position = random.pick(options);
+        this.updateFacing();
+      }
+    }
+  }
+
+  /**
+   * Walk back to the NPC's post if something drew them away
+   * @returns {boolean} True once at the post
+   */
+  returnToPost(world) {
+    return this.moveToward(this.home, world);
+  }
+
+  /**
+   * Walk back to where the routine left off
+   * @returns {boolean} True once back
+   */
+  returnToRoute(world) {
+    switch (this.behavior) {
+      case NPC_BEHAVIORS.PATROL:
+        return !this.patrolPath?.length || this.travelTo(this.patrolPath[this.patrolIndex], world);
+      case NPC_BEHAVIORS.STATIONARY:
+      case NPC_BEHAVIORS.GUARD:
+        return this.returnToPost(world);
+      default:
+        return true; // Workers and wanderers just pick up from wherever they are
+    }
+  }
+
+  /**
+   * Start (or redirect) a search from the newest lead, or end it once the
+   * NPC has the player. Noises are always worth a look; a glimpse only once wary.
+   */
+  updateSearch(world) {
+    if (this.engaged) {
+      if (this.search && this.search.state !== NPC_SEARCH_STATES.RETURNING) {
+        this.endSearch('found', world);
+      }
+      this.search = null;
+      this.lead = null;
+      return;
+    }
+    
+    const lead = this.lead;
+    this.lead = null;
+    if (!lead) return;
+    
+    if (lead.reason === 'sighting') {
+      if (this.awareness !== NPC_AWARENESS.SUSPICIOUS && this.awareness !== NPC_AWARENESS.ALERT) return;
+      this.lastKnownPosition = { ...lead.position };
+    }
+    
+    const underway = this.search && this.search.state !== NPC_SEARCH_STATES.RETURNING;
+    this.search = {
+      state: NPC_SEARCH_STATES.INVESTIGATING,
+      // A sighting outweighs noises for the rest of the search
+      reason: underway && this.search.reason === 'sighting' ? 'sighting' : lead.reason,
+      position: { ...lead.position },
+      spots: [],
+      spotIndex: 0,
+      timer: 0
+    };
+    this.clearPath();
+    
+    if (!underway) {
+      this.emitSearchEvent('npc:investigating', world, {
+        reason: lead.reason,
+        position: { ...lead.position }
+      });
+    }
+  }
+
+  /**
+   * Work a search: go to the last known position and look around, check
+   * the nearby hiding spots one by one, then head back to the route
+   */
+  executeSearch(world) {
+    const search = this.search;
+    
+    switch (search.state) {
+      case NPC_SEARCH_STATES.INVESTIGATING: {
+        if (!this.moveToward(search.position, world)) return;
+        
+        if (search.timer % LOOK_TICKS === 0) {
+          this.facing = LOOK_AROUND[(search.timer / LOOK_TICKS) % LOOK_AROUND.length];
+        }
+        if (++search.timer < SEARCH_CONFIG.LINGER) return;
+        
+        search.spots = this.findSearchSpots(world);
+        search.timer = 0;
+        if (search.spots.length === 0) {
+          this.endSearch(this.getSearchOutcome(), world);
+          return;
+        }
+        
+        search.state = NPC_SEARCH_STATES.SEARCHING;
+        this.emitSpotEvent(world);
+        return;
+      }
+      
+      case NPC_SEARCH_STATES.SEARCHING: {
+        const spot = search.spots[search.spotIndex];
+        if (!this.moveToward(spot.position, world)) return;
+        
+        this.facing = spot.facing;
+        if (++search.timer < SEARCH_CONFIG.CHECK) return;
+        
+        search.timer = 0;
+        search.spotIndex++;
+        if (search.spotIndex >= search.spots.length) {
+          this.endSearch(this.getSearchOutcome(), world);
+          return;
+        }
+        this.emitSpotEvent(world);
+        return;
+      }
+      
+      case NPC_SEARCH_STATES.RETURNING:
+        if (this.returnToRoute(world)) {
+          this.search = null;
+        }
+        return;
+    }
+  }
+
+  /**
+   * Hiding spots near the search position, nearest first: one per piece of
+   * cover, with where to stand beside it and which way to look
+   * @returns {Array} [{ position, facing, target }]
+   */
+  findSearchSpots(world) {
+    const grid = world.pathfinder?.getGrid(this.location);
+    if (!grid) return [];
+    
+    const origin = this.search.position;
+    const radius = SEARCH_CONFIG.RADIUS;
+    const coverElements = grid.elements.filter(el => el.provideCover);
+    const spots = new Map(); // Cover element id or tile key -> best spot
+    
+    for (let y = origin.y - radius; y <= origin.y + radius; y++) {
+      for (let x = origin.x - radius; x <= origin.x + radius; x++) {
+        if (!grid.inBounds(x, y) || !grid.isCover(x, y)) continue;
+        
+        const element = coverElements.find(el =>
+          RoomGrid.footprint(el).some(tile => tile.x === x && tile.y === y));
+        const key = element ? element.id : RoomGrid.key({ x, y });
+        
+        for (const stand of grid.getNeighbors(x, y)) {
+          if (grid.getExitAt(stand.x, stand.y) || grid.isCover(stand.x, stand.y)) continue;
+          
+          const distance = Math.abs(stand.x - origin.x) + Math.abs(stand.y - origin.y);
+          if (spots.has(key) && spots.get(key).distance <= distance) continue;
+          
+          spots.set(key, {
+            position: stand,
+            facing: RoomGrid.directionBetween(stand, { x, y }),
+            target: element ? element.name.toLowerCase() : 'cover',
+            distance
+          });
+        }
+      }
+    }
+    
+    return Array.from(spots.values())
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, SEARCH_CONFIG.MAX_SPOTS)
+      .map(({ position, facing, target }) => ({ position, facing, target }));
+  }
+
+  /**
+   * How a fruitless search ends: a noise was nothing, but after a sighting
+   * or a body there was definitely someone here
+   */
+  getSearchOutcome() {
+    return this.search.reason === 'noise' ? 'nothing' : 'lost';
+  }
+
+  /**
+   * Give up (or succeed), say so, and head back to the route
+   * @param {string} outcome - 'found', 'lost' (saw someone, no sign now) or 'nothing'
+   */
+  endSearch(outcome, world) {
+    const reason = this.search.reason;
+    
+    this.clearPath();
+    this.search = outcome === 'found'
+      ? null
+      : { state: NPC_SEARCH_STATES.RETURNING, reason, position: { ...this.position }, spots: [], spotIndex: 0, timer: 0 };
+    
+    this.emitSearchEvent('npc:searchEnded', world, {
+      outcome,
+      reason,
+      line: rng.stream(RNG_STREAMS.NPC).pick(SEARCH_LINES[outcome])
+    });
+  }
+
+  /**
+   * Announce the hiding spot being checked
+   */
+  emitSpotEvent(world) {
+    const spot = this.search.spots[this.search.spotIndex];
+    this.emitSearchEvent('npc:searching', world, {
+      target: spot.target,
+      position: { ...spot.position }
+    });
+  }
+
+  /**
+   * Emit a search state change with who and where
+   */
+  emitSearchEvent(event, world, data) {
+    world.eventBus?.emit(event, {
+      npcId: this.id,
+      name: this.name,
+      type: this.type,
+      location: this.location,
+      ...data
+    });
+  }
+
+  /**
+   * Close in on the player while engaged, stopping alongside them
+   */
+  executeChase(gameState, world) {
+    if (gameState.currentEnvironment !== this.location) return;
+    
+    const target = gameState.player.position;
+    const distance = Math.abs(target.x - this.position.x) + Math.abs(target.y - this.position.y);
+    if (distance <= 1) {
+      this.clearPath();
+      this.facing = RoomGrid.directionBetween(this.position, target) || this.facing;
+      return;
     }
+    
+    this.moveToward(target, world);
   }
 
   /**
    * Execute guard behavior
    */
-  executeGuard() {
+  executeGuard(world) {
+    if (!this.returnToPost(world)) return;
+    
     // Guards stay in place but rotate facing
     this.idleTimer++;
     
-    if (this.idleTimer > 40 + Math.random() * 20) {
+    const random = rng.stream(RNG_STREAMS.NPC);
+    if (this.idleTimer > 40 + random.roll(20)) {
       this.idleTimer = 0;
       const directions = ['north', 'south', 'east', 'west'];
-      this.facing = directions[Math.floor(Math.random() * directions.length)];
+      this.facing = random.pick(directions);
     }
   }
 
   /**
-   * Move toward a target position
+   * Walk one tile along a route to a target, pathing around walls and furniture
+   * @returns {boolean} True once at the target (or if it can't be reached)
    */
-  moveToward(target, speed = 1) {
-    const dx = target.x - this.position.x;
-    const dy = target.y - this.position.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+  moveToward(target, world = {}) {
+    if (this.position.x === target.x && this.position.y === target.y) {
+      this.clearPath();
+      return true;
+    }
     
-    if (distance < 0.5) {
-      return true; // Arrived
+    // New destination - ask for a route
+    if (!this.pathTarget || this.pathTarget.x !== target.x || this.pathTarget.y !== target.y) {
+      const route = world.pathfinder?.findPath(this.location, this.position, target);
+      if (!route) {
+        world.eventBus?.emit('sim:warning', { message: `${this.id} can't reach (${target.x}, ${target.y}) in ${this.location}` });
+        this.clearPath();
+        return true; // Give up so the behavior moves on
+      }
+      this.path = route;
+      this.pathTarget = { x: target.x, y: target.y };
     }
     
-    // Normalize and apply speed
-    this.position.x += (dx / distance) * speed;
-    this.position.y += (dy / distance) * speed;
+    if (this.moveCooldown > 0) {
+      this.moveCooldown--;
+      return false;
+    }
+    this.moveCooldown = this.stepTicks - 1;
     
+    this.position = this.path.shift();
     this.updateFacing();
+    
+    if (this.path.length > 0) return false;
+    
+    this.clearPath();
+    world.eventBus?.emit('npc:arrived', {
+      npcId: this.id,
+      location: this.location,
+      position: { ...this.position }
+    });
+    return true;
+  }
+
+  /**
+   * Walk one tile toward a point that may be in another room, heading for
+   * the next exit on the way and passing through it
+   * @param {Object} target - { location, x, y } - a bare { location } just means reaching the room
+   * @returns {boolean} True once there (or if it can't be reached)
+   */
+  travelTo(target, world = {}) {
+    const location = target.location || this.location;
+    
+    if (location === this.location) {
+      this.heading = null;
+      return target.x === undefined || this.moveToward(target, world);
+    }
+    
+    const route = world.pathfinder?.findRoomRoute(this.location, location);
+    if (!route?.length) {
+      world.eventBus?.emit('sim:warning', { message: `${this.id} can't reach ${location} from ${this.location}` });
+      this.heading = null;
+      return true;
+    }
+    
+    const exit = route[0];
+    this.heading = { exitId: exit.id, destination: exit.destination };
+    if (!this.moveToward(exit.position, world)) return false;
+    
+    // moveToward also gives up on unreachable targets
+    if (this.position.x !== exit.position.x || this.position.y !== exit.position.y) {
+      this.heading = null;
+      return true;
+    }
+    
+    this.passThrough(exit, world);
     return false;
   }
 
+  /**
+   * Step through an exit into the room beyond
+   */
+  passThrough(exit, world = {}) {
+    const from = this.location;
+    const arrival = world.pathfinder?.getGrid(exit.destination)?.getArrivalPosition(from)
+      || { x: 0, y: 0 };
+    
+    world.eventBus?.emit('npc:leftRoom', {
+      npcId: this.id,
+      name: this.name,
+      location: from,
+      to: exit.destination,
+      exitId: exit.id
+    });
+    
+    this.location = exit.destination;
+    this.position = { ...arrival };
+    this.previousPosition = { ...arrival };
+    this.visibleTiles = [];
+    this.heading = null;
+    this.clearPath();
+    
+    world.eventBus?.emit('npc:enteredRoom', {
+      npcId: this.id,
+      name: this.name,
+      location: this.location,
+      from,
+      position: { ...this.position }
+    });
+  }
+
+  /**
+   * Forget the current route
+   */
+  clearPath() {
+    this.path = [];
+    this.pathTarget = null;
+  }
+
   /**
    * Update facing direction based on movement
    */
   updateFacing() {
-    // This would be based on last movement direction
-    // Simplified here
+    const dx = this.position.x - this.previousPosition.x;
+    const dy = this.position.y - this.previousPosition.y;
+    if (dx === 0 && dy === 0) return;
+
+    if (Math.abs(dx) >= Math.abs(dy)) {
+      this.facing = dx > 0 ? 'east' : 'west';
+    } else {
+      this.facing = dy > 0 ? 'south' : 'north';
+    }
   }
 
   /**
@@ -338,26 +762,130 @@ class NPC {
 
   /**
    * Apply damage to NPC
+   * @param {string} cause - What leaves them down if this drops them (BODY_CAUSES)
+   * @param {number} now - Game seconds (state.elapsedTime), for the wake timer
    */
-  takeDamage(amount) {
+  takeDamage(amount, cause = BODY_CAUSES.KILLED, now = 0) {
     this.vitals.modifyVital('health', -amount);
     
     if (this.vitals.health <= 0) {
-      this.vitals.conditions.add('unconscious');
-      this.engaged = false;
+      this.goDown(cause, now);
     }
   }
 
   /**
    * Subdue NPC (non-lethal)
+   * @returns {Array} What they're carrying - still on the body, to be searched
    */
-  subdue() {
+  subdue(now = 0) {
+    this.goDown(BODY_CAUSES.SUBDUED, now);
+    return this.inventory;
+  }
+
+  /**
+   * Drop where they stand and become a body: everything they were doing
+   * stops, and the wake timer starts unless they're dead
+   */
+  goDown(cause, now = 0) {
     this.vitals.conditions.add('unconscious');
     this.engaged = false;
     this.awareness = NPC_AWARENESS.UNAWARE;
+    this.search = null;
+    this.lead = null;
+    this.heading = null;
+    this.visibleTiles = [];
+    this.clearPath();
+    
+    const wakeTime = BODY_CONFIG.WAKE_TIME[cause];
+    this.body = {
+      cause,
+      wakeAt: wakeTime === undefined ? null : now + wakeTime,
+      hidden: null,
+      hiddenIn: null,
+      searched: false,
+      discovered: false
+    };
+  }
+
+  /**
+   * Whether the NPC is lying dead
+   */
+  isDead() {
+    return this.body?.cause === BODY_CAUSES.KILLED;
+  }
+
+  /**
+   * Count down to coming round
+   */
+  updateBody(gameState, world) {
+    const wakeAt = this.body?.wakeAt ?? null;
+    if (wakeAt === null || gameState.elapsedTime < wakeAt) return;
     
-    // Drop inventory items
-    return this.inventory;
+    this.wake(world);
+  }
+
+  /**
+   * Come round: climb out of wherever they were stashed, on alert,
+   * and go looking for whoever put them down
+   */
+  wake(world = {}) {
+    const { cause, hidden, hiddenIn } = this.body;
+    
+    if (hidden === 'container') {
+      const grid = world.pathfinder?.getGrid(this.location);
+      const element = grid?.elements.find(el => el.id === hiddenIn);
+      const way = element && grid.getApproachTiles(element)[0];
+      if (way) this.position = { ...way };
+    }
+    
+    this.body = null;
+    this.vitals.conditions.delete('unconscious');
+    this.vitals.health = Math.max(this.vitals.health, BODY_CONFIG.WAKE_HEALTH);
+    this.vitals.addSuspicion(BODY_CONFIG.WAKE_SUSPICION);
+    this.updateAwareness();
+    this.lead = { position: { ...this.position }, reason: 'attacked' };
+    
+    this.emitSearchEvent('npc:wokeUp', world, {
+      cause,
+      hidden,
+      position: { ...this.position }
+    });
+  }
+
+  /**
+   * React to finding someone down: on edge, and off to look around them
+   * @param {NPC} body - The downed NPC
+   */
+  discoverBody(body, world = {}) {
+    body.body.discovered = true;
+    this.vitals.addSuspicion(BODY_CONFIG.FIND_SUSPICION);
+    this.updateAwareness();
+    this.lead = { position: { ...body.position }, reason: 'body' };
+    
+    this.emitSearchEvent('npc:bodyDiscovered', world, {
+      bodyId: body.id,
+      bodyName: body.name,
+      cause: body.body.cause,
+      position: { ...body.position }
+    });
+  }
+
+  /**
+   * React to spotting something lying where it shouldn't be: on edge, and
+   * off to take a closer look
+   * @param {Object} item - The floor item ({ id, itemId, position })
+   */
+  noticeItem(item, itemName, world = {}) {
+    this.vitals.addSuspicion(FLOOR_ITEM_CONFIG.NOTICE_SUSPICION);
+    this.updateAwareness();
+    this.lead = { position: { ...item.position }, reason: 'item' };
+    
+    this.emitSearchEvent('npc:itemNoticed', world, {
+      worldItemId: item.id,
+      itemId: item.itemId,
+      itemName,
+      position: { ...item.position }
+    });
   }
 
   /**
@@ -371,17 +899,53 @@ class NPC {
       location: this.location,
       position: this.position,
       facing: this.facing,
+      home: this.home,
       behavior: this.behavior,
       patrolPath: this.patrolPath,
       patrolIndex: this.patrolIndex,
+      patrolDirection: this.patrolDirection,
       awareness: this.awareness,
       engaged: this.engaged,
+      targetEntity: this.targetEntity,
       capabilities: Array.from(this.capabilities),
       inventory: this.inventory,
+      dialogueId: this.dialogueId,
+      workStations: this.workStations,
+      currentWorkStation: this.currentWorkStation,
+      suspicionTimer: this.suspicionTimer,
+      idleTimer: this.idleTimer,
+      actionCooldown: this.actionCooldown,
+      lastKnownPosition: this.lastKnownPosition,
+      search: this.search,
+      body: this.body,
       vitals: this.vitals.serialize()
     };
   }
 
+  /**
+   * Rebuild an NPC from its serialized form
+   */
+  static deserialize(data) {
+    const npc = new NPC({
+      ...data,
+      // Older saves may hold fractional positions from straight-line movement
+      position: { x: Math.round(data.position.x), y: Math.round(data.position.y) },
+      vitals: undefined
+    });
+    
+    npc.vitals = NPCVitals.deserialize(data.vitals);
+    npc.patrolIndex = data.patrolIndex ?? 0;
+    npc.patrolDirection = data.patrolDirection ?? 1;
+    npc.engaged = data.engaged ?? false;
+    npc.targetEntity = data.targetEntity ?? null;
+    npc.currentWorkStation = data.currentWorkStation ?? 0;
+    npc.suspicionTimer = data.suspicionTimer ?? 0;
+    npc.idleTimer = data.idleTimer ?? 0;
+    npc.actionCooldown = data.actionCooldown ?? 0;
+    
+    return npc;
+  }
+
   /**
    * Create NPC from config
    */
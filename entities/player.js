@@ -4,6 +4,8 @@
  */
 
 import { PlayerVitals } from '../pillars/vitals.js';
+import { RNG_STREAMS, PLAYER_SKILLS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
 
 class Player {
   constructor(config = {}) {
@@ -28,11 +30,9 @@ class Player {
     
     // Skill levels (for skill checks)
     this.skills = {
-      stealth: config.skills?.stealth || 50,
-      hacking: config.skills?.hacking || 40,
-      lockpicking: config.skills?.lockpicking || 30,
-      combat: config.skills?.combat || 40,
-      persuasion: config.skills?.persuasion || 50
+      stealth: 50,
+      ...PLAYER_SKILLS,
+      ...config.skills
     };
   }
 
@@ -107,7 +107,7 @@ class Player {
     const extraMod = Object.values(modifiers).reduce((sum, val) => sum + val, 0);
     
     const finalSkill = baseSkill + conditionMod + extraMod;
-    const roll = Math.random() * 100;
+    const roll = rng.stream(RNG_STREAMS.SKILLS).roll();
     
     return {
       success: roll < finalSkill - difficulty,
@@ -162,7 +162,6 @@ class Player {
    */
   tick() {
     this.vitals.tick();
-    this.vitals.updateConditions();
     
     // Sync conditions from vitals
     for (const condition of this.vitals.conditions) {
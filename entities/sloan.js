@@ -3,7 +3,8 @@
  * Pillar 7: Behavior model, triggers, voice, and optional LLM integration
  */
 
-import { SLOAN_MODES, SLOAN_TRIGGERS } from '../core/constants.js';
+import { SLOAN_MODES, SLOAN_TRIGGERS, RNG_STREAMS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
 
 /**
  * Sloan configuration
@@ -15,8 +16,9 @@ const SloanConfig = {
     caution: 0.6,
     verbosity: 0.5
   },
-  minCooldown: 10,
+  minCooldown: 10, // Game ticks (10 per second) between unprompted lines
   maxCooldown: 50,
+  mackReactionDelay: 1500, // ms of game time before she comments on Mack
   baseSpeakChance: 0.4,
   staticThreshold: 50,
   offlineThreshold: 20
@@ -111,6 +113,27 @@ const ScriptedLines = {
     ]
   },
 
+  [SLOAN_TRIGGERS.NPC_SEARCH]: {
+    'investigating': [
+      "{name} heard something. They're coming to look.",
+      "Heads up - {name}'s on the way over.",
+      "{name}'s leaving their route. Get clear of that spot."
+    ],
+    'searching': [
+      "{name}'s checking the {target} - move now.",
+      "They're looking at the {target}. Go while their back's turned.",
+      "{name}'s busy with the {target}. That's your window."
+    ],
+    'nothing': [
+      "{name} bought it. Back to their rounds.",
+      "They're giving up. Breathe."
+    ],
+    'lost': [
+      "{name} lost you. Don't give them a second look.",
+      "They're heading back, but they're rattled. Stay out of sight."
+    ]
+  },
+
   [SLOAN_TRIGGERS.ACTION_RESULT]: {
     'success': ["Nice.", "Good work.", "That's the way."],
     'failure': ["Didn't work. Try something else.", "No luck. Think of another approach."],
@@ -152,6 +175,7 @@ class Sloan {
     this.connectionQuality = 100;
     this.cooldown = 0;
     this.lastTrigger = null;
+    this.currentRoom = null;
     this.messageHistory = [];
     
     // LLM integration settings
@@ -171,7 +195,12 @@ class Sloan {
     this.eventBus.on('objective:near', (data) => this.handleTrigger(SLOAN_TRIGGERS.OBJECTIVE_NEAR, data));
     this.eventBus.on('action:completed', (data) => this.handleTrigger(SLOAN_TRIGGERS.ACTION_RESULT, data));
     this.eventBus.on('player:hint', (data) => this.handleTrigger(SLOAN_TRIGGERS.HINT_REQUEST, data));
+    this.eventBus.on('npc:investigating', (data) => this.handleNPCSearch('investigating', data));
+    this.eventBus.on('npc:searching', (data) => this.handleNPCSearch('searching', data));
+    this.eventBus.on('npc:searchEnded', (data) => this.handleNPCSearch(data.outcome, data));
+    this.eventBus.on('room:changed', (data) => { this.currentRoom = data.roomId; });
     this.eventBus.on('connection:changed', (data) => this.handleConnectionChange(data));
+    this.eventBus.on('sloan:forceSpeech', (data) => this.forceSpeech(data.message));
   }
 
   /**
@@ -186,7 +215,7 @@ class Sloan {
     
     // Calculate speak chance based on mode and trigger importance
     const speakChance = this.calculateSpeakChance(triggerType);
-    if (Math.random() > speakChance) return;
+    if (rng.stream(RNG_STREAMS.SLOAN).next() > speakChance) return;
     
     // Get message
     let message;
@@ -209,6 +238,15 @@ class Sloan {
     this.lastTrigger = triggerType;
   }
 
+  /**
+   * Comment on searching NPCs the player can see - being found is
+   * handled as danger elsewhere
+   */
+  handleNPCSearch(context, data) {
+    if (context === 'found' || data.location !== this.currentRoom) return;
+    this.handleTrigger(SLOAN_TRIGGERS.NPC_SEARCH, { ...data, context });
+  }
+
   /**
    * Calculate probability of speaking based on context
    */
@@ -226,7 +264,7 @@ class Sloan {
     }
     
     // Trigger importance modifiers
-    const highPriorityTriggers = [SLOAN_TRIGGERS.DANGER, SLOAN_TRIGGERS.OBJECTIVE_NEAR];
+    const highPriorityTriggers = [SLOAN_TRIGGERS.DANGER, SLOAN_TRIGGERS.OBJECTIVE_NEAR, SLOAN_TRIGGERS.NPC_SEARCH];
     if (highPriorityTriggers.includes(triggerType)) {
       chance = Math.min(1, chance * 2);
     }
@@ -258,8 +296,9 @@ class Sloan {
       lines = Object.values(triggerLines).flat();
     }
     
-    // Pick random line
-    return lines[Math.floor(Math.random() * lines.length)];
+    // Pick random line, filling in {placeholders} from the trigger data
+    return rng.stream(RNG_STREAMS.SLOAN).pick(lines)
+      .replace(/\{(\w+)\}/g, (match, key) => data[key] ?? match);
   }
 
   /**
@@ -369,8 +408,9 @@ Respond as Sloan with a single line of dialogue.`;
     // Apply static/garbling based on connection quality
     const garbleRatio = 1 - (this.connectionQuality / this.config.staticThreshold);
     
+    const random = rng.stream(RNG_STREAMS.SLOAN);
     return message.split('').map(char => {
-      if (Math.random() < garbleRatio * 0.3) {
+      if (random.chance(garbleRatio * 0.3)) {
         return '...';
       }
       return char;
@@ -409,9 +449,7 @@ Respond as Sloan with a single line of dialogue.`;
     
     // Reconnection message
     if (wasOffline && !isOffline) {
-      const line = ScriptedLines['reconnect'][
-        Math.floor(Math.random() * ScriptedLines['reconnect'].length)
-      ];
+      const line = rng.stream(RNG_STREAMS.SLOAN).pick(ScriptedLines['reconnect']);
       this.speak(line);
     }
   }
@@ -432,7 +470,7 @@ Respond as Sloan with a single line of dialogue.`;
     }
     
     // Add some randomness
-    return Math.floor(base * (0.8 + Math.random() * 0.4));
+    return Math.floor(base * (0.8 + rng.stream(RNG_STREAMS.SLOAN).next() * 0.4));
   }
 
   /**
@@ -488,7 +526,7 @@ Respond as Sloan with a single line of dialogue.`;
       "I can patch you through to a specialist. No guarantees on his condition."
     ];
     
-    const line = lines[Math.floor(Math.random() * lines.length)];
+    const line = rng.stream(RNG_STREAMS.SLOAN).pick(lines);
     this.speak(line);
     
     this.eventBus.emit('sloan:mackOffered', { originalRequest: data });
@@ -505,7 +543,7 @@ Respond as Sloan with a single line of dialogue.`;
       "Connecting... and remember, I tried to help first."
     ];
     
-    const line = lines[Math.floor(Math.random() * lines.length)];
+    const line = rng.stream(RNG_STREAMS.SLOAN).pick(lines);
     this.speak(line);
     
     // Emit contact event for Mack
@@ -513,7 +551,9 @@ Respond as Sloan with a single line of dialogue.`;
   }
 
   /**
-   * React to Mack's response
+   * Sloan's take on Mack's response - the caller has her say it after
+   * config.mackReactionDelay
+   * @returns {string} The line
    */
   reactToMack(mackResponse) {
     let lines;
@@ -557,10 +597,7 @@ Respond as Sloan with a single line of dialogue.`;
         lines = ["...huh."];
     }
     
-    const line = lines[Math.floor(Math.random() * lines.length)];
-    
-    // Delay Sloan's reaction slightly
-    setTimeout(() => this.speak(line), 1500);
+    return rng.stream(RNG_STREAMS.SLOAN).pick(lines);
   }
 }
 
@@ -5,12 +5,15 @@
  * PATCHED: Detection grace period, incremental detection, iOS fixes
  */
 
-import { GameEngine, EventBus } from './core/engine.js';
-import { GameState } from './core/state.js';
+import { EventBus } from './core/engine.js';
+import { Simulation } from './core/simulation.js';
+import { TICK_DURATION } from './core/clock.js';
+import { SaveManager } from './core/save-manager.js';
+import { RandomService, rng } from './core/rng.js';
+import { ActionRecorder, ReplayPlayer } from './core/replay.js';
 import { DisplayManager } from './ui/display.js';
 import { MapRenderer } from './ui/map-renderer.js';
-import { PriorityManager } from './ui/priorities.js';
-import { ModeManager, MODES } from './ui/modes.js';
+import { MODES } from './ui/modes.js';
 
 // UI Components
 import { ActionCard } from './ui/components/action-card.js';
@@ -20,59 +23,44 @@ import { EnvironmentView } from './ui/components/environment-view.js';
 import { InventoryPanel } from './ui/components/inventory-panel.js';
 import { MapPanel } from './ui/components/map-panel.js';
 import { DialoguePanel } from './ui/components/dialogue-panel.js';
+import { HackPanel } from './ui/components/hack-panel.js';
+import { LockpickPanel } from './ui/components/lockpick-panel.js';
+import { ContainerPanel } from './ui/components/container-panel.js';
 import { MackPanel } from './ui/components/mack-panel.js';
 import { ObjectivesPanel } from './ui/components/objectives-panel.js';
+import { SavePanel } from './ui/components/save-panel.js';
+import { ReplayControls } from './ui/components/replay-controls.js';
 
-// Entity classes
-import { Player } from './entities/player.js';
-import { NPC, NPCTemplates } from './entities/npc.js';
-import { Sloan } from './entities/sloan.js';
-import { Mack } from './entities/mack.js';
-
-// Pillar data - will be loaded via fetch
-let environmentsData = null;
-let equipmentData = null;
-
-// ==============================================
-// DETECTION SYSTEM CONSTANTS
-// ==============================================
-const DETECTION_GRACE_PERIOD = 3000; // 3 seconds before NPCs can detect player on room entry
-const DETECTION_CHECK_INTERVAL = 1500; // Check detection every 1.5 seconds, not every frame
-const DETECTION_BASE_CHANCE = 8; // 8% base chance per check
-const DETECTION_INCREMENT = 5; // How much detection increases per successful spot
+// Arrow keys and WASD step the player one tile (hold Shift to run)
+const MOVE_KEYS = {
+  ArrowUp: 'north', w: 'north',
+  ArrowDown: 'south', s: 'south',
+  ArrowLeft: 'west', a: 'west',
+  ArrowRight: 'east', d: 'east'
+};
 
 /**
  * Glass Shadow Game Application
+ * Browser shell around the Simulation: DOM, input, rendering, saves, replays
  */
 class GlassShadow {
   constructor() {
     this.eventBus = new EventBus();
-    this.state = new GameState();
-    this.engine = null;
+    this.sim = new Simulation(this.eventBus);
     this.display = null;
     this.mapRenderer = null;
-    this.priorityManager = null;
-    this.modeManager = null;
-    this.sloan = null;
-    this.mack = null;
     
     // UI Components
     this.components = {};
     
-    // Game data
-    this.environments = new Map();
-    this.equipment = new Map();
-    
     // Animation frame
     this.animationId = null;
     this.lastFrameTime = 0;
     
-    // ==============================================
-    // DETECTION SYSTEM STATE
-    // ==============================================
-    this.detectionEnabled = false;
-    this.roomEntryTime = 0;
-    this.lastDetectionCheck = 0;
+    // Saves, input recording and replay
+    this.saveManager = null;
+    this.recorder = null;
+    this.replay = null;
     
     // Initialization state
     this.initialized = false;
@@ -100,8 +88,11 @@ class GlassShadow {
       // Setup event handlers
       this.setupEventHandlers();
 
-      // Load default mission
-      await this.loadMission('./missions/active/mission-001.json');
+      // Load default mission (a ?seed= URL parameter replays a specific run)
+      const seedParam = new URLSearchParams(window.location.search).get('seed');
+      await this.loadMission('./missions/active/mission-001.json', {
+        seed: seedParam ? RandomService.parseSeed(seedParam) : null
+      });
 
       this.initialized = true;
       console.log('✅ Glass Shadow initialized');
@@ -116,36 +107,27 @@ class GlassShadow {
   }
 
   /**
-   * Load game data (environments, equipment)
+   * Load game data (environments, equipment, dialogue)
    */
   async loadGameData() {
     console.log('📦 Loading game data...');
 
     // Fetch JSON data
-    const [envResponse, equipResponse] = await Promise.all([
+    const [envResponse, equipResponse, dialogueResponse] = await Promise.all([
       fetch('./pillars/environments.json'),
-      fetch('./pillars/equipment.json')
+      fetch('./pillars/equipment.json'),
+      fetch('./scripts/dialogue.json')
     ]);
 
-    if (!envResponse.ok || !equipResponse.ok) {
+    if (!envResponse.ok || !equipResponse.ok || !dialogueResponse.ok) {
       throw new Error('Failed to load game data files');
     }
 
-    environmentsData = await envResponse.json();
-    equipmentData = await equipResponse.json();
+    this.sim.loadData(await envResponse.json(), await equipResponse.json(), await dialogueResponse.json());
 
-    // Load environments
-    for (const [id, env] of Object.entries(environmentsData.environments)) {
-      this.environments.set(id, env);
-    }
-
-    // Load equipment - equipment.json uses a single 'equipment' object
-    for (const [id, item] of Object.entries(equipmentData.equipment || {})) {
-      this.equipment.set(id, item);
-    }
-
-    console.log(`  Loaded ${this.environments.size} environments`);
-    console.log(`  Loaded ${this.equipment.size} equipment items`);
+    console.log(`  Loaded ${this.sim.environments.size} environments`);
+    console.log(`  Loaded ${this.sim.equipment.size} equipment items`);
+    console.log(`  Loaded ${this.sim.dialogue.trees.size} dialogue trees`);
   }
 
   /**
@@ -164,6 +146,7 @@ class GlassShadow {
         <!-- Map area -->
         <div id="map-container" class="map-container">
           <canvas id="map-canvas" width="600" height="400"></canvas>
+          <div id="replay-container" class="replay-container"></div>
         </div>
 
         <!-- UI Overlay -->
@@ -195,6 +178,10 @@ class GlassShadow {
           <!-- Center overlay (for dialogue, menus) -->
           <div id="center-overlay" class="center-overlay">
             <div id="dialogue-container" class="card-container"></div>
+            <div id="hack-container" class="card-container"></div>
+            <div id="lockpick-container" class="card-container"></div>
+            <div id="container-container" class="card-container"></div>
+            <div id="save-container" class="card-container"></div>
           </div>
         </div>
 
@@ -231,22 +218,11 @@ class GlassShadow {
     // Display manager
     this.display = new DisplayManager(this.eventBus);
 
-    // Priority manager
-    this.priorityManager = new PriorityManager();
-
-    // Mode manager
-    this.modeManager = new ModeManager(this.eventBus);
-
-    // Sloan AI
-    this.sloan = new Sloan(this.eventBus, {
-      llmEnabled: false // Disable LLM for now
-    });
+    // Save slots and autosave
+    this.saveManager = new SaveManager(this.eventBus);
 
-    // Mack - Unreliable Specialist
-    this.mack = new Mack(this.eventBus, {
-      llmEnabled: false, // Disable LLM for now
-      sobrietyMode: 'random' // random, time-based, or degrading
-    });
+    // Input recorder (every run is recorded from mission start)
+    this.recorder = new ActionRecorder();
   }
 
   /**
@@ -296,7 +272,7 @@ class GlassShadow {
     this.components.inventory = new InventoryPanel(
       document.getElementById('inventory-container'),
       this.eventBus,
-      Object.fromEntries(this.equipment)
+      Object.fromEntries(this.sim.equipment)
     );
 
     // Dialogue Panel
@@ -305,11 +281,42 @@ class GlassShadow {
       this.eventBus
     );
 
+    // Hack Panel - terminal breaches
+    this.components.hack = new HackPanel(
+      document.getElementById('hack-container'),
+      this.eventBus
+    );
+
+    // Lockpick Panel
+    this.components.lockpick = new LockpickPanel(
+      document.getElementById('lockpick-container'),
+      this.eventBus
+    );
+
+    // Container Panel - what's in a searched container
+    this.components.container = new ContainerPanel(
+      document.getElementById('container-container'),
+      this.eventBus
+    );
+
     // Objectives Panel
     this.components.objectives = new ObjectivesPanel(
       document.getElementById('objectives-container'),
       this.eventBus
     );
+
+    // Save Panel
+    this.components.saves = new SavePanel(
+      document.getElementById('save-container'),
+      this.eventBus
+    );
+    this.components.saves.setSlots(this.saveManager.listSlots());
+
+    // Replay controls (overlaid on the map canvas)
+    this.components.replay = new ReplayControls(
+      document.getElementById('replay-container'),
+      this.eventBus
+    );
   }
 
   /**
@@ -319,41 +326,100 @@ class GlassShadow {
     console.log('📡 Setting up event handlers...');
 
     // Action execution
-    this.eventBus.on('action:execute', (data) => {
-      this.executeAction(data);
-    });
+    this.eventBus.on('action:execute', (data) => this.handleInput('action', data));
+
+    // Responses in a conversation
+    this.eventBus.on('dialogue:input', (data) => this.handleInput('dialogue', data));
+
+    // Content the simulation couldn't make sense of (it has no console of its own)
+    this.eventBus.on('sim:warning', ({ message }) => console.warn(message));
+
+    // Picks on an open terminal breach
+    this.eventBus.on('hack:input', (data) => this.handleInput('hack', data));
+
+    // Tension and lifts on a lock being picked
+    this.eventBus.on('lockpick:input', (data) => this.handleInput('lockpick', data));
 
     // Mode changes
     this.eventBus.on('mode:changed', (data) => {
       this.handleModeChange(data);
     });
 
-    // Dialogue events
-    this.eventBus.on('dialogue:ended', () => {
-      this.modeManager.returnToPrevious();
-    });
-    
-    // Dialogue failure - don't instant fail
-    this.eventBus.on('dialogue:failed', (data) => {
-      this.handleDialogueFailed(data.npc);
-    });
-
     // Priority updates
     this.eventBus.on('priorities:updated', (priorities) => {
       this.handlePriorityUpdate(priorities);
     });
 
-    // Mack events
-    this.eventBus.on('mack:response', (data) => {
-      // Sloan reacts to Mack's response
-      this.sloan.reactToMack(data);
-    });
-
     this.eventBus.on('sloan:mackOffered', (data) => {
       // Player can choose to connect to Mack
       console.log('Mack connection offered', data);
     });
 
+    // Simulation → presentation
+    this.eventBus.on('state:changed', () => {
+      this.updateUI();
+    });
+
+    this.eventBus.on('room:changed', (data) => {
+      this.mapRenderer.markVisited(data.roomId);
+      if (data.autosave) {
+        this.autosave();
+      }
+    });
+
+    // Conditions the player feels - shake, pulse, trembling cards, cut off from the crew
+    this.eventBus.on('display:modifiersChanged', (modifiers) => {
+      this.applyDisplayModifiers(modifiers);
+    });
+
+    // Show where sound went so players can see what they caused
+    this.eventBus.on('noise:propagated', (data) => {
+      for (const room of data.rooms) {
+        this.mapRenderer.addNoiseRipple(room);
+      }
+    });
+
+    this.eventBus.on('mission:ended', (outcome) => {
+      this.handleMissionEnded(outcome);
+    });
+
+    // Save/load requests from the save panel
+    this.eventBus.on('game:save', (data) => {
+      this.saveGame(data.slot, data.label);
+    });
+
+    this.eventBus.on('game:load', (data) => {
+      this.loadGame(data.slot);
+    });
+
+    this.eventBus.on('game:deleteSave', (data) => {
+      this.saveManager.deleteSlot(data.slot);
+    });
+
+    // Replay recording and playback
+    this.eventBus.on('replay:export', () => this.exportReplay());
+    this.eventBus.on('replay:load', (data) => this.startReplay(data.log));
+    this.eventBus.on('replay:exit', () => this.exitReplay());
+    this.eventBus.on('replay:toggle', () => {
+      this.sim.clock.togglePause();
+      this.emitReplayStatus();
+    });
+    this.eventBus.on('replay:step', () => {
+      if (!this.replay) return;
+      this.sim.clock.pause();
+      this.replay.step();
+      this.emitReplayStatus();
+    });
+    this.eventBus.on('replay:cycleSpeed', () => {
+      this.sim.clock.cycleSpeed();
+      this.emitReplayStatus();
+    });
+
+    // Pause when the tab is hidden rather than letting the game run unseen
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.sim.clock.pause();
+    });
+
     // Keyboard input
     document.addEventListener('keydown', (e) => {
       this.handleKeyboard(e);
@@ -371,7 +437,7 @@ class GlassShadow {
   /**
    * Load a mission
    */
-  async loadMission(missionPath) {
+  async loadMission(missionPath, options = {}) {
     console.log(`📋 Loading mission: ${missionPath}`);
     this.showLoading('Loading mission...');
 
@@ -379,59 +445,31 @@ class GlassShadow {
       const response = await fetch(missionPath);
       if (!response.ok) throw new Error('Mission not found');
       
-      const mission = await response.json();
-
-      // Setup player
-      this.state.player.equipment = [...mission.starting_equipment];
-      this.state.player.position = { ...mission.startingPosition };
-      this.state.currentEnvironment = mission.startingEnvironment;
-
-      // Setup NPCs
-      this.state.npcs.clear();
-      for (const npcDef of mission.npcs) {
-        const template = NPCTemplates[npcDef.type] || {};
-        const env = this.environments.get(npcDef.location);
-        const slot = env?.npcSlots?.find(s => s.id === npcDef.slot);
-        
-        const npc = new NPC({
-          ...template,
-          ...npcDef,
-          position: slot?.position || { x: 0, y: 0 },
-          facing: slot?.facingDirection || 'south',
-          behavior: slot?.defaultBehavior || 'stationary',
-          patrolPath: slot?.patrolPath,
-          workStations: slot?.workStations
-        });
-        
-        this.state.npcs.set(npc.id, npc);
-      }
-
-      // Setup objectives
-      this.state.objectives = mission.objectives;
+      const missionData = await response.json();
 
-      // Setup Sloan mode
-      this.sloan.setMode(mission.sloan_mode || 'balanced');
-
-      // Mark starting room as visited
-      this.mapRenderer.markVisited(mission.startingEnvironment);
-
-      // Trigger initial events
-      this.enterRoom(mission.startingEnvironment);
+      this.mapRenderer.restoreVisited([]);
+      const mission = await this.sim.loadMission(missionData, {
+        missionPath,
+        seed: options.seed
+      });
+      console.log(`🎲 Run seed: ${rng.formatSeed()}`);
+
+      // Record the run so it can be replayed from this seed
+      if (options.record !== false) {
+        this.recorder.start({
+          missionId: mission.id,
+          missionPath,
+          seed: rng.seed,
+          timestep: TICK_DURATION
+        }, () => this.sim.clock.tick);
+      }
 
       // Update UI
       this.updateUI();
-      
-      // Update objectives display
-      this.eventBus.emit('objectives:updated', { objectives: this.state.objectives });
 
       this.hideLoading();
       console.log(`✅ Mission loaded: ${mission.title}`);
 
-      // Show briefing (Sloan speaks)
-      setTimeout(() => {
-        this.sloan.forceSpeech("You're in. Keep your head down and find that server room.");
-      }, 1000);
-
     } catch (error) {
       console.error('Failed to load mission:', error);
       this.showError('Failed to load mission');
@@ -439,505 +477,61 @@ class GlassShadow {
   }
 
   /**
-   * Enter a room
+   * Save the game to a named slot
    */
-  enterRoom(roomId) {
-    const environment = this.environments.get(roomId);
-    if (!environment) {
-      console.error(`Room not found: ${roomId}`);
-      return;
+  saveGame(slot, label = slot) {
+    if (this.sim.isEnded()) {
+      this.sim.sloan.forceSpeech("Nothing left to save. The run's over.");
+      return false;
     }
 
-    this.state.currentEnvironment = roomId;
-    this.mapRenderer.markVisited(roomId);
-
-    // ==============================================
-    // RESET DETECTION GRACE PERIOD ON ROOM ENTRY
-    // ==============================================
-    this.detectionEnabled = false;
-    this.roomEntryTime = Date.now();
-    
-    // Reset NPC spotted flags for this room
-    for (const npc of this.state.npcs.values()) {
-      if (npc.location === roomId) {
-        npc._alreadySpotted = false;
-        npc._engagementHandled = false;
-      }
+    const blocker = this.sim.getSaveBlocker();
+    if (blocker) {
+      this.sim.sloan.forceSpeech(`Can't save yet. ${blocker}`);
+      return false;
     }
-    
-    // Enable detection after grace period
-    setTimeout(() => {
-      this.detectionEnabled = true;
-      console.log(`Detection enabled for room: ${roomId}`);
-    }, DETECTION_GRACE_PERIOD);
-
-    // Get NPCs in room
-    const npcsInRoom = Array.from(this.state.npcs.values())
-      .filter(npc => npc.location === roomId);
-
-    // Emit events
-    this.eventBus.emit('room:entered', { 
-      environment,
-      npcs: npcsInRoom 
-    });
 
-    // Trigger Sloan
-    this.eventBus.emit('room:entered', {
-      context: roomId
-    });
-
-    // Check for objective proximity
-    const hasObjective = environment.elements?.some(el => el.isObjective);
-    if (hasObjective) {
-      this.eventBus.emit('objective:near', { context: 'default' });
+    const result = this.saveManager.save(slot, this.sim.getSaveData(), label);
+    if (!result.success) {
+      this.sim.sloan.forceSpeech(`Couldn't save. ${result.reason}.`);
     }
+    return result.success;
   }
 
   /**
-   * Execute a player action
+   * Autosave (on room entry) - skipped while something's in progress
    */
-  executeAction(data) {
-    console.log('Action:', data.verb, data.target);
-
-    const { verb, target } = data;
-
-    switch (verb) {
-      case 'move':
-        this.moveToRoom(target);
-        break;
-      case 'sneak':
-        this.sneakToRoom(target);
-        break;
-      case 'examine':
-        this.examineElement(target);
-        break;
-      case 'take':
-        this.takeItem(target);
-        break;
-      case 'use':
-        this.useItem(target);
-        break;
-      case 'hack':
-        this.hackTerminal(target);
-        break;
-      case 'talk':
-        this.startDialogue(target);
-        break;
-      case 'look':
-        this.surveyRoom();
-        break;
-      case 'listen':
-        this.listenForSounds();
-        break;
-      case 'wait':
-        this.waitAction();
-        break;
-      case 'contact-mack':
-        this.contactMack(data);
-        break;
-      case 'contact-sloan':
-        // Sloan can offer to connect to Mack for complex questions
-        this.sloan.offerMackConnection(data);
-        break;
-      case 'subdue':
-        this.attemptSubdue(target);
-        break;
-      case 'flee':
-        this.attemptFlee();
-        break;
-      case 'attack':
-        this.attemptAttack(target);
-        break;
-      default:
-        console.log(`Action not implemented: ${verb}`);
-    }
+  autosave() {
+    if (!this.sim.mission || this.sim.isEnded() || this.replay || this.sim.getSaveBlocker()) return;
+    this.saveManager.autosave(this.sim.getSaveData());
   }
 
   /**
-   * Wait action - recover stress/stamina, pass time
+   * Load the game from a slot, rebuilding mission, NPCs and map state
    */
-  waitAction() {
-    this.state.updateVitals({ stress: -10, stamina: 5 });
-    this.sloan.forceSpeech("Taking a moment. Stay alert.");
-    this.updateUI();
-  }
-
-  /**
-   * Handle dialogue failure - incremental consequences, not instant fail
-   */
-  handleDialogueFailed(npc) {
-    // Increase detection significantly but don't instant fail
-    const currentDetection = this.state.player.vitals.detection || 0;
-    this.state.updateVitals({ detection: 30, stress: 20 });
-    
-    // Check for mission fail
-    if (currentDetection + 30 >= 100) {
-      this.handleGameOver('You were caught by security.');
-    } else {
-      // NPC becomes hostile but player can still flee
-      if (npc) {
-        npc.awareness = 'hostile';
-        npc.engaged = true;
-      }
-      this.modeManager.transitionTo('combat', { pushToStack: true });
-      this.sloan.forceSpeech("That didn't work. You need to deal with this or run!");
-    }
-    
-    this.updateUI();
-  }
-
-  /**
-   * Attempt to subdue an NPC (non-lethal takedown)
-   */
-  attemptSubdue(npcId) {
-    const npc = this.state.npcs.get(npcId);
-    if (!npc) return;
-
-    // Check stamina
-    if (this.state.player.vitals.stamina < 30) {
-      this.sloan.forceSpeech("You're too tired for that.");
-      return;
-    }
-
-    // Perform skill check
-    const combatSkill = 40; // Base player combat skill
-    const roll = Math.random() * 100;
-    const difficulty = npc.awareness === 'hostile' ? 60 : 40;
-    
-    this.state.updateVitals({ stamina: -30, stress: 15 });
-
-    if (roll < combatSkill + 20 - difficulty) {
-      // Success
-      const droppedItems = npc.subdue();
-      this.sloan.forceSpeech("Target down. Grab what you can and move.");
-      
-      // Add dropped items to room for pickup
-      for (const item of droppedItems) {
-        this.eventBus.emit('item:dropped', { itemId: item, location: this.state.currentEnvironment });
-      }
-      
-      // Exit combat mode
-      this.modeManager.returnToPrevious();
-      this.updateUI();
-    } else {
-      // Failed - NPC fights back
-      this.sloan.forceSpeech("Didn't work! They're fighting back!");
-      this.state.updateVitals({ health: -20, stress: 25 });
-      
-      // NPC becomes hostile if not already
-      npc.awareness = 'hostile';
-      npc.vitals?.addSuspicion(100);
-    }
-  }
-
-  /**
-   * Attempt to flee from combat
-   */
-  attemptFlee() {
-    const currentEnv = this.environments.get(this.state.currentEnvironment);
-    const exits = currentEnv?.exits?.filter(e => !e.locked) || [];
-    
-    if (exits.length === 0) {
-      this.sloan.forceSpeech("No way out! You have to deal with this!");
-      return;
-    }
-
-    // Check stamina
-    if (this.state.player.vitals.stamina < 25) {
-      this.sloan.forceSpeech("You're too exhausted to run!");
-      return;
-    }
-
-    this.state.updateVitals({ stamina: -25, stress: 20, detection: 15 }); // Reduced detection penalty
-    
-    // Disengage all NPCs
-    for (const npc of this.state.npcs.values()) {
-      if (npc.location === this.state.currentEnvironment) {
-        npc.engaged = false;
-        npc._engagementHandled = false;
-      }
-    }
-    
-    // Move to nearest exit
-    const nearestExit = exits[0];
-    this.sloan.forceSpeech("Go go go! Get out of there!");
-    
-    this.modeManager.returnToPrevious();
-    this.enterRoom(nearestExit.destination);
-    this.updateUI();
-  }
-
-  /**
-   * Attempt to attack an NPC (lethal)
-   */
-  attemptAttack(npcId) {
-    const npc = this.state.npcs.get(npcId);
-    if (!npc) return;
-
-    // Check for weapon
-    const hasWeapon = this.state.player.equipment.some(item => 
-      ['knife', 'taser', 'fire-extinguisher'].includes(item)
-    );
-    
-    const damage = hasWeapon ? 40 : 20;
-    
-    this.state.updateVitals({ stamina: -20, stress: 30 });
-    
-    // Apply damage to NPC
-    npc.takeDamage(damage);
-    
-    if (npc.vitals?.health <= 0) {
-      this.sloan.forceSpeech("Target neutralized. That's going to leave a trail.");
-      
-      // Drop inventory
-      const droppedItems = npc.inventory || [];
-      for (const item of droppedItems) {
-        this.eventBus.emit('item:dropped', { itemId: item, location: this.state.currentEnvironment });
-      }
-      
-      this.modeManager.returnToPrevious();
-    } else {
-      // NPC retaliates
-      this.sloan.forceSpeech("They're still up! Watch yourself!");
-      this.state.updateVitals({ health: -15 });
+  async loadGame(slot) {
+    const record = this.saveManager.load(slot);
+    if (!record) {
+      this.sim.sloan.forceSpeech("That save's corrupted or gone.");
+      return false;
     }
-    
-    this.updateUI();
-  }
-
-  /**
-   * Move to a different room
-   */
-  moveToRoom(roomId) {
-    const currentEnv = this.environments.get(this.state.currentEnvironment);
-    const exit = currentEnv?.exits?.find(e => e.destination === roomId);
-
-    if (!exit) {
-      console.log('Cannot move there');
-      return;
-    }
-
-    if (exit.locked) {
-      // Check for keycard
-      const hasKey = this.state.player.equipment.some(item => {
-        const match = item.match(/keycard-level(\d+)/);
-        return match && parseInt(match[1]) >= exit.keycardLevel;
-      });
-
-      if (!hasKey) {
-        this.sloan.forceSpeech(`Locked. Need a Level ${exit.keycardLevel} keycard.`);
-        return;
-      }
-    }
-
-    // Apply movement cost
-    this.state.updateVitals({ stamina: -5 });
-
-    // Move
-    this.enterRoom(roomId);
-    this.updateUI();
-  }
 
-  /**
-   * Sneak to a room (quieter but costs more stamina)
-   */
-  sneakToRoom(roomId) {
-    this.state.updateVitals({ stamina: -10 });
-    // Lower detection risk
-    this.enterRoom(roomId);
+    // Start the saved mission fresh, then overlay the saved progress.
+    // Recordings only replay from mission start, so a loaded run isn't recorded.
+    this.stop();
+    this.hideError();
+    this.exitReplay({ restart: false });
+    this.recorder.stop();
+    await this.loadMission(record.missionPath, { record: false });
+    if (!this.sim.mission) return false;
+
+    this.sim.restore(record);
+    this.mapRenderer.restoreVisited(Array.from(this.sim.state.visitedEnvironments));
     this.updateUI();
-  }
-
-  /**
-   * Examine an element
-   */
-  examineElement(elementId) {
-    const env = this.environments.get(this.state.currentEnvironment);
-    const element = env?.elements?.find(e => e.id === elementId);
-
-    if (!element) return;
-
-    this.sloan.forceSpeech(`${element.name}. ${element.description || 'Nothing special.'}`);
-  }
-
-  /**
-   * Take an item
-   */
-  takeItem(itemId) {
-    if (!this.state.player.equipment.includes(itemId)) {
-      this.state.addEquipment(itemId);
-      this.eventBus.emit('item:added', { itemId });
-      this.sloan.forceSpeech('Got it.');
-      
-      // Check if this is an objective item
-      if (itemId === 'access-logs') {
-        this.state.setFlag('logs_acquired', true);
-        const obj = this.state.objectives?.find(o => o.id === 'obj-extract-logs');
-        if (obj) {
-          obj.completed = true;
-          this.eventBus.emit('objectives:updated', { objectives: this.state.objectives });
-        }
-        this.sloan.forceSpeech("That's the package. Now get to the exit.");
-      }
-    }
-  }
-
-  /**
-   * Use an item
-   */
-  useItem(itemId) {
-    console.log('Using item:', itemId);
-    
-    const item = this.equipment.get(itemId);
-    if (!item) return;
-
-    // Handle Mack sobriety boost items
-    if (item.effect?.type === 'mack-sobriety-boost') {
-      this.eventBus.emit('mack:sobrietyBoost', { amount: item.effect.amount });
-      this.sloan.forceSpeech("Sent it to Mack. Hopefully it helps.");
-      
-      // Consume the item if it has uses
-      if (item.uses) {
-        // Remove item from inventory
-        this.state.removeEquipment(itemId);
-        this.eventBus.emit('item:removed', { itemId });
-      }
-      return;
-    }
-
-    // Handle healing items
-    if (item.healAmount) {
-      this.state.updateVitals({ health: item.healAmount });
-      this.sloan.forceSpeech("That should help.");
-      
-      if (item.uses) {
-        item.uses--;
-        if (item.uses <= 0) {
-          this.state.removeEquipment(itemId);
-          this.eventBus.emit('item:removed', { itemId });
-        }
-      }
-      return;
-    }
-  }
-
-  /**
-   * Contact Mack (called when player requests specialist help)
-   */
-  contactMack(data = {}) {
-    const currentEnv = this.environments.get(this.state.currentEnvironment);
-    const npcsInRoom = Array.from(this.state.npcs.values())
-      .filter(npc => npc.location === this.state.currentEnvironment);
-
-    // Build context for Mack
-    const mackData = {
-      currentRoom: currentEnv?.name || 'Unknown',
-      objective: this.state.objectives?.find(o => !o.completed)?.description || 'Unknown',
-      threats: npcsInRoom.map(npc => npc.name),
-      question: data.question || 'Need help with the current situation.'
-    };
-
-    // Sloan patches through to Mack
-    this.sloan.connectToMack(mackData);
-  }
-
-  /**
-   * Hack a terminal
-   */
-  hackTerminal(terminalId) {
-    const env = this.environments.get(this.state.currentEnvironment);
-    const terminal = env?.elements?.find(e => e.id === terminalId);
-
-    if (!terminal) return;
-
-    this.state.updateVitals({ stamina: -15, stress: 10 });
-
-    // Simulate hacking
-    this.sloan.forceSpeech("Working on it... stay alert.");
-
-    setTimeout(() => {
-      // Success
-      if (terminal.contents) {
-        for (const item of terminal.contents) {
-          this.takeItem(item);
-        }
-      }
-      this.sloan.forceSpeech("Got it. Now get out of there.");
-      this.updateUI();
-    }, 2000);
-  }
 
-  /**
-   * Start dialogue with NPC
-   */
-  startDialogue(npcId) {
-    const npc = this.state.npcs.get(npcId);
-    if (!npc) return;
-
-    // Load dialogue data
-    const dialogueData = this.getDialogueForNPC(npc);
-
-    this.eventBus.emit('dialogue:start', {
-      npc: npc.getState(),
-      dialogueData
-    });
-  }
-
-  /**
-   * Get dialogue data for NPC
-   */
-  getDialogueForNPC(npc) {
-    // Would load from scripts/dialogue.json
-    // For now, return default dialogue
-    return {
-      greeting: {
-        text: "Hey, you're not supposed to be here after hours.",
-        responses: [
-          { text: "I'm with IT, server emergency.", next: "it-excuse", check: "persuasion:40" },
-          { text: "Sorry, wrong floor.", next: "leave", effect: "increase-suspicion:20" },
-          { text: "[Attack]", next: "combat", action: "initiate-combat" }
-        ]
-      },
-      'it-excuse': {
-        text: "IT, huh? Fine, but make it quick.",
-        responses: [
-          { text: "Thanks.", next: "end" }
-        ]
-      },
-      leave: {
-        text: "Yeah, you better get out of here.",
-        responses: []
-      }
-    };
-  }
-
-  /**
-   * Survey the room
-   */
-  surveyRoom() {
-    const env = this.environments.get(this.state.currentEnvironment);
-    if (!env) return;
-
-    const interactives = env.elements?.filter(e => e.interactive) || [];
-    if (interactives.length > 0) {
-      this.sloan.forceSpeech(`I see ${interactives.length} things worth checking out.`);
-    } else {
-      this.sloan.forceSpeech("Nothing stands out.");
-    }
-  }
-
-  /**
-   * Listen for sounds
-   */
-  listenForSounds() {
-    const npcsInRoom = Array.from(this.state.npcs.values())
-      .filter(npc => npc.location === this.state.currentEnvironment);
-
-    if (npcsInRoom.length > 0) {
-      this.sloan.forceSpeech("Footsteps. Someone's nearby.");
-    } else {
-      this.sloan.forceSpeech("All quiet.");
-    }
+    this.gameLoop();
+    console.log(`💾 Loaded save: ${record.label}`);
+    return true;
   }
 
   /**
@@ -967,6 +561,19 @@ class GlassShadow {
     }
   }
 
+  /**
+   * Put the display modifiers on the game container - styles.css does the rest
+   */
+  applyDisplayModifiers(modifiers) {
+    const container = document.getElementById('game-container');
+    if (!container) return;
+
+    for (const [key, value] of Object.entries(modifiers)) {
+      container.style.setProperty(`--condition-${key}`, value);
+      container.classList.toggle(`condition-${key}`, value > 0);
+    }
+  }
+
   /**
    * Handle keyboard input
    */
@@ -977,7 +584,13 @@ class GlassShadow {
     switch (e.key) {
       case 'Escape':
         if (this.components.dialogue?.isActive()) {
-          this.eventBus.emit('dialogue:end');
+          this.components.dialogue.leave();
+        } else if (this.components.hack?.isActive()) {
+          this.components.hack.abort();
+        } else if (this.components.lockpick?.isActive()) {
+          this.components.lockpick.abort();
+        } else if (this.components.container?.isActive()) {
+          this.components.container.close();
         }
         break;
       case 'm':
@@ -988,10 +601,49 @@ class GlassShadow {
       case 'I':
         // Toggle inventory
         break;
+      case 'l':
+      case 'L':
+        this.components.saves?.toggle();
+        break;
+      case 'p':
+      case 'P':
+        if (!this.replay && this.sim.mission && !this.sim.isEnded()) {
+          this.sim.clock.togglePause();
+        }
+        break;
+      case '[':
+        this.sim.clock.cycleSpeed(-1);
+        break;
+      case ']':
+        this.sim.clock.cycleSpeed(1);
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown':
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'w':
+      case 'W':
+      case 'a':
+      case 'A':
+      case 's':
+      case 'S':
+      case 'd':
+      case 'D':
+        if (this.components.dialogue?.isActive() || this.components.hack?.isActive() ||
+            this.components.lockpick?.isActive()) break;
+        e.preventDefault(); // Don't scroll the page
+        this.eventBus.emit('action:execute', {
+          verb: e.shiftKey ? 'run' : 'step',
+          target: MOVE_KEYS[e.key.length === 1 ? e.key.toLowerCase() : e.key]
+        });
+        break;
       case ' ':
-        // Skip dialogue
+        // Skip dialogue, or lift the next pin
         if (this.components.dialogue?.isActive()) {
           this.components.dialogue.finishTyping();
+        } else if (this.components.lockpick?.isActive()) {
+          e.preventDefault();
+          this.components.lockpick.lift();
         }
         break;
     }
@@ -1001,16 +653,20 @@ class GlassShadow {
    * Update UI components
    */
   updateUI() {
-    const state = this.state.getSnapshot();
-    const currentEnv = this.environments.get(state.environment);
+    const state = this.sim.state.getSnapshot();
+    const currentEnv = this.sim.getEnvironment(state.environment);
     const npcsInRoom = state.npcsInRoom || [];
 
     // Update vitals
     this.components.vitals?.updateVitals(state.player.vitals);
     this.components.vitals?.setConditions(state.player.conditions);
+    this.display.setConditions(state.player.conditions);
 
     // Update inventory
     this.components.inventory?.updateItems(state.player.equipment);
+    this.components.inventory?.setCash(state.player.cash);
+    this.components.inventory?.setLoad(this.sim.encumbrance.getLoad(this.sim.state));
+    this.components.inventory?.setUses(state.player.itemUses);
 
     // Update environment
     if (currentEnv) {
@@ -1019,24 +675,36 @@ class GlassShadow {
     }
 
     // Update actions
-    const actions = this.priorityManager.getEnvironmentActions(state, currentEnv);
-    this.components.actions?.update(actions, state.player.vitals);
+    this.components.actions?.update(this.sim.getAvailableActions(), state.player.vitals);
 
     // Update map
     this.components.map?.render(
-      Object.fromEntries(this.environments),
+      Object.fromEntries(this.sim.environments),
       state,
       npcsInRoom
     );
 
     // Render main map
-    if (currentEnv) {
-      this.mapRenderer.renderBlueprint(
-        currentEnv,
-        state,
-        npcsInRoom.map(npc => npc.getState?.() || npc)
-      );
-    }
+    this.renderRoom();
+  }
+
+  /**
+   * Draw the current room blueprint, blending NPC movement between ticks
+   */
+  renderRoom(alpha = 1) {
+    // The map panel shares this canvas - leave the facility overview alone
+    if (this.components.map?.viewMode === 'overview') return;
+
+    const state = this.sim.state.getSnapshot();
+    const currentEnv = this.sim.getEnvironment(state.environment);
+    if (!currentEnv) return;
+
+    this.mapRenderer.renderBlueprint(
+      currentEnv,
+      state,
+      (state.npcsInRoom || []).map(npc => npc.getState?.() || npc),
+      alpha
+    );
   }
 
   /**
@@ -1052,243 +720,62 @@ class GlassShadow {
    * Main game loop
    */
   gameLoop() {
-    this.animationId = requestAnimationFrame((timestamp) => {
-      const deltaTime = timestamp - this.lastFrameTime;
+    this.lastFrameTime = 0;
+
+    const frame = (timestamp) => {
+      const deltaTime = this.lastFrameTime ? timestamp - this.lastFrameTime : 0;
       this.lastFrameTime = timestamp;
 
-      // Update game state
-      this.update(deltaTime);
+      // Run whole simulation ticks for the real time elapsed (scaled by game speed).
+      // In a replay, each tick first feeds in the inputs recorded for it.
+      this.sim.clock.advance(deltaTime, () => {
+        if (this.replay) {
+          this.replay.step();
+        } else {
+          this.sim.step();
+        }
+      });
+      this.emitReplayStatus();
+
+      // Update display transitions
+      this.display.update(deltaTime);
 
       // Render
-      this.render();
+      this.render(this.sim.clock.getAlpha());
 
       // Continue loop
-      this.gameLoop();
-    });
-  }
-
-  /**
-   * Update game state
-   */
-  update(deltaTime) {
-    // ==============================================
-    // DETECTION SYSTEM - THROTTLED & GATED
-    // ==============================================
-    const now = Date.now();
-    
-    // Only check detection if:
-    // 1. Detection is enabled (grace period passed)
-    // 2. Enough time since last check
-    // 3. Not already in combat/dialogue mode
-    const currentMode = this.modeManager?.getCurrentMode?.() || 'exploration';
-    const canCheckDetection = this.detectionEnabled && 
-                              (now - this.lastDetectionCheck) > DETECTION_CHECK_INTERVAL &&
-                              !['combat', 'dialogue'].includes(currentMode);
-    
-    if (canCheckDetection) {
-      this.lastDetectionCheck = now;
-      this.checkNPCDetection();
-    }
-
-    // Update NPCs (patrol, etc) - but NOT detection
-    for (const npc of this.state.npcs.values()) {
-      npc.tick(this.state);
-    }
-
-    // Update Sloan
-    this.sloan.tick();
-
-    // Update Mack
-    this.mack.tick();
-    
-    // Check win/lose conditions
-    this.checkWinLoseConditions();
-
-    // Update display transitions
-    this.display.update(deltaTime);
-
-    // Evaluate priorities
-    const priorities = this.priorityManager.evaluate(
-      this.state,
-      this.environments,
-      this.state.npcs
-    );
-    this.eventBus.emit('priorities:updated', priorities);
-  }
-
-  /**
-   * Check NPC detection - THROTTLED VERSION
-   */
-  checkNPCDetection() {
-    const currentEnv = this.environments.get(this.state.currentEnvironment);
-    if (!currentEnv) return;
-    
-    const envNoise = currentEnv?.attributes?.noise || 'normal';
-    
-    for (const npc of this.state.npcs.values()) {
-      // Only check NPCs in current room
-      if (npc.location !== this.state.currentEnvironment) continue;
-      
-      // Skip unconscious/subdued NPCs
-      if (npc.state === 'unconscious' || npc.state === 'subdued') continue;
-      
-      // Skip if already engaged
-      if (npc.engaged) continue;
-      
-      // Calculate detection chance
-      let detectChance = DETECTION_BASE_CHANCE;
-      
-      // Modifiers
-      if (npc.awareness === 'alert') detectChance += 10;
-      if (npc.awareness === 'hostile') detectChance += 20;
-      if (currentEnv.attributes?.lighting === 'bright') detectChance += 5;
-      if (currentEnv.attributes?.lighting === 'dim') detectChance -= 5;
-      if (this.state.player.conditions?.includes('hidden')) detectChance -= 15;
-      if (this.state.player.vitals.stress > 50) detectChance += 5; // Nervous behavior visible
-      
-      // Noise modifier
-      if (envNoise === 'loud') detectChance -= 5;
-      if (envNoise === 'silent') detectChance += 10;
-      
-      // Roll
-      const roll = Math.random() * 100;
-      
-      if (roll < detectChance) {
-        // Detection successful - INCREMENT, don't instant fail
-        const currentDetection = this.state.player.vitals.detection || 0;
-        const newDetection = Math.min(100, currentDetection + DETECTION_INCREMENT);
-        this.state.player.vitals.detection = newDetection;
-        
-        console.log(`NPC ${npc.id} detected player. Detection: ${currentDetection} -> ${newDetection}`);
-        
-        // Emit event for UI update
-        this.eventBus.emit('detection:increased', { 
-          level: newDetection,
-          npc: npc.id 
-        });
-        
-        // Threshold responses
-        if (newDetection >= 100) {
-          // Mission fail at 100
-          this.handleGameOver('You were caught by security.');
-          return;
-        } else if (newDetection >= 80 && !npc._engagementHandled) {
-          // Engage at 80+
-          npc.engaged = true;
-          npc._engagementHandled = true;
-          this.handleNPCEngagement(npc);
-        } else if (newDetection >= 50 && npc.awareness !== 'suspicious') {
-          // Suspicious at 50+
-          npc.awareness = 'suspicious';
-          if (!npc._alreadySpotted) {
-            this.eventBus.emit('npc:spotted', { npc: npc.getState(), type: npc.type });
-            this.sloan.forceSpeech("They're getting suspicious. Be careful.");
-            npc._alreadySpotted = true;
-          }
-        } else if (newDetection >= 30 && !npc._alreadySpotted) {
-          // First alert at 30+
-          npc.awareness = 'alert';
-          this.sloan.forceSpeech("Watch it. Someone's looking around.");
-          npc._alreadySpotted = true;
-        }
+      if (this.animationId) {
+        this.animationId = requestAnimationFrame(frame);
       }
-    }
-  }
+    };
 
-  /**
-   * Handle NPC engaging the player
-   */
-  handleNPCEngagement(npc) {
-    if (npc.awareness === 'hostile') {
-      // Enter combat mode
-      this.modeManager.transitionTo('combat', { pushToStack: true });
-      this.eventBus.emit('danger:detected', { type: 'combat', npc: npc.getState() });
-      this.sloan.forceSpeech("Contact! You've been made!");
-    } else if (npc.dialogueId || npc.type === 'guard') {
-      // Enter dialogue mode
-      this.modeManager.transitionTo('dialogue', { pushToStack: true });
-      this.startDialogue(npc.id);
-    }
+    this.animationId = requestAnimationFrame(frame);
   }
 
   /**
-   * Check win/lose conditions
+   * Show the end screen when the simulation reports a mission outcome
    */
-  checkWinLoseConditions() {
-    // Prevent multiple triggers
-    if (this.state.hasFlag('game_over') || this.state.hasFlag('mission_complete')) return;
-    
-    // Check lose conditions
-    if (this.state.player.vitals.health <= 0) {
-      this.handleGameOver('You were killed.');
-      return;
-    }
-    
-    // Detection checked in checkNPCDetection now
-    
-    // Check for alarm (would be set by NPC actions)
-    if (this.state.hasFlag('alarm_triggered')) {
-      this.handleGameOver('The alarm was triggered. Evidence will be destroyed.');
+  handleMissionEnded(outcome) {
+    // Stop the game loop
+    this.stop();
+
+    if (outcome.result !== 'success') {
+      // Show game over screen
+      this.showError(`MISSION FAILED\n\n${outcome.reason}\n\nSeed: ${rng.formatSeed(outcome.seed)}`);
       return;
     }
-    
-    // Check win conditions
-    const hasLogs = this.state.player.equipment.includes('access-logs');
-    const atExit = this.state.currentEnvironment === 'lobby-main';
-    
-    if (hasLogs && atExit && this.state.hasFlag('logs_acquired')) {
-      // Mark objectives complete
-      const exitObj = this.state.objectives?.find(o => o.id === 'obj-extract-exit');
-      if (exitObj && !exitObj.completed) {
-        exitObj.completed = true;
-        this.handleMissionComplete();
-      }
-    }
-  }
 
-  /**
-   * Handle game over
-   */
-  handleGameOver(reason) {
-    if (this.state.hasFlag('game_over')) return; // Prevent multiple triggers
-    this.state.setFlag('game_over', true);
-    
-    console.log('GAME OVER:', reason);
-    this.sloan.forceSpeech("We've lost contact. Mission failed.");
-    
-    // Stop the game loop
-    this.stop();
-    
-    // Show game over screen
-    this.showError(`MISSION FAILED\n\n${reason}`);
-  }
+    const { optionalComplete, ghosted, mack: mackStats } = outcome.stats;
 
-  /**
-   * Handle mission complete
-   */
-  handleMissionComplete() {
-    if (this.state.hasFlag('mission_complete')) return;
-    this.state.setFlag('mission_complete', true);
-    
-    console.log('MISSION COMPLETE!');
-    this.sloan.forceSpeech("You're out. Good work. We got what we needed.");
-    
-    // Calculate stats
-    const optionalComplete = this.state.objectives?.filter(o => o.optional && o.completed).length || 0;
-    const ghosted = this.state.player.vitals.detection < 20;
-    const mackStats = this.mack.getStats();
-    
-    // Stop the game loop
-    this.stop();
-    
     // Show victory screen
     const stats = `
-MISSION COMPLETE: The Quiet Floor
+MISSION COMPLETE: ${outcome.missionTitle}
 
 Objectives: All required complete
 Bonus objectives: ${optionalComplete}
 Ghost rating: ${ghosted ? 'UNDETECTED ✓' : 'Detected'}
 Mack consultations: ${mackStats.totalCalls} (${mackStats.sharpCalls} useful, ${mackStats.drunkCalls} drunk, ${mackStats.passedOutCalls} unconscious)
+Seed: ${rng.formatSeed(outcome.seed)}
     `.trim();
     
     this.showError(stats); // Reusing error overlay for now
@@ -1297,9 +784,10 @@ Mack consultations: ${mackStats.totalCalls} (${mackStats.sharpCalls} useful, ${m
   /**
    * Render the game
    */
-  render() {
-    // Map is rendered continuously via updateUI calls
+  render(alpha) {
+    // Room blueprint redraws every frame so NPC movement interpolates between ticks
     // UI components update via events
+    this.renderRoom(alpha);
   }
 
   /**
@@ -1330,6 +818,113 @@ Mack consultations: ${mackStats.totalCalls} (${mackStats.sharpCalls} useful, ${m
     if (overlay) overlay.style.display = 'flex';
   }
 
+  /**
+   * Download the current run's recording as a shareable replay file
+   */
+  exportReplay() {
+    const log = this.recorder.getLog();
+    const blob = new Blob([JSON.stringify(log)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `glass-shadow-replay-${rng.formatSeed(log.seed)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Start replaying a recorded run from its mission start and seed
+   */
+  async startReplay(log) {
+    this.stop();
+    this.hideError();
+    this.recorder.stop();
+
+    await this.loadMission(log.missionPath, { seed: log.seed, record: false });
+    if (!this.sim.mission) return;
+
+    try {
+      this.replay = new ReplayPlayer(log, {
+        getTick: () => this.sim.clock.tick,
+        step: () => this.sim.step(),
+        dispatch: (entry) => this.dispatchInput(entry)
+      });
+    } catch (error) {
+      console.error('Failed to start replay:', error);
+      this.showError('Could not play that replay.');
+      return;
+    }
+
+    this.components.replay?.setReplaying(true);
+    this.emitReplayStatus();
+    this.gameLoop();
+  }
+
+  /**
+   * Player input - ignored while paused or while a replay drives the game,
+   * otherwise recorded at this tick and handed to the game
+   */
+  handleInput(type, data) {
+    if (this.replay || this.sim.clock.paused) return;
+    this.recorder.record(type, data);
+    this.dispatchInput({ type, data });
+  }
+
+  /**
+   * Hand one input to the game (played live or from a replay)
+   */
+  dispatchInput(entry) {
+    switch (entry.type) {
+      case 'action':
+        this.sim.executeAction(entry.data);
+        break;
+      case 'dialogue':
+        this.sim.dialogueInput(entry.data);
+        break;
+      case 'hack':
+        this.sim.hackInput(entry.data);
+        break;
+      case 'lockpick':
+        this.sim.lockpickInput(entry.data);
+        break;
+    }
+  }
+
+  /**
+   * Leave replay mode, optionally restarting a fresh recorded run
+   */
+  async exitReplay(options = {}) {
+    if (!this.replay) return;
+
+    this.replay = null;
+    this.components.replay?.setReplaying(false);
+
+    if (options.restart !== false) {
+      this.stop();
+      this.hideError();
+      await this.loadMission(this.sim.missionPath);
+      this.gameLoop();
+    }
+  }
+
+  /**
+   * Push replay progress to the controls
+   */
+  emitReplayStatus() {
+    if (!this.replay) return;
+    const { paused, speed } = this.sim.clock;
+    this.eventBus.emit('replay:status', { ...this.replay.getStatus(), paused, speed });
+  }
+
+  /**
+   * Hide error overlay
+   */
+  hideError() {
+    const overlay = document.getElementById('error-overlay');
+    if (overlay) overlay.style.display = 'none';
+  }
+
   /**
    * Stop the game
    */
@@ -3,6 +3,12 @@
  * Base structure for loading and running missions
  */
 
+import { NPC, NPCTemplates } from '../entities/npc.js';
+import { parseClockTime } from '../core/state.js';
+
+// Objective types that can only be settled when the mission ends
+const END_OF_MISSION_OBJECTIVES = ['avoid_detection'];
+
 class Mission {
   constructor(missionData, dependencies) {
     this.id = missionData.id;
@@ -24,6 +30,10 @@ class Mission {
     
     // Starting equipment overrides
     this.startingEquipment = missionData.starting_equipment || [];
+    this.startingCash = missionData.starting_cash ?? 0;
+    
+    // Skill levels that differ from the default profile
+    this.skillOverrides = missionData.skills || {};
     
     // Mission objectives
     this.objectives = missionData.objectives || [];
@@ -39,9 +49,19 @@ class Mission {
     // Scripted events
     this.events = missionData.events || [];
     
+    // Facility security - reinforcement entry points, squad, alarm timer
+    this.security = missionData.security || {};
+
+    // Difficulty tuning (hackDifficultyBonus raises every terminal's rating)
+    this.difficulty = missionData.difficulty || {};
+    
     // Map configuration
     this.mapConfig = missionData.map || {};
     
+    // Mission clock - time of day at the start, and game seconds per real second
+    this.startTime = parseClockTime(missionData.clock?.start ?? '00:00');
+    this.timeScale = missionData.clock?.scale ?? 1;
+    
     // Mission state
     this.status = 'not_started';
     this.completedObjectives = new Set();
@@ -58,7 +78,7 @@ class Mission {
       if (this.environmentsData.environments[envId]) {
         this.environments[envId] = this.environmentsData.environments[envId];
       } else {
-        console.warn(`Environment ${envId} not found`);
+        throw new Error(`Environment not found: ${envId}`);
       }
     }
     
@@ -80,16 +100,20 @@ class Mission {
   initialize(gameState) {
     // Set up player
     gameState.player.equipment = [...this.startingEquipment];
+    gameState.player.cash = this.startingCash;
+    gameState.player.skills = { ...gameState.player.skills, ...this.skillOverrides };
     gameState.currentEnvironment = this.startingEnvironment;
     gameState.player.position = { ...this.startingPosition };
     
+    // Start the mission clock
+    gameState.startTime = this.startTime;
+    gameState.timeScale = this.timeScale;
+    gameState.elapsedTime = 0;
+    
     // Spawn NPCs
+    gameState.npcs.clear();
     for (const npcDef of this.npcDefinitions) {
-      const env = this.environments[npcDef.location];
-      if (env) {
-        const slot = env.npcSlots.find(s => s.id === npcDef.slot) || env.npcSlots[0];
-        // NPC would be created here using templates + slot data
-      }
+      this.spawnNPC(npcDef, gameState);
     }
     
     // Set Sloan mode
@@ -105,6 +129,45 @@ class Mission {
     return gameState;
   }
 
+  /**
+   * Create an NPC from a mission definition at its environment slot
+   */
+  spawnNPC(npcDef, gameState) {
+    const env = this.environments[npcDef.location];
+    if (!env) {
+      throw new Error(`Cannot spawn ${npcDef.id}: environment ${npcDef.location} not in mission`);
+    }
+    
+    const slot = env.npcSlots?.find(s => s.id === npcDef.slot) || env.npcSlots?.[0];
+    const template = NPCTemplates[npcDef.type] || {};
+    const npc = new NPC({
+      ...template,
+      ...npcDef,
+      position: slot?.position ? { ...slot.position } : { x: 0, y: 0 },
+      facing: slot?.facingDirection || 'south',
+      behavior: npcDef.behavior || slot?.defaultBehavior || 'stationary',
+      patrolPath: npcDef.patrolPath ? this.resolvePatrolPath(npcDef.patrolPath) : slot?.patrolPath,
+      workStations: slot?.workStations
+    });
+    
+    gameState.npcs.set(npc.id, npc);
+    return npc;
+  }
+
+  /**
+   * Expand a mission patrol route. Entries are points ({ x, y }, optionally
+   * with a location) or room IDs, which stand for that room's own patrol
+   * path - or just walking into the room if it has none.
+   */
+  resolvePatrolPath(patrolPath) {
+    return patrolPath.flatMap(point => {
+      if (typeof point !== 'string') return [point];
+      
+      const slot = this.environments[point]?.npcSlots?.find(s => s.patrolPath);
+      return slot ? slot.patrolPath.map(pos => ({ location: point, ...pos })) : [{ location: point }];
+    });
+  }
+
   /**
    * Check objective completion
    */
@@ -112,6 +175,14 @@ class Mission {
     const objective = this.objectives.find(o => o.id === objectiveId);
     if (!objective) return false;
     
+    // Completed objectives stay completed
+    if (this.completedObjectives.has(objectiveId)) return true;
+    
+    // Prerequisite objectives must be completed first
+    if (objective.requires?.some(id => !this.completedObjectives.has(id))) {
+      return false;
+    }
+    
     switch (objective.type) {
       case 'retrieve':
         return gameState.player.equipment.includes(objective.target);
@@ -119,9 +190,10 @@ class Mission {
       case 'reach':
         return gameState.currentEnvironment === objective.location;
       
-      case 'subdue':
+      case 'subdue': {
         const npc = gameState.npcs.get(objective.target);
-        return npc && npc.vitals.conditions.has('unconscious');
+        return !!npc && npc.vitals.conditions.has('unconscious');
+      }
       
       case 'avoid_detection':
         return gameState.player.vitals.detection < 100;
@@ -135,6 +207,54 @@ class Mission {
     }
   }
 
+  /**
+   * Mark newly completed objectives on the game state
+   * Returns the objectives completed by this call
+   */
+  updateObjectives(gameState) {
+    const completed = [];
+    
+    for (const objective of this.objectives) {
+      if (this.completedObjectives.has(objective.id)) continue;
+      if (END_OF_MISSION_OBJECTIVES.includes(objective.type)) continue;
+      
+      if (this.checkObjective(objective.id, gameState)) {
+        this.completeObjective(objective.id, gameState);
+        completed.push(objective);
+      }
+    }
+    
+    return completed;
+  }
+
+  /**
+   * Record an objective as completed
+   */
+  completeObjective(objectiveId, gameState) {
+    this.completedObjectives.add(objectiveId);
+    
+    const stateObjective = gameState.objectives?.find(o => o.id === objectiveId);
+    if (stateObjective) {
+      stateObjective.completed = true;
+    }
+  }
+
+  /**
+   * End the mission, settling objectives that depend on the whole run
+   */
+  finish(result, gameState) {
+    if (result === 'success') {
+      for (const objective of this.objectives) {
+        if (!END_OF_MISSION_OBJECTIVES.includes(objective.type)) continue;
+        if (this.checkObjective(objective.id, gameState)) {
+          this.completeObjective(objective.id, gameState);
+        }
+      }
+    }
+    
+    this.status = result;
+  }
+
   /**
    * Check all win/lose conditions
    */
@@ -168,7 +288,9 @@ class Mission {
   evaluateCondition(condition, gameState) {
     switch (condition.type) {
       case 'all_objectives':
-        return this.objectives.every(obj => this.checkObjective(obj.id, gameState));
+        return this.objectives
+          .filter(obj => condition.filter !== 'required' || !obj.optional)
+          .every(obj => this.checkObjective(obj.id, gameState));
       
       case 'player_caught':
         return gameState.player.vitals.detection >= 100;
@@ -177,14 +299,28 @@ class Mission {
         return gameState.player.vitals.health <= 0;
       
       case 'alarm_triggered':
-        return gameState.hasFlag('alarm_active');
+        // Set when an alarm runs out without being silenced
+        return gameState.hasFlag('alarm_triggered');
       
       case 'reached_exit':
         return gameState.currentEnvironment === condition.location;
       
       case 'time_expired':
+        // limit is in game seconds since mission start
         return gameState.elapsedTime >= condition.limit;
       
+      case 'time_reached':
+        return gameState.hasReachedTime(condition.at);
+      
+      case 'has_item':
+        return gameState.player.equipment.includes(condition.item);
+      
+      case 'npc_state':
+        return gameState.npcs.get(condition.npc)?.awareness === condition.state;
+      
+      case 'flag_set':
+        return gameState.hasFlag(condition.flag);
+      
       default:
         return false;
     }
@@ -192,16 +328,22 @@ class Mission {
 
   /**
    * Check and trigger scripted events
+   * Returns the events triggered by this call
    */
   checkEvents(gameState, eventBus) {
+    const triggered = [];
+    
     for (const event of this.events) {
       if (this.triggeredEvents.has(event.id)) continue;
       
       if (this.evaluateCondition(event.trigger, gameState)) {
         this.triggeredEvents.add(event.id);
         this.executeEvent(event, gameState, eventBus);
+        triggered.push(event);
       }
     }
+    
+    return triggered;
   }
 
   /**
@@ -214,9 +356,21 @@ class Mission {
           eventBus.emit('sloan:forceSpeech', { message: action.message });
           break;
         
-        case 'spawn_npc':
-          // Would spawn NPC at specified location
+        case 'spawn_npc': {
+          const npc = this.spawnNPC(action.npc, gameState);
+          eventBus.emit('npc:spawned', { npcId: npc.id, location: npc.location });
+          break;
+        }
+        
+        case 'remove_npc': {
+          // NPCs leave on schedule - unless they're in no state to walk out
+          const npc = gameState.npcs.get(action.npc);
+          if (npc?.vitals.canAct()) {
+            gameState.npcs.delete(npc.id);
+            eventBus.emit('npc:left', { npcId: npc.id, location: npc.location });
+          }
           break;
+        }
         
         case 'lock_door':
           // Would lock specified door
@@ -233,6 +387,27 @@ class Mission {
     }
   }
 
+  /**
+   * Serialize mission progress for save/load
+   */
+  serializeProgress() {
+    return {
+      id: this.id,
+      status: this.status,
+      completedObjectives: Array.from(this.completedObjectives),
+      triggeredEvents: Array.from(this.triggeredEvents)
+    };
+  }
+
+  /**
+   * Restore mission progress from a save
+   */
+  restoreProgress(progress = {}) {
+    this.status = progress.status || this.status;
+    this.completedObjectives = new Set(progress.completedObjectives || []);
+    this.triggeredEvents = new Set(progress.triggeredEvents || []);
+  }
+
   /**
    * Get mission briefing for UI
    */
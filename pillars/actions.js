@@ -1,9 +1,16 @@
 /**
  * ACTIONS SYSTEM
  * Pillar 5: Information gathering and execution
+ *
+ * Every player verb is an Action in the registry: what it needs
+ * (preconditions), what it costs (stamina, noise, detection risk when
+ * watched), what it rolls (skillCheck) and what it does (effects). The
+ * ActionResolver carries them out - effects that only change state are
+ * applied here, the rest go to handlers the Simulation registers.
  */
 
-import { ACTION_VERBS, NPC_AWARENESS } from '../core/constants.js';
+import { ACTION_VERBS, NPC_AWARENESS, NOISE_LEVELS, RNG_STREAMS } from '../core/constants.js';
+import { RoomGrid } from '../core/grid.js';
 
 /**
  * Action definition with preconditions and effects
@@ -14,35 +21,39 @@ class Action {
     this.verb = config.verb;
     this.label = config.label;
     this.description = config.description;
-    
+
     // Requirements to perform this action
     this.preconditions = config.preconditions || [];
-    
+
     // What happens when action succeeds
     this.effects = config.effects || [];
-    
+
+    // What happens instead when the skill check fails
+    this.failEffects = config.failEffects || [];
+
     // Skill check requirements
     this.skillCheck = config.skillCheck || null;
-    
+
     // Time cost in game ticks
     this.duration = config.duration || 1;
-    
+
     // Does this action make noise?
     this.noiseLevel = config.noiseLevel || 0;
-    
-    // Does this action increase detection?
+
+    // Detection gained if anyone in the room sees it done
     this.detectionRisk = config.detectionRisk || 0;
-    
+
     // Stamina cost
     this.staminaCost = config.staminaCost || 0;
   }
 
   /**
    * Check if action can be performed in current context
+   * @param {Object} context - What the target is in the current room: { environment, element, exit, npc, equipment }
    */
-  canExecute(state, target) {
+  canExecute(state, target, context = {}) {
     for (const precondition of this.preconditions) {
-      if (!this.checkPrecondition(precondition, state, target)) {
+      if (!this.checkPrecondition(precondition, state, target, context)) {
         return {
           canExecute: false,
           reason: precondition.failMessage || 'Cannot perform this action'
@@ -52,38 +63,111 @@ class Action {
     return { canExecute: true };
   }
 
-  checkPrecondition(precondition, state, target) {
+  checkPrecondition(precondition, state, target, context) {
+    const { environment, element, exit, npc } = context;
+
     switch (precondition.type) {
       case 'hasItem':
         return state.player.equipment.includes(precondition.item);
-      
+
       case 'noNPCsEngaged':
-        return !state.getNPCsInCurrentRoom().some(npc => 
-          npc.awareness !== 'unaware' && npc.engaged
+        return !state.getNPCsInCurrentRoom().some(other =>
+          other.awareness !== NPC_AWARENESS.UNAWARE && other.engaged && other.vitals.canAct()
         );
-      
+
       case 'npcState':
-        const npc = state.npcs.get(target);
-        return npc && npc.awareness === precondition.state;
-      
+        return npc?.awareness === precondition.state;
+
+      case 'npcPresent':
+        return !!npc && npc.location === state.currentEnvironment && npc.vitals.canAct();
+
       case 'environmentAttribute':
-        const env = state.environments.get(state.currentEnvironment);
-        return env.attributes[precondition.attribute] === precondition.value;
-      
+        return environment?.attributes?.[precondition.attribute] === precondition.value;
+
       case 'playerConditionAbsent':
         return !state.player.conditions.includes(precondition.condition);
-      
+
       case 'staminaMin':
         return state.player.vitals.stamina >= precondition.amount;
-      
+
       case 'accessLevel':
-        return state.player.equipment.some(item => {
-          const itemDef = state.getEquipment(item);
-          return itemDef.accessLevel >= precondition.level;
-        });
-      
+        return state.player.equipment.some(itemId =>
+          (context.equipment?.get(itemId)?.accessLevel || 0) >= precondition.level
+        );
+
+      case 'targetExaminable':
+        return !!element || state.player.equipment.includes(target);
+
+      case 'targetUsable':
+        // Something carried, or something in the room
+        return state.player.equipment.includes(target) || !!element;
+
+      case 'targetIsComputer':
+        return ['terminal', 'computer'].includes(element?.type);
+
+      case 'itemPickupable':
+        // Something lying in this room - an element that can be picked up, or a dropped item
+        return element ? !!element.canPickUp : !!context.worldItem;
+
+      case 'canDrop':
+        // Something carried - otherwise the body being dragged
+        return state.player.equipment.includes(target) ||
+          (!!state.player.dragging && !context.equipment?.has(target));
+
+      case 'canCombine':
+        // Two carried items that make something (data.with is the second)
+        return state.player.equipment.includes(target) &&
+          state.player.equipment.includes(context.data?.with) &&
+          !!context.crafting?.findRecipe(target, context.data.with);
+
+      case 'exitAvailable':
+        return (environment?.exits || []).some(e => !state.isExitLocked(state.currentEnvironment, e));
+
+      case 'exitLocked':
+        return !!exit && state.isExitLocked(state.currentEnvironment, exit);
+
+      case 'pickableLock': {
+        // A locked exit or container marked pickable, of the kind this tool works on
+        const lock = exit || element;
+        const locked = exit ? state.isExitLocked(state.currentEnvironment, exit)
+          : !!element && state.isElementLocked(state.currentEnvironment, element);
+        return locked && !!lock.pickable && (lock.lockType || 'mechanical') === precondition.lockType;
+      }
+
+      case 'targetIsBody':
+        return !!npc?.body;
+
+      case 'targetSearchable':
+        return !!npc?.body || !!element && !!(element.contents || element.hiddenContents);
+
+      case 'withinReach': {
+        // Next to an NPC, or to any tile of an element's footprint
+        const { position } = state.player;
+        const reachable = npc ? (npc.location === state.currentEnvironment ? [npc.position] : [])
+          : element ? RoomGrid.footprint(element) : [];
+        return reachable.some(tile => Math.abs(tile.x - position.x) + Math.abs(tile.y - position.y) <= 1);
+      }
+
+      case 'containerOpen':
+        // Bodies are never locked; a keycard lock opens to a card of its level
+        return !element || !state.isElementLocked(state.currentEnvironment, element) ||
+          (!!element.requiresKeycard && state.player.equipment.some(itemId =>
+            (context.equipment?.get(itemId)?.accessLevel || 0) >= element.keycardLevel
+          ));
+
+      case 'containerHolds':
+        return !!element && !state.isElementLocked(state.currentEnvironment, element) &&
+          !!state.getElementState(state.currentEnvironment, element.id).searched &&
+          state.getContainerContents(state.currentEnvironment, element).includes(context.data?.item);
+
+      case 'draggingBody':
+        return !!state.player.dragging;
+
+      case 'canHoldBody':
+        return !!element?.holdsBody || !!element?.provideCover;
+
       default:
-        return true;
+        throw new Error(`Unknown action precondition: ${precondition.type}`);
     }
   }
 }
@@ -101,11 +185,12 @@ const ActionRegistry = {
     preconditions: [],
     effects: [
       { type: 'revealElements', scope: 'room' },
-      { type: 'revealNPCs', scope: 'room' }
+      { type: 'revealNPCs', scope: 'room' },
+      { type: 'surveyRoom' }
     ],
     duration: 1,
     noiseLevel: 0,
-    detectionRisk: 5
+    detectionRisk: 0
   }),
 
   examine: new Action({
@@ -114,15 +199,17 @@ const ActionRegistry = {
     label: 'Examine',
     description: 'Look more closely at something',
     preconditions: [
+      { type: 'targetExaminable', failMessage: "There's nothing like that here" },
       { type: 'noNPCsEngaged', failMessage: "You can't examine that while being watched" }
     ],
     effects: [
       { type: 'revealContents', target: 'selected' },
-      { type: 'gatherIntel', target: 'selected' }
+      { type: 'gatherIntel', target: 'selected' },
+      { type: 'describeTarget', target: 'selected' }
     ],
     duration: 2,
     noiseLevel: 0,
-    detectionRisk: 10
+    detectionRisk: 5
   }),
 
   listen: new Action({
@@ -133,7 +220,7 @@ const ActionRegistry = {
     preconditions: [],
     effects: [
       { type: 'revealNPCs', scope: 'adjacent' },
-      { type: 'revealConversations', scope: 'room' }
+      { type: 'listenForSounds' }
     ],
     duration: 2,
     noiseLevel: 0,
@@ -144,18 +231,19 @@ const ActionRegistry = {
     id: 'search',
     verb: ACTION_VERBS.SEARCH,
     label: 'Search',
-    description: 'Thoroughly search an area or container',
+    description: 'Go through a downed NPC\'s pockets, or a container',
     preconditions: [
+      { type: 'targetSearchable', failMessage: "Nothing there to search" },
+      { type: 'withinReach', failMessage: "Get closer first." },
+      { type: 'containerOpen', failMessage: "It's locked." },
       { type: 'noNPCsEngaged', failMessage: "Too risky to search while being watched" }
     ],
     effects: [
-      { type: 'revealHiddenItems', target: 'selected' },
-      { type: 'revealSecrets', target: 'selected' }
+      { type: 'searchTarget', target: 'selected' }
     ],
     duration: 5,
-    noiseLevel: 1,
-    detectionRisk: 20,
-    staminaCost: 5
+    noiseLevel: 0,
+    detectionRisk: 10
   }),
 
   // MOVEMENT ACTIONS
@@ -163,15 +251,37 @@ const ActionRegistry = {
     id: 'move',
     verb: ACTION_VERBS.MOVE,
     label: 'Move',
-    description: 'Walk to a new location',
+    description: 'Go through to the next room',
     preconditions: [],
     effects: [
       { type: 'changeLocation', target: 'selected' }
     ],
     duration: 3,
-    noiseLevel: 2,
-    detectionRisk: 15,
-    staminaCost: 2
+    noiseLevel: 0,
+    detectionRisk: 0,
+    staminaCost: 5
+  }),
+
+  step: new Action({
+    id: 'step',
+    verb: ACTION_VERBS.STEP,
+    label: 'Step',
+    description: 'Take a step in a direction',
+    preconditions: [],
+    effects: [
+      { type: 'stepPlayer', target: 'selected' }
+    ]
+  }),
+
+  walk: new Action({
+    id: 'walk',
+    verb: ACTION_VERBS.WALK,
+    label: 'Walk',
+    description: 'Walk to a spot in the room',
+    preconditions: [],
+    effects: [
+      { type: 'walkPlayer', target: 'selected' }
+    ]
   }),
 
   sneak: new Action({
@@ -187,7 +297,7 @@ const ActionRegistry = {
     ],
     duration: 6,
     noiseLevel: 0,
-    detectionRisk: 5,
+    detectionRisk: 0,
     staminaCost: 10
   }),
 
@@ -195,34 +305,51 @@ const ActionRegistry = {
     id: 'run',
     verb: ACTION_VERBS.RUN,
     label: 'Run',
-    description: 'Sprint to a location',
+    description: 'Sprint to a spot - every step is heard, and costs stamina',
+    preconditions: [],
+    effects: [
+      { type: 'runPlayer', target: 'selected' }
+    ],
+    duration: 1,
+    noiseLevel: 0,
+    detectionRisk: 0
+  }),
+
+  force: new Action({
+    id: 'force',
+    verb: ACTION_VERBS.FORCE,
+    label: 'Force',
+    description: 'Shoulder a locked door open - loud whether or not it gives',
     preconditions: [
-      { type: 'staminaMin', amount: 20, failMessage: "Not enough stamina to run" }
+      { type: 'exitLocked', failMessage: "It's not locked. Just open it." },
+      { type: 'staminaMin', amount: 20, failMessage: "You don't have the strength left to force it." }
     ],
     effects: [
-      { type: 'changeLocation', target: 'selected' }
+      { type: 'makeNoise', level: NOISE_LEVELS.DOOR_FORCED, at: 'target', source: 'door' },
+      { type: 'forceDoor', target: 'selected' },
+      { type: 'addStress', amount: 10 }
     ],
-    duration: 1,
-    noiseLevel: 4,
-    detectionRisk: 40,
+    duration: 2,
+    noiseLevel: 0,
+    detectionRisk: 15,
     staminaCost: 20
   }),
 
   hide: new Action({
     id: 'hide',
     verb: ACTION_VERBS.HIDE,
-    label: 'Hide',
-    description: 'Take cover behind something',
+    label: 'Hide body',
+    description: 'Stash the body you\'re dragging in a container or behind cover',
     preconditions: [
-      { type: 'coverAvailable', failMessage: "Nothing to hide behind here" }
+      { type: 'draggingBody', failMessage: "You need to be dragging someone to hide them." },
+      { type: 'canHoldBody', failMessage: "That won't hide a body." }
     ],
     effects: [
-      { type: 'setHidden', value: true },
-      { type: 'reduceDetection', amount: 30 }
+      { type: 'hideBody', target: 'selected' }
     ],
     duration: 2,
     noiseLevel: 1,
-    detectionRisk: 0,
+    detectionRisk: 15,
     staminaCost: 5
   }),
 
@@ -245,20 +372,99 @@ const ActionRegistry = {
     detectionRisk: 10
   }),
 
+  'take-from': new Action({
+    id: 'take-from',
+    verb: ACTION_VERBS.TAKE_FROM,
+    label: 'Take',
+    description: 'Lift one item out of a searched container',
+    preconditions: [
+      { type: 'containerHolds', failMessage: "That's not in there." },
+      { type: 'noNPCsEngaged', failMessage: "Not while they're on you" }
+    ],
+    effects: [
+      { type: 'takeFromContainer', target: 'selected' }
+    ],
+    duration: 2,
+    noiseLevel: 0,
+    detectionRisk: 5
+  }),
+
   use: new Action({
     id: 'use',
     verb: ACTION_VERBS.USE,
     label: 'Use',
     description: 'Use an item or interact with something',
-    preconditions: [],
+    preconditions: [
+      { type: 'targetUsable', failMessage: "You don't have that." }
+    ],
     effects: [
       { type: 'executeItemEffect', target: 'selected' }
     ],
     duration: 2,
-    noiseLevel: 1,
+    noiseLevel: 0,
     detectionRisk: 5
   }),
 
+  combine: new Action({
+    id: 'combine',
+    verb: ACTION_VERBS.COMBINE,
+    label: 'Combine',
+    description: 'Put two carried items together into something new',
+    preconditions: [
+      { type: 'canCombine', failMessage: "Those don't go together." },
+      { type: 'noNPCsEngaged', failMessage: "Not while they're on you" }
+    ],
+    effects: [
+      { type: 'combineItems', target: 'selected' }
+    ],
+    duration: 2,
+    noiseLevel: 0,
+    detectionRisk: 10
+  }),
+
+  drag: new Action({
+    id: 'drag',
+    verb: ACTION_VERBS.DRAG,
+    label: 'Drag',
+    description: 'Drag a body out of sight - slow going, and tiring every step',
+    preconditions: [
+      { type: 'targetIsBody', failMessage: "There's no one down to drag" },
+      { type: 'withinReach', failMessage: "Get closer first." }
+    ],
+    effects: [
+      { type: 'dragBody', target: 'selected' }
+    ],
+    duration: 1,
+    noiseLevel: 1,
+    detectionRisk: 15
+  }),
+
+  drop: new Action({
+    id: 'drop',
+    verb: ACTION_VERBS.DROP,
+    label: 'Drop',
+    description: 'Put down something you\'re carrying, or leave the body where it lies',
+    preconditions: [
+      { type: 'canDrop', failMessage: "You're not carrying that" }
+    ],
+    effects: [
+      { type: 'dropTarget', target: 'selected' }
+    ]
+  }),
+
+  wait: new Action({
+    id: 'wait',
+    verb: 'wait',
+    label: 'Wait',
+    description: 'Catch your breath',
+    preconditions: [],
+    effects: [
+      { type: 'adjustVitals', changes: { stress: -10, stamina: 5 } },
+      { type: 'rest' }
+    ],
+    duration: 5
+  }),
+
   // TECHNICAL ACTIONS
   hack: new Action({
     id: 'hack',
@@ -269,40 +475,50 @@ const ActionRegistry = {
       { type: 'noNPCsEngaged', failMessage: "Can't hack while being watched" },
       { type: 'targetIsComputer', failMessage: "Nothing to hack here" }
     ],
-    skillCheck: {
-      skill: 'hacking',
-      baseDifficulty: 50,
-      modifiedBy: ['fineMotor']
-    },
     effects: [
-      { type: 'accessSystem', target: 'selected' },
-      { type: 'revealData', target: 'selected' }
+      { type: 'hackTerminal', target: 'selected' },
+      { type: 'addStress', amount: 10 }
     ],
     duration: 10,
     noiseLevel: 0,
-    detectionRisk: 5,
-    staminaCost: 0
+    detectionRisk: 10,
+    staminaCost: 15
   }),
 
   lockpick: new Action({
     id: 'lockpick',
     verb: ACTION_VERBS.LOCKPICK,
     label: 'Pick Lock',
-    description: 'Attempt to open a lock without a key',
+    description: 'Work the pins of a lock without a key - every lift makes a little noise',
     preconditions: [
       { type: 'hasItem', item: 'lockpick-set', failMessage: "Need lockpicks" },
+      { type: 'pickableLock', lockType: 'mechanical', failMessage: "No lock there you can pick" },
       { type: 'noNPCsEngaged', failMessage: "Can't pick locks while being watched" }
     ],
-    skillCheck: {
-      skill: 'lockpicking',
-      baseDifficulty: 60,
-      modifiedBy: ['fineMotor']
-    },
     effects: [
-      { type: 'unlockTarget', target: 'selected' }
+      { type: 'pickLock', target: 'selected' }
     ],
     duration: 8,
-    noiseLevel: 1,
+    noiseLevel: NOISE_LEVELS.LOCKPICK,
+    detectionRisk: 15,
+    staminaCost: 5
+  }),
+
+  bypass: new Action({
+    id: 'bypass',
+    verb: ACTION_VERBS.BYPASS,
+    label: 'Bypass Lock',
+    description: 'Spoof an electronic lock open - a rejected attempt gets logged',
+    preconditions: [
+      { type: 'hasItem', item: 'bypass-kit', failMessage: "Need a bypass kit" },
+      { type: 'pickableLock', lockType: 'electronic', failMessage: "No reader there you can bypass" },
+      { type: 'noNPCsEngaged', failMessage: "Can't work the reader while being watched" }
+    ],
+    effects: [
+      { type: 'bypassLock', target: 'selected' }
+    ],
+    duration: 6,
+    noiseLevel: 0,
     detectionRisk: 15,
     staminaCost: 5
   }),
@@ -320,7 +536,7 @@ const ActionRegistry = {
       { type: 'startDialogue', target: 'selected' }
     ],
     duration: 1,
-    noiseLevel: 2,
+    noiseLevel: 0,
     detectionRisk: 0
   }),
 
@@ -335,11 +551,37 @@ const ActionRegistry = {
       { type: 'redirectNPCAttention', scope: 'room' }
     ],
     duration: 2,
-    noiseLevel: 3,
+    noiseLevel: 0, // The noise goes off over there (see createDistraction)
     detectionRisk: 30,
     staminaCost: 5
   }),
 
+  'contact-mack': new Action({
+    id: 'contact-mack',
+    verb: 'contact-mack',
+    label: 'Call Mack',
+    description: 'Have Sloan patch the specialist through',
+    preconditions: [
+      { type: 'hasItem', item: 'earpiece', failMessage: "No earpiece - nobody's listening" }
+    ],
+    effects: [
+      { type: 'contactMack' }
+    ]
+  }),
+
+  'contact-sloan': new Action({
+    id: 'contact-sloan',
+    verb: 'contact-sloan',
+    label: 'Ask Sloan',
+    description: 'Check in with Sloan',
+    preconditions: [
+      { type: 'hasItem', item: 'earpiece', failMessage: "No earpiece - nobody's listening" }
+    ],
+    effects: [
+      { type: 'contactSloan' }
+    ]
+  }),
+
   // COMBAT ACTIONS
   subdue: new Action({
     id: 'subdue',
@@ -347,40 +589,67 @@ const ActionRegistry = {
     label: 'Subdue',
     description: 'Non-lethal takedown',
     preconditions: [
-      { type: 'npcVulnerable', failMessage: "Target is not vulnerable" },
-      { type: 'staminaMin', amount: 30, failMessage: "Too tired for takedown" }
+      { type: 'npcPresent', failMessage: "No one to take down" },
+      { type: 'staminaMin', amount: 30, failMessage: "You're too tired for that." }
     ],
     skillCheck: {
       skill: 'combat',
-      baseDifficulty: 40,
-      modifiedBy: ['combat']
+      baseDifficulty: 70,
+      awarenessModifiers: { hostile: 20 }, // Harder to get hold of someone squared up to you
+      stream: RNG_STREAMS.COMBAT
     },
     effects: [
       { type: 'subdueNPC', target: 'selected' },
+      { type: 'makeNoise', level: NOISE_LEVELS.COMBAT, at: 'target', source: 'combat' },
       { type: 'addStress', amount: 15 }
     ],
+    failEffects: [
+      { type: 'npcFightsBack', target: 'selected' },
+      { type: 'makeNoise', level: NOISE_LEVELS.COMBAT_LOUD, at: 'target', source: 'combat' },
+      { type: 'adjustVitals', changes: { health: -20, stress: 40 } }
+    ],
     duration: 3,
-    noiseLevel: 2,
-    detectionRisk: 50,
+    noiseLevel: 0,
+    detectionRisk: 20,
     staminaCost: 30
   }),
 
+  attack: new Action({
+    id: 'attack',
+    verb: ACTION_VERBS.ATTACK,
+    label: 'Attack',
+    description: 'Hit them with whatever you\'re carrying',
+    preconditions: [
+      { type: 'npcPresent', failMessage: "No one to fight" }
+    ],
+    effects: [
+      { type: 'makeNoise', level: NOISE_LEVELS.COMBAT_LOUD, at: 'target', source: 'combat' },
+      { type: 'attackNPC', target: 'selected' },
+      { type: 'addStress', amount: 30 }
+    ],
+    duration: 1,
+    noiseLevel: 0,
+    detectionRisk: 20,
+    staminaCost: 20
+  }),
+
   flee: new Action({
     id: 'flee',
     verb: ACTION_VERBS.FLEE,
     label: 'Flee',
     description: 'Disengage and escape',
     preconditions: [
-      { type: 'exitAvailable', failMessage: "No way out" }
+      { type: 'exitAvailable', failMessage: "No way out! You have to deal with this!" },
+      { type: 'staminaMin', amount: 25, failMessage: "You're too exhausted to run!" }
     ],
     effects: [
       { type: 'disengageAllNPCs' },
       { type: 'changeLocation', target: 'nearestExit' },
-      { type: 'addStress', amount: 20 }
+      { type: 'adjustVitals', changes: { stress: 20, detection: 15 } } // Seen running, wherever you end up
     ],
     duration: 1,
-    noiseLevel: 4,
-    detectionRisk: 60,
+    noiseLevel: NOISE_LEVELS.RUNNING,
+    detectionRisk: 0,
     staminaCost: 25
   })
 };
@@ -389,91 +658,262 @@ const ActionRegistry = {
  * Action resolver - executes actions and determines outcomes
  */
 class ActionResolver {
-  constructor(state, eventBus) {
+  /**
+   * @param {Object} systems - { environments, equipment, skills, vision, crafting }
+   */
+  constructor(state, eventBus, systems = {}) {
     this.state = state;
     this.eventBus = eventBus;
+    this.environments = systems.environments || new Map();
+    this.equipment = systems.equipment || new Map();
+    this.skills = systems.skills;
+    this.vision = systems.vision;
+    this.crafting = systems.crafting;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Hand an effect type to outside code: handler(target, effect, context).
+   * A handler returning false means the action couldn't go ahead - nothing is spent.
+   */
+  registerEffect(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * What a target is in the current room
+   */
+  getContext(target) {
+    const roomId = this.state.currentEnvironment;
+    const environment = this.environments.get(roomId);
+    const element = environment?.elements?.find(e => e.id === target);
+    return {
+      environment,
+      element: element && !this.state.getElementState(roomId, element.id).removed ? element : null,
+      exit: environment?.exits?.find(e => e.destination === target) || null,
+      npc: this.state.npcs.get(target) || null,
+      worldItem: this.state.getWorldItems(roomId).find(item => item.id === target) || null,
+      equipment: this.equipment,
+      crafting: this.crafting
+    };
+  }
+
+  /**
+   * Whether an action could be taken on a target right now
+   * @returns {Object} { canExecute, reason }
+   */
+  check(actionId, target) {
+    const action = ActionRegistry[actionId];
+    if (!action) return { canExecute: false, reason: 'Unknown action' };
+    return action.canExecute(this.state, target, this.getContext(target));
+  }
+
+  /**
+   * Fill an offered action (from the PriorityManager) in from its definition -
+   * costs, risks, and whether its preconditions block it
+   */
+  describe(offered) {
+    const action = ActionRegistry[offered.verb];
+    if (!action) return offered;
+
+    const described = {
+      ...offered,
+      description: action.description,
+      duration: action.duration,
+      staminaCost: action.staminaCost,
+      // Noise made on purpose (a door shouldered, a fight) counts too
+      noiseLevel: Math.max(action.noiseLevel, ...action.effects
+        .filter(effect => effect.type === 'makeNoise')
+        .map(effect => effect.level)),
+      detectionRisk: action.detectionRisk
+    };
+    if (!offered.blocked) {
+      const { canExecute, reason } = this.check(offered.verb, offered.target);
+      described.blocked = !canExecute;
+      described.blockReason = canExecute ? null : reason;
+    }
+    return described;
   }
 
   /**
    * Attempt to execute an action
+   * @param {Object} data - Anything else the caller passed along (e.g. a question for Mack)
+   * @returns {Object} { success, message, check, results }
    */
-  execute(actionId, target) {
+  execute(actionId, target, data = {}) {
     const action = ActionRegistry[actionId];
     if (!action) {
-      return { success: false, message: 'Unknown action' };
+      this.eventBus.emit('action:blocked', { verb: actionId, target, reason: 'Unknown action' });
+      return { success: false, message: null };
     }
 
     // Check preconditions
-    const check = action.canExecute(this.state, target);
-    if (!check.canExecute) {
-      return { success: false, message: check.reason };
+    const context = { ...this.getContext(target), data };
+    const availability = action.canExecute(this.state, target, context);
+    if (!availability.canExecute) {
+      this.eventBus.emit('action:blocked', { verb: actionId, target, reason: availability.reason });
+      return { success: false, message: availability.reason };
     }
 
-    // Perform skill check if required
+    // Perform skill check if required - failing runs the fail effects instead
     if (action.skillCheck) {
-      const skillResult = this.performSkillCheck(action.skillCheck);
-      if (!skillResult.success) {
-        return { 
-          success: false, 
-          message: 'Failed skill check',
-          partial: skillResult.partial
-        };
-      }
+      context.check = this.performSkillCheck(action.skillCheck, context);
     }
+    const check = context.check || null;
+    const effects = check && !check.success ? action.failEffects : action.effects;
 
     // Apply effects
     const results = [];
-    for (const effect of action.effects) {
-      const result = this.applyEffect(effect, target);
+    for (const effect of effects) {
+      const result = this.applyEffect(effect, target, context);
+      if (result.aborted) {
+        return { success: false, message: null, check, results };
+      }
       results.push(result);
     }
 
     // Apply costs
     this.state.updateVitals({ stamina: -action.staminaCost });
-    this.state.updateVitals({ detection: action.detectionRisk });
 
     // Generate noise (alerts nearby NPCs)
     if (action.noiseLevel > 0) {
       this.generateNoise(action.noiseLevel);
     }
 
-    this.eventBus.emit('action:completed', { action, target, results });
+    // Anyone watching takes note
+    if (action.detectionRisk > 0) {
+      this.applyDetectionRisk(action.detectionRisk);
+    }
+
+    const success = !check || check.success;
+    this.eventBus.emit('action:completed', { verb: actionId, target, success, check, results });
 
-    return { success: true, results };
+    return { success, message: null, check, results };
   }
 
-  performSkillCheck(check) {
-    const baseChance = 100 - check.baseDifficulty;
-    let modifier = 0;
+  /**
+   * Roll an action's skill check - difficulty can shift with the target's awareness
+   */
+  performSkillCheck(skillCheck, context) {
+    const difficulty = skillCheck.baseDifficulty + (skillCheck.awarenessModifiers?.[context.npc?.awareness] || 0);
+    return this.skills.check(this.state, skillCheck.skill, difficulty, skillCheck.stream);
+  }
 
-    // Apply condition modifiers
-    for (const mod of check.modifiedBy) {
-      modifier += this.state.player.getEffectModifier(mod);
-    }
+  /**
+   * Apply one effect
+   * @returns {Object} { effect, applied, aborted?, ...details }
+   */
+  applyEffect(effect, target, context) {
+    const { environment, element, npc } = context;
+    const roomId = this.state.currentEnvironment;
+
+    switch (effect.type) {
+      case 'addStress':
+        this.state.updateVitals({ stress: effect.amount });
+        return { effect: effect.type, applied: true };
+
+      case 'reduceDetection':
+        this.state.updateVitals({ detection: -effect.amount });
+        return { effect: effect.type, applied: true };
+
+      case 'adjustVitals':
+        this.state.updateVitals(effect.changes);
+        return { effect: effect.type, applied: true };
+
+      case 'makeNoise': {
+        const position = effect.at === 'target'
+          ? (context.exit?.position || element?.position || npc?.position)
+          : null;
+        this.generateNoise(effect.level, position || this.state.player.position, effect.source);
+        return { effect: effect.type, applied: true };
+      }
 
-    const finalChance = Math.max(5, Math.min(95, baseChance + modifier));
-    const roll = Math.random() * 100;
+      case 'revealElements': {
+        // Concealed elements (marked "hidden") only show up once someone looks
+        const revealed = (environment?.elements || [])
+          .filter(e => e.hidden && !this.state.getElementState(roomId, e.id).revealed);
+        for (const hidden of revealed) {
+          this.state.updateElementState(roomId, hidden.id, { revealed: true });
+        }
+        if (revealed.length > 0) {
+          this.eventBus.emit('elements:revealed', { roomId, elementIds: revealed.map(e => e.id) });
+        }
+        return { effect: effect.type, applied: true, revealed: revealed.map(e => e.id) };
+      }
 
-    return {
-      success: roll < finalChance,
-      partial: roll < finalChance + 20 // Close enough for partial success
-    };
-  }
+      case 'revealNPCs': {
+        // Marked on the facility map, as if seen
+        const rooms = effect.scope === 'adjacent'
+          ? (environment?.exits || []).map(exit => exit.destination)
+          : [roomId];
+        const found = Array.from(this.state.npcs.values())
+          .filter(other => rooms.includes(other.location) && other.vitals.canAct());
+        for (const other of found) {
+          this.state.recordSighting(other);
+        }
+        return { effect: effect.type, applied: true, npcs: found.map(other => other.id) };
+      }
 
-  applyEffect(effect, target) {
-    // Effect application would be implemented here
-    // Each effect type maps to a state change
-    return { effect: effect.type, applied: true };
-  }
+      case 'revealContents':
+        if (!element) return { effect: effect.type, applied: false };
+        this.state.updateElementState(roomId, element.id, { examined: true });
+        return { effect: effect.type, applied: true, contents: this.state.getContainerContents(roomId, element) };
+
+      case 'gatherIntel': {
+        const id = `${roomId}/${element?.id}`;
+        if (!element?.intel || this.state.intel.some(entry => entry.id === id)) {
+          return { effect: effect.type, applied: false };
+        }
+        const entry = { id, source: element.name, location: roomId, text: element.intel, time: this.state.elapsedTime };
+        this.state.intel.push(entry);
+        this.eventBus.emit('intel:gathered', { ...entry });
+        return { effect: effect.type, applied: true, intel: entry };
+      }
 
-  generateNoise(level) {
-    const npcsInRoom = this.state.getNPCsInCurrentRoom();
-    for (const npc of npcsInRoom) {
-      if (npc.awareness === 'unaware' && level >= 2) {
-        npc.vitals.addSuspicion(level * 10);
+      case 'removeFromEnvironment':
+        if (!element) return { effect: effect.type, applied: false };
+        this.state.updateElementState(roomId, element.id, { removed: true });
+        this.eventBus.emit('element:removed', { roomId, elementId: element.id });
+        return { effect: effect.type, applied: true };
+
+      default: {
+        const handler = this.handlers.get(effect.type);
+        if (!handler) {
+          throw new Error(`No handler for action effect: ${effect.type}`);
+        }
+        const result = handler(target, effect, context);
+        return { effect: effect.type, applied: result !== false, aborted: result === false };
       }
     }
   }
+
+  /**
+   * Raise detection if anyone in the room has eyes on the player
+   */
+  applyDetectionRisk(risk) {
+    const watcher = this.state.getNPCsInCurrentRoom().find(npc =>
+      npc.vitals.canAct() && this.vision?.canSee(npc, this.state.player.position).visible
+    );
+    if (!watcher) return;
+
+    this.state.updateVitals({ detection: risk });
+    this.eventBus.emit('detection:increased', {
+      level: this.state.player.vitals.detection,
+      npc: watcher.id
+    });
+  }
+
+  /**
+   * Make noise (where the player stands, unless told otherwise) - the simulation spreads it through the building
+   */
+  generateNoise(level, position = this.state.player.position, source = 'player') {
+    this.eventBus.emit('noise:made', {
+      source,
+      location: this.state.currentEnvironment,
+      position: { ...position },
+      level
+    });
+  }
 }
 
 export { Action, ActionRegistry, ActionResolver };
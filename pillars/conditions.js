@@ -1,9 +1,22 @@
 /**
  * CONDITIONS SYSTEM
  * Pillar 6: Character enhancements/constraints and effects
+ *
+ * The ConditionManager owns every condition on the player and NPCs: each
+ * tick it cures and triggers them against vitals and surroundings, runs out
+ * timed ones, and applies their per-minute rates (bleeding, mounting stress).
+ * Skill checks, detection and Sloan's connection read the modifiers.
  */
 
-import { CONDITION_EFFECTS } from '../core/constants.js';
+import { BODY_CAUSES } from '../core/constants.js';
+
+// ==============================================
+// CONDITION CONSTANTS
+// ==============================================
+const RATE_MODIFIERS = {  // Modifiers applied per minute of game time, and the vital they wear on
+  bleedRate: { vital: 'health', sign: -1 },
+  stressRate: { vital: 'stress', sign: 1 }
+};
 
 /**
  * Condition definition
@@ -29,7 +42,7 @@ class Condition {
     // Is this condition visible to the player?
     this.visible = config.visible ?? true;
     
-    // Does this condition have a duration?
+    // Does this condition have a duration? (simulation seconds)
     this.duration = config.duration || null; // null = permanent until cured
     
     // Can stack multiple times?
@@ -46,7 +59,7 @@ const ConditionRegistry = {
   'high-stress': new Condition({
     id: 'high-stress',
     name: 'Stressed',
-    description: 'Your hands are shaking. Fine motor tasks are harder.',
+    description: 'Your hands are shaking and your voice with them. Fine motor tasks and talking your way out are harder.',
     triggers: [
       { type: 'vitalThreshold', vital: 'stress', threshold: 70 }
     ],
@@ -55,6 +68,7 @@ const ConditionRegistry = {
     ],
     modifiers: {
       fineMotor: -30,
+      social: -15,
       combat: 10,
       sloanConnection: -50
     },
@@ -77,6 +91,7 @@ const ConditionRegistry = {
     ],
     modifiers: {
       fineMotor: -60,
+      social: -30,
       combat: 20,
       sloanConnection: -80,
       readingComprehension: -60,
@@ -106,7 +121,7 @@ const ConditionRegistry = {
     modifiers: {
       movement: -40,
       stealth: -20,
-      bleedRate: 2
+      bleedRate: 2 // Health lost per minute
     },
     uiEffects: {
       redVignette: true,
@@ -127,7 +142,7 @@ const ConditionRegistry = {
     ],
     modifiers: {
       allActions: -50,
-      bleedRate: 5
+      bleedRate: 5 // Health lost per minute
     },
     uiEffects: {
       blackoutPulse: true,
@@ -165,11 +180,10 @@ const ConditionRegistry = {
     name: 'Hidden',
     description: 'You\'re concealed. Stay quiet.',
     triggers: [
-      { type: 'action', action: 'hide' }
+      { type: 'inCover' }
     ],
     cures: [
-      { type: 'action', action: 'move' },
-      { type: 'detected' }
+      { type: 'leftCover' }
     ],
     modifiers: {
       detection: -50,
@@ -191,10 +205,10 @@ const ConditionRegistry = {
     cures: [
       { type: 'vitalBelow', vital: 'detection', threshold: 40 },
       { type: 'npcSubdued' },
-      { type: 'escape' }
+      { type: 'narrowEscape' }
     ],
     modifiers: {
-      stress: 10 // Adds stress each tick
+      stressRate: 10 // Stress gained per minute
     },
     uiEffects: {
       alertIndicator: true,
@@ -223,6 +237,26 @@ const ConditionRegistry = {
     }
   }),
 
+  'smoke-screen': new Condition({
+    id: 'smoke-screen',
+    name: 'Smoke Screen',
+    description: 'Thick smoke all around. Nobody can see much - including you.',
+    triggers: [
+      { type: 'itemUse', item: 'smoke-canister' }
+    ],
+    cures: [
+      { type: 'duration' }
+    ],
+    modifiers: {
+      stealth: 40,
+      visibility: -30
+    },
+    uiEffects: {
+      smokeHaze: true
+    },
+    duration: 30
+  }),
+
   // SPECIAL CONDITIONS
   'adrenaline': new Condition({
     id: 'adrenaline',
@@ -233,7 +267,7 @@ const ConditionRegistry = {
       { type: 'narrowEscape' }
     ],
     cures: [
-      { type: 'duration', ticks: 30 }
+      { type: 'duration' }
     ],
     modifiers: {
       combat: 30,
@@ -252,11 +286,9 @@ const ConditionRegistry = {
     name: 'Unconscious',
     description: 'Out cold.',
     triggers: [
-      { type: 'damage', result: 'knockout' },
-      { type: 'vitalThreshold', vital: 'health', threshold: 0 }
+      { type: 'damage', result: 'knockout' }
     ],
     cures: [
-      { type: 'duration', ticks: 100 },
       { type: 'itemUse', item: 'smelling-salts' }
     ],
     modifiers: {
@@ -278,9 +310,6 @@ const ConditionRegistry = {
     cures: [
       { type: 'connectionQuality', threshold: 50 }
     ],
-    modifiers: {
-      sloanConnection: -60
-    },
     uiEffects: {
       sloanTextGarble: 0.5,
       staticAudio: true,
@@ -298,9 +327,6 @@ const ConditionRegistry = {
     cures: [
       { type: 'connectionQuality', threshold: 30 }
     ],
-    modifiers: {
-      sloanConnection: -100
-    },
     uiEffects: {
       sloanPanelOffline: true,
       isolationEffect: true
@@ -309,14 +335,49 @@ const ConditionRegistry = {
 };
 
 /**
- * Condition manager - tracks and applies active conditions
+ * Condition manager - tracks and applies active conditions. The player's
+ * live in state.player.conditions, an NPC's in their vitals, so they save
+ * with them; timers live in state.conditionTimers.
  */
 class ConditionManager {
   constructor(state, eventBus) {
     this.state = state;
     this.eventBus = eventBus;
-    this.activeConditions = new Map(); // entity id -> Set of condition ids
-    this.conditionTimers = new Map();  // condition instance -> remaining duration
+  }
+
+  /**
+   * Tick - cure, trigger and run down conditions on everyone still standing
+   * @param {number} elapsed - Simulation seconds since the last update
+   */
+  update(elapsed = 0) {
+    this.updateConnectionQuality();
+
+    for (const entityId of this.getEntityIds()) {
+      this.checkCures(entityId);
+      this.checkTriggers(entityId);
+      this.applyRates(entityId, elapsed);
+    }
+
+    this.tick(elapsed);
+  }
+
+  /**
+   * Something happened that can bring conditions on or clear them - matched
+   * against every trigger and cure with the same fields (e.g. { type: 'itemUse', item: 'medkit-small' })
+   */
+  handleEvent(entityId, event) {
+    const matches = (rule) => Object.entries(rule).every(([key, value]) => event[key] === value);
+
+    for (const conditionId of this.getConditions(entityId)) {
+      if (ConditionRegistry[conditionId]?.cures.some(matches)) {
+        this.removeCondition(entityId, conditionId);
+      }
+    }
+    for (const [conditionId, condition] of Object.entries(ConditionRegistry)) {
+      if (condition.triggers.some(matches)) {
+        this.addCondition(entityId, conditionId);
+      }
+    }
   }
 
   /**
@@ -327,10 +388,8 @@ class ConditionManager {
     if (!entity) return;
 
     for (const [conditionId, condition] of Object.entries(ConditionRegistry)) {
-      for (const trigger of condition.triggers) {
-        if (this.evaluateTrigger(trigger, entity)) {
-          this.addCondition(entityId, conditionId);
-        }
+      if (condition.triggers.some(trigger => this.evaluateTrigger(trigger, entity, entityId))) {
+        this.addCondition(entityId, conditionId);
       }
     }
   }
@@ -342,37 +401,36 @@ class ConditionManager {
     const entity = this.getEntity(entityId);
     if (!entity) return;
 
-    const conditions = this.activeConditions.get(entityId) || new Set();
-    
-    for (const conditionId of conditions) {
+    for (const conditionId of this.getConditions(entityId)) {
       const condition = ConditionRegistry[conditionId];
-      
-      for (const cure of condition.cures) {
-        if (this.evaluateCure(cure, entity)) {
-          this.removeCondition(entityId, conditionId);
-          break;
-        }
+      if (condition?.cures.some(cure => this.evaluateCure(cure, entity, entityId))) {
+        this.removeCondition(entityId, conditionId);
       }
     }
   }
 
   /**
-   * Evaluate a trigger condition
+   * Evaluate a trigger condition (event triggers go through handleEvent)
    */
-  evaluateTrigger(trigger, entity) {
+  evaluateTrigger(trigger, entity, entityId) {
     switch (trigger.type) {
-      case 'vitalThreshold':
+      case 'vitalThreshold': {
         const value = entity.vitals[trigger.vital];
         if (trigger.below) {
           return value < trigger.threshold;
         }
         return value > trigger.threshold;
+      }
       
       case 'connectionQuality':
+        if (entityId !== 'player') return false;
         if (trigger.below) {
           return this.state.sloan.connectionQuality < trigger.threshold;
         }
         return this.state.sloan.connectionQuality > trigger.threshold;
+
+      case 'inCover':
+        return entityId === 'player' && !!entity.hidden;
       
       default:
         return false;
@@ -380,15 +438,21 @@ class ConditionManager {
   }
 
   /**
-   * Evaluate a cure condition
+   * Evaluate a cure condition (event cures go through handleEvent)
    */
-  evaluateCure(cure, entity) {
+  evaluateCure(cure, entity, entityId) {
     switch (cure.type) {
       case 'vitalBelow':
         return entity.vitals[cure.vital] < cure.threshold;
       
       case 'vitalAbove':
         return entity.vitals[cure.vital] > cure.threshold;
+
+      case 'connectionQuality':
+        return this.state.sloan.connectionQuality > cure.threshold;
+
+      case 'leftCover':
+        return !entity.hidden;
       
       case 'duration':
         // Handled in tick()
@@ -403,56 +467,65 @@ class ConditionManager {
    * Add a condition to an entity
    */
   addCondition(entityId, conditionId) {
-    if (!this.activeConditions.has(entityId)) {
-      this.activeConditions.set(entityId, new Set());
+    const entity = this.getEntity(entityId);
+    if (!entity || this.hasCondition(entityId, conditionId)) return;
+
+    if (entityId === 'player') {
+      entity.conditions.push(conditionId);
+    } else {
+      entity.vitals.conditions.add(conditionId);
     }
+
+    const condition = ConditionRegistry[conditionId];
     
-    const conditions = this.activeConditions.get(entityId);
-    
-    if (!conditions.has(conditionId)) {
-      conditions.add(conditionId);
-      
-      const condition = ConditionRegistry[conditionId];
-      
-      // Set up duration timer if applicable
-      if (condition.duration) {
-        this.conditionTimers.set(`${entityId}:${conditionId}`, condition.duration);
-      }
-      
-      this.eventBus.emit('condition:added', { entityId, conditionId, condition });
+    // Set up duration timer if applicable
+    if (condition.duration) {
+      this.state.conditionTimers.set(`${entityId}:${conditionId}`, condition.duration);
     }
+    
+    this.eventBus.emit('condition:added', { entityId, conditionId, condition });
   }
 
   /**
    * Remove a condition from an entity
    */
   removeCondition(entityId, conditionId) {
-    const conditions = this.activeConditions.get(entityId);
-    if (conditions) {
-      conditions.delete(conditionId);
-      this.conditionTimers.delete(`${entityId}:${conditionId}`);
-      
-      this.eventBus.emit('condition:removed', { entityId, conditionId });
+    const entity = this.getEntity(entityId);
+    if (!entity || !this.hasCondition(entityId, conditionId)) return;
+
+    if (entityId === 'player') {
+      entity.conditions = entity.conditions.filter(id => id !== conditionId);
+    } else {
+      entity.vitals.conditions.delete(conditionId);
     }
+    this.state.conditionTimers.delete(`${entityId}:${conditionId}`);
+    
+    this.eventBus.emit('condition:removed', { entityId, conditionId });
   }
 
   /**
    * Get all active conditions for an entity
+   * @returns {Array} Condition IDs
    */
   getConditions(entityId) {
-    return this.activeConditions.get(entityId) || new Set();
+    const entity = this.getEntity(entityId);
+    if (!entity) return [];
+    return entityId === 'player' ? [...entity.conditions] : Array.from(entity.vitals.conditions);
+  }
+
+  hasCondition(entityId, conditionId) {
+    return this.getConditions(entityId).includes(conditionId);
   }
 
   /**
    * Get cumulative modifiers for an entity
    */
   getModifiers(entityId) {
-    const conditions = this.getConditions(entityId);
     const modifiers = {};
     
-    for (const conditionId of conditions) {
+    for (const conditionId of this.getConditions(entityId)) {
       const condition = ConditionRegistry[conditionId];
-      for (const [key, value] of Object.entries(condition.modifiers)) {
+      for (const [key, value] of Object.entries(condition?.modifiers || {})) {
         modifiers[key] = (modifiers[key] || 0) + value;
       }
     }
@@ -464,31 +537,84 @@ class ConditionManager {
    * Get cumulative UI effects for an entity
    */
   getUIEffects(entityId) {
-    const conditions = this.getConditions(entityId);
     const effects = {};
     
-    for (const conditionId of conditions) {
-      const condition = ConditionRegistry[conditionId];
-      Object.assign(effects, condition.uiEffects);
+    for (const conditionId of this.getConditions(entityId)) {
+      Object.assign(effects, ConditionRegistry[conditionId]?.uiEffects);
     }
     
     return effects;
   }
 
   /**
-   * Tick - process duration-based conditions
+   * Sloan's signal: stress eats into it, and "sloanConnection" modifiers
+   * take their percentage off what's left
    */
-  tick() {
-    for (const [key, remaining] of this.conditionTimers) {
-      if (remaining <= 0) {
+  updateConnectionQuality() {
+    let quality = 100 - this.state.player.vitals.stress;
+
+    for (const conditionId of this.getConditions('player')) {
+      const modifier = ConditionRegistry[conditionId]?.modifiers.sloanConnection;
+      if (modifier) quality *= Math.max(0, 1 + modifier / 100);
+    }
+
+    this.state.sloan.connectionQuality = Math.max(0, Math.round(quality));
+  }
+
+  /**
+   * Wear vitals down by the per-minute rates of active conditions
+   */
+  applyRates(entityId, elapsed) {
+    if (elapsed <= 0) return;
+    const modifiers = this.getModifiers(entityId);
+
+    for (const [key, { vital, sign }] of Object.entries(RATE_MODIFIERS)) {
+      if (!modifiers[key]) continue;
+      const amount = sign * modifiers[key] * elapsed / 60;
+
+      if (entityId === 'player') {
+        this.state.updateVitals({ [vital]: amount });
+        continue;
+      }
+
+      const npc = this.getEntity(entityId);
+      if (vital === 'health') {
+        // Bleeding out puts them down for good
+        npc.takeDamage(-amount, BODY_CAUSES.KILLED, this.state.elapsedTime);
+        if (npc.body) {
+          this.eventBus.emit('npc:downed', { npcId: npc.id, location: npc.location, cause: npc.body.cause });
+        }
+      } else {
+        npc.vitals.modifyVital(vital, amount);
+      }
+    }
+  }
+
+  /**
+   * Tick - run out timed conditions
+   * @param {number} elapsed - Simulation seconds since the last update
+   */
+  tick(elapsed = 0) {
+    for (const [key, remaining] of this.state.conditionTimers) {
+      const left = remaining - elapsed;
+      this.state.conditionTimers.set(key, left);
+      if (left <= 0) {
         const [entityId, conditionId] = key.split(':');
         this.removeCondition(entityId, conditionId);
-      } else {
-        this.conditionTimers.set(key, remaining - 1);
       }
     }
   }
 
+  /**
+   * The player, and every NPC still on their feet
+   */
+  getEntityIds() {
+    const npcIds = Array.from(this.state.npcs.values())
+      .filter(npc => !npc.body)
+      .map(npc => npc.id);
+    return ['player', ...npcIds];
+  }
+
   getEntity(entityId) {
     if (entityId === 'player') {
       return this.state.player;
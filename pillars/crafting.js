@@ -0,0 +1,93 @@
+/**
+ * CRAFTING SYSTEM
+ * Two carried items combined into something new. Recipes live with the
+ * equipment (equipment.json "recipes"): the two ingredients, which of them
+ * get used up, and what comes out. A result made from something with uses
+ * ("usesFrom") keeps whatever uses it had left. Recipes the player hasn't
+ * made yet carry a hint Sloan or Mack can pass on.
+ */
+
+class CraftingSystem {
+  /**
+   * @param {EventBus} eventBus
+   * @param {Map} equipment - Item definitions by ID
+   */
+  constructor(eventBus, equipment) {
+    this.eventBus = eventBus;
+    this.equipment = equipment;
+    this.recipes = new Map();
+  }
+
+  /**
+   * Load recipes (equipment.json's 'recipes' object)
+   */
+  load(recipes = {}) {
+    this.recipes.clear();
+    for (const [id, recipe] of Object.entries(recipes)) {
+      if (!this.equipment.has(recipe.result)) {
+        throw new Error(`Recipe ${id} makes unknown item: ${recipe.result}`);
+      }
+      this.recipes.set(id, { id, consumes: [], ...recipe });
+    }
+  }
+
+  /**
+   * The recipe two items make, whichever way round they're put together
+   */
+  findRecipe(itemA, itemB) {
+    if (!itemA || !itemB || itemA === itemB) return null;
+
+    for (const recipe of this.recipes.values()) {
+      const [first, second] = recipe.ingredients;
+      if ((first === itemA && second === itemB) || (first === itemB && second === itemA)) {
+        return recipe;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Whether the player has made this before in the run
+   */
+  isDiscovered(state, recipe) {
+    return state.hasFlag(`recipe_${recipe.id}`);
+  }
+
+  /**
+   * Uses the result starts with - what's left on the ingredient it's made
+   * from, else the result's own
+   */
+  getResultUses(state, recipe) {
+    const source = recipe.usesFrom && this.equipment.get(recipe.usesFrom);
+    if (source?.uses) {
+      return state.getItemUses(recipe.usesFrom, source.uses);
+    }
+    return this.equipment.get(recipe.result)?.uses;
+  }
+
+  /**
+   * Recipes not made yet that the player could make right now
+   */
+  getMakeable(state) {
+    const carried = state.player.equipment;
+    return Array.from(this.recipes.values()).filter(recipe =>
+      !this.isDiscovered(state, recipe) && recipe.ingredients.every(itemId => carried.includes(itemId)));
+  }
+
+  /**
+   * A recipe worth a hint - one the player could make now, else one they
+   * hold half of
+   * @returns {Object|null} The recipe
+   */
+  getHintRecipe(state) {
+    const carried = state.player.equipment;
+    const undiscovered = Array.from(this.recipes.values())
+      .filter(recipe => recipe.hint && !this.isDiscovered(state, recipe));
+
+    return this.getMakeable(state).find(recipe => recipe.hint) ||
+      undiscovered.find(recipe => recipe.ingredients.some(itemId => carried.includes(itemId))) ||
+      null;
+  }
+}
+
+export { CraftingSystem };
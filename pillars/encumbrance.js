@@ -0,0 +1,81 @@
+/**
+ * ENCUMBRANCE SYSTEM
+ * What the player can carry. Pockets give a few slots and a worn vest adds
+ * its carryCapacity; worn gear and data on the drive take no slot. Weight
+ * has a comfortable limit - past it every step costs stamina and makes
+ * noise - and a hard limit past which nothing more gets picked up.
+ */
+
+import { CARRY_CONFIG } from '../core/constants.js';
+
+class EncumbranceSystem {
+  /**
+   * @param {EventBus} eventBus
+   * @param {Map} equipment - Item definitions by ID
+   */
+  constructor(eventBus, equipment) {
+    this.eventBus = eventBus;
+    this.equipment = equipment;
+  }
+
+  /**
+   * Whether an item needs a slot - worn gear ("equipped") and data files don't
+   */
+  takesSlot(itemId) {
+    const item = this.equipment.get(itemId);
+    return !item?.equipped && !item?.dataSize;
+  }
+
+  /**
+   * Slots and weight the player can manage with what they're wearing
+   * @returns {Object} { slots, weightLimit, maxWeight }
+   */
+  getCapacity(state) {
+    const extraSlots = state.player.equipment.reduce((sum, itemId) =>
+      sum + (this.equipment.get(itemId)?.carryCapacity || 0), 0);
+
+    return {
+      slots: CARRY_CONFIG.BASE_SLOTS + extraSlots,
+      weightLimit: CARRY_CONFIG.WEIGHT_LIMIT,
+      maxWeight: CARRY_CONFIG.MAX_WEIGHT
+    };
+  }
+
+  /**
+   * What the player's carrying against what they can
+   * @returns {Object} { slotsUsed, slots, weight, weightLimit, maxWeight, overloaded }
+   */
+  getLoad(state) {
+    const capacity = this.getCapacity(state);
+    const carried = state.player.equipment;
+    const slotsUsed = carried.filter(itemId => this.takesSlot(itemId)).length;
+    const weight = carried.reduce((sum, itemId) => sum + (this.equipment.get(itemId)?.weight || 0), 0);
+
+    return {
+      ...capacity,
+      slotsUsed,
+      weight: Math.round(weight * 10) / 10,
+      // Only happens by shedding the vest, or past the comfortable weight
+      overloaded: slotsUsed > capacity.slots || weight > capacity.weightLimit
+    };
+  }
+
+  /**
+   * Whether an item can be picked up on top of the current load
+   * @returns {Object} { canCarry, reason }
+   */
+  canCarry(state, itemId) {
+    const load = this.getLoad(state);
+    const item = this.equipment.get(itemId);
+
+    if (this.takesSlot(itemId) && load.slotsUsed >= load.slots) {
+      return { canCarry: false, reason: "No room left - you'd have to drop something." };
+    }
+    if (load.weight + (item?.weight || 0) > load.maxWeight) {
+      return { canCarry: false, reason: `Too heavy. You can't carry the ${(item?.name || 'item').toLowerCase()} on top of everything else.` };
+    }
+    return { canCarry: true, reason: null };
+  }
+}
+
+export { EncumbranceSystem };
@@ -0,0 +1,206 @@
+/**
+ * HACKING SYSTEM
+ * Terminal breaches as a code-matching puzzle. The target sequence is hidden
+ * in a grid of hex codes along a path that alternates rows and columns: each
+ * pick has to be the next code, taken from the active row or column, and the
+ * pick turns the active line. Wrong codes are strikes. Too many strikes, or
+ * running out of time, and the breach fails.
+ */
+
+import { HACK_DIFFICULTY, HACK_CONFIG, RNG_STREAMS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
+
+class HackingSystem {
+  /**
+   * @param {EventBus} eventBus
+   * @param {SkillSystem} skills - Hacking odds stretch or squeeze the time limit
+   */
+  constructor(eventBus, skills) {
+    this.eventBus = eventBus;
+    this.skills = skills;
+  }
+
+  /**
+   * Puzzle tier for a terminal. hackDifficulty is a tier name or a rating;
+   * the mission bonus raises the rating, which can push it up a tier.
+   */
+  getTier(terminal, bonus = 0) {
+    let rating = terminal.hackDifficulty ?? 'medium';
+    if (typeof rating === 'string') {
+      if (!HACK_DIFFICULTY[rating]) {
+        throw new Error(`Unknown hack difficulty "${rating}" on ${terminal.id}`);
+      }
+      rating = HACK_DIFFICULTY[rating].rating;
+    }
+    rating += bonus;
+
+    // Hardest tier the rating reaches (the easiest if it reaches none)
+    const tiers = Object.entries(HACK_DIFFICULTY).sort(([, a], [, b]) => a.rating - b.rating);
+    let [id, tier] = tiers[0];
+    for (const [tierId, candidate] of tiers) {
+      if (candidate.rating <= rating) [id, tier] = [tierId, candidate];
+    }
+
+    return { id, ...tier, rating };
+  }
+
+  /**
+   * Lay out a new puzzle for a terminal
+   * @param {Object} options - { roomId, bonus } (bonus is the mission's hackDifficultyBonus)
+   */
+  createPuzzle(state, terminal, options = {}) {
+    const tier = this.getTier(terminal, options.bonus || 0);
+    const odds = this.skills.getOdds(state, 'hacking', tier.rating);
+    const stream = rng.stream(RNG_STREAMS.HACKING);
+    const size = tier.gridSize;
+    const length = Math.min(tier.sequenceLength, size);
+
+    // Sequence codes appear only once in the grid, so each step has one answer
+    const codes = this.shuffle(HACK_CONFIG.CODES, stream);
+    const sequence = codes.slice(0, length);
+    const fillers = codes.slice(length);
+
+    const grid = Array.from({ length: size }, () =>
+      Array.from({ length: size }, () => stream.pick(fillers))
+    );
+    this.layPath(size, length, stream).forEach(({ row, col }, i) => {
+      grid[row][col] = sequence[i];
+    });
+
+    const timeLimit = Math.round(tier.timeLimit *
+      (HACK_CONFIG.TIME_FLOOR + odds.chance * HACK_CONFIG.TIME_PER_CHANCE));
+
+    return {
+      terminalId: terminal.id,
+      roomId: options.roomId,
+      name: terminal.name || terminal.id,
+      tier: tier.id,
+      rating: tier.rating,
+      odds,
+      grid,
+      sequence,
+      progress: 0,
+      axis: 'row',
+      line: 0,
+      used: [],
+      strikes: 0,
+      maxStrikes: tier.strikes,
+      startedAt: state.elapsedTime,
+      timeLimit,
+      expiresAt: state.elapsedTime + timeLimit
+    };
+  }
+
+  /**
+   * Cells for the sequence - starting in the top row, turning at every step,
+   * never reusing a row or column so no two steps share a cell
+   */
+  layPath(size, length, stream) {
+    const rows = this.shuffle([...Array(size).keys()].filter(r => r !== 0), stream);
+    const cols = this.shuffle([...Array(size).keys()], stream);
+    const path = [];
+    let row = 0;
+    let col = null;
+
+    for (let i = 0; i < length; i++) {
+      if (i % 2 === 0) {
+        col = cols.pop();
+      } else {
+        row = rows.pop();
+      }
+      path.push({ row, col });
+    }
+    return path;
+  }
+
+  /**
+   * Pick a cell
+   * @returns {Object} { result: 'match' | 'strike' | 'invalid', code }
+   */
+  select(puzzle, row, col) {
+    const code = puzzle.grid[row]?.[col];
+    const onLine = puzzle.axis === 'row' ? row === puzzle.line : col === puzzle.line;
+    const used = puzzle.used.some(cell => cell.row === row && cell.col === col);
+    const over = this.isSolved(puzzle) || puzzle.strikes >= puzzle.maxStrikes;
+
+    if (code === undefined || !onLine || used || over) {
+      return { result: 'invalid', code };
+    }
+
+    if (code !== puzzle.sequence[puzzle.progress]) {
+      puzzle.strikes++;
+      return { result: 'strike', code };
+    }
+
+    puzzle.used.push({ row, col });
+    puzzle.progress++;
+    puzzle.axis = puzzle.axis === 'row' ? 'col' : 'row';
+    puzzle.line = puzzle.axis === 'row' ? row : col;
+    return { result: 'match', code };
+  }
+
+  /**
+   * Whole sequence entered
+   */
+  isSolved(puzzle) {
+    return puzzle.progress >= puzzle.sequence.length;
+  }
+
+  /**
+   * Out of strikes or out of time
+   */
+  isFailed(puzzle, now) {
+    return puzzle.strikes >= puzzle.maxStrikes || now >= puzzle.expiresAt;
+  }
+
+  /**
+   * What stress does to the interface - the worst of the player's conditions
+   */
+  getInterference(state) {
+    const interference = { shake: 0, blur: 0 };
+    for (const conditionId of state.player.conditions || []) {
+      const effect = HACK_CONFIG.INTERFERENCE[conditionId];
+      if (!effect) continue;
+      interference.shake = Math.max(interference.shake, effect.shake || 0);
+      interference.blur = Math.max(interference.blur, effect.blur || 0);
+    }
+    return interference;
+  }
+
+  /**
+   * Snapshot for the puzzle interface - interference follows the player's
+   * conditions as they come and go
+   */
+  getView(puzzle, state) {
+    return {
+      terminalId: puzzle.terminalId,
+      name: puzzle.name,
+      tier: puzzle.tier,
+      grid: puzzle.grid,
+      sequence: puzzle.sequence,
+      progress: puzzle.progress,
+      axis: puzzle.axis,
+      line: puzzle.line,
+      used: puzzle.used.slice(),
+      strikes: puzzle.strikes,
+      maxStrikes: puzzle.maxStrikes,
+      timeLimit: puzzle.timeLimit,
+      timeLeft: Math.max(0, Math.ceil(puzzle.expiresAt - state.elapsedTime)),
+      interference: this.getInterference(state)
+    };
+  }
+
+  /**
+   * Fisher-Yates on a copy, rolled on the hacking stream
+   */
+  shuffle(items, stream) {
+    const result = items.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = stream.int(0, i);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+export { HackingSystem };
@@ -0,0 +1,147 @@
+/**
+ * LOCKPICKING SYSTEM
+ * Mechanical locks as a tension-and-pin puzzle. The player sets tension on
+ * the lock, then lifts the next pin: each pin only sets inside its own band
+ * of tension. Too little and it drops back; too much and the pick slips,
+ * knocking the last pin loose. Every lift scrapes, and a slip rattles.
+ * Shaking hands make the tension wander.
+ */
+
+import { LOCK_CONFIG, RNG_STREAMS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
+
+class LockpickingSystem {
+  /**
+   * @param {EventBus} eventBus
+   * @param {SkillSystem} skills - Lockpicking odds widen each pin's band
+   */
+  constructor(eventBus, skills) {
+    this.eventBus = eventBus;
+    this.skills = skills;
+  }
+
+  /**
+   * Security level of a lock - its own, else the keycard level it shares
+   */
+  getSecurity(lock) {
+    return lock.lockSecurity ?? lock.keycardLevel ?? 1;
+  }
+
+  /**
+   * Difficulty of beating a lock of this security (picking or bypassing)
+   */
+  getDifficulty(lock) {
+    return LOCK_CONFIG.BASE_DIFFICULTY + this.getSecurity(lock) * LOCK_CONFIG.SECURITY_DIFFICULTY;
+  }
+
+  /**
+   * Set up the pins for a lock
+   * @param {Object} options - { roomId, target, kind: 'exit' | 'container' }
+   */
+  createAttempt(state, lock, options = {}) {
+    const security = this.getSecurity(lock);
+    const odds = this.skills.getOdds(state, 'lockpicking', this.getDifficulty(lock));
+    const stream = rng.stream(RNG_STREAMS.LOCKPICKING);
+    const width = LOCK_CONFIG.MIN_WINDOW + odds.chance * LOCK_CONFIG.WINDOW_PER_CHANCE;
+
+    const pins = [];
+    for (let i = 0; i < LOCK_CONFIG.BASE_PINS + security; i++) {
+      pins.push({ center: stream.int(15, 85), width, set: false });
+    }
+
+    return {
+      lockId: lock.id,
+      target: options.target,
+      kind: options.kind,
+      roomId: options.roomId,
+      name: lock.label || lock.name || lock.id,
+      position: lock.position,
+      security,
+      odds,
+      pins,
+      tension: 0,
+      slips: 0,
+      maxSlips: LOCK_CONFIG.MAX_SLIPS,
+      lastResult: null
+    };
+  }
+
+  /**
+   * Lean on the tension wrench
+   */
+  setTension(attempt, tension) {
+    attempt.tension = Math.max(0, Math.min(100, Math.round(tension)));
+    attempt.lastResult = null;
+  }
+
+  /**
+   * Lift the next pin against the current tension
+   * @returns {Object} { result: 'set' | 'loose' | 'slip', pin, wobble }
+   */
+  lift(attempt, state) {
+    const index = attempt.pins.findIndex(pin => !pin.set);
+    if (index === -1 || this.isFailed(attempt)) return { result: 'invalid' };
+
+    const pin = attempt.pins[index];
+    const wobble = this.getWobble(state);
+    const felt = attempt.tension + (wobble > 0 ? rng.stream(RNG_STREAMS.LOCKPICKING).int(-wobble, wobble) : 0);
+
+    let result;
+    if (Math.abs(felt - pin.center) <= pin.width / 2) {
+      pin.set = true;
+      result = 'set';
+    } else if (felt < pin.center) {
+      result = 'loose';
+    } else {
+      // Overset - the pick slips and the last pin to set falls back
+      attempt.slips++;
+      const lastSet = attempt.pins.findLastIndex(p => p.set);
+      if (lastSet !== -1) attempt.pins[lastSet].set = false;
+      result = 'slip';
+    }
+
+    attempt.lastResult = result;
+    return { result, pin: index, wobble };
+  }
+
+  /**
+   * Every pin set
+   */
+  isOpen(attempt) {
+    return attempt.pins.every(pin => pin.set);
+  }
+
+  /**
+   * The pick's bent
+   */
+  isFailed(attempt) {
+    return attempt.slips >= attempt.maxSlips;
+  }
+
+  /**
+   * How far tension wanders - the worst of the player's conditions
+   */
+  getWobble(state) {
+    return (state.player.conditions || []).reduce((worst, conditionId) =>
+      Math.max(worst, LOCK_CONFIG.STRESS_WOBBLE[conditionId] || 0), 0);
+  }
+
+  /**
+   * Snapshot for the lockpicking interface (pin bands stay hidden)
+   */
+  getView(attempt, state) {
+    return {
+      lockId: attempt.lockId,
+      name: attempt.name,
+      security: attempt.security,
+      pins: attempt.pins.map(pin => ({ set: pin.set })),
+      tension: attempt.tension,
+      slips: attempt.slips,
+      maxSlips: attempt.maxSlips,
+      lastResult: attempt.lastResult,
+      shaking: this.getWobble(state) > 0
+    };
+  }
+}
+
+export { LockpickingSystem };
@@ -0,0 +1,111 @@
+/**
+ * SKILLS SYSTEM
+ * The player's skill profile and the checks made against it. Odds start from
+ * the skill level against the difficulty, then move with active conditions
+ * (shaking hands, panic) and the gear being carried. Bribes go further with
+ * more cash in hand.
+ */
+
+import { PLAYER_SKILLS, SKILL_MODIFIERS, SKILL_CONFIG, RNG_STREAMS } from '../core/constants.js';
+import { rng } from '../core/rng.js';
+import { ConditionRegistry } from './conditions.js';
+
+class SkillSystem {
+  /**
+   * @param {EventBus} eventBus
+   * @param {Map} equipment - Item definitions by ID
+   */
+  constructor(eventBus, equipment) {
+    this.eventBus = eventBus;
+    this.equipment = equipment;
+  }
+
+  /**
+   * A skill's level before anything modifies it
+   */
+  getLevel(state, skill) {
+    return state.player.skills?.[skill] ?? PLAYER_SKILLS[skill] ?? 0;
+  }
+
+  /**
+   * Odds of passing a check, and everything that moved them
+   * @returns {Object} { skill, level, difficulty, chance, modifiers: [{ source, label, value }] }
+   */
+  getOdds(state, skill, difficulty) {
+    const modifiers = [
+      ...this.getConditionModifiers(state, skill),
+      ...this.getEquipmentModifiers(state, skill)
+    ];
+
+    if (skill === 'bribery') {
+      const cash = state.player.cash || 0;
+      const value = Math.min(SKILL_CONFIG.MAX_CASH_BONUS, Math.floor(cash / SKILL_CONFIG.CASH_PER_POINT));
+      if (value > 0) modifiers.push({ source: 'cash', label: `$${cash} in hand`, value });
+    }
+
+    const level = this.getLevel(state, skill);
+    const total = modifiers.reduce((sum, mod) => sum + mod.value, 0);
+    const chance = Math.max(SKILL_CONFIG.MIN_CHANCE, Math.min(SKILL_CONFIG.MAX_CHANCE,
+      level + total + SKILL_CONFIG.BASE_CHANCE - difficulty
+    ));
+
+    return { skill, level, difficulty, chance, modifiers };
+  }
+
+  /**
+   * Roll a check
+   * @param {string} stream - RNG stream to roll on (fights roll on COMBAT)
+   * @returns {Object} The odds, plus { roll, success }
+   */
+  check(state, skill, difficulty, stream = RNG_STREAMS.SKILLS) {
+    const odds = this.getOdds(state, skill, difficulty);
+    const roll = rng.stream(stream).roll();
+    const result = { ...odds, roll, success: roll < odds.chance };
+
+    this.eventBus.emit('skill:checked', result);
+    return result;
+  }
+
+  /**
+   * What the player's active conditions do to a skill
+   */
+  getConditionModifiers(state, skill) {
+    const keys = ['allActions', ...(SKILL_MODIFIERS[skill] || [])];
+    const modifiers = [];
+
+    for (const conditionId of state.player.conditions || []) {
+      const condition = ConditionRegistry[conditionId];
+      if (!condition) continue;
+
+      const value = keys.reduce((sum, key) => sum + (condition.modifiers[key] || 0), 0);
+      if (value !== 0) modifiers.push({ source: conditionId, label: condition.name, value });
+    }
+    return modifiers;
+  }
+
+  /**
+   * What carried gear does for a skill - "skillBonuses" per skill, and
+   * "combatBonus" for weapons. Only the best weapon counts.
+   */
+  getEquipmentModifiers(state, skill) {
+    const modifiers = [];
+    let weapon = null;
+
+    for (const itemId of state.player.equipment) {
+      const item = this.equipment.get(itemId);
+      if (!item) continue;
+
+      const value = item.skillBonuses?.[skill];
+      if (value) modifiers.push({ source: itemId, label: item.name, value });
+
+      if (skill === 'combat' && item.combatBonus > (weapon?.combatBonus || 0)) {
+        weapon = item;
+      }
+    }
+
+    if (weapon) modifiers.push({ source: weapon.id, label: weapon.name, value: weapon.combatBonus });
+    return modifiers;
+  }
+}
+
+export { SkillSystem };
@@ -67,33 +67,9 @@ class VitalsSystem {
         break;
     }
     
-    this.updateConditions();
     return this[vital];
   }
 
-  /**
-   * Update conditions based on current vitals
-   */
-  updateConditions() {
-    // Clear auto-conditions (those derived from vitals)
-    const autoConditions = ['high-stress', 'injured', 'exhausted', 'panicked'];
-    autoConditions.forEach(c => this.conditions.delete(c));
-    
-    // Apply conditions based on thresholds
-    if (this.stress > VITAL_THRESHOLDS.STRESS.HIGH) {
-      this.conditions.add('high-stress');
-    }
-    if (this.stress > VITAL_THRESHOLDS.STRESS.CRITICAL) {
-      this.conditions.add('panicked');
-    }
-    if (this.health < VITAL_THRESHOLDS.HEALTH.WOUNDED) {
-      this.conditions.add('injured');
-    }
-    if (this.stamina < 20) {
-      this.conditions.add('exhausted');
-    }
-  }
-
   /**
    * Get the cumulative effect modifier for a given action type
    */
@@ -129,12 +105,6 @@ class VitalsSystem {
    * Tick - called each game tick to update timed effects
    */
   tick() {
-    // Process bleeding
-    if (this.conditions.has('injured')) {
-      const bleedRate = CONDITION_EFFECTS['injured'].effects.bleedRate || 0;
-      this.modifyVital('health', -bleedRate);
-    }
-    
     // Process timed effects
     for (const [effectId, effect] of this.effects) {
       effect.remaining--;
@@ -172,7 +142,7 @@ class VitalsSystem {
    * Deserialize from saved state
    */
   static deserialize(data) {
-    const vitals = new VitalsSystem(data);
+    const vitals = new this(data);
     vitals.conditions = new Set(data.conditions);
     vitals.effects = new Map(data.effects);
     return vitals;
@@ -194,12 +164,13 @@ class PlayerVitals extends VitalsSystem {
   /**
    * Override to include pulse/breathing effects
    */
-  updateConditions() {
-    super.updateConditions();
+  modifyVital(vital, amount) {
+    const value = super.modifyVital(vital, amount);
     
     // Update physiological responses based on stress
     this.pulse = 70 + Math.floor(this.stress * 0.6); // 70-130 BPM
     this.breathingRate = 12 + Math.floor(this.stress * 0.1); // 12-22 BPM
+    return value;
   }
 
   /**
@@ -272,6 +243,27 @@ class NPCVitals extends VitalsSystem {
     }
   }
 
+  /**
+   * Serialize for save/load, including awareness tracking
+   */
+  serialize() {
+    return {
+      ...super.serialize(),
+      awareness: this.awareness,
+      suspicion: this.suspicion,
+      alertCooldown: this.alertCooldown
+    };
+  }
+
+  /**
+   * Deserialize from saved state
+   */
+  static deserialize(data) {
+    const vitals = super.deserialize(data);
+    vitals.alertCooldown = data.alertCooldown || 0;
+    return vitals;
+  }
+
   /**
    * Check if NPC can perform certain actions
    */
@@ -0,0 +1,83 @@
+/**
+ * ACTION REGISTRY
+ * Every verb resolves through the registry: preconditions, costs, effects
+ * handed to the Simulation's handlers, and what happens when they say no.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { ActionResolver } from '../pillars/actions.js';
+import { runHeadless } from '../core/headless.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+function setup() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['action:blocked', 'action:completed']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+
+  const state = new GameState();
+  state.currentEnvironment = 'lobby-main';
+  const resolver = new ActionResolver(state, eventBus, {
+    environments: new Map(Object.entries(environments))
+  });
+  return { state, resolver, events };
+}
+
+test('an unknown verb is blocked, not run', () => {
+  const { resolver, events } = setup();
+
+  const result = resolver.execute('teleport', 'roof');
+  assert.equal(result.success, false);
+  assert.deepEqual(events, [{ event: 'action:blocked', verb: 'teleport', target: 'roof', reason: 'Unknown action' }]);
+});
+
+test('only carried items (or things in the room) can be used', () => {
+  const { resolver, events } = setup();
+  resolver.registerEffect('executeItemEffect', () => true);
+
+  const result = resolver.execute('use', 'medkit-small');
+  assert.equal(result.message, "You don't have that.");
+  assert.equal(events[0].event, 'action:blocked');
+});
+
+test('costs are only paid for an action that goes ahead', () => {
+  const { state, resolver } = setup();
+  let goes = false;
+  resolver.registerEffect('changeLocation', () => goes);
+
+  resolver.execute('move', 'hallway-east');
+  assert.equal(state.player.vitals.stamina, 100, 'called off - nothing spent');
+
+  goes = true;
+  resolver.execute('move', 'hallway-east');
+  assert.ok(state.player.vitals.stamina < 100);
+});
+
+test('an effect with no handler is an error', () => {
+  const { resolver } = setup();
+
+  assert.throws(() => resolver.execute('move', 'hallway-east'), /No handler for action effect: changeLocation/);
+});
+
+test('a distraction turns heads in the room', async () => {
+  const result = await runHeadless({
+    seed: 1,
+    actions: [{ tick: 1, verb: 'distract' }],
+    maxTicks: 5
+  });
+
+  const distracted = result.events.find(entry => entry.event === 'npc:distracted');
+  assert.ok(distracted.data.npcIds.includes('receptionist-01'));
+  assert.ok(result.events.some(entry => entry.event === 'noise:propagated' && entry.data.source === 'distraction'));
+});
@@ -0,0 +1,85 @@
+/**
+ * NPC BODIES
+ * Going down, the wake timer on the mission clock, and what finding a
+ * body does to whoever finds it.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { BODY_CAUSES, BODY_CONFIG, NPC_AWARENESS } from '../core/constants.js';
+import { NPC } from '../entities/npc.js';
+
+function guard(id, position = { x: 4, y: 2 }) {
+  return new NPC({ id, name: id, location: 'lobby-main', position });
+}
+
+function world() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['npc:wokeUp', 'npc:bodyDiscovered']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+  return { world: { eventBus }, events };
+}
+
+test('a subdued NPC comes round on the wake timer, on alert', () => {
+  const { world: services, events } = world();
+  const state = new GameState();
+  const npc = guard('guard');
+
+  npc.goDown(BODY_CAUSES.SUBDUED, 10);
+  assert.equal(npc.vitals.canAct(), false);
+  assert.equal(npc.body.wakeAt, 10 + BODY_CONFIG.WAKE_TIME.subdued);
+
+  state.elapsedTime = npc.body.wakeAt - 1;
+  npc.tick(state, services);
+  assert.ok(npc.body, 'still down');
+
+  state.elapsedTime = npc.body.wakeAt;
+  npc.tick(state, services);
+  assert.equal(npc.body, null);
+  assert.equal(npc.vitals.canAct(), true);
+  assert.notEqual(npc.awareness, NPC_AWARENESS.UNAWARE);
+  assert.equal(events[0].event, 'npc:wokeUp');
+});
+
+test('the dead stay down', () => {
+  const state = new GameState();
+  const npc = guard('guard');
+
+  npc.goDown(BODY_CAUSES.KILLED, 0);
+  state.elapsedTime = 100000;
+  npc.tick(state, {});
+
+  assert.equal(npc.isDead(), true);
+  assert.ok(npc.body);
+});
+
+test('finding a body puts the finder on edge and sends them to look', () => {
+  const { world: services, events } = world();
+  const body = guard('down', { x: 6, y: 5 });
+  const finder = guard('finder');
+  body.goDown(BODY_CAUSES.KNOCKED_OUT, 0);
+
+  finder.discoverBody(body, services);
+
+  assert.equal(body.body.discovered, true);
+  assert.ok(finder.vitals.suspicion >= BODY_CONFIG.FIND_SUSPICION);
+  assert.deepEqual(finder.lead, { position: { x: 6, y: 5 }, reason: 'body' });
+  assert.equal(events[0].event, 'npc:bodyDiscovered');
+});
+
+test('bodies survive a save', () => {
+  const npc = guard('guard');
+  npc.goDown(BODY_CAUSES.SUBDUED, 5);
+  npc.body.hidden = 'cover';
+
+  const restored = NPC.deserialize(JSON.parse(JSON.stringify(npc.serialize())));
+  assert.deepEqual(restored.body, npc.body);
+  assert.equal(restored.vitals.canAct(), false);
+});
@@ -0,0 +1,59 @@
+/**
+ * SIMULATION CLOCK
+ * Fixed ticks from variable frames, pause and speed, save round-trip.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameClock, TICK_DURATION, MAX_FRAME_TIME } from '../core/clock.js';
+
+test('frames run whole ticks and carry the remainder', () => {
+  const clock = new GameClock();
+  let ticks = 0;
+
+  assert.equal(clock.advance(TICK_DURATION * 2.5, () => ticks++), 2);
+  assert.equal(clock.getAlpha(), 0.5);
+  assert.equal(clock.advance(TICK_DURATION / 2, () => ticks++), 1);
+  assert.equal(ticks, 3);
+});
+
+test('long frames are clamped so the simulation does not spiral', () => {
+  const clock = new GameClock();
+  const ran = clock.advance(10000, () => {});
+
+  assert.equal(ran, Math.floor(MAX_FRAME_TIME / TICK_DURATION));
+});
+
+test('a paused clock runs nothing and speed scales real time', () => {
+  const clock = new GameClock();
+  clock.pause();
+  assert.equal(clock.advance(TICK_DURATION * 2, () => {}), 0);
+
+  clock.resume();
+  clock.setSpeed(2);
+  assert.equal(clock.advance(TICK_DURATION * 2, () => {}), 4);
+});
+
+test('onTick pausing the clock stops the frame early', () => {
+  const clock = new GameClock();
+  const ran = clock.advance(TICK_DURATION * 2, () => clock.pause());
+
+  assert.equal(ran, 1);
+});
+
+test('tick and game time survive a save, pause and speed do not', () => {
+  const clock = new GameClock();
+  clock.step();
+  clock.step();
+  clock.setSpeed(4);
+
+  const restored = new GameClock();
+  restored.restore(clock.serialize());
+
+  assert.equal(restored.tick, 2);
+  assert.equal(restored.time, TICK_DURATION * 2);
+  assert.equal(restored.speed, 1);
+});
@@ -0,0 +1,58 @@
+/**
+ * CONDITIONS
+ * Conditions brought on by vitals and events, cured the same way, timed
+ * ones running out on simulation seconds, and per-minute rates.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { ConditionManager } from '../pillars/conditions.js';
+
+function setup() {
+  const state = new GameState();
+  return { state, conditions: new ConditionManager(state, new EventBus()) };
+}
+
+test('stress past the threshold shakes the player, and calming down cures it', () => {
+  const { state, conditions } = setup();
+
+  state.updateVitals({ stress: 75 });
+  conditions.update(0.1);
+  assert.ok(conditions.hasCondition('player', 'high-stress'));
+
+  state.updateVitals({ stress: -40 });
+  conditions.update(0.1);
+  assert.equal(conditions.hasCondition('player', 'high-stress'), false);
+});
+
+test('a timed condition runs out after its duration in simulation seconds', () => {
+  const { state, conditions } = setup();
+  state.timeScale = 60; // A fast mission clock doesn't hurry it along
+
+  conditions.handleEvent('player', { type: 'narrowEscape' });
+  assert.ok(conditions.hasCondition('player', 'adrenaline'));
+
+  for (let i = 0; i < 290; i++) conditions.update(0.1);
+  assert.ok(conditions.hasCondition('player', 'adrenaline'), 'still going at 29s');
+
+  for (let i = 0; i < 15; i++) conditions.update(0.1);
+  assert.equal(conditions.hasCondition('player', 'adrenaline'), false);
+  assert.equal(state.conditionTimers.size, 0);
+});
+
+test('an injury bleeds health away by the minute', () => {
+  const { state, conditions } = setup();
+
+  state.updateVitals({ health: -75 });
+  conditions.update(0);
+  assert.ok(conditions.hasCondition('player', 'injured'));
+
+  const before = state.player.vitals.health;
+  conditions.update(60);
+  assert.equal(state.player.vitals.health, before - 2);
+});
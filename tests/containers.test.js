@@ -0,0 +1,65 @@
+/**
+ * CONTAINERS
+ * What's left in a container, hidden contents turning up on a search, and
+ * taking things out one at a time.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState } from '../core/state.js';
+import { runHeadless } from '../core/headless.js';
+
+const BOX = { id: 'box', contents: ['fuse'], hiddenContents: ['keycard-level2'] };
+
+// Down to the stairwell, next to the utility box
+const TO_UTILITY_BOX = [
+  { tick: 1, verb: 'walk', target: { x: 11, y: 4 } },
+  { tick: 20, verb: 'walk', target: { x: 1, y: 11 } },
+  { tick: 50, verb: 'walk', target: { x: 1, y: 1 } }
+];
+
+test('hidden contents only show once searched, and taken items stay gone', () => {
+  const state = new GameState();
+
+  assert.deepEqual(state.getContainerContents('room', BOX), ['fuse']);
+
+  state.updateElementState('room', 'box', { searched: true });
+  assert.deepEqual(state.getContainerContents('room', BOX), ['fuse', 'keycard-level2']);
+
+  state.updateElementState('room', 'box', { taken: ['fuse'] });
+  assert.deepEqual(state.getContainerContents('room', BOX), ['keycard-level2']);
+});
+
+test('nothing comes out of a container before it\'s been searched', async () => {
+  const result = await runHeadless({
+    seed: 1,
+    actions: [...TO_UTILITY_BOX, { tick: 70, verb: 'take-from', target: 'utility-box', item: 'keycard-level2' }],
+    maxTicks: 90
+  });
+
+  const blocked = result.events.find(entry => entry.event === 'action:blocked');
+  assert.equal(blocked.data.reason, "That's not in there.");
+  assert.equal(result.events.some(entry => entry.event === 'item:added'), false);
+});
+
+test('a search turns up what was tucked away, to take out piece by piece', async () => {
+  const result = await runHeadless({
+    seed: 1,
+    actions: [
+      ...TO_UTILITY_BOX,
+      { tick: 70, verb: 'search', target: 'utility-box' },
+      { tick: 80, verb: 'take-from', target: 'utility-box', item: 'keycard-level2' }
+    ],
+    maxTicks: 100
+  });
+
+  const opened = result.events.find(entry => entry.event === 'container:opened');
+  assert.deepEqual(opened.data.items.map(item => item.id), ['keycard-level2']);
+
+  const updated = result.events.find(entry => entry.event === 'container:updated');
+  assert.deepEqual(updated.data.items, []);
+  assert.ok(result.state.player.equipment.includes('keycard-level2'));
+});
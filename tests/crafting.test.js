@@ -0,0 +1,103 @@
+/**
+ * CRAFTING
+ * Recipes either way round, results keeping their source's uses, content
+ * errors, and a combine played out through the Simulation.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { CARRY_CONFIG, CRAFT_CONFIG } from '../core/constants.js';
+import { TICK_DURATION } from '../core/clock.js';
+import { CraftingSystem } from '../pillars/crafting.js';
+import { Simulation } from '../core/simulation.js';
+
+async function readJSON(path) {
+  return JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), 'utf8'));
+}
+
+const { equipment, recipes } = await readJSON('pillars/equipment.json');
+
+function setup() {
+  const crafting = new CraftingSystem(new EventBus(), new Map(Object.entries(equipment)));
+  crafting.load(recipes);
+  return { crafting, state: new GameState() };
+}
+
+async function loadSim() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['item:combined', 'item:refused']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+
+  const sim = new Simulation(eventBus);
+  sim.loadData(
+    await readJSON('pillars/environments.json'),
+    await readJSON('pillars/equipment.json'),
+    await readJSON('scripts/dialogue.json')
+  );
+  await sim.loadMission(await readJSON('missions/active/mission-001.json'), { seed: 1 });
+  sim.state.player.equipment = ['earpiece', 'fire-extinguisher', 'lighter'];
+  return { sim, events };
+}
+
+function wait(sim, ms) {
+  for (let i = 0; i < Math.ceil(ms / TICK_DURATION); i++) sim.step();
+}
+
+test('a recipe is found whichever way round the items go together', () => {
+  const { crafting } = setup();
+
+  assert.equal(crafting.findRecipe('lighter', 'fire-extinguisher').id, 'smoke-canister');
+  assert.equal(crafting.findRecipe('fire-extinguisher', 'lighter').id, 'smoke-canister');
+  assert.equal(crafting.findRecipe('lighter', 'lighter'), null);
+  assert.equal(crafting.findRecipe('lighter', 'knife'), null);
+});
+
+test('the result keeps whatever uses its source had left', () => {
+  const { crafting, state } = setup();
+  const recipe = crafting.findRecipe('fire-extinguisher', 'lighter');
+
+  assert.equal(crafting.getResultUses(state, recipe), equipment['fire-extinguisher'].uses);
+  state.setItemUses('fire-extinguisher', 1);
+  assert.equal(crafting.getResultUses(state, recipe), 1);
+});
+
+test('a recipe that makes an unknown item is an error', () => {
+  const crafting = new CraftingSystem(new EventBus(), new Map(Object.entries(equipment)));
+
+  assert.throws(
+    () => crafting.load({ rocket: { ingredients: ['lighter', 'knife'], result: 'rocket' } }),
+    /Recipe rocket makes unknown item: rocket/
+  );
+});
+
+test('combining uses up the ingredient and hands over the result', async () => {
+  const { sim, events } = await loadSim();
+
+  sim.executeAction({ verb: 'combine', target: 'fire-extinguisher', with: 'lighter' });
+  wait(sim, CRAFT_CONFIG.COMBINE_TIME);
+
+  assert.deepEqual(sim.state.player.equipment, ['earpiece', 'lighter', 'smoke-canister']);
+  assert.equal(events[0].event, 'item:combined');
+  assert.equal(events[0].discovered, true);
+});
+
+test('with no room for the result, it goes on the floor', async () => {
+  const { sim, events } = await loadSim();
+
+  sim.executeAction({ verb: 'combine', target: 'fire-extinguisher', with: 'lighter' });
+  // Pockets filled up while it was being put together
+  for (let i = 0; i < CARRY_CONFIG.BASE_SLOTS; i++) sim.state.player.equipment.push(`pebble-${i}`);
+  wait(sim, CRAFT_CONFIG.COMBINE_TIME);
+
+  assert.equal(sim.state.player.equipment.includes('smoke-canister'), false);
+  assert.equal(events.find(entry => entry.event === 'item:refused').itemId, 'smoke-canister');
+  assert.equal(sim.state.getWorldItems('lobby-main')[0].itemId, 'smoke-canister');
+});
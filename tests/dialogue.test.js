@@ -0,0 +1,126 @@
+/**
+ * DIALOGUE
+ * Picking an NPC's tree, filtering responses on their conditions, applying
+ * effects, and a conversation played out through the Simulation.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { DialogueSystem } from '../core/dialogue.js';
+import { NPC_AWARENESS } from '../core/constants.js';
+import { NPC } from '../entities/npc.js';
+import { Simulation } from '../core/simulation.js';
+import { runHeadless } from '../core/headless.js';
+
+async function readJSON(path) {
+  return JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), 'utf8'));
+}
+
+const TREES = {
+  meta: { version: 1 },
+  'clerk-neutral': {
+    greeting: {
+      text: 'Evening.',
+      responses: [
+        { text: 'Evening.', next: 'end' },
+        { text: '[Show pass]', next: 'end', requires: 'has-item:pass' }
+      ]
+    }
+  },
+  'clerk-suspicious': {
+    greeting: { text: 'Who are you?', responses: [] }
+  },
+  'clerk-known': {
+    requires: 'flag:met-clerk',
+    greeting: { text: 'You again.', responses: [] }
+  }
+};
+
+function setup() {
+  const dialogue = new DialogueSystem(new EventBus());
+  dialogue.load(TREES);
+  const npc = new NPC({ id: 'clerk', name: 'Clerk', location: 'lobby-main', position: { x: 1, y: 1 } });
+  return { dialogue, npc, state: new GameState() };
+}
+
+test('the tree follows the NPC\'s mood, and a variant wins while it holds', () => {
+  const { dialogue, npc, state } = setup();
+
+  assert.equal(dialogue.selectTree(npc, state), 'clerk-neutral');
+
+  npc.awareness = NPC_AWARENESS.SUSPICIOUS;
+  assert.equal(dialogue.selectTree(npc, state), 'clerk-suspicious');
+
+  state.setFlag('met-clerk', true);
+  assert.equal(dialogue.selectTree(npc, state), 'clerk-known');
+});
+
+test('responses whose conditions fail are left out', () => {
+  const { dialogue, npc, state } = setup();
+
+  const before = dialogue.createConversation(npc, state).getNode('greeting');
+  assert.equal(before.responses.length, 1);
+
+  state.addEquipment('pass');
+  const after = dialogue.createConversation(npc, state).getNode('greeting');
+  assert.equal(after.responses.length, 2);
+});
+
+test('effects change the NPC and the story, and unknown ones are an error', () => {
+  const { dialogue, npc, state } = setup();
+
+  dialogue.applyEffect('increase-suspicion:30', npc, state);
+  assert.equal(npc.vitals.suspicion, 30);
+
+  dialogue.applyEffect('set-flag:met-clerk', npc, state);
+  assert.equal(state.hasFlag('met-clerk'), true);
+
+  assert.throws(() => dialogue.applyEffect('teleport:roof', npc, state), /Unknown dialogue effect/);
+});
+
+test('a conversation plays out through dialogue input', async () => {
+  const result = await runHeadless({
+    seed: 1,
+    actions: [
+      { tick: 1, verb: 'talk', target: 'receptionist-01' },
+      // "Just looking around." - then "Fine, fine. I'm going."
+      { tick: 2, type: 'dialogue', data: { index: 2 } },
+      { tick: 3, type: 'dialogue', data: { index: 0 } }
+    ],
+    maxTicks: 10
+  });
+
+  const events = result.events.map(entry => entry.event);
+  assert.ok(events.includes('dialogue:start'));
+  assert.equal(events.filter(event => event === 'dialogue:responded').length, 2);
+
+  const ended = result.events.find(entry => entry.event === 'dialogue:ended');
+  assert.equal(ended.data.outcome, 'ended');
+
+  const [, receptionist] = result.state.npcs.find(([id]) => id === 'receptionist-01');
+  assert.equal(receptionist.awareness, NPC_AWARENESS.SUSPICIOUS);
+});
+
+test('a run can\'t be saved mid-conversation', async () => {
+  const sim = new Simulation(new EventBus());
+  sim.loadData(
+    await readJSON('pillars/environments.json'),
+    await readJSON('pillars/equipment.json'),
+    await readJSON('scripts/dialogue.json')
+  );
+  await sim.loadMission(await readJSON('missions/active/mission-001.json'), { seed: 1 });
+
+  assert.equal(sim.getSaveBlocker(), null);
+
+  sim.startDialogue('receptionist-01');
+  assert.match(sim.getSaveBlocker(), /conversation/);
+
+  sim.dialogueInput({ leave: true });
+  assert.equal(sim.getSaveBlocker(), null);
+});
@@ -0,0 +1,74 @@
+/**
+ * ENCUMBRANCE
+ * Pocket slots and a vest's extra room, what takes no slot, the weight
+ * limits, and a gift refused when there's no room for it.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { CARRY_CONFIG } from '../core/constants.js';
+import { DialogueSystem } from '../core/dialogue.js';
+import { NPC } from '../entities/npc.js';
+import { EncumbranceSystem } from '../pillars/encumbrance.js';
+
+const EQUIPMENT = new Map([
+  ['vest', { id: 'vest', name: 'Vest', weight: 0.5, equipped: true, carryCapacity: 2 }],
+  ['logs', { id: 'logs', name: 'Logs', weight: 0, dataSize: 1 }],
+  ['brick', { id: 'brick', name: 'Brick', weight: 2 }],
+  ['pen', { id: 'pen', name: 'Pen', weight: 0.1 }],
+  ['pass', { id: 'pass', name: 'Pass', weight: 0 }]
+]);
+
+function setup(carried = []) {
+  const eventBus = new EventBus();
+  const encumbrance = new EncumbranceSystem(eventBus, EQUIPMENT);
+  const state = new GameState();
+  state.player.equipment = [...carried];
+  return { eventBus, encumbrance, state };
+}
+
+test('worn gear and data take no slot, and a vest adds room', () => {
+  const { encumbrance, state } = setup(['vest', 'logs', 'pen']);
+
+  const load = encumbrance.getLoad(state);
+  assert.equal(load.slotsUsed, 1);
+  assert.equal(load.slots, CARRY_CONFIG.BASE_SLOTS + 2);
+  assert.equal(load.weight, 0.6);
+  assert.equal(load.overloaded, false);
+});
+
+test('full pockets leave no room, unless the item takes no slot', () => {
+  const { encumbrance, state } = setup(Array(CARRY_CONFIG.BASE_SLOTS).fill('pen'));
+
+  assert.equal(encumbrance.canCarry(state, 'pass').canCarry, false);
+  assert.match(encumbrance.canCarry(state, 'pass').reason, /No room left/);
+  assert.equal(encumbrance.canCarry(state, 'logs').canCarry, true);
+});
+
+test('past the comfortable weight is overloaded; past the most, nothing more is picked up', () => {
+  const { encumbrance, state } = setup(['brick', 'brick']);
+
+  assert.equal(encumbrance.getLoad(state).overloaded, true);
+  assert.equal(encumbrance.canCarry(state, 'pen').canCarry, true);
+  assert.match(encumbrance.canCarry(state, 'brick').reason, /Too heavy/);
+});
+
+test('an NPC hangs on to what they\'d give if the player has no room', () => {
+  const { eventBus, encumbrance, state } = setup(Array(CARRY_CONFIG.BASE_SLOTS).fill('pen'));
+  const refused = [];
+  eventBus.on('item:refused', (data) => refused.push(data));
+
+  const dialogue = new DialogueSystem(eventBus, null, encumbrance);
+  const npc = new NPC({ id: 'clerk', name: 'Clerk', location: 'lobby-main', position: { x: 1, y: 1 } });
+  npc.inventory = ['pass'];
+
+  assert.equal(dialogue.applyEffect('give-item:pass', npc, state), false);
+  assert.deepEqual(npc.inventory, ['pass']);
+  assert.equal(state.player.equipment.includes('pass'), false);
+  assert.equal(refused[0].itemId, 'pass');
+});
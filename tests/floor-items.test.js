@@ -0,0 +1,93 @@
+/**
+ * FLOOR ITEMS
+ * Items dropped by the player or a downed NPC lie where they fell, make a
+ * noise landing, can be picked back up, and get noticed if they shouldn't
+ * be there.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { Simulation } from '../core/simulation.js';
+
+async function readJSON(path) {
+  return JSON.parse(await readFile(new URL(`../${path}`, import.meta.url), 'utf8'));
+}
+
+async function setup() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['item:dropped', 'item:pickedUp', 'noise:propagated', 'npc:itemNoticed']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+
+  const sim = new Simulation(eventBus);
+  sim.loadData(
+    await readJSON('pillars/environments.json'),
+    await readJSON('pillars/equipment.json'),
+    await readJSON('scripts/dialogue.json')
+  );
+  await sim.loadMission(await readJSON('missions/active/mission-001.json'), { seed: 1 });
+  return { sim, events };
+}
+
+test('floor items are kept per room, each with its own ID', () => {
+  const state = new GameState();
+
+  const first = state.addWorldItem('lobby-main', 'knife', { x: 2, y: 3 });
+  const second = state.addWorldItem('lobby-main', 'flashlight', { x: 4, y: 1 }, 'guard-01');
+  assert.notEqual(first.id, second.id);
+  assert.equal(second.source, 'guard-01');
+  assert.deepEqual(state.getWorldItems('hallway-east'), []);
+
+  assert.equal(state.removeWorldItem('lobby-main', first.id), first);
+  assert.deepEqual(state.getWorldItems('lobby-main'), [second]);
+  assert.equal(state.removeWorldItem('lobby-main', first.id), null);
+});
+
+test('a dropped item lands with a noise and can be picked back up', async () => {
+  const { sim, events } = await setup();
+  const { position } = sim.state.player;
+
+  sim.executeAction({ verb: 'drop', target: 'flashlight' });
+  assert.equal(sim.state.player.equipment.includes('flashlight'), false);
+
+  const [item] = sim.state.getWorldItems('lobby-main');
+  assert.deepEqual(item.position, position);
+  assert.ok(events.some(entry => entry.event === 'noise:propagated' && entry.source === 'item'));
+
+  sim.executeAction({ verb: 'take', target: item.id });
+  assert.ok(sim.state.player.equipment.includes('flashlight'));
+  assert.deepEqual(sim.state.getWorldItems('lobby-main'), []);
+  assert.equal(events.find(entry => entry.event === 'item:pickedUp').worldItemId, item.id);
+});
+
+test('the earpiece stays on', async () => {
+  const { sim } = await setup();
+
+  sim.executeAction({ verb: 'drop', target: 'earpiece' });
+  assert.ok(sim.state.player.equipment.includes('earpiece'));
+  assert.deepEqual(sim.state.getWorldItems('lobby-main'), []);
+});
+
+test('someone who sees a suspicious item on the floor takes note, once', async () => {
+  const { sim, events } = await setup();
+  const receptionist = sim.state.npcs.get('receptionist-01');
+  // The step keeps sight cones for the player's room
+  receptionist.visibleTiles = sim.vision.getVisibleTiles(receptionist);
+  const [spot] = receptionist.visibleTiles;
+
+  sim.placeItem('lobby-main', 'keycard-level1', spot, 'player');
+  sim.checkItemDiscovery();
+  sim.checkItemDiscovery();
+
+  const noticed = events.filter(entry => entry.event === 'npc:itemNoticed');
+  assert.equal(noticed.length, 1);
+  assert.equal(noticed[0].itemId, 'keycard-level1');
+  assert.ok(receptionist.lead, 'off to take a closer look');
+});
@@ -0,0 +1,78 @@
+/**
+ * HACKING
+ * Breach puzzles: tiers from a terminal's difficulty, a sequence that can
+ * always be solved, strikes for wrong codes, and the time limit.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { rng } from '../core/rng.js';
+import { HACK_DIFFICULTY } from '../core/constants.js';
+import { HackingSystem } from '../pillars/hacking.js';
+import { SkillSystem } from '../pillars/skills.js';
+
+function setup() {
+  rng.setSeed(3);
+  const eventBus = new EventBus();
+  const hacking = new HackingSystem(eventBus, new SkillSystem(eventBus, new Map()));
+  return { hacking, state: new GameState() };
+}
+
+/**
+ * Where the next code in the sequence is on the active line
+ */
+function nextCell(puzzle) {
+  const code = puzzle.sequence[puzzle.progress];
+  return puzzle.axis === 'row'
+    ? { row: puzzle.line, col: puzzle.grid[puzzle.line].indexOf(code) }
+    : { row: puzzle.grid.findIndex(cells => cells[puzzle.line] === code), col: puzzle.line };
+}
+
+test('a terminal\'s difficulty picks the tier, and the mission bonus can raise it', () => {
+  const { hacking } = setup();
+
+  assert.equal(hacking.getTier({ id: 't', hackDifficulty: 'easy' }).id, 'easy');
+  assert.equal(hacking.getTier({ id: 't' }).id, 'medium');
+  assert.equal(hacking.getTier({ id: 't', hackDifficulty: 'medium' }, 20).id, 'hard');
+  assert.equal(hacking.getTier({ id: 't', hackDifficulty: 10 }).id, 'easy', 'below every tier is the easiest');
+});
+
+test('an unknown difficulty is an error', () => {
+  const { hacking } = setup();
+
+  assert.throws(() => hacking.getTier({ id: 'rack', hackDifficulty: 'brutal' }), /Unknown hack difficulty "brutal" on rack/);
+});
+
+test('the sequence can be entered along alternating lines', () => {
+  const { hacking, state } = setup();
+  const puzzle = hacking.createPuzzle(state, { id: 't', hackDifficulty: 'hard' });
+
+  assert.equal(puzzle.grid.length, HACK_DIFFICULTY.hard.gridSize);
+  while (!hacking.isSolved(puzzle)) {
+    const { row, col } = nextCell(puzzle);
+    assert.equal(hacking.select(puzzle, row, col).result, 'match');
+  }
+  assert.equal(puzzle.strikes, 0);
+});
+
+test('wrong codes are strikes, and running out of them or time fails the breach', () => {
+  const { hacking, state } = setup();
+  const puzzle = hacking.createPuzzle(state, { id: 't', hackDifficulty: 'medium' });
+
+  // Only the first step's cell holds a sequence code on the top row
+  const { col } = nextCell(puzzle);
+  assert.equal(hacking.select(puzzle, 0, (col + 1) % puzzle.grid.length).result, 'strike');
+  assert.equal(puzzle.strikes, 1);
+  assert.equal(hacking.select(puzzle, 1, col).result, 'invalid', 'off the active line');
+
+  assert.equal(hacking.isFailed(puzzle, state.elapsedTime), false);
+  assert.equal(hacking.isFailed(puzzle, puzzle.expiresAt), true);
+
+  puzzle.strikes = puzzle.maxStrikes;
+  assert.equal(hacking.isFailed(puzzle, state.elapsedTime), true);
+});
@@ -0,0 +1,101 @@
+/**
+ * HEADLESS PLAYTHROUGHS
+ * Seeded runs of mission-001 through the headless runner: the same seed and
+ * script must play out the same way, and the stealth route (keycard from the
+ * stairwell, breach the admin terminal, out through the lobby) must win.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runHeadless } from '../core/headless.js';
+
+const SEED = 1;
+
+// Walking onto an exit tile takes the player through it
+const ROUTE_TO_TERMINAL = [
+  { tick: 1, verb: 'walk', target: { x: 11, y: 4 } },     // lobby -> hallway
+  { tick: 20, verb: 'walk', target: { x: 1, y: 11 } },    // hallway -> stairwell
+  { tick: 50, verb: 'walk', target: { x: 1, y: 1 } },
+  { tick: 70, verb: 'search', target: 'utility-box' },
+  { tick: 80, verb: 'take-from', target: 'utility-box', item: 'keycard-level2' },
+  { tick: 90, verb: 'walk', target: { x: 2, y: 0 } },     // stairwell -> hallway
+  { tick: 110, verb: 'walk', target: { x: 2, y: 6 } },    // keycard door -> server room
+  { tick: 130, verb: 'walk', target: { x: 9, y: 2 } },
+  { tick: 160, verb: 'hack', target: 'admin-terminal' }
+];
+
+const ROUTE_TO_EXIT = [
+  { tick: 175, verb: 'take-from', target: 'admin-terminal', item: 'access-logs' },
+  { tick: 185, verb: 'walk', target: { x: 0, y: 3 } },    // server room -> hallway
+  { tick: 210, verb: 'walk', target: { x: 1, y: 0 } }     // hallway -> lobby
+];
+
+/**
+ * Breach picks for a hack:started view - each code in the sequence is on
+ * the active line exactly once, and the pick turns the line
+ */
+function solveBreach(view, fromTick) {
+  const picks = [];
+  let axis = 'row';
+  let line = 0;
+
+  for (const code of view.sequence) {
+    const row = axis === 'row' ? line : view.grid.findIndex(cells => cells[line] === code);
+    const col = axis === 'row' ? view.grid[line].indexOf(code) : line;
+    picks.push({ tick: fromTick + picks.length, type: 'hack', data: { row, col } });
+
+    axis = axis === 'row' ? 'col' : 'row';
+    line = axis === 'row' ? row : col;
+  }
+  return picks;
+}
+
+/**
+ * The whole stealth route, with the breach solved from a run up to the hack
+ */
+async function stealthRoute() {
+  const opening = await runHeadless({ seed: SEED, actions: ROUTE_TO_TERMINAL, maxTicks: 170 });
+  const started = opening.events.find(entry => entry.event === 'hack:started');
+  assert.ok(started, 'breach should open on the admin terminal');
+
+  return [...ROUTE_TO_TERMINAL, ...solveBreach(started.data, started.tick + 5), ...ROUTE_TO_EXIT];
+}
+
+test('the same seed and script play out identically', async () => {
+  const actions = await stealthRoute();
+  const first = await runHeadless({ seed: SEED, actions, maxTicks: 600 });
+  const second = await runHeadless({ seed: SEED, actions, maxTicks: 600 });
+
+  assert.equal(first.ticks, second.ticks);
+  assert.deepEqual(first.outcome, second.outcome);
+  assert.deepEqual(first.mission, second.mission);
+  assert.deepEqual(first.state, second.state);
+  assert.deepEqual(first.events, second.events);
+});
+
+test('an idle run on the same seed is reproducible', async () => {
+  const first = await runHeadless({ seed: 0xB94FA8FF, maxTicks: 600 });
+  const second = await runHeadless({ seed: 0xB94FA8FF, maxTicks: 600 });
+
+  assert.deepEqual(first.state, second.state);
+  assert.deepEqual(first.events, second.events);
+});
+
+test('mission-001 completes through the stealth route', async () => {
+  const result = await runHeadless({ seed: SEED, actions: await stealthRoute(), maxTicks: 600 });
+
+  assert.equal(result.outcome?.result, 'success');
+  assert.equal(result.state.currentEnvironment, 'lobby-main');
+  assert.ok(result.state.player.equipment.includes('access-logs'));
+
+  const completed = result.state.objectives.filter(o => o.completed).map(o => o.id);
+  for (const id of ['obj-reach-server', 'obj-extract-logs', 'obj-extract-exit']) {
+    assert.ok(completed.includes(id), `${id} should be complete`);
+  }
+
+  const breach = result.events.find(entry => entry.event === 'hack:ended');
+  assert.equal(breach?.data.outcome, 'success');
+});
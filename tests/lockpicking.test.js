@@ -0,0 +1,69 @@
+/**
+ * LOCKPICKING
+ * Pins that set inside their tension band, slips that knock the last pin
+ * loose, and a bent pick after too many of them.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { rng } from '../core/rng.js';
+import { LOCK_CONFIG } from '../core/constants.js';
+import { LockpickingSystem } from '../pillars/lockpicking.js';
+import { SkillSystem } from '../pillars/skills.js';
+
+const LOCK = { id: 'cabinet', name: 'Cabinet', lockSecurity: 2 };
+
+function setup() {
+  rng.setSeed(5);
+  const eventBus = new EventBus();
+  const lockpicking = new LockpickingSystem(eventBus, new SkillSystem(eventBus, new Map()));
+  const state = new GameState();
+  return { lockpicking, state, attempt: lockpicking.createAttempt(state, LOCK, { target: 'cabinet', kind: 'container' }) };
+}
+
+test('a lock has more pins, and is harder to beat, the higher its security', () => {
+  const { lockpicking, attempt } = setup();
+
+  assert.equal(attempt.pins.length, LOCK_CONFIG.BASE_PINS + 2);
+  assert.ok(lockpicking.getDifficulty({ lockSecurity: 3 }) > lockpicking.getDifficulty(LOCK));
+});
+
+test('each pin sets at its own tension, and then the lock opens', () => {
+  const { lockpicking, state, attempt } = setup();
+
+  for (const pin of attempt.pins) {
+    lockpicking.setTension(attempt, pin.center);
+    assert.equal(lockpicking.lift(attempt, state).result, 'set');
+  }
+  assert.equal(lockpicking.isOpen(attempt), true);
+});
+
+test('too little tension leaves the pin loose; too much slips and drops the last pin', () => {
+  const { lockpicking, state, attempt } = setup();
+  const [first, second] = attempt.pins;
+
+  lockpicking.setTension(attempt, first.center);
+  lockpicking.lift(attempt, state);
+
+  lockpicking.setTension(attempt, second.center - second.width);
+  assert.equal(lockpicking.lift(attempt, state).result, 'loose');
+
+  lockpicking.setTension(attempt, second.center + second.width);
+  assert.equal(lockpicking.lift(attempt, state).result, 'slip');
+  assert.equal(first.set, false);
+});
+
+test('the pick bends after too many slips', () => {
+  const { lockpicking, state, attempt } = setup();
+
+  lockpicking.setTension(attempt, 100);
+  for (let i = 0; i < LOCK_CONFIG.MAX_SLIPS; i++) lockpicking.lift(attempt, state);
+
+  assert.equal(lockpicking.isFailed(attempt), true);
+  assert.equal(lockpicking.lift(attempt, state).result, 'invalid');
+});
@@ -0,0 +1,54 @@
+/**
+ * ROOM MOVEMENT
+ * Walking on the blueprint grid, and going through doors from their exit tiles.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { runHeadless } from '../core/headless.js';
+
+const SEED = 1;
+
+/**
+ * Tick of the first room change into a room
+ */
+function enteredAt(result, roomId) {
+  return result.events.find(entry => entry.event === 'room:changed' && entry.data.roomId === roomId)?.tick;
+}
+
+test('move walks to the door before going through', async () => {
+  const result = await runHeadless({
+    seed: SEED,
+    actions: [{ tick: 1, verb: 'move', target: 'hallway-east' }],
+    maxTicks: 60
+  });
+
+  assert.equal(result.state.currentEnvironment, 'hallway-east');
+  assert.ok(enteredAt(result, 'hallway-east') > 2, 'should take a few steps to reach the door');
+});
+
+test('sneak goes through the door too, at a higher stamina cost', async () => {
+  const moved = await runHeadless({ seed: SEED, actions: [{ tick: 1, verb: 'move', target: 'hallway-east' }], maxTicks: 60 });
+  const sneaked = await runHeadless({ seed: SEED, actions: [{ tick: 1, verb: 'sneak', target: 'hallway-east' }], maxTicks: 60 });
+
+  assert.equal(sneaked.state.currentEnvironment, 'hallway-east');
+  assert.equal(enteredAt(sneaked, 'hallway-east'), enteredAt(moved, 'hallway-east'));
+  assert.ok(sneaked.state.player.vitals.stamina < moved.state.player.vitals.stamina);
+});
+
+test('a locked door stops the player at it', async () => {
+  const result = await runHeadless({
+    seed: SEED,
+    actions: [
+      { tick: 1, verb: 'move', target: 'hallway-east' },
+      { tick: 30, verb: 'move', target: 'server-room-3' }
+    ],
+    maxTicks: 100
+  });
+
+  assert.equal(result.state.currentEnvironment, 'hallway-east');
+  assert.ok(result.events.some(entry => entry.event === 'sloan:speak' && /keycard/i.test(entry.data.message)));
+});
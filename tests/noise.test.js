@@ -0,0 +1,72 @@
+/**
+ * NOISE
+ * Sound spreading through the real rooms: fading with distance, losing reach
+ * at doorways, carried further by echoing rooms, and heard by NPCs in range.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { NoiseSystem } from '../core/noise.js';
+import { NOISE_LEVELS } from '../core/constants.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+const noise = () => new NoiseSystem(new EventBus(), new Map(Object.entries(environments)));
+
+/**
+ * A listener that records what it heard
+ */
+function listener(id, location, position) {
+  return {
+    id,
+    location,
+    position,
+    heard: [],
+    hearNoise(origin, strength) {
+      this.heard.push({ origin, strength });
+      return true;
+    }
+  };
+}
+
+test('quiet noises stay in the room they were made in', () => {
+  const rooms = noise().propagate({ location: 'hallway-east', position: { x: 1, y: 6 }, level: NOISE_LEVELS.ITEM_DROP });
+  assert.deepEqual(rooms.map(room => room.roomId), ['hallway-east']);
+});
+
+test('loud noises carry through doorways, weaker on the far side', () => {
+  const rooms = noise().propagate({ location: 'hallway-east', position: { x: 1, y: 6 }, level: NOISE_LEVELS.ALARM });
+  const hallway = rooms.find(room => room.roomId === 'hallway-east');
+  const lobby = rooms.find(room => room.roomId === 'lobby-main');
+
+  assert.ok(lobby, 'the alarm should reach the lobby');
+  assert.ok(lobby.strength < hallway.strength);
+  assert.deepEqual(lobby.position, { x: 11, y: 4 }, 'heard from the lobby side of the door');
+});
+
+test('server room hum masks sound and the stairwell echoes', () => {
+  const system = noise();
+  assert.ok(system.getAcoustics('server-room-3') < system.getAcoustics('hallway-east'));
+  assert.ok(system.getAcoustics('stairwell-b') > system.getAcoustics('hallway-east'));
+});
+
+test('NPCs within reach hear it from where it came in', () => {
+  const near = listener('near', 'hallway-east', { x: 1, y: 7 });
+  const far = listener('far', 'lobby-main', { x: 1, y: 6 });
+
+  const { heard } = noise().makeNoise(
+    { location: 'hallway-east', position: { x: 1, y: 6 }, level: NOISE_LEVELS.RUNNING, source: 'footsteps' },
+    [near, far]
+  );
+
+  assert.deepEqual(heard.map(entry => entry.npcId), ['near']);
+  assert.deepEqual(near.heard[0].origin, { x: 1, y: 6 });
+  assert.equal(far.heard.length, 0);
+});
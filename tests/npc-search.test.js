@@ -0,0 +1,77 @@
+/**
+ * NPC SEARCH
+ * Leads from sightings and noises: an NPC walks to where the player was,
+ * looks around, checks nearby cover, then heads back to its route.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { Pathfinder } from '../core/pathfinding.js';
+import { GameState } from '../core/state.js';
+import { rng } from '../core/rng.js';
+import { NPC_SEARCH_STATES } from '../core/constants.js';
+import { NPC } from '../entities/npc.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+/**
+ * A guard at their post in the lobby, with the services NPCs tick against
+ */
+function setup() {
+  rng.setSeed(1);
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['npc:investigating', 'npc:searching', 'npc:searchEnded']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+
+  const npc = new NPC({ id: 'guard', name: 'Guard', location: 'lobby-main', position: { x: 8, y: 2 } });
+  const world = { pathfinder: new Pathfinder([environments['lobby-main']]), eventBus };
+  return { npc, world, events, state: new GameState() };
+}
+
+function run(npc, state, world, ticks) {
+  for (let i = 0; i < ticks; i++) npc.tick(state, world);
+}
+
+test('a noise sends the NPC to where it came from', () => {
+  const { npc, world, events, state } = setup();
+
+  npc.hearNoise({ x: 5, y: 5 }, 3);
+  run(npc, state, world, 1);
+
+  assert.equal(npc.search.state, NPC_SEARCH_STATES.INVESTIGATING);
+  assert.deepEqual(npc.search.position, { x: 5, y: 5 });
+  assert.equal(events[0].event, 'npc:investigating');
+  assert.equal(events[0].reason, 'noise');
+});
+
+test('the search checks nearby cover and then gives up', () => {
+  const { npc, world, events, state } = setup();
+
+  npc.hearNoise({ x: 5, y: 5 }, 3);
+  run(npc, state, world, 600);
+
+  assert.ok(events.some(entry => entry.event === 'npc:searching'), 'should check a hiding spot');
+  const ended = events.find(entry => entry.event === 'npc:searchEnded');
+  assert.equal(ended?.outcome, 'nothing');
+  assert.equal(npc.search, null, 'back on the route');
+  assert.deepEqual(npc.position, npc.home);
+});
+
+test('a glimpse an unaware NPC shrugs off is not a lead', () => {
+  const { npc, world, state } = setup();
+
+  npc.detectPlayer({ visible: true, visibility: 0.5, distance: 6 }, { x: 2, y: 2 });
+  run(npc, state, world, 1);
+
+  assert.equal(npc.search, null);
+  assert.equal(npc.lastKnownPosition, null);
+});
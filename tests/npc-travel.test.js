@@ -0,0 +1,67 @@
+/**
+ * NPC TRAVEL
+ * Routes through the facility's doors, and NPCs walking them room to room.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { Pathfinder } from '../core/pathfinding.js';
+import { NPC } from '../entities/npc.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+const FLOOR = ['lobby-main', 'hallway-east', 'server-room-3', 'stairwell-b'].map(id => environments[id]);
+
+/**
+ * Services for NPCs on the mission-001 floor, logging what they report
+ */
+function floorWorld() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['npc:leftRoom', 'npc:enteredRoom', 'sim:warning']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+  return { world: { pathfinder: new Pathfinder(FLOOR), eventBus }, events };
+}
+
+test('rooms route through the fewest doors', () => {
+  const pathfinder = new Pathfinder(FLOOR);
+  const route = pathfinder.findRoomRoute('stairwell-b', 'lobby-main');
+
+  assert.deepEqual(route.map(exit => exit.destination), ['hallway-east', 'lobby-main']);
+  assert.deepEqual(pathfinder.findRoomRoute('lobby-main', 'lobby-main'), []);
+  assert.equal(pathfinder.findRoomRoute('lobby-main', 'roof-access'), null);
+});
+
+test('an NPC walks room to room to reach a tile elsewhere', () => {
+  const { world, events } = floorWorld();
+  const npc = new NPC({ id: 'guard', location: 'stairwell-b', position: { x: 1, y: 3 } });
+  const target = { location: 'lobby-main', x: 6, y: 2 };
+
+  let arrived = false;
+  for (let i = 0; i < 400 && !arrived; i++) {
+    arrived = npc.travelTo(target, world);
+  }
+
+  assert.ok(arrived);
+  assert.equal(npc.location, 'lobby-main');
+  assert.deepEqual(npc.position, { x: 6, y: 2 });
+  assert.deepEqual(events.filter(entry => entry.event === 'npc:enteredRoom').map(entry => entry.location),
+    ['hallway-east', 'lobby-main']);
+});
+
+test('unreachable rooms are reported, not walked toward', () => {
+  const { world, events } = floorWorld();
+  const npc = new NPC({ id: 'guard', location: 'lobby-main', position: { x: 6, y: 2 } });
+
+  assert.equal(npc.travelTo({ location: 'roof-access' }, world), true);
+  assert.deepEqual(npc.position, { x: 6, y: 2 });
+  assert.match(events.find(entry => entry.event === 'sim:warning')?.message, /can't reach roof-access/);
+});
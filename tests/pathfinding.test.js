@@ -0,0 +1,50 @@
+/**
+ * PATHFINDING
+ * A* routes over the real room blueprints, with the per-room route cache.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { Pathfinder } from '../core/pathfinding.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+const lobby = () => new Pathfinder([environments['lobby-main']]);
+
+test('routes go around furniture and end on the goal', () => {
+  const path = lobby().findPath('lobby-main', { x: 4, y: 2 }, { x: 4, y: 4 });
+
+  assert.ok(path.length > 2, 'should detour around the reception desk');
+  assert.deepEqual(path.at(-1), { x: 4, y: 4 });
+  for (let i = 1; i < path.length; i++) {
+    const step = Math.abs(path[i].x - path[i - 1].x) + Math.abs(path[i].y - path[i - 1].y);
+    assert.equal(step, 1, 'routes move one tile at a time');
+  }
+});
+
+test('walls and furniture are unreachable', () => {
+  const pathfinder = lobby();
+  assert.equal(pathfinder.findPath('lobby-main', { x: 1, y: 2 }, { x: 0, y: 0 }), null);
+  assert.equal(pathfinder.findPath('lobby-main', { x: 1, y: 2 }, { x: 5, y: 3 }), null);
+});
+
+test('exit tiles can end a route', () => {
+  const path = lobby().findPath('lobby-main', { x: 1, y: 2 }, { x: 11, y: 4 });
+  assert.deepEqual(path.at(-1), { x: 11, y: 4 });
+});
+
+test('cached routes are handed out as copies', () => {
+  const pathfinder = lobby();
+  const first = pathfinder.findPath('lobby-main', { x: 1, y: 2 }, { x: 10, y: 2 });
+  first.shift();
+
+  const second = pathfinder.findPath('lobby-main', { x: 1, y: 2 }, { x: 10, y: 2 });
+  assert.equal(second.length, first.length + 1);
+  assert.equal(pathfinder.stats.hits, 1);
+});
@@ -0,0 +1,86 @@
+/**
+ * SAVE MANAGER
+ * Slot round-trips and migrating old saves up to the current version.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { SaveManager, SAVE_VERSION } from '../core/save-manager.js';
+import { PLAYER_SKILLS } from '../core/constants.js';
+
+/**
+ * In-memory stand-in for localStorage
+ */
+function memoryStorage() {
+  const items = new Map();
+  return {
+    get length() { return items.size; },
+    key: (i) => [...items.keys()][i] ?? null,
+    getItem: (key) => items.get(key) ?? null,
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+function saveManager(storage = memoryStorage()) {
+  return new SaveManager(new EventBus(), { storage, prefix: 'test:' });
+}
+
+test('a saved slot loads back at the current version', () => {
+  const saves = saveManager();
+  saves.save('one', { missionId: 'mission-001', state: { currentEnvironment: 'lobby-main' } });
+
+  const record = saves.load('one');
+  assert.equal(record.version, SAVE_VERSION);
+  assert.equal(record.state.currentEnvironment, 'lobby-main');
+  assert.deepEqual(saves.listSlots().map(slot => slot.slot), ['one']);
+});
+
+test('saves from a newer version are refused', () => {
+  const saves = saveManager();
+  assert.throws(() => saves.migrate({ version: SAVE_VERSION + 1 }), /newer than supported/);
+});
+
+test('a version 1 save is migrated step by step', () => {
+  const saves = saveManager();
+  const record = saves.migrate({
+    version: 1,
+    visitedRooms: ['lobby-main'],
+    simulationTime: 2500,
+    state: {
+      currentEnvironment: 'lobby-main',
+      player: {},
+      npcs: [
+        ['guard-1', { id: 'guard-1', position: { x: 3, y: 2 } }],
+        ['guard-2', { id: 'guard-2', position: { x: 5, y: 1 }, vitals: { health: 60, conditions: ['unconscious'] } }]
+      ]
+    }
+  });
+
+  assert.equal(record.version, SAVE_VERSION);
+  assert.deepEqual(record.state.visitedEnvironments, ['lobby-main']);
+  assert.deepEqual(record.clock, { tick: 25, time: 2500 });
+  assert.equal(record.state.elapsedTime, 2.5);
+  assert.equal(record.state.player.facing, 'south');
+  assert.equal(record.state.player.hidden, false);
+  assert.deepEqual(record.state.exitLocks, []);
+  assert.deepEqual(record.state.elementStates, []);
+  assert.deepEqual(record.state.conditionTimers, []);
+  assert.deepEqual(record.state.worldItems, []);
+  assert.equal(record.state.worldItemCount, 0);
+  assert.deepEqual(record.state.npcSightings, []);
+  assert.equal(record.state.security.alertLevel, 0);
+  assert.equal(record.state.player.dragging, null);
+  assert.equal(record.state.player.cash, 0);
+  assert.deepEqual(record.state.player.skills, PLAYER_SKILLS);
+  assert.deepEqual(record.state.player.itemUses, {});
+  assert.equal(record.state.npcs[0][1].body, null);
+  assert.equal(record.state.npcs[1][1].body.wakeAt, null, 'downed NPCs stay down');
+  assert.deepEqual(record.state.npcs[0][1].home, { x: 3, y: 2 });
+  assert.equal(record.state.npcs[0][1].search, null);
+  assert.equal('investigation' in record.state.npcs[0][1], false);
+});
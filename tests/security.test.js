@@ -0,0 +1,86 @@
+/**
+ * FACILITY SECURITY
+ * Alert levels, backup through entry points, the alarm countdown and
+ * keycard lockdowns, all on the mission clock.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { SecuritySystem } from '../core/security.js';
+import { FACILITY_ALERT } from '../core/constants.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+const FLOOR = ['lobby-main', 'hallway-east', 'server-room-3', 'stairwell-b'];
+
+function setup() {
+  const events = [];
+  const eventBus = new EventBus();
+  for (const event of ['facility:alarmExpired', 'sim:warning']) {
+    eventBus.on(event, (data) => events.push({ event, ...data }));
+  }
+  const rooms = new Map(FLOOR.map(id => [id, environments[id]]));
+  return { security: new SecuritySystem(eventBus, rooms), state: new GameState(), events };
+}
+
+test('backup comes through the nearest entry point after the delay', () => {
+  const { security, state } = setup();
+  const config = {
+    entryPoints: [{ location: 'stairwell-b' }, { location: 'lobby-main' }],
+    backupDelay: 10
+  };
+
+  const backup = security.requestBackup(state, config, { npcId: 'guard', location: 'hallway-east', position: { x: 1, y: 3 } });
+  assert.equal(backup.entry.location, 'stairwell-b');
+  assert.equal(state.security.alertLevel, FACILITY_ALERT.ELEVATED);
+
+  state.elapsedTime = 9;
+  assert.equal(security.tick(state).arrivals.length, 0);
+  state.elapsedTime = 10;
+  assert.equal(security.tick(state).arrivals.length, 1);
+  assert.equal(state.security.pendingBackup.length, 0);
+});
+
+test('missions without entry points get a warning, not backup', () => {
+  const { security, state, events } = setup();
+
+  assert.equal(security.requestBackup(state, {}, { npcId: 'guard', location: 'lobby-main', position: { x: 0, y: 0 } }), null);
+  assert.equal(events[0].event, 'sim:warning');
+});
+
+test('an unsilenced alarm expires once, silencing it drops the alert back', () => {
+  const { security, state, events } = setup();
+
+  security.startAlarm(state, { alarmDuration: 30 }, { triggeredBy: 'guard', location: 'lobby-main' });
+  assert.equal(security.startAlarm(state, {}, {}), false, 'already ringing');
+
+  state.elapsedTime = 30;
+  assert.equal(security.tick(state).expired, true);
+  assert.equal(security.tick(state).expired, false);
+  assert.equal(events.filter(entry => entry.event === 'facility:alarmExpired').length, 1);
+
+  security.silenceAlarm(state);
+  assert.equal(state.security.alertLevel, FACILITY_ALERT.ELEVATED);
+});
+
+test('a lockdown locks every door and lifting it restores them', () => {
+  const { security, state } = setup();
+  const lockDoor = (roomId, exit, locked) => state.setExitLocked(roomId, exit.id, locked);
+  const lobbyToHallway = environments['lobby-main'].exits.find(exit => exit.destination === 'hallway-east');
+
+  security.startLockdown(state, { triggeredBy: 'guard', location: 'lobby-main' }, lockDoor);
+  assert.equal(state.isExitLocked('lobby-main', lobbyToHallway), true);
+  assert.ok(security.getKeycardLevel(state, lobbyToHallway) >= 2);
+
+  security.liftLockdown(state, lockDoor);
+  assert.equal(state.isExitLocked('lobby-main', lobbyToHallway), false);
+  assert.equal(security.getKeycardLevel(state, lobbyToHallway), 0);
+});
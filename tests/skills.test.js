@@ -0,0 +1,76 @@
+/**
+ * SKILLS
+ * Check odds from the player's skill profile, and what conditions, gear and
+ * cash in hand do to them.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EventBus } from '../core/engine.js';
+import { GameState } from '../core/state.js';
+import { rng } from '../core/rng.js';
+import { PLAYER_SKILLS, SKILL_CONFIG } from '../core/constants.js';
+import { SkillSystem } from '../pillars/skills.js';
+
+const EQUIPMENT = new Map([
+  ['lockpick-set', { id: 'lockpick-set', name: 'Lockpick Set', skillBonuses: { lockpicking: 30 } }],
+  ['baton', { id: 'baton', name: 'Baton', combatBonus: 10 }],
+  ['knife', { id: 'knife', name: 'Knife', combatBonus: 15 }]
+]);
+
+function setup() {
+  return { skills: new SkillSystem(new EventBus(), EQUIPMENT), state: new GameState() };
+}
+
+test('odds start from the skill level against the difficulty', () => {
+  const { skills, state } = setup();
+
+  const odds = skills.getOdds(state, 'persuasion', 40);
+  assert.equal(odds.level, PLAYER_SKILLS.persuasion);
+  assert.equal(odds.chance, PLAYER_SKILLS.persuasion + SKILL_CONFIG.BASE_CHANCE - 40);
+  assert.deepEqual(odds.modifiers, []);
+});
+
+test('odds never go past the floor or the ceiling', () => {
+  const { skills, state } = setup();
+
+  assert.equal(skills.getOdds(state, 'persuasion', 500).chance, SKILL_CONFIG.MIN_CHANCE);
+  assert.equal(skills.getOdds(state, 'persuasion', -500).chance, SKILL_CONFIG.MAX_CHANCE);
+});
+
+test('gear helps, and only the best weapon counts', () => {
+  const { skills, state } = setup();
+  state.addEquipment('lockpick-set');
+  state.addEquipment('baton');
+  state.addEquipment('knife');
+
+  const picking = skills.getOdds(state, 'lockpicking', 50);
+  assert.deepEqual(picking.modifiers.map(mod => mod.value), [30]);
+
+  const fighting = skills.getOdds(state, 'combat', 50);
+  assert.deepEqual(fighting.modifiers.map(mod => mod.source), ['knife']);
+});
+
+test('stress shakes the voice, and cash in hand sweetens a bribe', () => {
+  const { skills, state } = setup();
+  state.player.conditions = ['high-stress'];
+
+  const persuasion = skills.getOdds(state, 'persuasion', 40);
+  assert.ok(persuasion.modifiers.some(mod => mod.source === 'high-stress' && mod.value < 0));
+
+  state.player.conditions = [];
+  state.addCash(10000);
+  const bribery = skills.getOdds(state, 'bribery', 40);
+  assert.deepEqual(bribery.modifiers.map(mod => mod.value), [SKILL_CONFIG.MAX_CASH_BONUS]);
+});
+
+test('a check rolls against the odds', () => {
+  const { skills, state } = setup();
+  rng.setSeed(7);
+
+  const check = skills.check(state, 'persuasion', 40);
+  assert.equal(check.success, check.roll < check.chance);
+});
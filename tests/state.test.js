@@ -0,0 +1,49 @@
+/**
+ * GAME STATE
+ * The mission clock: time of day from the start time and scale, and timed
+ * conditions that wrap past midnight.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GameState, parseClockTime, formatClockTime } from '../core/state.js';
+
+test('clock times parse and format as minutes past midnight', () => {
+  assert.equal(parseClockTime('23:10'), 23 * 60 + 10);
+  assert.equal(parseClockTime('24:30'), 30);
+  assert.equal(formatClockTime(parseClockTime('07:05')), '07:05');
+});
+
+test('game time runs at the mission scale from the start time', () => {
+  const state = new GameState();
+  state.startTime = parseClockTime('23:10');
+  state.timeScale = 4;
+
+  state.advanceTime(15 * 1000);   // 15s of simulation is a game minute at 4x
+  assert.equal(state.getClockTime(), '23:11');
+});
+
+test('times before the start are read as the next day', () => {
+  const state = new GameState();
+  state.startTime = parseClockTime('23:50');
+  state.timeScale = 60;
+
+  assert.equal(state.hasReachedTime('00:05'), false);
+  state.advanceTime(15 * 1000);   // 15 game minutes
+  assert.equal(state.hasReachedTime('00:05'), true);
+  assert.equal(state.getClockTime(), '00:05');
+});
+
+test('the mission clock survives a save', () => {
+  const state = new GameState();
+  state.startTime = parseClockTime('22:00');
+  state.timeScale = 2;
+  state.advanceTime(30 * 1000);
+
+  const restored = new GameState();
+  restored.deserialize(JSON.parse(JSON.stringify(state.getSaveData())));
+  assert.equal(restored.getClockTime(), '22:01');
+});
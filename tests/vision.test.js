@@ -0,0 +1,61 @@
+/**
+ * VISION
+ * Sight cones over the real room blueprints: facing, walls and racks
+ * blocking the ray, cover dimming it, and lighting sizing the cone.
+ *
+ * Run: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+
+import { Pathfinder } from '../core/pathfinding.js';
+import { VisionSystem } from '../core/vision.js';
+
+const { environments } = JSON.parse(
+  await readFile(new URL('../pillars/environments.json', import.meta.url), 'utf8')
+);
+
+const rooms = new Map(Object.entries(environments));
+const vision = new VisionSystem(new Pathfinder(rooms.values()), rooms);
+
+/**
+ * Just enough of an NPC to look through
+ */
+function watcher(location, position, facing, awareness = 'unaware') {
+  const npc = { location, position, facing, awareness, vitals: { canAct: () => true } };
+  npc.visibleTiles = vision.getVisibleTiles(npc);
+  return npc;
+}
+
+test('NPCs see ahead of them, not behind', () => {
+  const npc = watcher('lobby-main', { x: 5, y: 2 }, 'east');
+
+  assert.equal(vision.canSee(npc, { x: 8, y: 2 }).visible, true);
+  assert.equal(vision.canSee(npc, { x: 2, y: 2 }).visible, false);
+});
+
+test('server racks block line of sight', () => {
+  const npc = watcher('server-room-3', { x: 1, y: 2 }, 'east', 'alert');
+
+  assert.equal(vision.canSee(npc, { x: 3, y: 2 }).visible, false);
+  assert.equal(vision.canSee(npc, { x: 1, y: 4 }).visible, false, 'outside the cone');
+});
+
+test('one cover tile dims the player, two hide them', () => {
+  const npc = watcher('lobby-main', { x: 2, y: 1 }, 'south');
+
+  assert.equal(vision.canSee(npc, { x: 2, y: 5 }).visibility, 0.5);
+  assert.equal(vision.canSee(npc, { x: 2, y: 6 }).visible, false);
+});
+
+test('dim rooms shorten the cone and alert NPCs widen it', () => {
+  const bright = vision.getConeParams({ location: 'lobby-main', awareness: 'unaware' });
+  const dim = vision.getConeParams({ location: 'server-room-3', awareness: 'unaware' });
+  const alert = vision.getConeParams({ location: 'server-room-3', awareness: 'alert' });
+
+  assert.ok(dim.range < bright.range);
+  assert.ok(alert.range > dim.range);
+  assert.ok(alert.angle > dim.angle);
+});
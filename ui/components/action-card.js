@@ -1,6 +1,8 @@
 /**
  * ACTION CARD COMPONENT
- * Renders individual action buttons with state management
+ * Renders individual action buttons with state management. Costs, risk and
+ * tooltips come from the actions as the Simulation describes them (see
+ * ActionResolver.describe).
  */
 
 class ActionCard {
@@ -114,13 +116,13 @@ class ActionCard {
     }
 
     // Check stamina cost
-    const staminaCost = this.getStaminaCost(action.verb);
+    const staminaCost = action.staminaCost || 0;
     if (this.playerVitals && this.playerVitals.stamina < staminaCost) {
       btn.classList.add('low-stamina');
     }
 
     // Risk indicator
-    const risk = this.getActionRisk(action.verb);
+    const risk = this.getActionRisk(action);
 
     btn.innerHTML = `
       <span class="action-icon">${this.getActionIcon(action.verb)}</span>
@@ -175,8 +177,9 @@ class ActionCard {
    * Show tooltip with action details
    */
   showActionTooltip(actionBtn) {
-    const verb = actionBtn.dataset.verb;
-    const details = this.getActionDetails(verb);
+    const { verb, target } = actionBtn.dataset;
+    const action = this.actions.find(a => a.verb === verb && String(a.target) === target);
+    if (!action) return;
     
     // Remove existing tooltip
     this.hideActionTooltip();
@@ -185,11 +188,13 @@ class ActionCard {
     tooltip.className = 'action-tooltip';
     tooltip.innerHTML = `
       <div class="tooltip-title">${this.formatVerb(verb)}</div>
-      <div class="tooltip-description">${details.description}</div>
+      <div class="tooltip-description">${action.description || 'Perform an action.'}</div>
       <div class="tooltip-stats">
-        <span>Duration: ${details.duration}s</span>
-        <span>Noise: ${details.noise}</span>
+        <span>Duration: ${action.duration ?? 1}</span>
+        <span>Noise: ${this.getNoiseLabel(action.noiseLevel)}</span>
+        ${action.detectionRisk ? `<span>If seen: +${action.detectionRisk} detection</span>` : ''}
       </div>
+      ${action.blocked ? `<div class="tooltip-blocked">${action.blockReason || 'Action unavailable'}</div>` : ''}
     `;
 
     const rect = actionBtn.getBoundingClientRect();
@@ -237,8 +242,8 @@ class ActionCard {
     const categories = {
       move: 'movement', sneak: 'movement', run: 'movement', hide: 'movement',
       look: 'observation', examine: 'observation', listen: 'observation', search: 'observation',
-      take: 'interaction', use: 'interaction', combine: 'interaction', drop: 'interaction',
-      hack: 'technical', lockpick: 'technical', disable: 'technical',
+      take: 'interaction', 'take-from': 'interaction', use: 'interaction', combine: 'interaction', drop: 'interaction', drag: 'interaction',
+      hack: 'technical', lockpick: 'technical', bypass: 'technical', disable: 'technical',
       talk: 'social', persuade: 'social', intimidate: 'social', distract: 'social',
       attack: 'combat', subdue: 'combat', flee: 'combat'
     };
@@ -252,8 +257,8 @@ class ActionCard {
     const icons = {
       move: '→', sneak: '👣', run: '💨', hide: '🙈',
       look: '👁', examine: '🔍', listen: '👂', search: '🔎',
-      take: '✋', use: '⚡', combine: '🔗', drop: '📦',
-      hack: '💻', lockpick: '🔓', disable: '⚙️',
+      take: '✋', 'take-from': '🤲', use: '⚡', combine: '🔗', drop: '📦', drag: '🫳',
+      hack: '💻', lockpick: '🔓', bypass: '📟', disable: '⚙️',
       talk: '💬', persuade: '🗣', intimidate: '😠', distract: '🎭',
       attack: '⚔️', subdue: '🤜', flee: '🏃'
     };
@@ -261,61 +266,22 @@ class ActionCard {
   }
 
   /**
-   * Get stamina cost for action
+   * Risk band from how much detection the action risks and how loud it is
    */
-  getStaminaCost(verb) {
-    const costs = {
-      move: 5, sneak: 10, run: 20, hide: 5,
-      look: 0, examine: 0, listen: 0, search: 10,
-      take: 2, use: 5, combine: 0, drop: 0,
-      hack: 15, lockpick: 20, disable: 15,
-      talk: 0, persuade: 10, intimidate: 15, distract: 10,
-      attack: 25, subdue: 30, flee: 15
-    };
-    return costs[verb] || 0;
+  getActionRisk(action) {
+    const risk = Math.max(action.detectionRisk || 0, (action.noiseLevel || 0) * 10);
+    if (risk >= 20) return 'high';
+    if (risk >= 10) return 'medium';
+    if (risk > 0) return 'low';
+    return 'none';
   }
 
   /**
-   * Get action risk level
+   * Describe a noise level
    */
-  getActionRisk(verb) {
-    const risks = {
-      move: 'low', sneak: 'none', run: 'high', hide: 'none',
-      look: 'none', examine: 'low', listen: 'none', search: 'medium',
-      take: 'low', use: 'low', combine: 'none', drop: 'none',
-      hack: 'medium', lockpick: 'high', disable: 'high',
-      talk: 'medium', persuade: 'medium', intimidate: 'high', distract: 'medium',
-      attack: 'high', subdue: 'high', flee: 'medium'
-    };
-    return risks[verb] || 'none';
-  }
-
-  /**
-   * Get action details for tooltip
-   */
-  getActionDetails(verb) {
-    const details = {
-      move: { description: 'Walk to a location. May be noticed.', duration: 1, noise: 'normal' },
-      sneak: { description: 'Move quietly. Harder to detect.', duration: 2, noise: 'silent' },
-      run: { description: 'Sprint quickly. Very noisy.', duration: 0.5, noise: 'loud' },
-      hide: { description: 'Conceal yourself from view.', duration: 1, noise: 'silent' },
-      look: { description: 'Survey your surroundings.', duration: 0.5, noise: 'silent' },
-      examine: { description: 'Inspect something closely.', duration: 2, noise: 'silent' },
-      listen: { description: 'Listen for sounds and movement.', duration: 1, noise: 'silent' },
-      search: { description: 'Thoroughly search an area.', duration: 5, noise: 'quiet' },
-      take: { description: 'Pick up an item.', duration: 0.5, noise: 'silent' },
-      use: { description: 'Use an item or interact with something.', duration: 1, noise: 'varies' },
-      hack: { description: 'Access a computer system.', duration: 10, noise: 'silent' },
-      lockpick: { description: 'Pick a lock without a key.', duration: 15, noise: 'quiet' },
-      talk: { description: 'Start a conversation.', duration: 0, noise: 'normal' },
-      persuade: { description: 'Convince someone of something.', duration: 0, noise: 'normal' },
-      intimidate: { description: 'Threaten to get what you want.', duration: 0, noise: 'normal' },
-      distract: { description: 'Draw attention away.', duration: 1, noise: 'varies' },
-      attack: { description: 'Attack an enemy.', duration: 1, noise: 'loud' },
-      subdue: { description: 'Neutralize without killing.', duration: 2, noise: 'moderate' },
-      flee: { description: 'Escape from danger.', duration: 0.5, noise: 'loud' }
-    };
-    return details[verb] || { description: 'Perform an action.', duration: 1, noise: 'normal' };
+  getNoiseLabel(level = 0) {
+    const labels = ['silent', 'quiet', 'normal', 'loud'];
+    return labels[level] || 'very loud';
   }
 
   /**
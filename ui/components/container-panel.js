@@ -0,0 +1,155 @@
+/**
+ * CONTAINER PANEL COMPONENT
+ * What's in a searched container - one row per item, each taken out on its
+ * own. Closes when the player leaves the room or the container's empty.
+ */
+
+class ContainerPanel {
+  constructor(container, eventBus) {
+    this.container = container;
+    this.eventBus = eventBus;
+
+    this.view = null;
+    this.active = false;
+
+    this.setupContainer();
+    this.setupEventListeners();
+  }
+
+  setupContainer() {
+    this.container.innerHTML = '';
+    this.container.className = 'container-panel';
+    this.container.style.display = 'none';
+
+    // Container name
+    this.header = document.createElement('div');
+    this.header.className = 'container-header';
+    this.container.appendChild(this.header);
+
+    // Items inside
+    this.list = document.createElement('div');
+    this.list.className = 'container-items';
+    this.container.appendChild(this.list);
+
+    // Close
+    this.footer = document.createElement('div');
+    this.footer.className = 'container-footer';
+    this.footer.innerHTML = `
+      <span class="container-status"></span>
+      <button class="container-close">Done [Esc]</button>
+    `;
+    this.container.appendChild(this.footer);
+  }
+
+  setupEventListeners() {
+    this.list.addEventListener('click', (e) => {
+      const row = e.target.closest('.container-item');
+      if (row && !row.classList.contains('taking')) {
+        this.take(row.dataset.item);
+        row.classList.add('taking');
+      }
+    });
+
+    this.footer.addEventListener('click', (e) => {
+      if (e.target.classList.contains('container-close')) {
+        this.close();
+      }
+    });
+
+    this.eventBus.on('container:opened', (view) => {
+      this.open(view);
+    });
+
+    this.eventBus.on('container:updated', (view) => {
+      this.update(view);
+    });
+
+    this.eventBus.on('room:changed', () => {
+      this.close();
+    });
+  }
+
+  /**
+   * Show a container's contents
+   */
+  open(view) {
+    this.active = true;
+    this.container.style.display = 'flex';
+    this.container.classList.remove('closing');
+    this.render(view);
+  }
+
+  /**
+   * Something came out - redraw, and close once it's empty
+   */
+  update(view) {
+    if (!this.active || view.elementId !== this.view?.elementId) return;
+
+    this.render(view);
+    if (view.items.length === 0) {
+      setTimeout(() => this.close(), 600);
+    }
+  }
+
+  render(view) {
+    this.view = view;
+    this.header.innerHTML = `<span class="container-name">📦 ${view.name}</span>`;
+
+    this.list.innerHTML = view.items.map(item => `
+      <button class="container-item" data-item="${item.id}">
+        <span class="container-item-icon">${item.icon}</span>
+        <span class="container-item-name">${item.name}</span>
+        ${item.weight > 0 ? `<span class="container-item-weight">${item.weight}kg</span>` : ''}
+      </button>
+    `).join('');
+
+    this.footer.querySelector('.container-status').textContent =
+      view.items.length > 0 ? 'Take one at a time - every item makes a little noise.' : 'Empty.';
+  }
+
+  /**
+   * Lift one item out
+   */
+  take(itemId) {
+    if (!this.active) return;
+    this.eventBus.emit('action:execute', {
+      verb: 'take-from',
+      target: this.view.elementId,
+      item: itemId
+    });
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    if (!this.active) return;
+    this.active = false;
+
+    this.container.classList.add('closing');
+    setTimeout(() => {
+      if (this.active) return; // Another container opened meanwhile
+      this.container.style.display = 'none';
+      this.container.classList.remove('closing');
+    }, 300);
+  }
+
+  /**
+   * Whether a container is open on screen
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.container.innerHTML = '';
+    this.eventBus.off('container:opened');
+    this.eventBus.off('container:updated');
+    this.eventBus.off('room:changed');
+  }
+}
+
+export { ContainerPanel };
@@ -1,15 +1,24 @@
 /**
  * DIALOGUE PANEL COMPONENT
- * NPC conversation interface with portrait, text, and response options
+ * NPC conversation interface with portrait, text, and response options.
+ * Skill checks show their odds up front and their outcome once said.
+ * The Simulation runs the conversation - the panel shows the nodes it's
+ * handed and sends the player's picks back as 'dialogue:input'.
  */
 
+// How long a said line (or a check's outcome) stays up before moving on (ms)
+const RESPONSE_DELAY = 800;
+const CHECK_DELAY = 1200;
+
 class DialoguePanel {
   constructor(container, eventBus) {
     this.container = container;
     this.eventBus = eventBus;
     
     this.currentNPC = null;
-    this.currentDialogue = null;
+    this.currentNode = null;
+    this.active = false;
+    this.responseDelay = 0;    // Wait before showing what comes after the last line said
     this.dialogueHistory = [];
     this.isTyping = false;
     this.typewriterSpeed = 25;
@@ -71,36 +80,44 @@ class DialoguePanel {
 
     // Event bus
     this.eventBus.on('dialogue:start', (data) => {
-      this.startDialogue(data.npc, data.dialogueData);
+      this.startDialogue(data.npc, data.node);
     });
 
-    this.eventBus.on('dialogue:end', () => {
-      this.endDialogue();
+    this.eventBus.on('dialogue:responded', (data) => {
+      this.showPlayerResponse(data.text);
+      if (data.check) {
+        this.showCheckResult(data.check);
+      }
+      this.responseDelay = data.check ? CHECK_DELAY : RESPONSE_DELAY;
     });
 
     this.eventBus.on('dialogue:advance', (data) => {
-      this.showDialogue(data.nodeId);
+      setTimeout(() => this.showDialogue(data.node), this.responseDelay);
+    });
+
+    this.eventBus.on('dialogue:ended', () => {
+      setTimeout(() => this.endDialogue(), this.responseDelay);
     });
   }
 
   /**
    * Start a dialogue with an NPC
    */
-  startDialogue(npc, dialogueData) {
+  startDialogue(npc, node) {
     this.currentNPC = npc;
-    this.currentDialogue = dialogueData;
     this.dialogueHistory = [];
+    this.active = true;
+    this.responseDelay = 0;
 
     // Show panel
     this.container.style.display = 'flex';
+    this.container.classList.remove('closing');
 
     // Update NPC info
     this.updateNPCInfo(npc);
 
     // Start with greeting
-    this.showDialogue('greeting');
-
-    this.eventBus.emit('mode:changed', { to: 'dialogue' });
+    this.showDialogue(node);
   }
 
   /**
@@ -154,16 +171,14 @@ class DialoguePanel {
   }
 
   /**
-   * Show a dialogue node
+   * Show a dialogue node (its responses already filtered by the Simulation)
    */
-  showDialogue(nodeId) {
-    if (!this.currentDialogue || !this.currentDialogue[nodeId]) {
-      this.endDialogue();
-      return;
-    }
+  showDialogue(node) {
+    if (!this.active) return;
 
-    const node = this.currentDialogue[nodeId];
-    this.dialogueHistory.push(nodeId);
+    this.currentNode = node;
+    this.dialogueHistory.push(node.id);
+    this.responseDelay = 0;
 
     // Clear previous content
     this.dialogueArea.innerHTML = '';
@@ -237,16 +252,14 @@ class DialoguePanel {
     }
 
     const responseHTML = responses.map((response, index) => {
-      const checkResult = this.evaluateCheck(response.check);
-      const disabled = checkResult === false;
+      const odds = response.odds;
 
       return `
-        <button class="response-option ${disabled ? 'disabled' : ''}" 
+        <button class="response-option ${odds ? `check-${this.getOddsBand(odds.chance)}` : ''}" 
                 data-response-index="${index}"
-                ${disabled ? 'disabled' : ''}>
-          ${response.check ? `<span class="response-check">[${this.formatCheck(response.check)}]</span>` : ''}
+                ${odds ? `title="${this.formatModifiers(odds)}"` : ''}>
+          ${odds ? `<span class="response-check">[${this.formatCheck(odds)}]</span>` : ''}
           <span class="response-text">${response.text}</span>
-          ${disabled ? '<span class="response-blocked">✗</span>' : ''}
         </button>
       `;
     });
@@ -262,47 +275,21 @@ class DialoguePanel {
   }
 
   /**
-   * Select a response
+   * Say a response (-1 continues past a node with none)
    */
   selectResponse(index) {
-    const idx = parseInt(index);
+    if (!this.active) return;
 
-    if (idx === -1) {
-      // Continue/end dialogue
-      this.endDialogue();
-      return;
-    }
-
-    const node = this.currentDialogue[this.dialogueHistory[this.dialogueHistory.length - 1]];
-    const response = node.responses[idx];
-
-    if (!response) return;
-
-    // Show player's response briefly
-    this.showPlayerResponse(response.text);
-
-    // Process effects
-    if (response.effect) {
-      this.processEffect(response.effect);
-    }
+    this.eventBus.emit('dialogue:input', { index: parseInt(index) });
+  }
 
-    // Process action
-    if (response.action) {
-      this.processAction(response.action);
-    }
+  /**
+   * Walk away from the conversation
+   */
+  leave() {
+    if (!this.active) return;
 
-    // Advance to next node
-    setTimeout(() => {
-      if (response.next) {
-        if (response.next === 'end' || response.next === 'leave') {
-          this.endDialogue();
-        } else {
-          this.showDialogue(response.next);
-        }
-      } else {
-        this.endDialogue();
-      }
-    }, 800);
+    this.eventBus.emit('dialogue:input', { leave: true });
   }
 
   /**
@@ -318,73 +305,66 @@ class DialoguePanel {
   }
 
   /**
-   * Evaluate a skill check
+   * Show how a check went, under the player's line
    */
-  evaluateCheck(check) {
-    if (!check) return true;
-
-    // Format: "skill:difficulty" e.g. "persuasion:40"
-    const [skill, difficultyStr] = check.split(':');
-    const difficulty = parseInt(difficultyStr);
-
-    // Would check player skills here
-    // For now, return random success weighted by difficulty
-    return Math.random() * 100 > difficulty;
+  showCheckResult(check) {
+    const result = document.createElement('div');
+    result.className = `check-result ${check.success ? 'check-success' : 'check-failure'}`;
+    result.textContent = `${this.formatSkill(check.skill)} ${check.success ? 'succeeded' : 'failed'} ` +
+      `(rolled ${Math.floor(check.roll)} against ${check.chance}%)`;
+    this.dialogueArea.appendChild(result);
   }
 
   /**
-   * Format check for display
+   * Format check odds for display, e.g. "Persuasion 62%"
    */
-  formatCheck(check) {
-    if (!check) return '';
-    
-    const [skill, difficulty] = check.split(':');
-    return `${skill.charAt(0).toUpperCase() + skill.slice(1)} ${difficulty}%`;
+  formatCheck(odds) {
+    return `${this.formatSkill(odds.skill)} ${odds.chance}%`;
   }
 
   /**
-   * Process dialogue effect
+   * What moved the odds, for the response tooltip
    */
-  processEffect(effect) {
-    // Format: "effect-type:value" e.g. "increase-suspicion:20"
-    const [type, value] = effect.split(':');
-
-    this.eventBus.emit('dialogue:effect', {
-      type,
-      value: parseInt(value),
-      npc: this.currentNPC
-    });
+  formatModifiers(odds) {
+    const lines = [`${this.formatSkill(odds.skill)} ${odds.level} vs difficulty ${odds.difficulty}`];
+    for (const mod of odds.modifiers) {
+      lines.push(`${mod.label} ${mod.value > 0 ? '+' : ''}${mod.value}`);
+    }
+    return lines.join('&#10;');
+  }
+
+  formatSkill(skill) {
+    return skill.charAt(0).toUpperCase() + skill.slice(1);
   }
 
   /**
-   * Process dialogue action
+   * Rough band for colouring a check
    */
-  processAction(action) {
-    this.eventBus.emit('dialogue:action', {
-      action,
-      npc: this.currentNPC
-    });
+  getOddsBand(chance) {
+    if (chance >= 70) return 'good';
+    if (chance >= 40) return 'fair';
+    return 'poor';
   }
 
   /**
    * End the dialogue
    */
   endDialogue() {
+    if (!this.active) return;
+    this.active = false;
     this.finishTyping();
     
     // Fade out
     this.container.classList.add('closing');
     
     setTimeout(() => {
+      if (this.active) return; // Another conversation started meanwhile
       this.container.style.display = 'none';
       this.container.classList.remove('closing');
       
       this.currentNPC = null;
-      this.currentDialogue = null;
+      this.currentNode = null;
       this.dialogueHistory = [];
-
-      this.eventBus.emit('dialogue:ended');
-      this.eventBus.emit('mode:changed', { to: 'exploration' });
     }, 300);
   }
 
@@ -406,7 +386,7 @@ class DialoguePanel {
    * Check if dialogue is active
    */
   isActive() {
-    return this.container.style.display !== 'none';
+    return this.active;
   }
 
   /**
@@ -423,8 +403,9 @@ class DialoguePanel {
     this.finishTyping();
     this.container.innerHTML = '';
     this.eventBus.off('dialogue:start');
-    this.eventBus.off('dialogue:end');
+    this.eventBus.off('dialogue:responded');
     this.eventBus.off('dialogue:advance');
+    this.eventBus.off('dialogue:ended');
   }
 }
 
@@ -45,6 +45,11 @@ class EnvironmentView {
     this.elementsEl.className = 'env-elements';
     this.container.appendChild(this.elementsEl);
 
+    // Things lying on the floor
+    this.itemsEl = document.createElement('div');
+    this.itemsEl.className = 'env-floor-items';
+    this.container.appendChild(this.itemsEl);
+
     // Exits
     this.exitsEl = document.createElement('div');
     this.exitsEl.className = 'env-exits';
@@ -60,6 +65,10 @@ class EnvironmentView {
       this.updateNPCs(data.npcs);
     });
 
+    this.eventBus.on('narration:play', (data) => {
+      this.showNarration(data.text);
+    });
+
     // Click handlers for elements and exits
     this.elementsEl.addEventListener('click', (e) => {
       const item = e.target.closest('.element-item');
@@ -68,6 +77,13 @@ class EnvironmentView {
       }
     });
 
+    this.itemsEl.addEventListener('click', (e) => {
+      const item = e.target.closest('.floor-item');
+      if (item) {
+        this.eventBus.emit('action:execute', { verb: 'take', target: item.dataset.itemId });
+      }
+    });
+
     this.exitsEl.addEventListener('click', (e) => {
       const exit = e.target.closest('.exit-item');
       if (exit && !exit.classList.contains('locked')) {
@@ -112,6 +128,9 @@ class EnvironmentView {
     // Elements
     this.renderElements(env.elements);
 
+    // Floor items
+    this.renderFloorItems(env.items);
+
     // Exits
     this.renderExits(env.exits);
 
@@ -123,6 +142,18 @@ class EnvironmentView {
     setTimeout(() => this.container.classList.remove('entering'), 300);
   }
 
+  /**
+   * Append scripted narration below the room description
+   */
+  showNarration(text) {
+    if (!text) return;
+
+    const narration = document.createElement('p');
+    narration.className = 'env-narration';
+    narration.textContent = text;
+    this.descriptionEl.appendChild(narration);
+  }
+
   /**
    * Get description based on context
    */
@@ -223,6 +254,29 @@ class EnvironmentView {
     `;
   }
 
+  /**
+   * Render items lying on the floor
+   */
+  renderFloorItems(items) {
+    if (!items || items.length === 0) {
+      this.itemsEl.innerHTML = '';
+      return;
+    }
+
+    const rows = items.map(item => `
+      <div class="floor-item" data-item-id="${item.id}" title="Pick up">
+        <span class="element-icon">${item.icon}</span>
+        <span class="element-name">${item.name}</span>
+        <span class="element-action">take</span>
+      </div>
+    `);
+
+    this.itemsEl.innerHTML = `
+      <div class="section-header">On the Floor</div>
+      <div class="floor-items-list">${rows.join('')}</div>
+    `;
+  }
+
   /**
    * Render exits
    */
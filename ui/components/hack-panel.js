@@ -0,0 +1,256 @@
+/**
+ * HACK PANEL COMPONENT
+ * Terminal breach interface - the target sequence, the code grid with its
+ * active row or column, strikes and the breach clock. Stress shakes and
+ * blurs the screen while the player works.
+ */
+
+class HackPanel {
+  constructor(container, eventBus) {
+    this.container = container;
+    this.eventBus = eventBus;
+
+    this.view = null;
+    this.active = false;
+
+    this.setupContainer();
+    this.setupEventListeners();
+  }
+
+  setupContainer() {
+    this.container.innerHTML = '';
+    this.container.className = 'hack-panel';
+    this.container.style.display = 'none';
+
+    // Terminal, tier, clock and strikes
+    this.header = document.createElement('div');
+    this.header.className = 'hack-header';
+    this.container.appendChild(this.header);
+
+    // Codes to enter, in order
+    this.sequenceArea = document.createElement('div');
+    this.sequenceArea.className = 'hack-sequence';
+    this.container.appendChild(this.sequenceArea);
+
+    // Code grid
+    this.grid = document.createElement('div');
+    this.grid.className = 'hack-grid';
+    this.container.appendChild(this.grid);
+
+    // Status line and disconnect
+    this.footer = document.createElement('div');
+    this.footer.className = 'hack-footer';
+    this.footer.innerHTML = `
+      <span class="hack-status"></span>
+      <button class="hack-abort">Disconnect [Esc]</button>
+    `;
+    this.container.appendChild(this.footer);
+  }
+
+  setupEventListeners() {
+    this.grid.addEventListener('click', (e) => {
+      const cell = e.target.closest('.hack-cell');
+      if (cell && !cell.disabled) {
+        this.eventBus.emit('hack:input', {
+          row: parseInt(cell.dataset.row),
+          col: parseInt(cell.dataset.col)
+        });
+      }
+    });
+
+    this.footer.addEventListener('click', (e) => {
+      if (e.target.classList.contains('hack-abort')) {
+        this.abort();
+      }
+    });
+
+    this.eventBus.on('hack:started', (view) => {
+      this.open(view);
+    });
+
+    this.eventBus.on('hack:updated', (view) => {
+      this.update(view);
+    });
+
+    this.eventBus.on('hack:ended', (data) => {
+      this.close(data);
+    });
+  }
+
+  /**
+   * Show the panel for a new breach
+   */
+  open(view) {
+    this.active = true;
+    this.container.style.display = 'flex';
+    this.container.classList.remove('closing', 'hack-success', 'hack-failed');
+    this.render(view);
+    this.setStatus(`Find ${view.sequence[0]} in the highlighted row.`);
+  }
+
+  /**
+   * New state from the simulation - a pick, or the clock running down
+   */
+  update(view) {
+    if (!this.active) return;
+
+    // The clock ticks every simulation tick; only redraw the grid when it changed
+    const changed = view.progress !== this.view?.progress || view.strikes !== this.view?.strikes;
+    if (changed) {
+      this.render(view);
+    } else {
+      this.view = view;
+      this.renderHeader(view);
+      this.applyInterference(view.interference);
+    }
+
+    if (view.result === 'strike') {
+      this.flash('strike');
+      this.setStatus(`${view.code} is wrong - the trace is closer.`);
+    } else if (view.result === 'match') {
+      this.flash('match');
+      this.setStatus(`Find ${view.sequence[view.progress]} in the highlighted ${view.axis === 'row' ? 'row' : 'column'}.`);
+    }
+  }
+
+  /**
+   * Draw everything for the current view
+   */
+  render(view) {
+    this.view = view;
+    this.renderHeader(view);
+    this.renderSequence(view);
+    this.renderGrid(view);
+    this.applyInterference(view.interference);
+  }
+
+  renderHeader(view) {
+    const strikesLeft = view.maxStrikes - view.strikes;
+    const urgent = view.timeLeft <= view.timeLimit * 0.25;
+
+    this.header.innerHTML = `
+      <span class="hack-terminal">💻 ${view.name}</span>
+      <span class="hack-tier tier-${view.tier}">${view.tier}</span>
+      <span class="hack-timer ${urgent ? 'urgent' : ''}">${this.formatTime(view.timeLeft)}</span>
+      <span class="hack-strikes" title="Wrong codes before the breach fails">
+        ${'●'.repeat(strikesLeft)}${'○'.repeat(view.strikes)}
+      </span>
+    `;
+  }
+
+  renderSequence(view) {
+    this.sequenceArea.innerHTML = view.sequence.map((code, i) => {
+      const state = i < view.progress ? 'entered' : i === view.progress ? 'next' : '';
+      return `<span class="hack-code ${state}">${code}</span>`;
+    }).join('');
+  }
+
+  renderGrid(view) {
+    const size = view.grid.length;
+    this.grid.style.gridTemplateColumns = `repeat(${size}, 1fr)`;
+
+    const cells = [];
+    view.grid.forEach((row, r) => {
+      row.forEach((code, c) => {
+        const used = view.used.some(cell => cell.row === r && cell.col === c);
+        const onLine = view.axis === 'row' ? r === view.line : c === view.line;
+        const classes = ['hack-cell', onLine ? 'on-line' : '', used ? 'used' : ''].join(' ');
+
+        cells.push(`
+          <button class="${classes}" data-row="${r}" data-col="${c}" ${onLine && !used ? '' : 'disabled'}>
+            ${used ? '··' : code}
+          </button>
+        `);
+      });
+    });
+
+    this.grid.innerHTML = cells.join('');
+  }
+
+  /**
+   * Stress on screen - the panel shakes and the codes swim
+   */
+  applyInterference(interference = {}) {
+    const shake = interference.shake || 0;
+    const blur = interference.blur || 0;
+
+    this.container.style.setProperty('--hack-shake', shake);
+    this.container.style.setProperty('--hack-blur', blur);
+    this.container.classList.toggle('hack-shaking', shake > 0);
+    this.container.classList.toggle('hack-blurred', blur > 0);
+  }
+
+  setStatus(text) {
+    this.footer.querySelector('.hack-status').textContent = text;
+  }
+
+  /**
+   * Brief feedback on a pick
+   */
+  flash(type) {
+    const flashClass = `flash-${type}`;
+    this.grid.classList.add(flashClass);
+    setTimeout(() => this.grid.classList.remove(flashClass), 300);
+  }
+
+  /**
+   * Back out of the breach
+   */
+  abort() {
+    if (!this.active) return;
+    this.eventBus.emit('hack:input', { abort: true });
+  }
+
+  /**
+   * Show how it ended, then hide
+   */
+  close(data) {
+    if (!this.active) return;
+    this.active = false;
+
+    const messages = {
+      success: 'ACCESS GRANTED',
+      failed: 'TRACE COMPLETE - CONNECTION LOST',
+      aborted: 'DISCONNECTED',
+      interrupted: 'CONNECTION DROPPED'
+    };
+    this.setStatus(messages[data.outcome] || '');
+    this.container.classList.add(data.success ? 'hack-success' : 'hack-failed');
+    this.applyInterference();
+
+    setTimeout(() => {
+      if (this.active) return; // A new breach opened meanwhile
+      this.container.classList.add('closing');
+      setTimeout(() => {
+        if (this.active) return;
+        this.container.style.display = 'none';
+        this.container.classList.remove('closing');
+      }, 300);
+    }, 900);
+  }
+
+  /**
+   * Whether a breach is on screen (keyboard input goes to it)
+   */
+  isActive() {
+    return this.active;
+  }
+
+  formatTime(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins}:${String(secs).padStart(2, '0')}`;
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.container.innerHTML = '';
+    this.eventBus.off('hack:started');
+    this.eventBus.off('hack:updated');
+    this.eventBus.off('hack:ended');
+  }
+}
+
+export { HackPanel };
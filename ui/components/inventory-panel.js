@@ -1,6 +1,7 @@
 /**
  * INVENTORY PANEL COMPONENT
- * Equipment grid with item details and actions
+ * Equipment grid with item details and actions. Dragging one item onto
+ * another tries to combine them.
  */
 
 class InventoryPanel {
@@ -12,6 +13,9 @@ class InventoryPanel {
     this.items = [];
     this.selectedItem = null;
     this.maxSlots = 12;
+    this.load = null; // Slots and weight against capacity - see setLoad()
+    this.uses = {};   // Uses left on items that have them - see setUses()
+    this.dragItem = null;
     
     this.setupContainer();
     this.setupEventListeners();
@@ -26,6 +30,7 @@ class InventoryPanel {
     this.header.className = 'inventory-header';
     this.header.innerHTML = `
       <span class="inventory-title">Equipment</span>
+      <span class="inventory-cash">$0</span>
       <span class="inventory-capacity">0/${this.maxSlots}</span>
     `;
     this.container.appendChild(this.header);
@@ -60,6 +65,43 @@ class InventoryPanel {
       }
     });
 
+    // Drag one item onto another to combine them
+    this.grid.addEventListener('dragstart', (e) => {
+      const slot = e.target.closest('.inventory-slot');
+      if (!slot?.dataset.itemId) return;
+
+      this.dragItem = slot.dataset.itemId;
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', this.dragItem);
+      slot.classList.add('dragging');
+    });
+
+    this.grid.addEventListener('dragover', (e) => {
+      const slot = e.target.closest('.inventory-slot');
+      if (!this.dragItem || !slot?.dataset.itemId || slot.dataset.itemId === this.dragItem) return;
+
+      e.preventDefault(); // Allows the drop
+      slot.classList.add('combine-target');
+    });
+
+    this.grid.addEventListener('dragleave', (e) => {
+      e.target.closest('.inventory-slot')?.classList.remove('combine-target');
+    });
+
+    this.grid.addEventListener('drop', (e) => {
+      const slot = e.target.closest('.inventory-slot');
+      if (!this.dragItem || !slot?.dataset.itemId) return;
+
+      e.preventDefault();
+      this.combineItems(this.dragItem, slot.dataset.itemId);
+    });
+
+    this.grid.addEventListener('dragend', () => {
+      this.dragItem = null;
+      this.grid.querySelectorAll('.dragging, .combine-target')
+        .forEach(slot => slot.classList.remove('dragging', 'combine-target'));
+    });
+
     this.detailPanel.addEventListener('click', (e) => {
       if (e.target.classList.contains('action-use')) {
         this.useItem(this.selectedItem);
@@ -81,6 +123,10 @@ class InventoryPanel {
     this.eventBus.on('item:removed', (data) => {
       this.removeItem(data.itemId);
     });
+
+    this.eventBus.on('player:cashChanged', (data) => {
+      this.setCash(data.cash);
+    });
   }
 
   /**
@@ -105,6 +151,36 @@ class InventoryPanel {
     this.render();
   }
 
+  /**
+   * Show cash on hand
+   */
+  setCash(cash) {
+    this.header.querySelector('.inventory-cash').textContent = `$${cash || 0}`;
+  }
+
+  /**
+   * Show the load against capacity (from the EncumbranceSystem). The grid
+   * holds everything carried plus a slot for each one still free.
+   */
+  setLoad(load) {
+    this.load = load;
+
+    const size = this.items.length + Math.max(0, load.slots - load.slotsUsed);
+    if (size !== this.maxSlots) {
+      this.maxSlots = size;
+      this.renderSlots();
+    }
+    this.render();
+  }
+
+  /**
+   * Show uses left on limited-use items (the player's itemUses - unset means full)
+   */
+  setUses(itemUses) {
+    this.uses = itemUses || {};
+    this.render();
+  }
+
   /**
    * Add a single item
    */
@@ -142,6 +218,7 @@ class InventoryPanel {
     slots.forEach((slot, index) => {
       slot.className = 'inventory-slot';
       slot.dataset.itemId = '';
+      slot.draggable = index < this.items.length;
       slot.innerHTML = '';
 
       if (index < this.items.length) {
@@ -163,6 +240,8 @@ class InventoryPanel {
 
         if (item.quantity > 1) {
           slot.innerHTML += `<span class="item-quantity">${item.quantity}</span>`;
+        } else if (item.uses > 1) {
+          slot.innerHTML += `<span class="item-quantity" title="Uses left">${this.uses[itemId] ?? item.uses}</span>`;
         }
 
         if (item.isObjective) {
@@ -174,18 +253,21 @@ class InventoryPanel {
     });
 
     // Update capacity
-    this.header.querySelector('.inventory-capacity').textContent = 
-      `${this.items.length}/${this.maxSlots}`;
+    const capacity = this.header.querySelector('.inventory-capacity');
+    if (!this.load) {
+      capacity.textContent = `${this.items.length}/${this.maxSlots}`;
+      return;
+    }
+
+    const { slotsUsed, weight, weightLimit, overloaded } = this.load;
+    const free = this.load.slots - slotsUsed;
+    capacity.textContent = `${slotsUsed}/${this.load.slots} · ${weight}/${weightLimit}kg`;
+    capacity.title = overloaded ? 'Overloaded - moving costs stamina and makes noise' : '';
 
     // Check capacity warning
-    if (this.items.length >= this.maxSlots) {
-      this.header.classList.add('full');
-    } else if (this.items.length >= this.maxSlots - 2) {
-      this.header.classList.add('nearly-full');
-      this.header.classList.remove('full');
-    } else {
-      this.header.classList.remove('full', 'nearly-full');
-    }
+    this.header.classList.toggle('full', free <= 0);
+    this.header.classList.toggle('nearly-full', free > 0 && free <= 2);
+    this.header.classList.toggle('overloaded', overloaded);
   }
 
   /**
@@ -295,6 +377,21 @@ class InventoryPanel {
     });
   }
 
+  /**
+   * Try putting two items together - the simulation knows the recipes
+   */
+  combineItems(itemId, withItemId) {
+    if (!itemId || !withItemId || itemId === withItemId) return;
+
+    this.eventBus.emit('action:execute', {
+      verb: 'combine',
+      target: itemId,
+      with: withItemId
+    });
+
+    this.flashSlot(this.items.indexOf(withItemId), 'use');
+  }
+
   /**
    * Examine an item
    */
@@ -385,7 +482,7 @@ class InventoryPanel {
    * Check if inventory is full
    */
   isFull() {
-    return this.items.length >= this.maxSlots;
+    return this.load ? this.load.slotsUsed >= this.load.slots : this.items.length >= this.maxSlots;
   }
 
   /**
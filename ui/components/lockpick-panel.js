@@ -0,0 +1,215 @@
+/**
+ * LOCKPICK PANEL COMPONENT
+ * Tension-and-pin interface - a tension slider, the pins still to set and
+ * how the last lift felt. Shaking hands show as a trembling wrench.
+ */
+
+const LIFT_FEEDBACK = {
+  set: 'Click. The pin sets.',
+  loose: 'Too loose - the pin drops back. More tension.',
+  slip: 'Too much tension - the pick slips and a pin falls.'
+};
+
+class LockpickPanel {
+  constructor(container, eventBus) {
+    this.container = container;
+    this.eventBus = eventBus;
+
+    this.active = false;
+
+    this.setupContainer();
+    this.setupEventListeners();
+  }
+
+  setupContainer() {
+    this.container.innerHTML = '';
+    this.container.className = 'lockpick-panel';
+    this.container.style.display = 'none';
+
+    // Lock name, security and slips
+    this.header = document.createElement('div');
+    this.header.className = 'lockpick-header';
+    this.container.appendChild(this.header);
+
+    // Pins, left to right
+    this.pinArea = document.createElement('div');
+    this.pinArea.className = 'lockpick-pins';
+    this.container.appendChild(this.pinArea);
+
+    // Tension wrench and lift
+    this.controls = document.createElement('div');
+    this.controls.className = 'lockpick-controls';
+    this.controls.innerHTML = `
+      <label class="lockpick-tension">
+        <span>Tension</span>
+        <input type="range" min="0" max="100" value="0" class="tension-slider">
+        <span class="tension-value">0</span>
+      </label>
+      <button class="lockpick-lift">Lift pin [Space]</button>
+    `;
+    this.container.appendChild(this.controls);
+    this.slider = this.controls.querySelector('.tension-slider');
+
+    // Feedback and back off
+    this.footer = document.createElement('div');
+    this.footer.className = 'lockpick-footer';
+    this.footer.innerHTML = `
+      <span class="lockpick-status"></span>
+      <button class="lockpick-abort">Back off [Esc]</button>
+    `;
+    this.container.appendChild(this.footer);
+  }
+
+  setupEventListeners() {
+    // Show the value while dragging; send it once the wrench is settled
+    this.slider.addEventListener('input', () => {
+      this.controls.querySelector('.tension-value').textContent = this.slider.value;
+    });
+
+    this.slider.addEventListener('change', () => {
+      this.eventBus.emit('lockpick:input', { tension: parseInt(this.slider.value) });
+    });
+
+    this.controls.addEventListener('click', (e) => {
+      if (e.target.classList.contains('lockpick-lift')) {
+        this.lift();
+      }
+    });
+
+    this.footer.addEventListener('click', (e) => {
+      if (e.target.classList.contains('lockpick-abort')) {
+        this.abort();
+      }
+    });
+
+    this.eventBus.on('lockpick:started', (view) => {
+      this.open(view);
+    });
+
+    this.eventBus.on('lockpick:updated', (view) => {
+      this.update(view);
+    });
+
+    this.eventBus.on('lockpick:ended', (data) => {
+      this.close(data);
+    });
+  }
+
+  /**
+   * Show the panel for a new lock
+   */
+  open(view) {
+    this.active = true;
+    this.container.style.display = 'flex';
+    this.container.classList.remove('closing', 'lockpick-success', 'lockpick-failed');
+    this.slider.value = view.tension;
+    this.render(view);
+    this.setStatus('Set some tension, then lift the first pin.');
+  }
+
+  /**
+   * New state from the simulation after an input
+   */
+  update(view) {
+    if (!this.active) return;
+
+    this.render(view);
+    if (view.lastResult) {
+      this.setStatus(LIFT_FEEDBACK[view.lastResult]);
+      this.flash(view.lastResult);
+    }
+  }
+
+  render(view) {
+    this.header.innerHTML = `
+      <span class="lockpick-name">🔓 ${view.name}</span>
+      <span class="lockpick-security">Security ${view.security}</span>
+      <span class="lockpick-slips" title="Slips before the pick bends">
+        ${'●'.repeat(view.maxSlips - view.slips)}${'○'.repeat(view.slips)}
+      </span>
+    `;
+
+    const next = view.pins.findIndex(pin => !pin.set);
+    this.pinArea.innerHTML = view.pins.map((pin, i) =>
+      `<span class="lockpick-pin ${pin.set ? 'set' : ''} ${i === next ? 'next' : ''}"></span>`
+    ).join('');
+
+    this.controls.querySelector('.tension-value').textContent = view.tension;
+    this.container.classList.toggle('lockpick-shaking', view.shaking);
+  }
+
+  setStatus(text) {
+    this.footer.querySelector('.lockpick-status').textContent = text;
+  }
+
+  /**
+   * Brief feedback on a lift
+   */
+  flash(result) {
+    const flashClass = `flash-${result}`;
+    this.pinArea.classList.add(flashClass);
+    setTimeout(() => this.pinArea.classList.remove(flashClass), 300);
+  }
+
+  /**
+   * Lift the next pin (the tension goes with it, in case it wasn't sent yet)
+   */
+  lift() {
+    if (!this.active) return;
+    this.eventBus.emit('lockpick:input', { tension: parseInt(this.slider.value), lift: true });
+  }
+
+  /**
+   * Back off the lock
+   */
+  abort() {
+    if (!this.active) return;
+    this.eventBus.emit('lockpick:input', { abort: true });
+  }
+
+  /**
+   * Show how it ended, then hide
+   */
+  close(data) {
+    if (!this.active) return;
+    this.active = false;
+
+    const messages = {
+      success: 'OPEN',
+      failed: 'The pick bends. Straighten it out and start again.',
+      aborted: 'You ease off the lock.',
+      interrupted: 'No time for the lock now.'
+    };
+    this.setStatus(messages[data.outcome] || '');
+    this.container.classList.add(data.success ? 'lockpick-success' : 'lockpick-failed');
+
+    setTimeout(() => {
+      if (this.active) return; // Another lock started meanwhile
+      this.container.classList.add('closing');
+      setTimeout(() => {
+        if (this.active) return;
+        this.container.style.display = 'none';
+        this.container.classList.remove('closing');
+      }, 300);
+    }, 900);
+  }
+
+  /**
+   * Whether a lock is being picked (keyboard input goes to it)
+   */
+  isActive() {
+    return this.active;
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.container.innerHTML = '';
+    this.eventBus.off('lockpick:started');
+    this.eventBus.off('lockpick:updated');
+    this.eventBus.off('lockpick:ended');
+  }
+}
+
+export { LockpickPanel };
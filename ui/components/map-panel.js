@@ -106,6 +106,11 @@ class MapPanel {
       this.zoom(e.deltaY < 0 ? 1.1 : 0.9);
     });
 
+    // Click or tap a tile to walk there
+    this.canvas.addEventListener('click', (e) => {
+      this.walkToClick(e);
+    });
+
     // Double click to center on location
     this.canvas.addEventListener('dblclick', (e) => {
       this.centerOnClick(e);
@@ -178,6 +183,7 @@ class MapPanel {
    */
   startPan(e) {
     this.isPanning = true;
+    this.panMoved = false;
     this.lastPanPosition = { x: e.clientX, y: e.clientY };
     this.canvas.style.cursor = 'grabbing';
   }
@@ -193,6 +199,7 @@ class MapPanel {
     
     this.mapRenderer.offset.x += dx;
     this.mapRenderer.offset.y += dy;
+    if (dx !== 0 || dy !== 0) this.panMoved = true;
     
     this.lastPanPosition = { x: e.clientX, y: e.clientY };
     this.render();
@@ -206,6 +213,24 @@ class MapPanel {
     this.canvas.style.cursor = 'grab';
   }
 
+  /**
+   * Walk the player to the clicked blueprint tile (Shift-click runs)
+   */
+  walkToClick(e) {
+    if (!this.mapRenderer || this.viewMode !== 'blueprint') return;
+    if (this.panMoved) return; // End of a drag, not a click
+    
+    // The canvas may be scaled by CSS - convert to canvas pixels
+    const rect = this.canvas.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * (this.canvas.width / rect.width);
+    const y = (e.clientY - rect.top) * (this.canvas.height / rect.height);
+    
+    const tile = this.mapRenderer.screenToTile(x, y);
+    if (!tile) return;
+    
+    this.eventBus.emit('action:execute', { verb: e.shiftKey ? 'run' : 'walk', target: tile });
+  }
+
   /**
    * Center on clicked location
    */
@@ -255,6 +280,7 @@ class MapPanel {
       this.legend.innerHTML = `
         <div class="legend-item"><span class="legend-color" style="background: #00ff88"></span>Current</div>
         <div class="legend-item"><span class="legend-color" style="background: #16213e"></span>Visited</div>
+        <div class="legend-item"><span class="legend-color" style="background: #888888"></span>Seen recently</div>
         <div class="legend-item"><span class="legend-color" style="background: #ffc107"></span>Objective</div>
       `;
     } else {
@@ -0,0 +1,129 @@
+/**
+ * REPLAY CONTROLS COMPONENT
+ * Transport controls overlaid on the map canvas: save/load a run recording,
+ * and pause, step and speed while a replay is playing
+ */
+
+class ReplayControls {
+  constructor(container, eventBus) {
+    this.container = container;
+    this.eventBus = eventBus;
+    this.replaying = false;
+
+    this.setupContainer();
+    this.setupEventListeners();
+    this.render();
+  }
+
+  setupContainer() {
+    this.container.innerHTML = '';
+    this.container.className = 'replay-controls';
+
+    this.container.innerHTML = `
+      <div class="replay-record">
+        <span class="replay-indicator">⏺ REC</span>
+        <button class="replay-button" data-action="export" title="Save replay">⬇</button>
+        <label class="replay-button" title="Load replay">
+          ⬆<input class="replay-file" type="file" accept=".json,application/json" hidden>
+        </label>
+      </div>
+      <div class="replay-transport">
+        <button class="replay-button" data-action="toggle" title="Play/Pause">⏸</button>
+        <button class="replay-button" data-action="step" title="Step one tick">⏭</button>
+        <button class="replay-button" data-action="speed" title="Playback speed">1x</button>
+        <span class="replay-progress"></span>
+        <button class="replay-button" data-action="exit" title="Exit replay">✕</button>
+      </div>
+    `;
+
+    this.recordEl = this.container.querySelector('.replay-record');
+    this.transportEl = this.container.querySelector('.replay-transport');
+    this.toggleEl = this.container.querySelector('[data-action="toggle"]');
+    this.speedEl = this.container.querySelector('[data-action="speed"]');
+    this.progressEl = this.container.querySelector('.replay-progress');
+    this.fileEl = this.container.querySelector('.replay-file');
+  }
+
+  setupEventListeners() {
+    this.container.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      switch (button.dataset.action) {
+        case 'export':
+          this.eventBus.emit('replay:export');
+          break;
+        case 'toggle':
+          this.eventBus.emit('replay:toggle');
+          break;
+        case 'step':
+          this.eventBus.emit('replay:step');
+          break;
+        case 'speed':
+          this.eventBus.emit('replay:cycleSpeed');
+          break;
+        case 'exit':
+          this.eventBus.emit('replay:exit');
+          break;
+      }
+    });
+
+    this.fileEl.addEventListener('change', async () => {
+      const file = this.fileEl.files?.[0];
+      if (!file) return;
+
+      try {
+        const log = JSON.parse(await file.text());
+        this.eventBus.emit('replay:load', { log });
+      } catch (error) {
+        console.error('Invalid replay file:', error);
+      }
+      this.fileEl.value = '';
+    });
+
+    this.eventBus.on('replay:status', (status) => {
+      this.updateStatus(status);
+    });
+  }
+
+  /**
+   * Switch between recording and playback layouts
+   */
+  setReplaying(replaying) {
+    this.replaying = replaying;
+    this.render();
+  }
+
+  render() {
+    this.recordEl.style.display = this.replaying ? 'none' : 'flex';
+    this.transportEl.style.display = this.replaying ? 'flex' : 'none';
+    this.container.classList.toggle('replaying', this.replaying);
+  }
+
+  /**
+   * Update playback readout
+   */
+  updateStatus(status) {
+    this.toggleEl.textContent = status.paused || status.finished ? '▶' : '⏸';
+    this.speedEl.textContent = `${status.speed}x`;
+    this.progressEl.textContent = status.finished
+      ? 'END'
+      : `${status.tick} / ${status.length}`;
+  }
+
+  /**
+   * Apply visual state
+   */
+  applyState(state) {
+    this.container.dataset.cardState = state;
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.container.innerHTML = '';
+  }
+}
+
+export { ReplayControls };
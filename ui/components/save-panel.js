@@ -0,0 +1,168 @@
+/**
+ * SAVE PANEL COMPONENT
+ * Save slot list with save, load, and delete controls
+ */
+
+class SavePanel {
+  constructor(container, eventBus) {
+    this.container = container;
+    this.eventBus = eventBus;
+    this.slots = [];
+    this.visible = false;
+
+    this.setupContainer();
+    this.setupEventListeners();
+    this.setVisible(false);
+  }
+
+  setupContainer() {
+    this.container.innerHTML = '';
+    this.container.className = 'save-panel';
+
+    this.panel = document.createElement('div');
+    this.panel.className = 'card save-card';
+    this.panel.innerHTML = `
+      <div class="card-header">
+        <span class="card-icon">💾</span>
+        <span class="card-title">SAVES</span>
+        <button class="save-close" aria-label="Close">✕</button>
+      </div>
+      <form class="save-form">
+        <input class="save-name" type="text" maxlength="24" placeholder="Save name">
+        <button class="save-button" type="submit">SAVE</button>
+      </form>
+      <div class="save-list"></div>
+    `;
+
+    this.container.appendChild(this.panel);
+    this.formEl = this.panel.querySelector('.save-form');
+    this.nameEl = this.panel.querySelector('.save-name');
+    this.listEl = this.panel.querySelector('.save-list');
+  }
+
+  setupEventListeners() {
+    this.eventBus.on('saves:updated', (data) => {
+      this.setSlots(data.slots);
+    });
+
+    this.formEl.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const label = this.nameEl.value.trim();
+      if (!label) return;
+
+      this.eventBus.emit('game:save', { slot: this.toSlotId(label), label });
+      this.nameEl.value = '';
+    });
+
+    this.panel.querySelector('.save-close').addEventListener('click', () => {
+      this.setVisible(false);
+    });
+
+    this.listEl.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+
+      const slot = button.closest('.save-slot')?.dataset.slot;
+      if (button.dataset.action === 'load') {
+        this.eventBus.emit('game:load', { slot });
+        this.setVisible(false);
+      } else if (button.dataset.action === 'delete') {
+        this.eventBus.emit('game:deleteSave', { slot });
+      }
+    });
+  }
+
+  /**
+   * Set slot summaries
+   */
+  setSlots(slots) {
+    this.slots = slots || [];
+    this.render();
+  }
+
+  /**
+   * Render slot list
+   */
+  render() {
+    this.listEl.innerHTML = '';
+
+    if (this.slots.length === 0) {
+      this.listEl.innerHTML = '<div class="save-empty">No saves yet</div>';
+      return;
+    }
+
+    for (const slot of this.slots) {
+      const item = document.createElement('div');
+      item.className = 'save-slot';
+      item.dataset.slot = slot.slot;
+      if (slot.autosave) {
+        item.classList.add('autosave');
+      }
+
+      item.innerHTML = `
+        <div class="save-info">
+          <span class="save-label">${slot.label}</span>
+          <span class="save-meta">${slot.environment || ''} · ${this.formatTime(slot.savedAt)}</span>
+        </div>
+        <button class="save-action" data-action="load">LOAD</button>
+        ${slot.autosave ? '' : '<button class="save-action" data-action="delete">✕</button>'}
+      `;
+
+      this.listEl.appendChild(item);
+    }
+  }
+
+  /**
+   * Turn a display name into a storage-safe slot id
+   */
+  toSlotId(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'save';
+  }
+
+  /**
+   * Format a save timestamp
+   */
+  formatTime(timestamp) {
+    if (!timestamp) return '';
+    return new Date(timestamp).toLocaleString([], {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  /**
+   * Toggle visibility
+   */
+  toggle() {
+    this.setVisible(!this.visible);
+  }
+
+  /**
+   * Set visibility
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.style.display = visible ? 'block' : 'none';
+    if (visible) {
+      this.nameEl.focus();
+    }
+  }
+
+  /**
+   * Apply visual state
+   */
+  applyState(state) {
+    this.container.dataset.cardState = state;
+  }
+
+  /**
+   * Destroy component
+   */
+  destroy() {
+    this.container.innerHTML = '';
+  }
+}
+
+export { SavePanel };
@@ -19,6 +19,8 @@ class VitalsHUD {
     
     this.conditions = [];
     this.pulseRate = 72;
+    this.alertLevel = 'normal';
+    this.alarmRemaining = null;
     this.animationFrame = null;
     
     this.setupContainer();
@@ -59,6 +61,21 @@ class VitalsHUD {
       <span class="pulse-rate">${this.pulseRate}</span>
     `;
     this.container.appendChild(this.pulseIndicator);
+
+    // In-game time of day
+    this.timeDisplay = document.createElement('div');
+    this.timeDisplay.className = 'game-time';
+    this.container.appendChild(this.timeDisplay);
+
+    // Facility alert level and alarm countdown (hidden while all is quiet)
+    this.alertDisplay = document.createElement('div');
+    this.alertDisplay.className = 'facility-alert';
+    this.container.appendChild(this.alertDisplay);
+
+    // Pause / game speed readout (hidden at normal speed)
+    this.clockStatus = document.createElement('div');
+    this.clockStatus.className = 'clock-status';
+    this.container.appendChild(this.clockStatus);
   }
 
   createVitalBar(id, label, color, initialValue) {
@@ -93,17 +110,69 @@ class VitalsHUD {
       this.updateVitals(data);
     });
 
+    // NPCs have conditions too - only the player's are shown here
     this.eventBus.on('condition:added', (data) => {
-      this.addCondition(data.conditionId);
+      if (data.entityId === 'player') this.addCondition(data.conditionId);
     });
 
     this.eventBus.on('condition:removed', (data) => {
-      this.removeCondition(data.conditionId);
+      if (data.entityId === 'player') this.removeCondition(data.conditionId);
     });
 
     this.eventBus.on('pulse:updated', (data) => {
       this.updatePulse(data.rate);
     });
+
+    this.eventBus.on('clock:changed', (status) => {
+      this.updateClock(status);
+    });
+
+    this.eventBus.on('time:changed', (data) => {
+      this.timeDisplay.textContent = data.time;
+    });
+
+    this.eventBus.on('facility:alertChanged', (data) => {
+      this.alertLevel = data.name;
+      this.alarmRemaining = data.alarmRemaining;
+      this.updateAlert();
+    });
+
+    this.eventBus.on('facility:alarmCountdown', (data) => {
+      this.alarmRemaining = data.remaining;
+      this.updateAlert();
+    });
+  }
+
+  /**
+   * Show the facility alert level, with the alarm countdown while it rings
+   */
+  updateAlert() {
+    let text = '';
+    if (this.alarmRemaining !== null && this.alarmRemaining !== undefined) {
+      const minutes = Math.floor(this.alarmRemaining / 60);
+      const seconds = String(Math.floor(this.alarmRemaining % 60)).padStart(2, '0');
+      text = `⚠ ALARM ${minutes}:${seconds}`;
+    } else if (this.alertLevel && this.alertLevel !== 'normal') {
+      text = `ALERT: ${this.alertLevel.toUpperCase()}`;
+    }
+
+    this.alertDisplay.textContent = text;
+    this.alertDisplay.classList.toggle('alarm', text.startsWith('⚠'));
+  }
+
+  /**
+   * Show pause state and game speed
+   */
+  updateClock(status) {
+    let text = '';
+    if (status.paused) {
+      text = '❚❚ PAUSED';
+    } else if (status.speed !== 1) {
+      text = `${status.speed}x`;
+    }
+
+    this.clockStatus.textContent = text;
+    this.clockStatus.classList.toggle('paused', status.paused);
   }
 
   /**
@@ -4,6 +4,31 @@
  */
 
 import { CARD_STATES, PRIORITY_TIERS } from '../core/constants.js';
+import { ConditionRegistry } from '../pillars/conditions.js';
+
+// ==============================================
+// CONDITION DISPLAY EFFECTS
+// ==============================================
+// What each condition uiEffect does to the display modifiers. Numeric
+// effects (screenShake: 0.3) scale these by their value; flags count as 1.
+const UI_EFFECT_MODIFIERS = {
+  screenShake: { shake: 1 },
+  pulseOverlay: { pulse: 0.5 },
+  urgentPulse: { pulse: 0.8 },
+  blackoutPulse: { pulse: 0.9, darken: 0.3 },
+  heartbeatAudio: { pulse: 0.3 },
+  heavyBreathing: { pulse: 0.2 },
+  cardTremor: { tremor: 1 },
+  visionTunnel: { darken: 0.3, blur: 0.2 },
+  textGarble: { blur: 1 },
+  timeSlowEffect: { blur: 0.1 },
+  redVignette: { darken: 0.1 },
+  darkenedView: { darken: 0.2 },
+  smokeHaze: { blur: 0.3, darken: 0.1 },
+  blackout: { darken: 1 },
+  isolationEffect: { isolation: 1 },
+  sloanPanelOffline: { isolation: 1 }
+};
 
 /**
  * Card instance representing a UI element
@@ -99,7 +124,9 @@ class DisplayManager {
       shake: 0,
       blur: 0,
       darken: 0,
-      pulse: 0
+      pulse: 0,
+      tremor: 0,
+      isolation: 0
     };
     
     this.setupEventListeners();
@@ -262,26 +289,50 @@ class DisplayManager {
    * Handle condition changes affecting display
    */
   handleConditionChange(data, added) {
-    const { conditionId } = data;
-    
-    // Map conditions to display effects
-    const effectMap = {
-      'high-stress': { shake: 0.3, pulse: 0.5 },
-      'panicked': { shake: 0.6, blur: 0.2, pulse: 0.8 },
-      'injured': { darken: 0.1, pulse: 0.3 },
-      'critical': { darken: 0.3, pulse: 0.9 },
-      'hidden': { darken: 0.2 }
-    };
+    const { entityId, conditionId } = data;
+    if (entityId && entityId !== 'player') return; // Only the player's conditions reach the screen
     
-    if (effectMap[conditionId]) {
-      if (added) {
-        this.activeEffects.set(conditionId, effectMap[conditionId]);
-      } else {
-        this.activeEffects.delete(conditionId);
-      }
+    if (added) {
+      const effects = this.getConditionEffects(ConditionRegistry[conditionId]?.uiEffects);
+      if (Object.keys(effects).length === 0) return;
+      this.activeEffects.set(conditionId, effects);
+    } else if (!this.activeEffects.delete(conditionId)) {
+      return;
+    }
+    
+    this.recalculateModifiers();
+  }
+
+  /**
+   * Bring the active effects in line with the player's full condition list
+   * (conditions restored from a save arrive without events)
+   */
+  setConditions(conditionIds = []) {
+    for (const conditionId of [...this.activeEffects.keys()]) {
+      if (!conditionIds.includes(conditionId)) this.handleConditionChange({ conditionId }, false);
+    }
+    for (const conditionId of conditionIds) {
+      if (!this.activeEffects.has(conditionId)) this.handleConditionChange({ conditionId }, true);
+    }
+  }
+
+  /**
+   * Turn a condition's uiEffects into display modifier amounts
+   */
+  getConditionEffects(uiEffects = {}) {
+    const effects = {};
+    
+    for (const [name, value] of Object.entries(uiEffects)) {
+      const modifiers = UI_EFFECT_MODIFIERS[name];
+      if (!modifiers || !value) continue;
       
-      this.recalculateModifiers();
+      const scale = typeof value === 'number' ? value : 1;
+      for (const [key, amount] of Object.entries(modifiers)) {
+        effects[key] = (effects[key] || 0) + amount * scale;
+      }
     }
+    
+    return effects;
   }
 
   /**
@@ -289,7 +340,7 @@ class DisplayManager {
    */
   recalculateModifiers() {
     // Reset
-    this.modifiers = { shake: 0, blur: 0, darken: 0, pulse: 0 };
+    this.modifiers = { shake: 0, blur: 0, darken: 0, pulse: 0, tremor: 0, isolation: 0 };
     
     // Accumulate effects
     for (const effect of this.activeEffects.values()) {
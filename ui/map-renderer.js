@@ -24,9 +24,13 @@ class MapRenderer {
     this.offset = { x: 0, y: 0 };
     this.zoom = 1;
     
+    // Top-left of the drawn blueprint on the canvas (for click-to-tile)
+    this.blueprintOrigin = null;
+    
     // Animation state
     this.playerBlinkPhase = 0;
     this.npcAnimations = new Map();
+    this.noiseRipples = [];
   }
 
   /**
@@ -46,19 +50,24 @@ class MapRenderer {
     // Draw connections between rooms
     this.drawConnections(connections, environments);
     
+    // Live state and UI snapshots name the current room differently
+    const currentId = gameState.currentEnvironment ?? gameState.environment;
+    
     // Draw each environment as a box
     for (const [envId, env] of Object.entries(environments)) {
       const visited = this.visitedEnvironments.has(envId);
-      const current = gameState.currentEnvironment === envId;
+      const current = currentId === envId;
       const hasObjective = this.checkForObjective(env, gameState);
       
       this.drawEnvironmentBox(env, { visited, current, hasObjective });
     }
     
+    // NPCs the player saw recently in other rooms, where they were last seen
+    this.drawSightings(environments, gameState, currentId);
+    
     // Draw player position indicator
-    if (gameState.currentEnvironment) {
-      const currentEnv = environments[gameState.currentEnvironment];
-      this.drawPlayerMarker(currentEnv);
+    if (currentId && environments[currentId]) {
+      this.drawPlayerMarker(environments[currentId], gameState.player?.position);
     }
     
     // Draw objective markers
@@ -69,8 +78,9 @@ class MapRenderer {
 
   /**
    * Render a detailed blueprint of a single room
+   * @param {number} alpha - Progress between the last simulation tick and the next (0-1), for interpolating movement
    */
-  renderBlueprint(environment, gameState, npcs) {
+  renderBlueprint(environment, gameState, npcs, alpha = 1) {
     const ctx = this.ctx;
     ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
     
@@ -87,6 +97,7 @@ class MapRenderer {
     const roomHeight = environment.dimensions.height * this.config.TILE_SIZE;
     const offsetX = (this.canvas.width - roomWidth) / 2;
     const offsetY = (this.canvas.height - roomHeight) / 2;
+    this.blueprintOrigin = { x: offsetX, y: offsetY };
     
     ctx.translate(offsetX, offsetY);
     
@@ -109,25 +120,51 @@ class MapRenderer {
       this.drawElement(element, gameState);
     }
     
+    // Draw things lying on the floor
+    for (const item of (environment.items || [])) {
+      this.drawFloorItem(item);
+    }
+    
+    // Draw sight cones under everyone
+    for (const npc of npcs) {
+      this.drawVisionCone(npc.visibleTiles, this.getNPCColor(npc));
+    }
+    
     // Draw NPCs
     for (const npc of npcs) {
-      this.drawNPC(npc);
+      this.drawNPC(npc, alpha);
     }
     
     // Draw player
-    this.drawPlayer(gameState.player);
+    this.drawPlayer(gameState.player, alpha);
     
     // Draw exits
     for (const exit of environment.exits) {
       this.drawExit(exit);
     }
     
+    // Draw noise spreading through this room
+    this.drawNoiseRipples(environment.id);
+    
     ctx.restore();
     
     // Draw legend
     this.drawLegend(environment);
   }
 
+  /**
+   * Convert a canvas pixel to a blueprint tile (null outside the drawn room)
+   */
+  screenToTile(canvasX, canvasY) {
+    if (!this.blueprintOrigin) return null;
+    
+    const size = this.config.TILE_SIZE;
+    return {
+      x: Math.floor((canvasX - this.blueprintOrigin.x) / size),
+      y: Math.floor((canvasY - this.blueprintOrigin.y) / size)
+    };
+  }
+
   /**
    * Draw a single tile based on type
    */
@@ -257,31 +294,56 @@ class MapRenderer {
   }
 
   /**
-   * Draw an NPC
+   * Draw an item lying on the floor - its icon on a faint marker
    */
-  drawNPC(npc) {
+  drawFloorItem(item) {
     const ctx = this.ctx;
     const size = this.config.TILE_SIZE;
-    const px = npc.position.x * size + size/2;
-    const py = npc.position.y * size + size/2;
+    const px = item.position.x * size + size/2;
+    const py = item.position.y * size + size/2;
     
-    // Determine color based on awareness
-    let color;
-    switch (npc.awareness) {
-      case 'hostile':
-        color = this.config.COLORS.NPC_HOSTILE;
-        break;
-      case 'alert':
-      case 'suspicious':
-        color = '#ffaa00';
-        break;
-      case 'allied':
-        color = this.config.COLORS.NPC_ALLIED;
-        break;
-      default:
-        color = this.config.COLORS.NPC_NEUTRAL;
+    ctx.fillStyle = this.config.COLORS.FLOOR_ITEM;
+    ctx.beginPath();
+    ctx.arc(px, py, size/4, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.font = `${Math.floor(size/2.5)}px sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(item.icon, px, py);
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+  }
+
+  /**
+   * Blend an entity's previous and current tick positions
+   */
+  interpolatePosition(entity, alpha) {
+    const from = entity.previousPosition;
+    if (!from || alpha >= 1) return entity.position;
+    
+    return {
+      x: from.x + (entity.position.x - from.x) * alpha,
+      y: from.y + (entity.position.y - from.y) * alpha
+    };
+  }
+
+  /**
+   * Draw an NPC
+   */
+  drawNPC(npc, alpha = 1) {
+    if (npc.body) {
+      this.drawBody(npc, alpha);
+      return;
     }
     
+    const ctx = this.ctx;
+    const size = this.config.TILE_SIZE;
+    const position = this.interpolatePosition(npc, alpha);
+    const px = position.x * size + size/2;
+    const py = position.y * size + size/2;
+    const color = this.getNPCColor(npc);
+    
     // Draw NPC body
     ctx.fillStyle = color;
     ctx.beginPath();
@@ -297,11 +359,6 @@ class MapRenderer {
     ctx.lineTo(px + facingOffset.x, py + facingOffset.y);
     ctx.stroke();
     
-    // Draw vision cone for aware NPCs
-    if (npc.awareness !== 'unaware') {
-      this.drawVisionCone(px, py, npc.facing, color);
-    }
-    
     // Draw awareness indicator
     if (npc.awareness === 'suspicious') {
       ctx.fillStyle = '#ffaa00';
@@ -314,14 +371,98 @@ class MapRenderer {
     }
   }
 
+  /**
+   * Draw a downed NPC lying on the floor - faded behind cover, not at all
+   * once shut away in a container
+   */
+  drawBody(npc, alpha = 1) {
+    if (npc.body.hidden === 'container') return;
+    
+    const ctx = this.ctx;
+    const size = this.config.TILE_SIZE;
+    const position = this.interpolatePosition(npc, alpha);
+    const px = position.x * size + size/2;
+    const py = position.y * size + size/2;
+    
+    ctx.save();
+    ctx.globalAlpha = npc.body.hidden === 'cover' ? 0.4 : 1;
+    ctx.fillStyle = this.config.COLORS.BODY;
+    ctx.beginPath();
+    ctx.ellipse(px, py, size/2.5, size/5, 0, 0, Math.PI * 2);
+    ctx.fill();
+    
+    // Dead or out cold
+    ctx.fillStyle = npc.body.cause === 'killed' ? '#ff4444' : '#cccccc';
+    ctx.font = 'bold 12px monospace';
+    ctx.fillText(npc.body.cause === 'killed' ? '✕' : 'z', px - 4, py - size/4);
+    ctx.restore();
+  }
+
+  /**
+   * Start a noise ripple in a room
+   * @param {Object} ripple - { roomId, position, radius } (radius in tiles)
+   */
+  addNoiseRipple(ripple) {
+    this.noiseRipples.push({ ...ripple, startedAt: Date.now() });
+  }
+
+  /**
+   * Draw expanding rings for recent noises in a room, dropping finished ones
+   */
+  drawNoiseRipples(roomId) {
+    const RIPPLE_DURATION = 1200;
+    const now = Date.now();
+    this.noiseRipples = this.noiseRipples.filter(r => now - r.startedAt < RIPPLE_DURATION);
+    
+    const ctx = this.ctx;
+    const size = this.config.TILE_SIZE;
+    
+    for (const ripple of this.noiseRipples) {
+      if (ripple.roomId !== roomId) continue;
+      
+      const progress = (now - ripple.startedAt) / RIPPLE_DURATION;
+      const px = ripple.position.x * size + size/2;
+      const py = ripple.position.y * size + size/2;
+      
+      // Two rings, the second trailing the first
+      for (const lag of [0, 0.25]) {
+        const t = progress - lag;
+        if (t <= 0) continue;
+        ctx.strokeStyle = `rgba(255, 204, 0, ${(1 - t) * 0.6})`;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(px, py, Math.max(1, ripple.radius * size * t), 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+  }
+
+  /**
+   * NPC color by awareness
+   */
+  getNPCColor(npc) {
+    switch (npc.awareness) {
+      case 'hostile':
+        return this.config.COLORS.NPC_HOSTILE;
+      case 'alert':
+      case 'suspicious':
+        return '#ffaa00';
+      case 'allied':
+        return this.config.COLORS.NPC_ALLIED;
+      default:
+        return this.config.COLORS.NPC_NEUTRAL;
+    }
+  }
+
   /**
    * Draw player
    */
-  drawPlayer(player) {
+  drawPlayer(player, alpha = 1) {
     const ctx = this.ctx;
     const size = this.config.TILE_SIZE;
-    const px = player.position.x * size + size/2;
-    const py = player.position.y * size + size/2;
+    const position = this.interpolatePosition(player, alpha);
+    const px = position.x * size + size/2;
+    const py = position.y * size + size/2;
     
     // Pulsing effect
     this.playerBlinkPhase += 0.1;
@@ -362,41 +503,40 @@ class MapRenderer {
     const size = this.config.TILE_SIZE;
     const px = exit.position.x * size;
     const py = exit.position.y * size;
+    const w = (exit.size?.w || 1) * size;
+    const h = (exit.size?.h || 1) * size;
     
     // Door frame
     ctx.fillStyle = exit.locked ? '#660000' : this.config.COLORS.DOOR;
-    ctx.fillRect(px + 2, py + 2, size - 4, size - 4);
+    ctx.fillRect(px + 2, py + 2, w - 4, h - 4);
     
     // Lock indicator
     if (exit.locked) {
       ctx.fillStyle = '#ffcc00';
       ctx.beginPath();
-      ctx.arc(px + size/2, py + size/2, 4, 0, Math.PI * 2);
+      ctx.arc(px + w/2, py + h/2, 4, 0, Math.PI * 2);
       ctx.fill();
     }
     
     // Label
     ctx.fillStyle = '#ffffff88';
     ctx.font = '8px monospace';
-    ctx.fillText(exit.label.substring(0, 8), px + 2, py + size + 10);
+    ctx.fillText(exit.label.substring(0, 8), px + 2, py + h + 10);
   }
 
   /**
-   * Draw vision cone
+   * Draw vision cone - the exact tiles the NPC can see (dimmer where seen past cover)
    */
-  drawVisionCone(x, y, facing, color) {
-    const ctx = this.ctx;
-    const length = this.config.TILE_SIZE * 3;
-    const angle = Math.PI / 3; // 60 degree cone
+  drawVisionCone(tiles, color) {
+    if (!tiles?.length) return;
     
-    const baseAngle = this.getFacingAngle(facing);
+    const ctx = this.ctx;
+    const size = this.config.TILE_SIZE;
     
-    ctx.fillStyle = color + '22';
-    ctx.beginPath();
-    ctx.moveTo(x, y);
-    ctx.arc(x, y, length, baseAngle - angle/2, baseAngle + angle/2);
-    ctx.closePath();
-    ctx.fill();
+    for (const tile of tiles) {
+      ctx.fillStyle = color + (tile.visibility >= 1 ? '33' : '18');
+      ctx.fillRect(tile.x * size, tile.y * size, size, size);
+    }
   }
 
   /**
@@ -489,6 +629,75 @@ class MapRenderer {
     }
   }
 
+  /**
+   * Where a room tile falls inside its box on the overview map
+   */
+  getOverviewPoint(env, position) {
+    const box = this.getEnvironmentPosition(env.id);
+    const width = env.dimensions?.width || 1;
+    const height = env.dimensions?.height || 1;
+    
+    // Below the label, inset from the border
+    return {
+      x: box.x + 4 + ((position.x + 0.5) / width) * 72,
+      y: box.y + 18 + ((position.y + 0.5) / height) * 28
+    };
+  }
+
+  /**
+   * Mark the player in their room on the overview map
+   */
+  drawPlayerMarker(env, position) {
+    const ctx = this.ctx;
+    const point = this.getOverviewPoint(env, position || { x: 0, y: 0 });
+    
+    ctx.fillStyle = this.config.COLORS.PLAYER;
+    ctx.beginPath();
+    ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  /**
+   * Ring rooms holding an objective that isn't done yet
+   */
+  drawObjectiveMarkers(environments, gameState) {
+    const ctx = this.ctx;
+    const pending = (gameState.objectives || []).filter(obj => !obj.completed && obj.location);
+    
+    ctx.strokeStyle = this.config.COLORS.OBJECTIVE;
+    ctx.lineWidth = 1;
+    for (const roomId of new Set(pending.map(obj => obj.location))) {
+      if (!environments[roomId]) continue;
+      const pos = this.getEnvironmentPosition(roomId);
+      ctx.strokeRect(pos.x - 3, pos.y - 3, 86, 56);
+    }
+  }
+
+  /**
+   * Draw NPCs last seen in other rooms, fading as the sighting gets older
+   */
+  drawSightings(environments, gameState, currentId) {
+    const ctx = this.ctx;
+    const now = gameState.elapsedTime ?? 0;
+    const sightings = gameState.npcSightings instanceof Map
+      ? Array.from(gameState.npcSightings.values())
+      : gameState.npcSightings || [];
+    
+    for (const sighting of sightings) {
+      const env = environments[sighting.location];
+      const age = now - sighting.time;
+      if (!env || sighting.location === currentId || age > this.config.SIGHTING_MEMORY) continue;
+      
+      const point = this.getOverviewPoint(env, sighting.position);
+      ctx.globalAlpha = 1 - 0.7 * (age / this.config.SIGHTING_MEMORY);
+      ctx.fillStyle = this.getNPCColor(sighting);
+      ctx.beginPath();
+      ctx.arc(point.x, point.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.globalAlpha = 1;
+  }
+
   /**
    * Get position for environment on overview map
    */
@@ -571,6 +780,20 @@ class MapRenderer {
     this.visitedEnvironments.add(envId);
   }
 
+  /**
+   * Get visited environments (for save/load)
+   */
+  getVisited() {
+    return Array.from(this.visitedEnvironments);
+  }
+
+  /**
+   * Replace visited environments from a save
+   */
+  restoreVisited(envIds) {
+    this.visitedEnvironments = new Set(envIds);
+  }
+
   /**
    * Switch view mode
    */
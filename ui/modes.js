@@ -25,7 +25,7 @@ const MODES = {
       'combat': CARD_STATES.COLLAPSED
     },
     allowedActions: ['look', 'examine', 'listen', 'search', 'move', 'sneak', 'run', 'hide', 
-                     'take', 'use', 'hack', 'lockpick', 'talk', 'distract']
+                     'take', 'take-from', 'use', 'combine', 'hack', 'lockpick', 'bypass', 'talk', 'distract']
   },
 
   [GAME_PHASES.DIALOGUE]: {
@@ -123,12 +123,25 @@ const MODES = {
  * Mode Manager - handles transitions between game modes
  */
 class ModeManager {
-  constructor(eventBus) {
+  /**
+   * @param {EventBus} eventBus
+   * @param {Object} options - { now } returns the game time in ms, so the
+   *   transition lock runs on the simulation clock rather than the wall clock
+   */
+  constructor(eventBus, options = {}) {
     this.eventBus = eventBus;
+    this.now = options.now || (() => Date.now());
     this.currentMode = GAME_PHASES.EXPLORATION;
     this.previousMode = null;
     this.modeStack = [];
-    this.transitionLocked = false;
+    this.lockedUntil = -Infinity;
+  }
+
+  /**
+   * Whether a transition happened too recently to switch again
+   */
+  isLocked() {
+    return this.now() < this.lockedUntil;
   }
 
   /**
@@ -158,7 +171,8 @@ class ModeManager {
    * Transition to a new mode
    */
   transitionTo(newMode, options = {}) {
-    if (this.transitionLocked) return false;
+    // Returning from a mode is always allowed - only new switches wait out the lock
+    if (this.isLocked() && !options.returning) return false;
     if (!MODES[newMode]) return false;
     if (this.currentMode === newMode) return false;
 
@@ -174,10 +188,9 @@ class ModeManager {
     this.currentMode = toMode;
 
     // Lock transitions briefly to prevent rapid switching
-    this.transitionLocked = true;
-    setTimeout(() => {
-      this.transitionLocked = false;
-    }, options.lockDuration || 300);
+    if (!options.returning) {
+      this.lockedUntil = this.now() + (options.lockDuration || 300);
+    }
 
     // Emit transition event
     this.eventBus.emit('mode:changed', {
@@ -195,7 +208,7 @@ class ModeManager {
    */
   returnToPrevious() {
     if (this.previousMode) {
-      return this.transitionTo(this.previousMode);
+      return this.transitionTo(this.previousMode, { returning: true });
     }
     return false;
   }
@@ -206,7 +219,7 @@ class ModeManager {
   popMode() {
     if (this.modeStack.length > 0) {
       const mode = this.modeStack.pop();
-      return this.transitionTo(mode);
+      return this.transitionTo(mode, { returning: true });
     }
     return false;
   }
@@ -250,6 +263,7 @@ class ModeManager {
   reset() {
     this.modeStack = [];
     this.previousMode = null;
+    this.lockedUntil = -Infinity;
     this.transitionTo(GAME_PHASES.EXPLORATION);
   }
 
@@ -261,7 +275,7 @@ class ModeManager {
       current: this.currentMode,
       previous: this.previousMode,
       stack: [...this.modeStack],
-      locked: this.transitionLocked,
+      locked: this.isLocked(),
       availableCards: this.getAvailableCards()
     };
   }
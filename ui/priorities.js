@@ -9,7 +9,11 @@ import { PRIORITY_TIERS, GAME_PHASES, NPC_AWARENESS, VITAL_THRESHOLDS } from '..
  * Priority Manager - evaluates game state to determine UI focus
  */
 class PriorityManager {
-  constructor() {
+  /**
+   * @param {Object} options - { now } clock the cache ages on (ms; wall clock by default)
+   */
+  constructor(options = {}) {
+    this.now = options.now || (() => Date.now());
     this.priorityCache = null;
     this.lastEvaluation = 0;
     this.cacheLifetime = 100; // ms before re-evaluation
@@ -19,7 +23,7 @@ class PriorityManager {
    * Get current priorities based on game state
    */
   evaluate(state, environments, npcs) {
-    const now = Date.now();
+    const now = this.now();
     if (this.priorityCache && (now - this.lastEvaluation) < this.cacheLifetime) {
       return this.priorityCache;
     }
@@ -290,6 +294,26 @@ class PriorityManager {
       }
     }
 
+    // Locks that can be picked or bypassed
+    actions.push(...this.getLockActions(environment));
+
+    // Containers worth going through
+    actions.push(...this.getContainerActions(state, environment));
+
+    // Things lying on the floor
+    for (const item of (environment.items || [])) {
+      actions.push({
+        verb: 'take',
+        target: item.id,
+        label: `Pick up ${item.name}`,
+        type: 'interaction',
+        position: item.position
+      });
+    }
+
+    // Bodies within the room
+    actions.push(...this.getBodyActions(state, environment));
+
     // Add universal actions
     actions.push({ verb: 'look', target: 'room', label: 'Survey Room', type: 'observation' });
     actions.push({ verb: 'listen', target: 'room', label: 'Listen', type: 'observation' });
@@ -297,6 +321,101 @@ class PriorityManager {
     return actions;
   }
 
+  /**
+   * Picks for locked mechanical locks marked pickable, a bypass for electronic ones
+   */
+  getLockActions(environment) {
+    const actions = [];
+    const locks = [
+      ...(environment.exits || []).map(exit => ({ lock: exit, target: exit.destination, name: exit.label })),
+      ...(environment.elements || []).map(element => ({ lock: element, target: element.id, name: element.name }))
+    ];
+
+    for (const { lock, target, name } of locks) {
+      if (!lock.pickable || !lock.locked) continue;
+
+      const electronic = lock.lockType === 'electronic';
+      actions.push({
+        verb: electronic ? 'bypass' : 'lockpick',
+        target,
+        label: `${electronic ? 'Bypass' : 'Pick'} ${name}`,
+        type: 'interaction',
+        position: lock.position
+      });
+    }
+    return actions;
+  }
+
+  /**
+   * Searches of containers not yet gone through or with something left in
+   * them. Locked ones only show when a keycard opens them - picks, bypasses
+   * and hacks are offered on their own.
+   */
+  getContainerActions(state, environment) {
+    const actions = [];
+
+    for (const element of (environment.elements || [])) {
+      if (!element.contents || (element.searched && element.contents.length === 0)) continue;
+      if (element.locked && !element.requiresKeycard) continue;
+
+      const blocked = !!element.locked && !this.playerHasKeycard(state, element.keycardLevel);
+      actions.push({
+        verb: 'search',
+        target: element.id,
+        label: `Search ${element.name}`,
+        type: 'interaction',
+        blocked,
+        blockReason: blocked ? `Requires Level ${element.keycardLevel} Keycard` : null,
+        position: element.position
+      });
+    }
+    return actions;
+  }
+
+  /**
+   * Actions on downed NPCs in the room, and places to stash the one being dragged
+   */
+  getBodyActions(state, environment) {
+    const actions = [];
+    const dragging = state.player.dragging;
+
+    for (const npc of state.getNPCsInCurrentRoom()) {
+      if (!npc.body) continue;
+
+      if (!npc.body.searched) {
+        actions.push({
+          verb: 'search',
+          target: npc.id,
+          label: `Search ${npc.name}`,
+          type: 'interaction',
+          position: npc.position
+        });
+      }
+      actions.push({
+        verb: 'drag',
+        target: npc.id,
+        label: npc.id === dragging ? `Let go of ${npc.name}` : `Drag ${npc.name}`,
+        type: 'interaction',
+        position: npc.position
+      });
+    }
+
+    if (dragging) {
+      for (const element of (environment.elements || [])) {
+        if (!element.holdsBody && !element.provideCover) continue;
+        actions.push({
+          verb: 'hide',
+          target: element.id,
+          label: `Hide body ${element.holdsBody ? 'in' : 'behind'} ${element.name}`,
+          type: 'interaction',
+          position: element.position
+        });
+      }
+    }
+
+    return actions;
+  }
+
   /**
    * Get interactive elements in current environment
    */